@@ -0,0 +1,48 @@
+// Default delivery zones, used for any city that has no zones stored in the
+// DeliveryZone collection yet. Mirrors GOOGLE_MAPS_CONFIG.DELIVERY_ZONES in
+// src/config/googleMaps.js. Zones are matched in priority order, so a point
+// inside several circles gets the first one listed.
+
+// Furthest a restaurant may be from the customer unless a zone overrides it
+const MAX_DELIVERY_DISTANCE_KM = 10;
+
+const DEFAULT_DELIVERY_ZONES = [
+  {
+    city: 'vadodara',
+    name: 'Central Vadodara',
+    center: { latitude: 22.3072, longitude: 73.1812 },
+    radiusKm: 3,
+    deliveryFee: 0,
+    estimatedTime: 20,
+    priority: 0
+  },
+  {
+    city: 'vadodara',
+    name: 'Sayajigunj Area',
+    center: { latitude: 22.3056, longitude: 73.1897 },
+    radiusKm: 2,
+    deliveryFee: 20,
+    estimatedTime: 25,
+    priority: 1
+  },
+  {
+    city: 'vadodara',
+    name: 'Alkapuri Area',
+    center: { latitude: 22.2950, longitude: 73.2020 },
+    radiusKm: 2,
+    deliveryFee: 20,
+    estimatedTime: 30,
+    priority: 2
+  },
+  {
+    city: 'vadodara',
+    name: 'Outer Vadodara',
+    center: { latitude: 22.3072, longitude: 73.1812 },
+    radiusKm: 8,
+    deliveryFee: 40,
+    estimatedTime: 45,
+    priority: 3
+  }
+];
+
+module.exports = { MAX_DELIVERY_DISTANCE_KM, DEFAULT_DELIVERY_ZONES };
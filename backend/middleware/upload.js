@@ -0,0 +1,46 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Ensure uploads directory exists
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir);
+}
+
+// Multer storage
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, uploadsDir),
+  filename: (req, file, cb) => {
+    const ext = path.extname(file.originalname);
+    const base = path.basename(file.originalname, ext).replace(/[^a-zA-Z0-9-_]/g, '');
+    cb(null, `${Date.now()}_${base}${ext}`);
+  }
+});
+
+// JPG/PNG/WebP images up to 2MB, stored under /uploads
+const imageUpload = multer({
+  storage,
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB
+  fileFilter: (req, file, cb) => {
+    const allowed = ['image/jpeg', 'image/png', 'image/webp'];
+    if (!allowed.includes(file.mimetype)) return cb(new Error('Only JPG/PNG/WebP images are allowed'));
+    cb(null, true);
+  }
+});
+
+// Like imageUpload.single(field), but rejected files become a 400 instead of a server error
+const singleImage = (field) => (req, res, next) => {
+  imageUpload.single(field)(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+  });
+};
+
+// Public and absolute URLs for a file multer just stored
+const toUploadUrls = (req, file) => {
+  const publicUrl = `/uploads/${file.filename}`;
+  return { url: `${req.protocol}://${req.get('host')}${publicUrl}`, path: publicUrl };
+};
+
+module.exports = { imageUpload, singleImage, toUploadUrls, uploadsDir };
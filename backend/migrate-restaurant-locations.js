@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const Restaurant = require('./models/Restaurant');
+const { toGeoPoint } = require('./utils/geo');
+require('dotenv').config();
+
+// Restaurants saved before nearby search stored `location` as
+// { latitude, longitude }. This rewrites them as GeoJSON Points, drops
+// locations that can't be converted, and builds the 2dsphere index.
+// Safe to re-run: converted restaurants are skipped.
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+const migrateLocations = async () => {
+  console.log('📍 Converting restaurant locations to GeoJSON...');
+  await connectDB();
+
+  // Raw collection access: the old shape no longer matches the schema
+  const collection = Restaurant.collection;
+  const legacy = await collection
+    .find({ location: { $exists: true }, 'location.type': { $ne: 'Point' } })
+    .project({ name: 1, location: 1 })
+    .toArray();
+
+  let converted = 0;
+  for (const restaurant of legacy) {
+    const point = toGeoPoint(restaurant.location);
+    await collection.updateOne(
+      { _id: restaurant._id },
+      point ? { $set: { location: point } } : { $unset: { location: '' } }
+    );
+    if (point) {
+      converted += 1;
+    } else {
+      console.warn(`⚠️  ${restaurant.name}: unusable location removed`);
+    }
+  }
+  console.log(`✅ Converted ${converted} of ${legacy.length} restaurants`);
+
+  await Restaurant.createIndexes();
+  console.log('✅ 2dsphere index ready');
+
+  mongoose.connection.close();
+  console.log('🔌 Database connection closed');
+};
+
+if (require.main === module) {
+  migrateLocations().catch(console.error);
+}
+
+module.exports = { migrateLocations };
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const DISCOUNT_TYPES = ['percent', 'flat'];
+
+// A promo code. `percent` takes value% off the food subtotal (capped at
+// maxDiscount when set); `flat` takes value rupees off. A coupon scoped to
+// restaurants and/or cuisines only applies to orders from a matching
+// restaurant. See utils/coupons.js for how a code is checked and applied.
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,20}$/, 'Coupon code must be 3-20 letters, digits, _ or -']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    required: [true, 'Discount type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0.01, 'Discount value must be positive']
+  },
+  minOrderAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order cannot be negative']
+  },
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // Orders per customer; unset means unlimited
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  validFrom: Date,
+  validUntil: Date,
+  restaurants: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Restaurant' }],
+  cuisines: [{ type: String, trim: true }],
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percent' && this.value > 100) {
+    this.invalidate('value', 'A percent discount cannot exceed 100');
+  }
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'Coupon must end after it starts');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
+module.exports.DISCOUNT_TYPES = DISCOUNT_TYPES;
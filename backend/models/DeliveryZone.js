@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A circular delivery area within a city, with its own fee and ETA
+const deliveryZoneSchema = new mongoose.Schema({
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true
+  },
+  center: {
+    latitude: { type: Number, required: true, min: -90, max: 90 },
+    longitude: { type: Number, required: true, min: -180, max: 180 }
+  },
+  radiusKm: {
+    type: Number,
+    required: [true, 'Radius is required'],
+    min: [0.1, 'Radius must be at least 0.1 km']
+  },
+  deliveryFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Delivery fee cannot be negative']
+  },
+  estimatedTime: {
+    type: Number,
+    default: 30 // minutes, used when the restaurant has no coordinates
+  },
+  // Restaurant-to-customer limit for this zone; falls back to MAX_DELIVERY_DISTANCE_KM
+  maxDistanceKm: {
+    type: Number,
+    min: [0.1, 'Max distance must be at least 0.1 km']
+  },
+  // Lower numbers are matched first when zones overlap
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+deliveryZoneSchema.index({ city: 1, priority: 1 });
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
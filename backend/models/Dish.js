@@ -1,5 +1,16 @@
 const mongoose = require('mongoose');
 
+const CATEGORIES = [
+  'Appetizers', 'Main Course', 'Desserts', 'Beverages', 
+  'Pizza', 'Biryani', 'North Indian', 'South Indian', 
+  'Chinese', 'Italian', 'Mexican', 'Fast Food', 
+  'Snacks', 'Chaat', 'Sides', 'Cocktails', 'Wine', 'Sushi', 'Burgers',
+  'Pav Bhaji', 'Momos', 'Indo-Chinese', 'Punjabi', 'Rajasthani', 'Breads',
+  'Modern Indian', 'Fusion'
+];
+const DIETARY_INFO = ['Vegetarian', 'Vegan', 'Non-Vegetarian', 'Gluten-Free', 'Dairy-Free'];
+const ALLERGENS = ['Gluten', 'Dairy', 'Nuts', 'Eggs', 'Soy', 'Fish', 'Shellfish', 'Pork', 'Beef'];
+
 const dishSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -24,16 +35,11 @@ const dishSchema = new mongoose.Schema({
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: [
-      'Appetizers', 'Main Course', 'Desserts', 'Beverages', 
-      'Pizza', 'Biryani', 'North Indian', 'South Indian', 
-      'Chinese', 'Italian', 'Mexican', 'Fast Food', 
-      'Snacks', 'Chaat', 'Sides', 'Cocktails', 'Wine', 'Sushi', 'Burgers'
-    ]
+    enum: CATEGORIES
   },
   dietaryInfo: [{
     type: String,
-    enum: ['Vegetarian', 'Vegan', 'Non-Vegetarian', 'Gluten-Free', 'Dairy-Free']
+    enum: DIETARY_INFO
   }],
   isVeg: {
     type: Boolean,
@@ -51,6 +57,29 @@ const dishSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Optional daily stock for limited items. Dishes without a dailyLimit are
+  // not counted. `soldOut` marks dishes that went unavailable because they
+  // ran out, so the restock puts them back on the menu.
+  stock: {
+    dailyLimit: {
+      type: Number,
+      min: [0, 'Daily limit cannot be negative']
+    },
+    remaining: {
+      type: Number,
+      min: [0, 'Remaining stock cannot be negative']
+    },
+    restockAt: {
+      type: String,
+      default: '06:00',
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Restock time must be HH:mm']
+    },
+    lastRestockedAt: Date,
+    soldOut: {
+      type: Boolean,
+      default: false
+    }
+  },
   preparationTime: {
     type: Number,
     default: 20, // minutes
@@ -62,7 +91,7 @@ const dishSchema = new mongoose.Schema({
   },
   allergens: [{
     type: String,
-    enum: ['Gluten', 'Dairy', 'Nuts', 'Eggs', 'Soy', 'Fish', 'Shellfish', 'Pork', 'Beef']
+    enum: ALLERGENS
   }],
   ingredients: [{
     type: String,
@@ -85,7 +114,16 @@ const dishSchema = new mongoose.Schema({
     prices: [{
       type: Number,
       default: 0
-    }]
+    }],
+    // A required group needs a choice; a multiple group (add-ons) allows several
+    required: {
+      type: Boolean,
+      default: false
+    },
+    multiple: {
+      type: Boolean,
+      default: false
+    }
   }],
   ratings: [{
     user: {
@@ -136,3 +174,6 @@ dishSchema.virtual('formattedPrice').get(function() {
 });
 
 module.exports = mongoose.model('Dish', dishSchema);
+module.exports.CATEGORIES = CATEGORIES;
+module.exports.DIETARY_INFO = DIETARY_INFO;
+module.exports.ALLERGENS = ALLERGENS;
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// How long a client-supplied Idempotency-Key keeps returning the original order
+const IDEMPOTENCY_WINDOW_SECONDS = 24 * 60 * 60;
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  // Keys are scoped per caller so two users can't collide on the same key
+  scope: { type: String, required: true },
+  requestHash: { type: String, required: true },
+  orderId: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now, expires: IDEMPOTENCY_WINDOW_SECONDS },
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+module.exports.IDEMPOTENCY_WINDOW_SECONDS = IDEMPOTENCY_WINDOW_SECONDS;
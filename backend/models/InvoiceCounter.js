@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// The last invoice number a restaurant issued in a financial year ("2026-27").
+// Bumped atomically with $inc, so every invoice gets the next number.
+const invoiceCounterSchema = new mongoose.Schema({
+  restaurant: { type: mongoose.Schema.Types.ObjectId, ref: 'Restaurant', required: true },
+  financialYear: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+invoiceCounterSchema.index({ restaurant: 1, financialYear: 1 }, { unique: true });
+
+module.exports = mongoose.model('InvoiceCounter', invoiceCounterSchema);
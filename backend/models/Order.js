@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ORDER_STATUSES } = require('../utils/orderStatus');
 
 const orderItemSchema = new mongoose.Schema({
   dish: { type: mongoose.Schema.Types.ObjectId, ref: 'Dish' },
@@ -6,6 +7,35 @@ const orderItemSchema = new mongoose.Schema({
   price: { type: Number, required: true },
   quantity: { type: Number, required: true, min: 1 },
   photo: String,
+  customizations: [{
+    _id: false,
+    name: String,
+    option: String,
+    price: { type: Number, default: 0 },
+  }],
+  // Dish category at the time of ordering and the GST rate it was taxed at
+  category: String,
+  taxRate: Number,
+}, { _id: false });
+
+// One entry per status change. The history is append-only: entries are only
+// ever $push-ed, never edited or removed (see the guard below).
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String },
+  status: { type: String, required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  actorName: { type: String },
+  role: { type: String },
+  reason: { type: String },
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+const locationPingSchema = new mongoose.Schema({
+  latitude: { type: Number, required: true },
+  longitude: { type: Number, required: true },
+  heading: { type: Number },
+  speed: { type: Number },
+  timestamp: { type: Date, default: Date.now },
 }, { _id: false });
 
 const orderSchema = new mongoose.Schema({
@@ -16,14 +46,91 @@ const orderSchema = new mongoose.Schema({
   restaurantName: { type: String },
   items: { type: [orderItemSchema], default: [] },
   totalAmount: { type: Number },
+  // Server-computed price breakdown; totalAmount always equals pricing.total
+  pricing: {
+    subtotal: Number,
+    deliveryFee: Number,
+    taxes: Number,
+    // null when the items are taxed at different rates
+    taxRate: Number,
+    discount: Number,
+    couponCode: String,
+    total: Number,
+  },
+  // The promo code the discount came from (see utils/coupons.js)
+  coupon: {
+    code: String,
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+  },
   deliveryAddress: { type: mongoose.Schema.Types.Mixed },
   deliveryInstructions: { type: String },
   paymentMethod: { type: String, enum: ['cash', 'card', 'upi', 'wallet'] },
-  paymentStatus: { type: String, enum: ['pending', 'paid', 'failed'], default: 'pending' },
-  status: { type: String, enum: ['pending', 'pending_delivery', 'accepted_delivery', 'rejected', 'confirmed', 'preparing', 'ready_for_pickup', 'out_for_delivery', 'delivered', 'cancelled'], default: 'pending' },
+  paymentStatus: { type: String, enum: ['pending', 'paid', 'failed', 'refunded'], default: 'pending' },
+  // Sum of succeeded payment intents and wallet money, kept up to date by utils/payments
+  paidAmount: { type: Number, default: 0 },
+  // Taken from the customer's CraveCart wallet at checkout; the rest, if any,
+  // is paid by UPI or card
+  walletAmount: { type: Number, default: 0 },
+  // Set when several people pay for the order; see utils/splitBills.js
+  splitBill: { type: mongoose.Schema.Types.ObjectId, ref: 'SplitBill' },
+  status: { type: String, enum: ORDER_STATUSES, default: 'pending' },
   payoutAmount: { type: Number },
+  // Set when the customer (or an admin on their behalf) cancels; see utils/refunds.js
+  cancellation: {
+    reason: String,
+    fee: Number,
+    refundAmount: Number,
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: Date,
+  },
   driver: { type: mongoose.Schema.Types.Mixed },
+  // Issued the first time the invoice is downloaded; see utils/invoices.js
+  invoice: {
+    number: String,
+    financialYear: String,
+    issuedAt: Date,
+    // The restaurant's GSTIN when the invoice was issued
+    gstin: String,
+    // Held by the request numbering the invoice, so concurrent requests
+    // can't each take a number from the sequence
+    issuing: {
+      token: mongoose.Schema.Types.ObjectId,
+      at: Date,
+    },
+    // The order was cancelled after its invoice was issued; the invoice
+    // stays, marked cancelled, so its number is still accounted for
+    cancelledAt: Date,
+  },
+  // Set once the customer has reviewed the delivered order
+  review: { type: mongoose.Schema.Types.ObjectId, ref: 'Review' },
+  statusHistory: { type: [statusChangeSchema], default: [] },
+  tracking: {
+    currentLocation: { type: locationPingSchema },
+    deliveryPath: { type: [locationPingSchema], default: [] },
+    lastUpdate: { type: Date },
+  },
 }, { timestamps: true });
 
+// Listing indexes: every filter on GET /api/orders pairs with the
+// newest-first (createdAt, _id) sort used for cursor pagination
+orderSchema.index({ createdAt: -1, _id: -1 });
+orderSchema.index({ status: 1, createdAt: -1, _id: -1 });
+orderSchema.index({ restaurantId: 1, createdAt: -1, _id: -1 });
+orderSchema.index({ 'driver.id': 1, createdAt: -1, _id: -1 });
+orderSchema.index({ paymentMethod: 1, createdAt: -1, _id: -1 });
+orderSchema.index({ user: 1, createdAt: -1, _id: -1 });
+orderSchema.index({ user: 1, 'coupon.code': 1 });
+
+// Reject query updates that would rewrite the audit trail
+orderSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const touchesHistory = ['$set', '$unset', '$pull', '$pop', '$pullAll']
+    .some(op => update[op] && Object.keys(update[op]).some(key => key.startsWith('statusHistory')));
+  if (touchesHistory || update.statusHistory) {
+    return next(new Error('Order statusHistory is append-only'));
+  }
+  next();
+});
+
 module.exports = mongoose.model('Order', orderSchema);
 
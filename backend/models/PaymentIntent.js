@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_INTENT_STATUSES = ['pending', 'succeeded', 'failed'];
+const PAYMENT_INTENT_PURPOSES = ['order', 'wallet_topup'];
+
+const forOrder = function () {
+  return this.purpose === 'order';
+};
+
+// One attempt to collect money for an order through a payment provider.
+// An order can have several: a retry after a failure, or one per person
+// when the bill is split. Only the provider's signed webhook moves an intent
+// out of `pending`; see utils/payments for the flow. Wallet top-ups are
+// intents too, with no order.
+const paymentIntentSchema = new mongoose.Schema({
+  purpose: { type: String, enum: PAYMENT_INTENT_PURPOSES, default: 'order' },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: forOrder, index: true },
+  orderId: { type: String, required: forOrder, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  amount: { type: Number, required: true, min: 0.01 },
+  currency: { type: String, default: 'INR' },
+  method: { type: String, enum: ['upi', 'card'], default: 'upi' },
+  upiId: { type: String, trim: true },
+  // Who is paying this intent, e.g. one person on a split bill
+  payerName: { type: String, trim: true },
+  // Set for split bill payments; no participant means the organizer covering the rest
+  splitBill: { type: mongoose.Schema.Types.ObjectId, ref: 'SplitBill', index: true },
+  participant: { type: mongoose.Schema.Types.ObjectId },
+  provider: { type: String, required: true },
+  // The provider's id for the payment, used to match webhooks to intents
+  providerRef: { type: String },
+  // Whatever the client needs to finish paying (a link to open, etc.)
+  clientAction: { type: mongoose.Schema.Types.Mixed },
+  status: { type: String, enum: PAYMENT_INTENT_STATUSES, default: 'pending' },
+  failureReason: { type: String },
+  paidAt: { type: Date },
+  // Money the provider took that is owed back: a success after the intent
+  // failed, or a payment for an order cancelled in the meantime
+  refundDue: { type: Boolean },
+  // Pending intents stop holding their amount against the order after this
+  expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+paymentIntentSchema.index(
+  { provider: 1, providerRef: 1 },
+  { unique: true, partialFilterExpression: { providerRef: { $exists: true } } }
+);
+
+paymentIntentSchema.index({ refundDue: 1 }, { partialFilterExpression: { refundDue: true } });
+
+module.exports = mongoose.model('PaymentIntent', paymentIntentSchema);
+module.exports.PAYMENT_INTENT_STATUSES = PAYMENT_INTENT_STATUSES;
+module.exports.PAYMENT_INTENT_PURPOSES = PAYMENT_INTENT_PURPOSES;
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const REFUND_STATUSES = ['initiated', 'processed', 'failed'];
+
+// Money going back to a customer for a cancelled order. At most one per order.
+const refundSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, unique: true },
+  orderId: { type: String, required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  amount: { type: Number, required: true, min: 0 },
+  cancellationFee: { type: Number, default: 0 },
+  // Refunds go back to the method the order was paid with, or `wallet` when
+  // all of it was credited to the CraveCart wallet
+  method: { type: String },
+  // Part of `amount` credited straight to the customer's wallet
+  walletAmount: { type: Number, default: 0 },
+  status: { type: String, enum: REFUND_STATUSES, default: 'initiated' },
+  failureReason: { type: String },
+  processedAt: { type: Date },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Refund', refundSchema);
+module.exports.REFUND_STATUSES = REFUND_STATUSES;
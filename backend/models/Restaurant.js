@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// 15-character GST identification number, e.g. 24AAACC1206D1ZM
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
 const restaurantSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -43,6 +46,21 @@ const restaurantSchema = new mongoose.Schema({
       required: [true, 'Zip code is required']
     }
   },
+  // GeoJSON Point ([longitude, latitude]) used for nearby search, delivery
+  // distance, ETA and serviceability checks
+  location: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+      validate: {
+        validator: (value) => !value || (
+          value.length === 2 && Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90
+        ),
+        message: 'Location must be [longitude, latitude]'
+      }
+    }
+  },
   contact: {
     phone: {
       type: String,
@@ -69,6 +87,34 @@ const restaurantSchema = new mongoose.Schema({
       default: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
     }
   },
+  // Weekly opening hours (restaurant-local "HH:mm"); see utils/openingHours.
+  // Empty means the schedule is derived from `timings`.
+  schedule: [{
+    _id: false,
+    day: {
+      type: String,
+      enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+      required: true
+    },
+    slots: [{
+      _id: false,
+      open: { type: String, required: true, match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Use HH:mm'] },
+      close: { type: String, required: true, match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Use HH:mm'] }
+    }]
+  }],
+  // Whole days closed, as restaurant-local "YYYY-MM-DD"
+  holidays: [{
+    _id: false,
+    date: { type: String, required: true, match: [/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD'] },
+    reason: String
+  }],
+  // Busy/paused mode; resumes on its own once `until` has passed
+  pause: {
+    isPaused: { type: Boolean, default: false },
+    until: Date,
+    reason: String,
+    pausedAt: Date
+  },
   rating: {
     type: Number,
     default: 0,
@@ -97,6 +143,25 @@ const restaurantSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Printed on tax invoices; without one, orders get a plain receipt
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [GSTIN_PATTERN, 'Please enter a valid GSTIN']
+  },
+  // Starts every invoice number, e.g. SPICE/2627/00042; taken from the slug when unset
+  invoicePrefix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9]{2,5}$/, 'Invoice prefix must be 2-5 letters or digits']
+  },
+  // Display order of menu categories; categories not listed follow alphabetically
+  menuCategories: [{
+    type: String,
+    trim: true
+  }],
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -125,4 +190,8 @@ restaurantSchema.virtual('fullAddress').get(function() {
 // Index for search
 restaurantSchema.index({ name: 'text', description: 'text', 'address.city': 'text' });
 
+// Index for nearby search ($geoNear)
+restaurantSchema.index({ location: '2dsphere' });
+
 module.exports = mongoose.model('Restaurant', restaurantSchema);
+module.exports.GSTIN_PATTERN = GSTIN_PATTERN;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const score = { type: Number, min: 1, max: 5 };
+
+// A customer's rating of a delivered order. At most one per order; the
+// restaurant may answer it once with a public reply.
+const reviewSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, unique: true },
+  orderId: { type: String, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  restaurant: { type: mongoose.Schema.Types.ObjectId, ref: 'Restaurant', required: true },
+  // The delivery partner, when the order had one
+  driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  ratings: {
+    restaurant: { ...score, required: true },
+    food: { ...score, required: true },
+    delivery: score,
+  },
+  comment: { type: String, trim: true, maxlength: [1000, 'Review cannot exceed 1000 characters'] },
+  reply: {
+    text: { type: String, trim: true, maxlength: [1000, 'Reply cannot exceed 1000 characters'] },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: Date,
+  },
+}, { timestamps: true });
+
+reviewSchema.index({ restaurant: 1, createdAt: -1 });
+reviewSchema.index({ driver: 1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
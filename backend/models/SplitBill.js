@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const SPLIT_TYPES = ['equal', 'manual'];
+const PARTICIPANT_STATUSES = ['pending', 'paid', 'covered'];
+const SPLIT_BILL_STATUSES = ['collecting', 'paid', 'cancelled'];
+
+// One person's part of a split bill. `token` is the secret in their pay link,
+// so friends can pay from their own phones without an account.
+const participantSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // What the organizer entered for a manual split; shares are proportional to it
+  weight: { type: Number, default: 1, min: 0 },
+  share: { type: Number, required: true, min: 0 },
+  token: { type: String, required: true },
+  // `covered` means the organizer paid the rest of the bill before they did
+  status: { type: String, enum: PARTICIPANT_STATUSES, default: 'pending' },
+  paidAt: { type: Date },
+});
+
+// A group order paid by several people. The order waits in
+// `awaiting_payment` until the shares are paid (or the organizer covers
+// what's left) and only then reaches the restaurant; see utils/splitBills.js.
+const splitBillSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, unique: true },
+  orderId: { type: String, required: true, index: true },
+  organizer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  splitType: { type: String, enum: SPLIT_TYPES, required: true },
+  total: { type: Number, required: true },
+  participants: { type: [participantSchema], default: [] },
+  status: { type: String, enum: SPLIT_BILL_STATUSES, default: 'collecting' },
+  releasedAt: { type: Date },
+}, { timestamps: true });
+
+splitBillSchema.index({ 'participants.token': 1 }, { unique: true });
+
+module.exports = mongoose.model('SplitBill', splitBillSchema);
+module.exports.SPLIT_TYPES = SPLIT_TYPES;
+module.exports.PARTICIPANT_STATUSES = PARTICIPANT_STATUSES;
+module.exports.SPLIT_BILL_STATUSES = SPLIT_BILL_STATUSES;
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ALLERGENS } = require('./Dish');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -47,6 +48,11 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [20, 'Bike number cannot exceed 20 characters']
   },
+  // Delivery partners only; averaged from order reviews (see utils/reviews.js)
+  driverRating: {
+    average: { type: Number, default: 0 },
+    count: { type: Number, default: 0 }
+  },
   addresses: [{
     type: {
       type: String,
@@ -60,6 +66,10 @@ const userSchema = new mongoose.Schema({
       zipCode: String,
       landmark: String
     },
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    },
     isDefault: {
       type: Boolean,
       default: false
@@ -75,6 +85,11 @@ const userSchema = new mongoose.Schema({
       enum: ['mild', 'medium', 'hot'],
       default: 'medium'
     },
+    // Dishes containing these are hidden from listings by default and flagged in the cart
+    allergens: [{
+      type: String,
+      enum: ALLERGENS
+    }],
     notifications: {
       email: { type: Boolean, default: true },
       sms: { type: Boolean, default: true },
@@ -121,6 +136,18 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Keep exactly one default address whenever the user has any
+userSchema.pre('save', function(next) {
+  if (!this.isModified('addresses') || this.addresses.length === 0) return next();
+
+  const defaults = this.addresses.filter(addr => addr.isDefault);
+  if (defaults.length !== 1) {
+    const keep = defaults[0] || this.addresses[0];
+    this.addresses.forEach(addr => { addr.isDefault = addr === keep; });
+  }
+  next();
+});
+
 // Compare password method (only if password exists)
 userSchema.methods.comparePassword = async function(candidatePassword) {
   if (!this.password) return false;
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// A customer's CraveCart wallet. The balance is a running total of their
+// ledger (WalletTransaction) kept by utils/wallet.js; it is stored in whole
+// paise so repeated $inc updates never drift, and never goes below zero.
+const walletSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  balancePaise: { type: Number, default: 0, min: 0 },
+  currency: { type: String, default: 'INR' },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Wallet', walletSchema);
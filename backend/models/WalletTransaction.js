@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const WALLET_TRANSACTION_TYPES = ['topup', 'refund', 'cashback', 'order_payment'];
+
+// Ledger accounts money moves between: the customer's `wallet` and the
+// CraveCart accounts on the other side of each movement
+const LEDGER_ACCOUNTS = ['wallet', 'topups', 'refunds', 'cashback', 'orders'];
+
+const entrySchema = new mongoose.Schema({
+  account: { type: String, enum: LEDGER_ACCOUNTS, required: true },
+  debit: { type: Number, default: 0, min: 0 },
+  credit: { type: Number, default: 0, min: 0 },
+}, { _id: false });
+
+// One movement of money in or out of a wallet, recorded double-entry: the
+// entries always balance, so every rupee in a wallet can be traced to a
+// top-up, refund or cashback and every rupee out to an order.
+const walletTransactionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: WALLET_TRANSACTION_TYPES, required: true },
+  // Seen from the wallet: credits add to the balance, debits take from it
+  direction: { type: String, enum: ['credit', 'debit'], required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  balanceAfter: { type: Number, required: true },
+  entries: {
+    type: [entrySchema],
+    validate: {
+      validator: (entries) => {
+        const total = (side) => Math.round(entries.reduce((sum, e) => sum + e[side], 0) * 100);
+        return entries.length >= 2 && total('debit') === total('credit');
+      },
+      message: 'Ledger entries must balance',
+    },
+  },
+  description: { type: String, trim: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  orderId: { type: String },
+  refund: { type: mongoose.Schema.Types.ObjectId, ref: 'Refund' },
+  paymentIntent: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentIntent' },
+  // What caused the transaction (e.g. `refund:<id>`); posting the same key
+  // twice returns the first transaction instead of moving money again
+  key: { type: String },
+}, { timestamps: true });
+
+walletTransactionSchema.index({ user: 1, createdAt: -1, _id: -1 });
+walletTransactionSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $exists: true } } });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
+module.exports.WALLET_TRANSACTION_TYPES = WALLET_TRANSACTION_TYPES;
+module.exports.LEDGER_ACCOUNTS = LEDGER_ACCOUNTS;
@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const { auth, authorize } = require('../middleware/auth');
+const { priceOrder } = require('../utils/orderPricing');
+const { toCouponResponse } = require('../utils/coupons');
+
+// Fields an admin may set on a coupon
+const EDITABLE_FIELDS = [
+  'code', 'description', 'discountType', 'value', 'minOrderAmount', 'maxDiscount',
+  'perUserLimit', 'validFrom', 'validUntil', 'restaurants', 'cuisines', 'firstOrderOnly', 'isActive'
+];
+
+const pickEditable = (input) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (input[key] !== undefined) fields[key] = input[key];
+  return fields;
+}, {});
+
+const couponValidators = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('code').trim().matches(/^[A-Za-z0-9_-]{3,20}$/).withMessage('Coupon code must be 3-20 letters, digits, _ or -'),
+    field('discountType').isIn(Coupon.DISCOUNT_TYPES).withMessage('Discount type must be percent or flat'),
+    field('value').isFloat({ gt: 0 }).withMessage('Discount value must be positive'),
+    body('minOrderAmount').optional().isFloat({ min: 0 }).withMessage('Minimum order cannot be negative'),
+    body('maxDiscount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Maximum discount cannot be negative'),
+    body('perUserLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Per-user limit must be at least 1'),
+    body('validFrom').optional({ nullable: true }).isISO8601().withMessage('validFrom must be a date'),
+    body('validUntil').optional({ nullable: true }).isISO8601().withMessage('validUntil must be a date'),
+    body('restaurants').optional().isArray().withMessage('Restaurants must be an array'),
+    body('restaurants.*').optional().isMongoId().withMessage('Invalid restaurant id'),
+    body('cuisines').optional().isArray().withMessage('Cuisines must be an array'),
+    body('firstOrderOnly').optional().isBoolean().withMessage('firstOrderOnly must be true or false'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ];
+};
+
+const saveCoupon = async (coupon, res, status) => {
+  try {
+    await coupon.save();
+    return res.status(status).json(toCouponResponse(coupon));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: `Coupon ${coupon.code} already exists` });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: Object.values(error.errors)[0].message });
+    }
+    throw error;
+  }
+};
+
+// @route   POST /api/coupons/validate
+// @desc    Check a code against a cart: { code, items, restaurantId }. Prices the
+//          cart like POST /api/orders/quote, so the discount is the one the order will get
+// @access  Private
+router.post('/validate', [
+  auth,
+  body('code').trim().notEmpty().withMessage('Coupon code is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!(mongoose.connection && mongoose.connection.readyState === 1)) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+
+    const { code, items, restaurantId, restaurantName } = req.body;
+    const quote = await priceOrder({ items, restaurantId, restaurantName, couponCode: code, user: req.user });
+    if (!quote.ok) {
+      return res.status(quote.status).json({ error: quote.error, ...quote.details });
+    }
+
+    res.json({
+      valid: true,
+      code: quote.coupon.code,
+      description: quote.coupon.description,
+      discount: quote.breakdown.discount,
+      pricing: quote.breakdown
+    });
+  } catch (error) {
+    console.error('Error validating coupon:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/coupons
+// @desc    All coupons, newest first; ?active=true for live ones only
+// @access  Private (Admin)
+router.get('/', [auth, authorize('admin')], async (req, res) => {
+  try {
+    const filter = req.query.active === 'true' ? { isActive: true } : {};
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+    res.json(coupons.map(toCouponResponse));
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/coupons
+// @desc    Create a coupon
+// @access  Private (Admin)
+router.post('/', [auth, authorize('admin'), ...couponValidators(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const coupon = new Coupon({ ...pickEditable(req.body), createdBy: req.user._id });
+    return await saveCoupon(coupon, res, 201);
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/coupons/:id
+// @desc    Update a coupon; send null for maxDiscount, perUserLimit or the dates to clear them
+// @access  Private (Admin)
+router.put('/:id', [auth, authorize('admin'), ...couponValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    coupon.set(pickEditable(req.body));
+    return await saveCoupon(coupon, res, 200);
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/coupons/:id
+// @desc    Delete a coupon. Orders that used it keep their code and discount.
+// @access  Private (Admin)
+router.delete('/:id', [auth, authorize('admin')], async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    await coupon.deleteOne();
+    res.json({ message: `Coupon ${coupon.code} removed` });
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,42 +2,90 @@ const express = require('express');
 const router = express.Router();
 const Dish = require('../models/Dish');
 const { body, validationResult } = require('express-validator');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, authorize, optionalAuth } = require('../middleware/auth');
+const { singleImage, toUploadUrls } = require('../middleware/upload');
+const { loadManagedRestaurant } = require('../utils/restaurantAccess');
+const { isValidTime } = require('../utils/openingHours');
+const { isStockTracked, applyStockSettings, broadcastAvailability, restockDish } = require('../utils/inventory');
+const { dishFilterValidators, resolveDishFilters, toDishConditions } = require('../utils/dishFilters');
+
+// Fields an owner may set on a dish; ratings and the restaurant link are not editable
+const EDITABLE_FIELDS = [
+  'name', 'description', 'price', 'image', 'category', 'dietaryInfo', 'isVeg',
+  'isSpicy', 'isPopular', 'isAvailable', 'preparationTime', 'calories',
+  'allergens', 'ingredients', 'customizations'
+];
+
+const pickEditable = (input) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (input[key] !== undefined) fields[key] = input[key];
+  return fields;
+}, {});
+
+// Each customization group needs a price per option (0 for free options)
+const validateCustomizations = (customizations) => {
+  if (customizations === undefined) return true;
+  if (!Array.isArray(customizations)) throw new Error('Customizations must be an array');
+  customizations.forEach((group) => {
+    if (!group?.name || !Array.isArray(group.options) || group.options.length === 0) {
+      throw new Error('Each customization needs a name and at least one option');
+    }
+    if (group.prices !== undefined && (!Array.isArray(group.prices) || group.prices.length !== group.options.length)) {
+      throw new Error(`"${group.name}" needs one price per option`);
+    }
+  });
+  return true;
+};
+
+const dishValidators = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('name').notEmpty().withMessage('Dish name is required'),
+    field('description').notEmpty().withMessage('Description is required'),
+    field('price').isFloat({ min: 0 }).withMessage('Valid price is required'),
+    field('image').notEmpty().withMessage('Dish image is required'),
+    field('category').isIn(Dish.CATEGORIES).withMessage('Invalid category'),
+    body('dietaryInfo').optional().isArray().withMessage('Dietary info must be an array'),
+    body('dietaryInfo.*').optional().isIn(Dish.DIETARY_INFO).withMessage('Invalid dietary info'),
+    body('allergens').optional().isArray().withMessage('Allergens must be an array'),
+    body('allergens.*').optional().isIn(Dish.ALLERGENS).withMessage('Invalid allergen'),
+    body('isAvailable').optional().isBoolean().withMessage('isAvailable must be true or false'),
+    body('stock.dailyLimit').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Daily limit must be a whole number'),
+    body('stock.remaining').optional().isInt({ min: 0 }).withMessage('Remaining stock must be a whole number'),
+    body('stock.restockAt').optional().custom(isValidTime).withMessage('Restock time must be HH:mm'),
+    body('customizations').custom(validateCustomizations)
+  ];
+};
 
 // @route   GET /api/dishes
-// @desc    Get all dishes
+// @desc    Get all dishes; dietary, allergen, calorie and spice filters
+//          default from the logged-in user's preferences
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', [optionalAuth, ...dishFilterValidators], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { 
       page = 1, 
       limit = 20, 
       category, 
-      isVeg, 
-      isSpicy, 
       search,
       restaurant,
       sortBy = 'name',
       order = 'asc'
     } = req.query;
 
-    const query = { isAvailable: true };
+    // Veg, spice, dietary, allergen and calorie filters
+    const filters = resolveDishFilters(req.query, req.user);
+    const query = { isAvailable: true, ...toDishConditions(filters) };
 
     // Filter by category
     if (category) {
       query.category = category;
     }
 
-    // Filter by veg/non-veg
-    if (isVeg !== undefined) {
-      query.isVeg = isVeg === 'true';
-    }
-
-    // Filter by spicy
-    if (isSpicy !== undefined) {
-      query.isSpicy = isSpicy === 'true';
-    }
-
     // Filter by restaurant
     if (restaurant) {
       query.restaurant = restaurant;
@@ -63,6 +111,7 @@ router.get('/', async (req, res) => {
 
     res.json({
       dishes,
+      filters,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total
@@ -99,11 +148,7 @@ router.get('/:id', async (req, res) => {
 router.post('/', [
   auth,
   authorize('restaurant_owner', 'admin'),
-  body('name').notEmpty().withMessage('Dish name is required'),
-  body('description').notEmpty().withMessage('Description is required'),
-  body('price').isNumeric().withMessage('Valid price is required'),
-  body('image').notEmpty().withMessage('Dish image is required'),
-  body('category').notEmpty().withMessage('Category is required'),
+  ...dishValidators(false),
   body('restaurant').notEmpty().withMessage('Restaurant reference is required')
 ], async (req, res) => {
   try {
@@ -112,7 +157,13 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const dish = new Dish(req.body);
+    const access = await loadManagedRestaurant(req.body.restaurant, req.user);
+    if (!access.ok) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const dish = new Dish({ ...pickEditable(req.body), restaurant: access.restaurant._id });
+    applyStockSettings(dish, req.body.stock);
     await dish.save();
     res.status(201).json(dish);
   } catch (error) {
@@ -121,22 +172,51 @@ router.post('/', [
   }
 });
 
+// @route   POST /api/dishes/upload-image
+// @desc    Upload a dish photo and return its URL
+// @access  Private (Restaurant Owner/Admin)
+router.post('/upload-image', auth, authorize('restaurant_owner', 'admin'), singleImage('image'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+    res.json(toUploadUrls(req, req.file));
+  } catch (error) {
+    console.error('Error uploading dish image:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   PUT /api/dishes/:id
 // @desc    Update dish
 // @access  Private (Restaurant Owner/Admin)
-router.put('/:id', [auth], async (req, res) => {
+router.put('/:id', [
+  auth,
+  authorize('restaurant_owner', 'admin'),
+  ...dishValidators(true)
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const dish = await Dish.findById(req.params.id);
 
     if (!dish) {
       return res.status(404).json({ error: 'Dish not found' });
     }
 
-    const updatedDish = await Dish.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const access = await loadManagedRestaurant(dish.restaurant, req.user);
+    if (!access.ok) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    dish.set(pickEditable(req.body));
+    // Switching a dish on or off by hand overrides an automatic sell-out
+    if (req.body.isAvailable !== undefined) dish.stock.soldOut = false;
+    applyStockSettings(dish, req.body.stock);
+    const availabilityChanged = dish.isModified('isAvailable') || dish.isModified('stock.remaining');
+    const updatedDish = await dish.save();
+    if (availabilityChanged) broadcastAvailability(updatedDish);
 
     res.json(updatedDish);
   } catch (error) {
@@ -145,10 +225,36 @@ router.put('/:id', [auth], async (req, res) => {
   }
 });
 
+// @route   POST /api/dishes/:id/restock
+// @desc    Reset a stock-tracked dish to its daily limit now
+// @access  Private (Restaurant Owner/Admin)
+router.post('/:id/restock', [auth, authorize('restaurant_owner', 'admin')], async (req, res) => {
+  try {
+    const dish = await Dish.findById(req.params.id);
+
+    if (!dish) {
+      return res.status(404).json({ error: 'Dish not found' });
+    }
+
+    const access = await loadManagedRestaurant(dish.restaurant, req.user);
+    if (!access.ok) {
+      return res.status(access.status).json({ error: access.error });
+    }
+    if (!isStockTracked(dish)) {
+      return res.status(400).json({ error: 'Set a daily limit before restocking this dish' });
+    }
+
+    res.json(await restockDish(dish));
+  } catch (error) {
+    console.error('Error restocking dish:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/dishes/:id
 // @desc    Delete dish
 // @access  Private (Restaurant Owner/Admin)
-router.delete('/:id', [auth], async (req, res) => {
+router.delete('/:id', [auth, authorize('restaurant_owner', 'admin')], async (req, res) => {
   try {
     const dish = await Dish.findById(req.params.id);
 
@@ -156,7 +262,12 @@ router.delete('/:id', [auth], async (req, res) => {
       return res.status(404).json({ error: 'Dish not found' });
     }
 
-    await dish.remove();
+    const access = await loadManagedRestaurant(dish.restaurant, req.user);
+    if (!access.ok) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    await dish.deleteOne();
     res.json({ message: 'Dish removed' });
   } catch (error) {
     console.error('Error deleting dish:', error);
@@ -1,9 +1,28 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
-const { auth, optionalAuth } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const { auth, optionalAuth, authorize } = require('../middleware/auth');
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const Order = require('../models/Order');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const Refund = require('../models/Refund');
+const Review = require('../models/Review');
+const Restaurant = require('../models/Restaurant');
+const User = require('../models/User');
+const { ORDER_STATUSES, ROLES, checkTransition } = require('../utils/orderStatus');
+const { priceOrder, findRestaurant, findDish, priceCustomizations, roundMoney } = require('../utils/orderPricing');
+const { buildOrderQuery, encodeCursor } = require('../utils/orderQuery');
+const { getCancellationTerms, initiateRefund, setRefundStatus, toRefundResponse } = require('../utils/refunds');
+const { toDeliveryAddress } = require('../utils/address');
+const { driverIdOf, checkReviewable, refreshRestaurantRating, refreshDriverRating, toReviewResponse } = require('../utils/reviews');
+const { calculateDistance, estimateTravelMinutes, getEstimatedDeliveryTime, toLatLng } = require('../utils/geo');
+const { sseClients, broadcastOrderEvent } = require('../utils/orderEvents');
+const { consumeStock, restoreStock } = require('../utils/inventory');
+const { MAX_PARTICIPANTS, createSplitBill, cancelSplitBill, toSplitBillResponse } = require('../utils/splitBills');
+const { creditWallet, debitWallet } = require('../utils/wallet');
+const { canManageRestaurant } = require('../utils/restaurantAccess');
+const { checkInvoiceable, issueInvoice, buildInvoice, renderInvoiceHtml, renderInvoicePdf } = require('../utils/invoices');
 
 // Legacy in-memory store removed in favor of mandatory DB persistence
 let nextOrderNumericId = 1010;
@@ -14,20 +33,188 @@ const generateOrderId = () => {
   return `ORD-${time}-${rand}-${nextOrderNumericId++}`;
 };
 
-// SSE clients registry (optionally scoped by restaurantId)
-const sseClients = new Set(); // Set<{ res, restaurantId?: string }>
+const toOrderResponse = (doc) => ({
+  id: doc.orderId,
+  restaurantId: doc.restaurantId,
+  restaurantName: doc.restaurantName,
+  items: doc.items,
+  totalAmount: doc.totalAmount,
+  pricing: doc.pricing,
+  deliveryAddress: doc.deliveryAddress,
+  paymentMethod: doc.paymentMethod,
+  paymentStatus: doc.paymentStatus,
+  walletAmount: doc.walletAmount || 0,
+  status: doc.status,
+  payoutAmount: doc.payoutAmount,
+  driver: doc.driver,
+  cancellation: doc.cancellation,
+  reviewed: Boolean(doc.review),
+  splitBill: Boolean(doc.splitBill),
+  invoiceNumber: doc.invoice?.number,
+  invoiceAvailable: checkInvoiceable(doc).ok,
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt,
+});
 
-const broadcastOrderEvent = (type, payload) => {
-  const data = `event: ${type}\n` +
-               `data: ${JSON.stringify(payload)}\n\n`;
-  for (const client of sseClients) {
-    try {
-      if (client.restaurantId && payload?.restaurantId && client.restaurantId !== String(payload.restaurantId)) {
-        continue;
-      }
-      client.res.write(data);
-    } catch (_) {}
+const historyEntry = (req, from, status) => ({
+  from,
+  status,
+  actor: req.user?._id,
+  actorName: req.user?.name,
+  role: req.user?.role || 'guest',
+  reason: typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 300) || undefined : undefined,
+  at: new Date(),
+});
+
+// Leaving `pending` for one of these means the restaurant has taken the order
+const ACCEPTED_STATUSES = ['confirmed', 'pending_delivery'];
+// Orders the restaurant has not taken yet hold no stock
+const UNACCEPTED_STATUSES = ['awaiting_payment', 'pending'];
+
+const isOrderOwner = (doc, user) => Boolean(doc.user && user && String(doc.user) === String(user._id));
+
+// Orders reference restaurants by ObjectId (`restaurant`) or, from older
+// clients, by id or slug in `restaurantId`
+const findOrderRestaurant = (doc) => findRestaurant({
+  restaurantId: doc.restaurant || doc.restaurantId,
+  restaurantName: doc.restaurantName,
+});
+
+// Who may move an order along: customers act on their own orders only,
+// restaurant owners on their own restaurant's orders, and once a driver is
+// assigned only that driver. Returns { ok: true } or { ok: false, status, error }.
+const checkOrderActor = async (doc, user) => {
+  if (user?.role === ROLES.CUSTOMER && !isOrderOwner(doc, user)) {
+    return { ok: false, status: 403, error: 'Not your order' };
+  }
+  if (user?.role === ROLES.RESTAURANT && !canManageRestaurant(await findOrderRestaurant(doc), user)) {
+    return { ok: false, status: 403, error: 'This order is for another restaurant' };
+  }
+  if (user?.role === ROLES.DELIVERY && doc.driver?.id && String(doc.driver.id) !== String(user._id)) {
+    return { ok: false, status: 403, error: 'Order is assigned to another driver' };
+  }
+  return { ok: true };
+};
+
+// Who may read an order and its history: the customer who placed it, the
+// restaurant's owner, its driver and admins
+const checkOrderViewer = async (doc, user) => {
+  if (user?.role === ROLES.ADMIN || isOrderOwner(doc, user)) return { ok: true };
+  if (user?.role === ROLES.RESTAURANT && canManageRestaurant(await findOrderRestaurant(doc), user)) return { ok: true };
+  if (user?.role === ROLES.DELIVERY && doc.driver?.id && String(doc.driver.id) === String(user._id)) return { ok: true };
+  return { ok: false, status: 403, error: 'Not your order' };
+};
+
+// The orders a caller may list: admins all of them, customers their own,
+// drivers the ones assigned to them and owners their restaurants'. Returned
+// as a condition to add under $and; ObjectIds are explicit because the
+// summary aggregates, which don't cast.
+const orderListScope = async (user) => {
+  if (user.role === ROLES.ADMIN) return {};
+  if (user.role === ROLES.RESTAURANT) {
+    const restaurants = await Restaurant.find({ owner: user._id }).select('_id slug').lean();
+    return {
+      $or: [
+        { restaurant: { $in: restaurants.map(r => r._id) } },
+        { restaurantId: { $in: restaurants.flatMap(r => [String(r._id), r.slug].filter(Boolean)) } },
+      ],
+    };
+  }
+  if (user.role === ROLES.DELIVERY) {
+    return { 'driver.id': { $in: [user._id, String(user._id)] } };
+  }
+  return { user: new mongoose.Types.ObjectId(String(user._id)) };
+};
+
+// Move an order to `to` if the state machine allows it for the caller's role.
+// The write is conditional on the status we checked, so two concurrent
+// transitions on the same order cannot both succeed.
+//
+// `prepare(doc)` may veto the change or add fields to $set by returning
+// { ok: false, status, error } or { ok: true, set }; `after(updated)` runs
+// once the write succeeded and its result is merged into the response.
+// Accepting an order takes its dishes out of the daily stock first, and is
+// refused with 409 when there isn't enough left.
+const transitionOrder = async (req, res, { to, event, set = {}, prepare, after }) => {
+  if (!(mongoose.connection && mongoose.connection.readyState === 1)) {
+    return res.status(503).json({ error: 'Database not connected' });
   }
+  const doc = await Order.findOne({ orderId: req.params.id }).lean();
+  if (!doc) return res.status(404).json({ error: 'Order not found' });
+
+  const actor = await checkOrderActor(doc, req.user);
+  if (!actor.ok) {
+    return res.status(actor.status).json({ error: actor.error });
+  }
+  const check = checkTransition(doc.status, to, req.user?.role);
+  if (!check.ok) {
+    return res.status(check.status).json({ error: check.error, from: doc.status, to });
+  }
+
+  const prepared = prepare ? prepare(doc) : { ok: true };
+  if (!prepared.ok) {
+    return res.status(prepared.status).json({ error: prepared.error, from: doc.status, to });
+  }
+
+  const accepting = doc.status === 'pending' && ACCEPTED_STATUSES.includes(to);
+  if (accepting) {
+    const stock = await consumeStock(doc.items);
+    if (!stock.ok) {
+      return res.status(stock.status).json({ error: stock.error, ...stock.details, from: doc.status, to });
+    }
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    { orderId: req.params.id, status: doc.status },
+    { $set: { ...set, ...prepared.set, status: to }, $push: { statusHistory: historyEntry(req, doc.status, to) } },
+    { new: true }
+  ).lean();
+  if (!updated) {
+    if (accepting) await restoreStock(doc.items);
+    return res.status(409).json({ error: 'Order status changed, please refresh and retry', from: doc.status, to });
+  }
+
+  const response = { ...toOrderResponse(updated), ...(after ? await after(updated) : {}) };
+  broadcastOrderEvent(event, response);
+  return res.json(response);
+};
+
+// Every move to `cancelled` or `rejected` goes through here, so whatever was
+// collected is refunded and a split bill stops collecting. Customers pay the
+// cancellation fee from the policy in utils/refunds.js; when the restaurant
+// or an admin ends the order (`waiveFee`) everything goes back. An accepted
+// order's dishes go back on stock and an issued invoice is marked cancelled.
+const cancelOrder = (req, res, { to = 'cancelled', event, waiveFee = false, refundTo }) => {
+  let terms;
+  let from;
+  return transitionOrder(req, res, {
+    to,
+    event,
+    prepare: (doc) => {
+      from = doc.status;
+      terms = getCancellationTerms(doc, { waiveFee });
+      if (!terms.cancellable) return { ok: false, status: 409, error: terms.error };
+      return {
+        ok: true,
+        set: {
+          // An issued (or being issued) invoice is voided, not withdrawn
+          ...(doc.invoice?.number || doc.invoice?.issuing ? { 'invoice.cancelledAt': new Date() } : {}),
+          cancellation: {
+            reason: typeof req.body?.reason === 'string' ? req.body.reason.trim() || undefined : undefined,
+            fee: terms.fee,
+            refundAmount: terms.refundAmount,
+            cancelledBy: req.user._id,
+            at: new Date(),
+          },
+        },
+      };
+    },
+    after: async (updated) => {
+      if (!UNACCEPTED_STATUSES.includes(from)) await restoreStock(updated.items);
+      if (updated.splitBill) await cancelSplitBill(updated._id);
+      return { refund: toRefundResponse(await initiateRefund(updated, terms, { toWallet: refundTo === 'wallet' })) };
+    },
+  });
 };
 
 // SSE endpoint for order events
@@ -53,45 +240,179 @@ router.get('/events', optionalAuth, (req, res) => {
   });
 });
 
+const toOrderSummary = (doc, restaurant) => ({
+  ...toOrderResponse(doc),
+  pickupAddress: [restaurant?.address?.street, restaurant?.address?.city].filter(Boolean).join(', ') || 'Restaurant Address',
+  dropAddress: typeof doc.deliveryAddress === 'string' ? doc.deliveryAddress : [doc.deliveryAddress?.street, doc.deliveryAddress?.city].filter(Boolean).join(', '),
+  paymentType: doc.paymentMethod === 'cash' ? 'COD' : 'Paid Online'
+});
+
 // @route   GET /api/orders
-// @desc    Get all orders
-// @access  Optional (dev-friendly)
-router.get('/', optionalAuth, async (req, res) => {
+// @desc    List orders, newest first, with cursor pagination.
+//          Filters: status, restaurantId, driver, from, to, paymentMethod,
+//          q (order ID search), limit, cursor (nextCursor of the previous page)
+// @access  Private (Admin: all orders; owners: their restaurants'; drivers:
+//          assigned to them; customers: their own)
+router.get('/', auth, async (req, res) => {
   try {
     if (!(mongoose.connection && mongoose.connection.readyState === 1)) {
       return res.status(503).json({ error: 'Database not connected' });
     }
-    const docs = await Order.find({}).sort({ createdAt: -1 }).lean();
-    const mapped = docs.map(doc => ({
-      id: doc.orderId,
-      restaurantId: doc.restaurantId,
-      restaurantName: doc.restaurantName,
-      items: doc.items,
-      totalAmount: doc.totalAmount,
-      deliveryAddress: doc.deliveryAddress,
-      paymentMethod: doc.paymentMethod,
-      status: doc.status,
-      payoutAmount: doc.payoutAmount,
-      createdAt: doc.createdAt,
-      pickupAddress: doc.deliveryAddress?.pickupAddress || 'Restaurant Address',
-      dropAddress: typeof doc.deliveryAddress === 'string' ? doc.deliveryAddress : [doc.deliveryAddress?.street, doc.deliveryAddress?.city].filter(Boolean).join(', '),
-      paymentType: doc.paymentMethod === 'cash' ? 'COD' : 'Paid Online',
-    }));
-    return res.json(mapped);
+    const query = buildOrderQuery(req.query);
+    if (!query.ok) return res.status(query.status).json({ error: query.error });
+    query.filter.$and = [await orderListScope(req.user)];
+    // Orders still waiting for payment aren't the restaurant's yet; the
+    // customer who placed them still sees them
+    if (!req.query.status && req.user.role !== ROLES.CUSTOMER) query.filter.status = { $ne: 'awaiting_payment' };
+
+    // Fetch one extra row to learn whether another page exists
+    const docs = await Order.find(query.filter)
+      .select('-statusHistory -tracking')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(query.limit + 1)
+      .lean();
+    const hasMore = docs.length > query.limit;
+    const page = hasMore ? docs.slice(0, query.limit) : docs;
+
+    return res.json({
+      orders: page.map(doc => toOrderSummary(doc)),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      hasMore,
+    });
   } catch (error) {
     console.error('Error fetching orders:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// @route   GET /api/orders/summary
+// @desc    Order counts by status and today's delivered revenue (same filters as the list, minus status)
+// @access  Private (scoped like GET /api/orders)
+router.get('/summary', auth, async (req, res) => {
+  try {
+    if (!(mongoose.connection && mongoose.connection.readyState === 1)) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+    const { status, cursor, ...filters } = req.query;
+    const query = buildOrderQuery(filters);
+    if (!query.ok) return res.status(query.status).json({ error: query.error });
+    query.filter.$and = [await orderListScope(req.user)];
+
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const [byStatus, [today] = []] = await Promise.all([
+      Order.aggregate([
+        { $match: query.filter },
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+      ]),
+      Order.aggregate([
+        { $match: { ...query.filter, status: 'delivered', createdAt: { ...query.filter.createdAt, $gte: new Date(Math.max(startOfDay, query.filter.createdAt?.$gte || 0)) } } },
+        { $group: { _id: null, amount: { $sum: '$totalAmount' } } },
+      ]),
+    ]);
+
+    const counts = Object.fromEntries(byStatus.map(row => [row._id, row.count]));
+    return res.json({
+      total: byStatus.reduce((sum, row) => sum + row.count, 0),
+      byStatus: counts,
+      deliveredTodayAmount: today?.amount || 0,
+    });
+  } catch (error) {
+    console.error('Error fetching order summary:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Answer a repeated Idempotency-Key with the order the first request created
+const replayIdempotentOrder = async (res, { scope, key, requestHash }) => {
+  const record = await IdempotencyKey.findOne({ scope, key }).lean();
+  if (!record) {
+    return res.status(409).json({ error: 'A request with this Idempotency-Key failed, please retry' });
+  }
+  if (record.requestHash !== requestHash) {
+    return res.status(422).json({ error: 'Idempotency-Key was already used for a different order' });
+  }
+  const doc = await Order.findOne({ orderId: record.orderId }).lean();
+  if (!doc) {
+    return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+  }
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(200).json(toOrderSummary(doc, await findOrderRestaurant(doc)));
+};
+
+// @route   POST /api/orders/quote
+// @desc    Price a cart without placing the order
+// @access  Public
+router.post('/quote', [
+  optionalAuth,
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('couponCode').optional().isString().withMessage('Coupon code must be text')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!(mongoose.connection && mongoose.connection.readyState === 1)) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+
+    const { items, restaurantId, restaurantName, deliveryAddress, couponCode } = req.body;
+    // The address is optional here; without it the restaurant's base delivery fee is quoted
+    const quote = await priceOrder({
+      items,
+      restaurantId,
+      restaurantName,
+      deliveryAddress: deliveryAddress === undefined ? undefined : toDeliveryAddress(deliveryAddress),
+      couponCode,
+      user: req.user,
+    });
+    if (!quote.ok) {
+      return res.status(quote.status).json({ error: quote.error, ...quote.details });
+    }
+
+    return res.json({
+      restaurantId: String(quote.restaurant._id),
+      restaurantName: quote.restaurant.name,
+      items: quote.items,
+      pricing: quote.breakdown,
+      serviceability: quote.serviceability,
+    });
+  } catch (error) {
+    console.error('Error pricing order:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   POST /api/orders
-// @desc    Create order
+// @desc    Create order (priced server-side from the Dish collection).
+//          Send an Idempotency-Key header to make retries safe: repeating the
+//          key returns the original order instead of placing a new one.
+//          Orders start unpaid; pay online ones through POST /api/payments/intents.
+//          UPI and card orders wait in awaiting_payment, hidden from the
+//          restaurant, until their payment succeeds.
+//          Send split: { type: equal|manual, participants: [{ name, amount? }] }
+//          to split a UPI order: it waits in awaiting_payment until the shares
+//          are paid, and the response carries the split bill with pay links.
+//          paymentMethod 'wallet' pays the whole order from the CraveCart
+//          wallet; walletAmount with 'upi' or 'card' takes up to that much
+//          from it and leaves the rest to pay online.
 // @access  Private
 router.post('/', [
   optionalAuth,
   body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
-  body('deliveryAddress').notEmpty().withMessage('Delivery address is required'),
-  body('paymentMethod').notEmpty().withMessage('Payment method is required')
+  body('deliveryAddress').custom(value => toDeliveryAddress(value) !== null).withMessage('Delivery address needs at least a street and city'),
+  body('paymentMethod').notEmpty().withMessage('Payment method is required'),
+  body('couponCode').optional().isString().withMessage('Coupon code must be text'),
+  body('walletAmount').optional().isFloat({ gt: 0 }).withMessage('Wallet amount must be positive').toFloat(),
+  body('split.type').optional().isIn(['equal', 'manual']).withMessage('Split type must be equal or manual'),
+  body('split.participants').if(body('split').exists())
+    .isArray({ min: 2, max: MAX_PARTICIPANTS }).withMessage(`A split needs 2 to ${MAX_PARTICIPANTS} people`),
+  body('split.participants.*.name').trim().notEmpty().withMessage('Every participant needs a name')
+    .isLength({ max: 60 }).withMessage('Participant names must be at most 60 characters'),
+  body('split.participants.*.amount').if(body('split.type').equals('manual'))
+    .isFloat({ gt: 0 }).withMessage('Every participant in a manual split needs an amount')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -99,45 +420,133 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { items, deliveryAddress, paymentMethod, paymentStatus, deliveryInstructions, restaurantId, customerName, customerPhone } = req.body;
-
-    const calcPayout = Math.max(30, Math.round(items.reduce((sum, it) => sum + (Number(it.price) * Number(it.quantity || 1)), 0) * 0.1));
-    const calcTotal = items.reduce((sum, it) => sum + (Number(it.price) * Number(it.quantity || 1)), 0);
+    const { items, deliveryAddress, paymentMethod, deliveryInstructions, restaurantId, restaurantName, couponCode, split, walletAmount } = req.body;
+    if (split) {
+      if (!req.user) return res.status(401).json({ error: 'Log in to split a bill' });
+      if (paymentMethod !== 'upi') return res.status(422).json({ error: 'Split bills are paid by UPI' });
+      if (!split.type) return res.status(400).json({ error: 'Split type must be equal or manual' });
+      if (walletAmount !== undefined) return res.status(422).json({ error: 'Split bills can\'t be paid from the wallet' });
+    }
+    const usesWallet = paymentMethod === 'wallet' || walletAmount !== undefined;
+    if (usesWallet) {
+      if (!req.user) return res.status(401).json({ error: 'Log in to pay from your wallet' });
+      if (!['wallet', 'upi', 'card'].includes(paymentMethod)) {
+        return res.status(422).json({ error: 'Wallet balance can only be combined with UPI or card' });
+      }
+    }
 
     if (!(mongoose.connection && mongoose.connection.readyState === 1)) {
       return res.status(503).json({ error: 'Database not connected' });
     }
+
+    const key = req.header('Idempotency-Key');
+    let idempotency = null;
+    if (key !== undefined) {
+      if (!/^[\w-]{8,128}$/.test(key)) {
+        return res.status(400).json({ error: 'Idempotency-Key must be 8-128 letters, digits, _ or -' });
+      }
+      idempotency = {
+        scope: req.user ? String(req.user._id) : 'guest',
+        key,
+        requestHash: crypto.createHash('sha256').update(JSON.stringify(req.body)).digest('hex'),
+      };
+      if (await IdempotencyKey.exists({ scope: idempotency.scope, key })) {
+        return await replayIdempotentOrder(res, idempotency);
+      }
+    }
+
+    const address = toDeliveryAddress(deliveryAddress);
+    const quote = await priceOrder({ items, restaurantId, restaurantName, deliveryAddress: address, couponCode, user: req.user });
+    if (!quote.ok) {
+      return res.status(quote.status).json({ error: quote.error, ...quote.details });
+    }
+    const { restaurant, breakdown } = quote;
+
     const orderId = generateOrderId();
+    if (idempotency) {
+      // Reserve the key before writing the order; a concurrent duplicate
+      // loses on the unique index and is answered with the winner's order
+      try {
+        await IdempotencyKey.create({ ...idempotency, orderId });
+      } catch (error) {
+        if (error.code === 11000) return await replayIdempotentOrder(res, idempotency);
+        throw error;
+      }
+    }
+
+    // Wallet money is taken before the order is written. A `wallet` order
+    // needs the whole total; otherwise up to walletAmount is used.
+    const orderRef = new mongoose.Types.ObjectId();
+    const walletUsed = !usesWallet ? 0
+      : paymentMethod === 'wallet' ? breakdown.total : Math.min(roundMoney(walletAmount), breakdown.total);
+    if (walletUsed > 0) {
+      const debit = await debitWallet({
+        user: req.user._id,
+        type: 'order_payment',
+        amount: walletUsed,
+        key: `order:${orderId}`,
+        order: orderRef,
+        orderId,
+        description: `Order ${orderId} at ${restaurant.name}`,
+      });
+      if (!debit.ok) {
+        if (idempotency) await IdempotencyKey.deleteOne({ scope: idempotency.scope, key: idempotency.key });
+        return res.status(debit.status).json({ error: debit.error, ...debit.details });
+      }
+    }
+    const paidByWallet = walletUsed > 0 && walletUsed >= breakdown.total;
+
+    const paysOnline = ['upi', 'card'].includes(paymentMethod) && !paidByWallet;
+    const initialStatus = split || paysOnline ? 'awaiting_payment' : 'pending';
     const doc = await Order.create({
+      _id: orderRef,
       orderId,
       user: req.user?._id || req.user?.id || undefined,
-      restaurantId: restaurantId || undefined,
-      restaurantName: req.body.restaurantName || 'Restaurant',
-      items,
-      totalAmount: calcTotal,
-      deliveryAddress,
+      restaurant: restaurant._id,
+      restaurantId: String(restaurant._id),
+      restaurantName: restaurant.name,
+      items: quote.items,
+      totalAmount: breakdown.total,
+      pricing: breakdown,
+      coupon: quote.coupon ? { code: quote.coupon.code, coupon: quote.coupon._id } : undefined,
+      deliveryAddress: address,
       deliveryInstructions: deliveryInstructions || '',
-      paymentMethod,
-      paymentStatus: paymentStatus || 'pending',
-      status: 'pending',
-      payoutAmount: calcPayout,
+      paymentMethod: paidByWallet ? 'wallet' : paymentMethod,
+      // Only a payment provider's webhook, or a wallet covering the whole
+      // total, can mark an order paid (see utils/payments)
+      paymentStatus: paidByWallet ? 'paid' : 'pending',
+      walletAmount: walletUsed,
+      paidAmount: walletUsed,
+      status: initialStatus,
+      payoutAmount: quote.payoutAmount,
+      statusHistory: [historyEntry(req, undefined, initialStatus)],
+    }).catch(async (error) => {
+      // Free the key so the client can retry with it, and give back the wallet money
+      if (idempotency) await IdempotencyKey.deleteOne({ scope: idempotency.scope, key: idempotency.key });
+      if (walletUsed > 0) {
+        await creditWallet({
+          user: req.user._id,
+          type: 'refund',
+          amount: walletUsed,
+          key: `order-failed:${orderId}`,
+          orderId,
+          description: `Order ${orderId} could not be placed`,
+        });
+      }
+      throw error;
     });
-    const response = {
-      id: doc.orderId,
-      restaurantId: doc.restaurantId,
-      restaurantName: doc.restaurantName,
-      items: doc.items,
-      totalAmount: doc.totalAmount,
-      deliveryAddress: doc.deliveryAddress,
-      paymentMethod: doc.paymentMethod,
-      status: doc.status,
-      payoutAmount: doc.payoutAmount,
-      createdAt: doc.createdAt,
-      pickupAddress: req.body.pickupAddress || 'Restaurant Address',
-      dropAddress: typeof deliveryAddress === 'string' ? deliveryAddress : [deliveryAddress?.street, deliveryAddress?.city].filter(Boolean).join(', '),
-      paymentType: paymentMethod === 'cash' ? 'COD' : 'Paid Online'
-    };
-    broadcastOrderEvent('order_created', response);
+
+    if (split) {
+      // The restaurant hears about it once the bill is paid (utils/splitBills.js)
+      const bill = await createSplitBill(doc, split, req.user);
+      return res.status(201).json({
+        ...toOrderSummary({ ...doc.toObject(), splitBill: bill._id }, restaurant),
+        split: toSplitBillResponse(bill, { withLinks: true })
+      });
+    }
+    const response = toOrderSummary(doc, restaurant);
+    // Online orders reach the restaurant once paid (utils/payments)
+    if (initialStatus === 'pending') broadcastOrderEvent('order_created', response);
     return res.status(201).json(response);
   } catch (error) {
     console.error('Error creating order:', error);
@@ -147,67 +556,230 @@ router.post('/', [
 
 // @route   GET /api/orders/:id
 // @desc    Get order by ID
-// @access  Private
+// @access  Private (ordering user, the restaurant's owner, its driver, Admin)
 router.get('/:id', auth, async (req, res) => {
   try {
     if (!(mongoose.connection && mongoose.connection.readyState === 1)) {
       return res.status(503).json({ error: 'Database not connected' });
     }
-    const doc = await Order.findOne({ orderId: req.params.id }).lean();
+    const doc = await Order.findOne({ orderId: req.params.id }).select('-statusHistory -tracking').lean();
     if (!doc) return res.status(404).json({ error: 'Order not found' });
-    const response = {
+    const viewer = await checkOrderViewer(doc, req.user);
+    if (!viewer.ok) {
+      return res.status(viewer.status).json({ error: viewer.error });
+    }
+    return res.json(toOrderResponse(doc));
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/orders/:id/history
+// @desc    Get the status change timeline of an order
+// @access  Private (ordering user, the restaurant's owner, its driver, Admin)
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    if (!(mongoose.connection && mongoose.connection.readyState === 1)) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+    const doc = await Order.findOne({ orderId: req.params.id })
+      .select('orderId user restaurant restaurantId restaurantName driver status statusHistory createdAt')
+      .lean();
+    if (!doc) return res.status(404).json({ error: 'Order not found' });
+    const viewer = await checkOrderViewer(doc, req.user);
+    if (!viewer.ok) {
+      return res.status(viewer.status).json({ error: viewer.error });
+    }
+
+    const history = doc.statusHistory || [];
+    return res.json({
       id: doc.orderId,
-      restaurantId: doc.restaurantId,
-      restaurantName: doc.restaurantName,
-      items: doc.items,
-      totalAmount: doc.totalAmount,
-      deliveryAddress: doc.deliveryAddress,
-      paymentMethod: doc.paymentMethod,
       status: doc.status,
-      payoutAmount: doc.payoutAmount,
-      createdAt: doc.createdAt,
+      history: history.map((entry, idx) => {
+        const next = history[idx + 1];
+        return {
+          ...entry,
+          // Time spent in this status; open-ended for the current one
+          durationMs: next ? new Date(next.at) - new Date(entry.at) : null,
+        };
+      }),
+    });
+  } catch (error) {
+    console.error('Error fetching order history:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Driver GPS pings kept per order; older points are dropped
+const MAX_DELIVERY_PATH_POINTS = 100;
+
+const formatAddress = (address) => {
+  if (!address) return {};
+  if (typeof address === 'string') return { street: address };
+  return {
+    street: address.street,
+    city: address.city,
+    state: address.state,
+    zipCode: address.zipCode,
+    coordinates: toLatLng(address.coordinates),
+  };
+};
+
+// Shape consumed by src/components/OrderTracking.js
+const buildTrackingPayload = (doc, restaurant, driverUser) => {
+  const deliveryAddress = formatAddress(doc.deliveryAddress);
+  const destination = deliveryAddress.coordinates;
+  const restaurantLocation = toLatLng(restaurant?.location);
+  const current = doc.tracking?.currentLocation;
+
+  let distanceRemaining = null;
+  let estimatedTimeRemaining = null;
+  if (destination && current && doc.status === 'out_for_delivery') {
+    const km = calculateDistance(current.latitude, current.longitude, destination.latitude, destination.longitude);
+    distanceRemaining = km.toFixed(1);
+    estimatedTimeRemaining = Math.max(1, estimateTravelMinutes(km));
+  } else if (destination && restaurantLocation && !['delivered', 'cancelled', 'rejected'].includes(doc.status)) {
+    const km = calculateDistance(restaurantLocation.latitude, restaurantLocation.longitude, destination.latitude, destination.longitude);
+    distanceRemaining = km.toFixed(1);
+    estimatedTimeRemaining = getEstimatedDeliveryTime(
+      restaurantLocation.latitude, restaurantLocation.longitude, destination.latitude, destination.longitude
+    );
+  }
+
+  return {
+    orderId: doc.orderId,
+    status: doc.status,
+    restaurant: {
+      name: restaurant?.name || doc.restaurantName,
+      address: restaurant ? [restaurant.address?.street, restaurant.address?.city].filter(Boolean).join(', ') : undefined,
+      phone: restaurant?.contact?.phone,
+      location: restaurantLocation,
+    },
+    deliveryAddress,
+    driver: doc.driver ? {
+      name: driverUser?.name || doc.driver.name,
+      phone: driverUser?.phone,
+      vehicleNumber: driverUser?.bikeNumber,
+    } : null,
+    tracking: {
+      currentLocation: current || null,
+      deliveryPath: doc.tracking?.deliveryPath || [],
+      lastUpdate: doc.tracking?.lastUpdate || doc.updatedAt,
+      distanceRemaining,
+      estimatedTimeRemaining,
+      estimatedDeliveryTime: estimatedTimeRemaining
+        ? new Date(Date.now() + estimatedTimeRemaining * 60000).toISOString()
+        : null,
+    },
+  };
+};
+
+// @route   GET /api/orders/tracking/:orderId
+// @desc    Live tracking data (driver location, distance and ETA)
+// @access  Private (ordering user, the restaurant's owner, its driver, Admin)
+router.get('/tracking/:orderId', auth, async (req, res) => {
+  try {
+    if (!(mongoose.connection && mongoose.connection.readyState === 1)) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+    const doc = await Order.findOne({ orderId: req.params.orderId }).select('-statusHistory').lean();
+    if (!doc) return res.status(404).json({ error: 'Order not found' });
+    const viewer = await checkOrderViewer(doc, req.user);
+    if (!viewer.ok) {
+      return res.status(viewer.status).json({ error: viewer.error });
+    }
+
+    const driverId = doc.driver?.id;
+    const [restaurant, driverUser] = await Promise.all([
+      findOrderRestaurant(doc),
+      driverId && mongoose.Types.ObjectId.isValid(String(driverId))
+        ? User.findById(driverId).select('name phone bikeNumber').lean()
+        : null,
+    ]);
+
+    return res.json(buildTrackingPayload(doc, restaurant, driverUser));
+  } catch (error) {
+    console.error('Error fetching tracking data:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/orders/:id/location
+// @desc    Driver GPS ping for an order being delivered
+// @access  Private (assigned delivery partner/Admin)
+router.post('/:id/location', [
+  auth,
+  authorize(ROLES.DELIVERY, ROLES.ADMIN),
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+  body('heading').optional().isFloat({ min: 0, max: 360 }),
+  body('speed').optional().isFloat({ min: 0 }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!(mongoose.connection && mongoose.connection.readyState === 1)) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+    const doc = await Order.findOne({ orderId: req.params.id }).select('orderId restaurantId status driver').lean();
+    if (!doc) return res.status(404).json({ error: 'Order not found' });
+    if (!['accepted_delivery', 'out_for_delivery'].includes(doc.status)) {
+      return res.status(409).json({ error: 'Order is not being delivered' });
+    }
+    if (req.user.role !== ROLES.ADMIN && String(doc.driver?.id) !== String(req.user._id)) {
+      return res.status(403).json({ error: 'Order is assigned to another driver' });
+    }
+
+    const { latitude, longitude, heading, speed } = req.body;
+    const ping = {
+      latitude: Number(latitude),
+      longitude: Number(longitude),
+      heading: heading !== undefined ? Number(heading) : undefined,
+      speed: speed !== undefined ? Number(speed) : undefined,
+      timestamp: new Date(),
     };
-    return res.json(response);
+    await Order.updateOne(
+      { orderId: req.params.id },
+      {
+        $set: { 'tracking.currentLocation': ping, 'tracking.lastUpdate': ping.timestamp },
+        $push: { 'tracking.deliveryPath': { $each: [ping], $slice: -MAX_DELIVERY_PATH_POINTS } },
+      }
+    );
+
+    broadcastOrderEvent('order_location', { id: doc.orderId, restaurantId: doc.restaurantId, currentLocation: ping });
+    return res.json({ id: doc.orderId, currentLocation: ping });
   } catch (error) {
-    console.error('Error fetching order:', error);
+    console.error('Error updating driver location:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // @route   PUT /api/orders/:id/status
-// @desc    Update order status
+// @desc    Update order status (validated against the order state machine)
 // @access  Private
 router.put('/:id/status', [
   auth,
-  body('status').isIn(['pending', 'pending_delivery', 'accepted_delivery', 'rejected', 'out_for_delivery', 'delivered', 'cancelled'])
-    .withMessage('Invalid order status')
+  body('status').isIn(ORDER_STATUSES).withMessage('Invalid order status')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
-    if (mongoose.connection && mongoose.connection.readyState === 1) {
-      const doc = await Order.findOneAndUpdate(
-        { orderId: req.params.id },
-        { $set: { status: req.body.status } },
-        { new: true }
-      ).lean();
-      if (!doc) return res.status(404).json({ error: 'Order not found' });
-      const response = {
-        id: doc.orderId,
-        restaurantId: doc.restaurantId,
-        restaurantName: doc.restaurantName,
-        items: doc.items,
-        deliveryAddress: doc.deliveryAddress,
-        paymentMethod: doc.paymentMethod,
-        status: doc.status,
-        payoutAmount: doc.payoutAmount,
-      };
-      broadcastOrderEvent('order_updated', response);
-      return res.json(response);
+    if (req.user.role === ROLES.CUSTOMER) {
+      return res.status(403).json({ error: 'Use POST /api/orders/:id/cancel to cancel an order' });
     }
-    return res.status(503).json({ error: 'Database not connected' });
+    if (['cancelled', 'rejected'].includes(req.body.status)) {
+      return await cancelOrder(req, res, { to: req.body.status, event: 'order_updated', waiveFee: true });
+    }
+    // A delivery partner accepting an order becomes its driver
+    const set = req.body.status === 'accepted_delivery' && req.user.role === ROLES.DELIVERY
+      ? { driver: { id: req.user._id, name: req.user.name || 'Driver' } }
+      : {};
+    return await transitionOrder(req, res, { to: req.body.status, event: 'order_updated', set });
   } catch (error) {
     console.error('Error updating order status:', error);
     res.status(500).json({ error: 'Server error' });
@@ -244,35 +816,13 @@ router.get('/available/list', optionalAuth, async (req, res) => {
 });
 
 // Assign an order to current delivery user and mark as out_for_delivery
-router.post('/:id/assign', optionalAuth, async (req, res) => {
+router.post('/:id/assign', auth, async (req, res) => {
   try {
-    if (mongoose.connection && mongoose.connection.readyState === 1) {
-      const doc = await Order.findOne({ orderId: req.params.id }).lean();
-      if (!doc) return res.status(404).json({ error: 'Order not found' });
-      if (!['pending_delivery'].includes(doc.status)) {
-        return res.status(400).json({ error: 'Order is not available for assignment' });
-      }
-      const updated = await Order.findOneAndUpdate(
-        { orderId: req.params.id },
-        { $set: { status: 'out_for_delivery', driver: { id: req.user?._id || req.user?.id, name: req.user?.name || 'Driver' } } },
-        { new: true }
-      ).lean();
-      const response = {
-        id: updated.orderId,
-        restaurantId: updated.restaurantId,
-        restaurantName: updated.restaurantName,
-        items: updated.items,
-        totalAmount: updated.totalAmount,
-        deliveryAddress: updated.deliveryAddress,
-        paymentMethod: updated.paymentMethod,
-        status: updated.status,
-        payoutAmount: updated.payoutAmount,
-        createdAt: updated.createdAt,
-      };
-      broadcastOrderEvent('order_assigned', response);
-      return res.json(response);
-    }
-    return res.status(503).json({ error: 'Database not connected' });
+    return await transitionOrder(req, res, {
+      to: 'out_for_delivery',
+      event: 'order_assigned',
+      set: { driver: { id: req.user._id, name: req.user.name || 'Driver' } }
+    });
   } catch (error) {
     console.error('Error assigning order:', error);
     res.status(500).json({ error: 'Server error' });
@@ -280,31 +830,9 @@ router.post('/:id/assign', optionalAuth, async (req, res) => {
 });
 
 // Restaurant accepts order
-router.post('/:id/accept-restaurant', optionalAuth, async (req, res) => {
+router.post('/:id/accept-restaurant', auth, async (req, res) => {
   try {
-    if (mongoose.connection && mongoose.connection.readyState === 1) {
-      const doc = await Order.findOneAndUpdate(
-        { orderId: req.params.id },
-        { $set: { status: 'pending_delivery' } },
-        { new: true }
-      ).lean();
-      if (!doc) return res.status(404).json({ error: 'Order not found' });
-      const response = {
-        id: doc.orderId,
-        restaurantId: doc.restaurantId,
-        restaurantName: doc.restaurantName,
-        items: doc.items,
-        totalAmount: doc.totalAmount,
-        deliveryAddress: doc.deliveryAddress,
-        paymentMethod: doc.paymentMethod,
-        status: doc.status,
-        payoutAmount: doc.payoutAmount,
-        createdAt: doc.createdAt,
-      };
-      broadcastOrderEvent('order_accepted', response);
-      return res.json(response);
-    }
-    return res.status(503).json({ error: 'Database not connected' });
+    return await transitionOrder(req, res, { to: 'pending_delivery', event: 'order_accepted' });
   } catch (error) {
     console.error('Error confirming order:', error);
     res.status(500).json({ error: 'Server error' });
@@ -312,31 +840,9 @@ router.post('/:id/accept-restaurant', optionalAuth, async (req, res) => {
 });
 
 // Restaurant marks order as ready for pickup
-router.post('/:id/ready-for-pickup', optionalAuth, async (req, res) => {
+router.post('/:id/ready-for-pickup', auth, async (req, res) => {
   try {
-    if (mongoose.connection && mongoose.connection.readyState === 1) {
-      const doc = await Order.findOneAndUpdate(
-        { orderId: req.params.id },
-        { $set: { status: 'ready_for_pickup' } },
-        { new: true }
-      ).lean();
-      if (!doc) return res.status(404).json({ error: 'Order not found' });
-      const response = {
-        id: doc.orderId,
-        restaurantId: doc.restaurantId,
-        restaurantName: doc.restaurantName,
-        items: doc.items,
-        totalAmount: doc.totalAmount,
-        deliveryAddress: doc.deliveryAddress,
-        paymentMethod: doc.paymentMethod,
-        status: doc.status,
-        payoutAmount: doc.payoutAmount,
-        createdAt: doc.createdAt,
-      };
-      broadcastOrderEvent('order_ready_for_pickup', response);
-      return res.json(response);
-    }
-    return res.status(503).json({ error: 'Database not connected' });
+    return await transitionOrder(req, res, { to: 'ready_for_pickup', event: 'order_ready_for_pickup' });
   } catch (error) {
     console.error('Error marking order ready for pickup:', error);
     res.status(500).json({ error: 'Server error' });
@@ -344,64 +850,296 @@ router.post('/:id/ready-for-pickup', optionalAuth, async (req, res) => {
 });
 
 // Restaurant rejects order (cancel)
-router.post('/:id/reject-restaurant', optionalAuth, async (req, res) => {
+router.post('/:id/reject-restaurant', auth, async (req, res) => {
   try {
-    if (mongoose.connection && mongoose.connection.readyState === 1) {
-      const doc = await Order.findOneAndUpdate(
-        { orderId: req.params.id },
-        { $set: { status: 'cancelled' } },
-        { new: true }
-      ).lean();
-      if (!doc) return res.status(404).json({ error: 'Order not found' });
-      const response = {
-        id: doc.orderId,
-        restaurantId: doc.restaurantId,
-        restaurantName: doc.restaurantName,
-        items: doc.items,
-        totalAmount: doc.totalAmount,
-        deliveryAddress: doc.deliveryAddress,
-        paymentMethod: doc.paymentMethod,
-        status: doc.status,
-        payoutAmount: doc.payoutAmount,
-        createdAt: doc.createdAt,
-      };
-      broadcastOrderEvent('order_rejected', response);
-      return res.json(response);
+    if (req.user.role === ROLES.CUSTOMER) {
+      return res.status(403).json({ error: 'Use POST /api/orders/:id/cancel to cancel an order' });
     }
-    return res.status(503).json({ error: 'Database not connected' });
+    return await cancelOrder(req, res, { event: 'order_rejected', waiveFee: true });
   } catch (error) {
     console.error('Error rejecting order:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// @route   POST /api/orders/:id/reorder
+// @desc    Rebuild a past order as cart lines at today's prices. Dishes that
+//          are gone or unavailable are listed separately instead of failing.
+// @access  Private (ordering user/Admin)
+router.post('/:id/reorder', auth, async (req, res) => {
+  try {
+    if (!(mongoose.connection && mongoose.connection.readyState === 1)) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+    const doc = await Order.findOne({ orderId: req.params.id }).select('orderId user restaurant restaurantId restaurantName items').lean();
+    if (!doc) return res.status(404).json({ error: 'Order not found' });
+    if (req.user.role !== ROLES.ADMIN && !isOrderOwner(doc, req.user)) {
+      return res.status(403).json({ error: 'Not your order' });
+    }
+
+    const restaurant = await findOrderRestaurant(doc);
+    if (!restaurant || !restaurant.isActive) {
+      return res.status(409).json({ error: `${doc.restaurantName || 'This restaurant'} is not taking orders right now` });
+    }
+
+    const items = [];
+    const unavailable = [];
+    for (const item of doc.items || []) {
+      const dish = await findDish(restaurant, item);
+      const { customizations, error } = dish ? priceCustomizations(dish, item.customizations) : {};
+      // Options that no longer exist make the line unavailable rather than silently dropping them
+      if (!dish || !dish.isAvailable || error) {
+        unavailable.push(item.name);
+        continue;
+      }
+      const price = dish.price + customizations.reduce((sum, c) => sum + c.price, 0);
+      items.push({
+        dishId: String(dish._id),
+        name: dish.name,
+        price,
+        previousPrice: item.price,
+        quantity: item.quantity,
+        image: dish.image,
+        customizations,
+        restaurantId: String(restaurant._id),
+        restaurantName: restaurant.name,
+      });
+    }
+
+    return res.json({
+      restaurantId: String(restaurant._id),
+      restaurantName: restaurant.name,
+      items,
+      unavailable,
+      priceChanged: items.some(it => it.price !== it.previousPrice),
+    });
+  } catch (error) {
+    console.error('Error rebuilding order for reorder:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/orders/:id/cancellation
+// @desc    Whether the order can be cancelled right now, and the fee and refund if so
+// @access  Private (ordering user/Admin)
+router.get('/:id/cancellation', auth, async (req, res) => {
+  try {
+    if (!(mongoose.connection && mongoose.connection.readyState === 1)) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+    const doc = await Order.findOne({ orderId: req.params.id })
+      .select('orderId user status paymentStatus paidAmount pricing totalAmount')
+      .lean();
+    if (!doc) return res.status(404).json({ error: 'Order not found' });
+    if (req.user.role !== ROLES.ADMIN && !isOrderOwner(doc, req.user)) {
+      return res.status(403).json({ error: 'Not your order' });
+    }
+    return res.json(getCancellationTerms(doc));
+  } catch (error) {
+    console.error('Error fetching cancellation terms:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/orders/:id/cancel
+// @desc    Customer cancels their order. Free before the restaurant accepts,
+//          a cancellation fee is withheld from the refund after that.
+//          Send refundTo: 'wallet' to get the whole refund in the CraveCart
+//          wallet straight away instead of back on the original payment method.
+// @access  Private (ordering user/Admin)
+router.post('/:id/cancel', [
+  auth,
+  body('reason').optional().isString().isLength({ max: 300 }).withMessage('Reason must be at most 300 characters'),
+  body('refundTo').optional().isIn(['original', 'wallet']).withMessage('Refunds go to the original payment method or the wallet')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (![ROLES.CUSTOMER, ROLES.ADMIN].includes(req.user.role)) {
+      return res.status(403).json({ error: 'Only the customer who placed the order can cancel it' });
+    }
+
+    return await cancelOrder(req, res, { event: 'order_cancelled', refundTo: req.body.refundTo });
+  } catch (error) {
+    console.error('Error cancelling order:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/orders/:id/review
+// @desc    Rate a delivered order once: { ratings: { restaurant, food, delivery? }, comment? }
+// @access  Private (ordering user)
+router.post('/:id/review', [
+  auth,
+  body('ratings.restaurant').isInt({ min: 1, max: 5 }).withMessage('Rate the restaurant from 1 to 5'),
+  body('ratings.food').isInt({ min: 1, max: 5 }).withMessage('Rate the food from 1 to 5'),
+  body('ratings.delivery').optional().isInt({ min: 1, max: 5 }).withMessage('Rate the delivery from 1 to 5'),
+  body('comment').optional().isString().isLength({ max: 1000 }).withMessage('Review must be at most 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!(mongoose.connection && mongoose.connection.readyState === 1)) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+    const doc = await Order.findOne({ orderId: req.params.id }).select('orderId user restaurant status driver review').lean();
+    if (!doc) return res.status(404).json({ error: 'Order not found' });
+
+    const check = checkReviewable(doc, req.user);
+    if (!check.ok) return res.status(check.status).json({ error: check.error });
+    if (doc.review) return res.status(409).json({ error: 'This order has already been reviewed' });
+
+    const driver = driverIdOf(doc);
+    let review;
+    try {
+      review = await Review.create({
+        order: doc._id,
+        orderId: doc.orderId,
+        user: req.user._id,
+        restaurant: doc.restaurant,
+        driver,
+        ratings: {
+          restaurant: Number(req.body.ratings.restaurant),
+          food: Number(req.body.ratings.food),
+          // A delivery score only means something when a driver delivered it
+          delivery: driver && req.body.ratings.delivery !== undefined ? Number(req.body.ratings.delivery) : undefined,
+        },
+        comment: typeof req.body.comment === 'string' ? req.body.comment.trim() || undefined : undefined,
+      });
+    } catch (error) {
+      // Unique index on order: a concurrent request got there first
+      if (error.code === 11000) return res.status(409).json({ error: 'This order has already been reviewed' });
+      throw error;
+    }
+
+    await Order.updateOne({ _id: doc._id }, { $set: { review: review._id } });
+    const [restaurantRating] = await Promise.all([
+      refreshRestaurantRating(doc.restaurant),
+      refreshDriverRating(driver),
+    ]);
+
+    return res.status(201).json({ ...toReviewResponse({ ...review.toObject(), user: req.user }), restaurantRating });
+  } catch (error) {
+    console.error('Error reviewing order:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/orders/:id/refund
+// @desc    Refund for a cancelled order
+// @access  Private (ordering user/Admin)
+router.get('/:id/refund', auth, async (req, res) => {
+  try {
+    if (!(mongoose.connection && mongoose.connection.readyState === 1)) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+    const refund = await Refund.findOne({ orderId: req.params.id }).lean();
+    if (!refund) return res.status(404).json({ error: 'No refund for this order' });
+    if (req.user.role !== ROLES.ADMIN && !isOrderOwner(refund, req.user)) {
+      return res.status(403).json({ error: 'Not your order' });
+    }
+    return res.json(toRefundResponse(refund));
+  } catch (error) {
+    console.error('Error fetching refund:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/orders/:id/invoice
+// @desc    The order's invoice as HTML, or a PDF with ?format=pdf. The first
+//          request numbers it; see utils/invoices.js.
+// @access  Private (ordering user, the restaurant's owner, Admin)
+router.get('/:id/invoice', [
+  auth,
+  query('format').optional().isIn(['html', 'pdf']).withMessage('Format must be html or pdf')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!(mongoose.connection && mongoose.connection.readyState === 1)) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+    const doc = await Order.findOne({ orderId: req.params.id }).select('-statusHistory -tracking').lean();
+    if (!doc) return res.status(404).json({ error: 'Order not found' });
+
+    const restaurant = await findOrderRestaurant(doc);
+    if (!restaurant) return res.status(404).json({ error: 'Restaurant not found' });
+    if (!isOrderOwner(doc, req.user) && !canManageRestaurant(restaurant, req.user)) {
+      return res.status(403).json({ error: 'Not your order' });
+    }
+
+    const invoiceable = checkInvoiceable(doc);
+    if (!invoiceable.ok) {
+      return res.status(invoiceable.status).json({ error: invoiceable.error });
+    }
+    const result = await issueInvoice(doc, restaurant);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const issued = result.order;
+    const customer = issued.user ? await User.findById(issued.user).select('name').lean() : null;
+    const invoice = buildInvoice(issued, restaurant, customer);
+
+    const filename = `invoice-${invoice.number.replace(/\//g, '-')}`;
+    if (req.query.format === 'pdf') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.type('pdf').send(await renderInvoicePdf(invoice));
+    }
+    res.set('Content-Disposition', `inline; filename="${filename}.html"`);
+    return res.type('html').send(renderInvoiceHtml(invoice));
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PATCH /api/orders/:id/refund
+// @desc    Record the outcome of a refund: processed, failed, or initiated again after a failure
+// @access  Private (Admin)
+router.patch('/:id/refund', [
+  auth,
+  authorize('admin'),
+  body('status').isIn(['initiated', 'processed', 'failed']).withMessage('Invalid refund status'),
+  body('failureReason').optional().isString().isLength({ max: 300 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!(mongoose.connection && mongoose.connection.readyState === 1)) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+    const refund = await Refund.findOne({ orderId: req.params.id });
+    if (!refund) return res.status(404).json({ error: 'No refund for this order' });
+
+    const result = await setRefundStatus(refund, req.body.status, { failureReason: req.body.failureReason });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+
+    const response = toRefundResponse(result.refund);
+    broadcastOrderEvent('order_refund_updated', response);
+    return res.json(response);
+  } catch (error) {
+    console.error('Error updating refund:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Admin: reassign delivery driver
-router.post('/:id/reassign-driver', auth, async (req, res) => {
+router.post('/:id/reassign-driver', [auth, authorize('admin')], async (req, res) => {
   try {
     const { driverId, driverName } = req.body || {};
-    if (mongoose.connection && mongoose.connection.readyState === 1) {
-      const doc = await Order.findOne({ orderId: req.params.id }).lean();
-      if (!doc) return res.status(404).json({ error: 'Order not found' });
-      const updated = await Order.findOneAndUpdate(
-        { orderId: req.params.id },
-        { $set: { driver: { id: driverId || 'admin-reassign', name: driverName || 'Reassigned Driver' }, status: 'out_for_delivery' } },
-        { new: true }
-      ).lean();
-      const response = {
-        id: updated.orderId,
-        restaurantId: updated.restaurantId,
-        restaurantName: updated.restaurantName,
-        items: updated.items,
-        deliveryAddress: updated.deliveryAddress,
-        paymentMethod: updated.paymentMethod,
-        status: updated.status,
-        payoutAmount: updated.payoutAmount,
-        driver: updated.driver,
-      };
-      broadcastOrderEvent('order_reassigned', response);
-      return res.json(response);
-    }
-    return res.status(503).json({ error: 'Database not connected' });
+    return await transitionOrder(req, res, {
+      to: 'out_for_delivery',
+      event: 'order_reassigned',
+      set: { driver: { id: driverId || 'admin-reassign', name: driverName || 'Reassigned Driver' } }
+    });
   } catch (error) {
     console.error('Error reassigning driver:', error);
     res.status(500).json({ error: 'Server error' });
@@ -409,31 +1147,9 @@ router.post('/:id/reassign-driver', auth, async (req, res) => {
 });
 
 // Restaurant marks order ready for pickup
-router.post('/:id/mark-ready', optionalAuth, async (req, res) => {
+router.post('/:id/mark-ready', auth, async (req, res) => {
   try {
-    if (mongoose.connection && mongoose.connection.readyState === 1) {
-      const doc = await Order.findOneAndUpdate(
-        { orderId: req.params.id },
-        { $set: { status: 'ready_for_pickup' } },
-        { new: true }
-      ).lean();
-      if (!doc) return res.status(404).json({ error: 'Order not found' });
-      const response = {
-        id: doc.orderId,
-        restaurantId: doc.restaurantId,
-        restaurantName: doc.restaurantName,
-        items: doc.items,
-        totalAmount: doc.totalAmount,
-        deliveryAddress: doc.deliveryAddress,
-        paymentMethod: doc.paymentMethod,
-        status: doc.status,
-        payoutAmount: doc.payoutAmount,
-        createdAt: doc.createdAt,
-      };
-      broadcastOrderEvent('order_ready', response);
-      return res.json(response);
-    }
-    return res.status(503).json({ error: 'Database not connected' });
+    return await transitionOrder(req, res, { to: 'ready_for_pickup', event: 'order_ready' });
   } catch (error) {
     console.error('Error marking order ready:', error);
     res.status(500).json({ error: 'Server error' });
@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const PaymentIntent = require('../models/PaymentIntent');
+const { auth, optionalAuth, authorize } = require('../middleware/auth');
+const {
+  createIntent,
+  refreshIntent,
+  handleWebhook,
+  getOrderBalance,
+  toIntentResponse,
+  isValidUpiId
+} = require('../utils/payments');
+
+// Guest orders can be paid by whoever has the order id, like tracking;
+// an account's orders only by that customer or an admin
+const canPayFor = (order, user) => {
+  if (!order.user) return true;
+  return Boolean(user) && (String(order.user) === String(user._id) || user.role === 'admin');
+};
+
+const dbReady = () => mongoose.connection && mongoose.connection.readyState === 1;
+
+// @route   POST /api/payments/intents
+// @desc    Start paying for an order: { orderId, upiId, amount?, payerName? }.
+//          amount defaults to everything still unpaid; pass a smaller one to
+//          take part of the bill from one payer. Poll the intent for the result.
+// @access  Public (order owner for account orders)
+router.post('/intents', [
+  optionalAuth,
+  body('orderId').trim().notEmpty().withMessage('Order id is required'),
+  body('upiId').trim().notEmpty().withMessage('UPI ID is required').bail().custom(isValidUpiId).withMessage('Enter a valid UPI ID, like name@bank'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be positive').toFloat(),
+  body('payerName').optional().trim().isLength({ max: 60 }).withMessage('Payer name is too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!dbReady()) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+
+    const order = await Order.findOne({ orderId: req.body.orderId })
+      .select('orderId user restaurantName totalAmount paymentMethod paymentStatus walletAmount status')
+      .lean();
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    if (!canPayFor(order, req.user)) return res.status(403).json({ error: 'Not your order' });
+
+    const { upiId, amount, payerName } = req.body;
+    const result = await createIntent({ order, user: req.user, amount, upiId, payerName });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, ...result.details });
+    }
+    res.status(201).json(toIntentResponse(result.intent));
+  } catch (error) {
+    console.error('Error creating payment intent:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/payments/intents/:id
+// @desc    Current state of a payment intent (or wallet top-up); poll until it leaves `pending`
+// @access  Public (order owner for account orders, wallet owner for top-ups)
+router.get('/intents/:id', optionalAuth, async (req, res) => {
+  try {
+    if (!dbReady()) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const intent = await PaymentIntent.findById(req.params.id);
+    if (!intent) return res.status(404).json({ error: 'Payment not found' });
+    const owner = intent.purpose === 'wallet_topup'
+      ? { user: intent.user }
+      : await Order.findById(intent.order).select('user').lean();
+    if (owner && !canPayFor(owner, req.user)) return res.status(403).json({ error: 'Not your order' });
+
+    res.json(toIntentResponse(await refreshIntent(intent)));
+  } catch (error) {
+    console.error('Error fetching payment intent:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/payments/orders/:orderId
+// @desc    Payment progress of an order: paid, outstanding and every intent
+// @access  Public (order owner for account orders)
+router.get('/orders/:orderId', optionalAuth, async (req, res) => {
+  try {
+    if (!dbReady()) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+
+    const order = await Order.findOne({ orderId: req.params.orderId })
+      .select('orderId user totalAmount paymentMethod paymentStatus walletAmount')
+      .lean();
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    if (!canPayFor(order, req.user)) return res.status(403).json({ error: 'Not your order' });
+
+    const intents = await PaymentIntent.find({ order: order._id }).sort({ createdAt: 1 });
+    const refreshed = await Promise.all(intents.map(refreshIntent));
+    const balance = await getOrderBalance(order);
+    const { paymentStatus } = await Order.findById(order._id).select('paymentStatus').lean();
+
+    res.json({
+      orderId: order.orderId,
+      paymentMethod: order.paymentMethod,
+      paymentStatus,
+      ...balance,
+      walletAmount: order.walletAmount || 0,
+      intents: refreshed.map(toIntentResponse)
+    });
+  } catch (error) {
+    console.error('Error fetching order payments:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/payments/refunds-due
+// @desc    Payments the provider took that have to be given back (late
+//          successes on failed intents, payments for cancelled orders),
+//          oldest first, for refunding from the provider's dashboard
+// @access  Private (Admin)
+router.get('/refunds-due', [auth, authorize('admin')], async (req, res) => {
+  try {
+    if (!dbReady()) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+    const intents = await PaymentIntent.find({ refundDue: true }).sort({ paidAt: 1 }).limit(200);
+    res.json({ intents: intents.map(toIntentResponse) });
+  } catch (error) {
+    console.error('Error listing payments due a refund:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/payments/webhooks/:provider
+// @desc    Payment provider callbacks. The signature is checked against the
+//          raw request body, which server.js keeps for this path.
+// @access  Public (signed by the provider)
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    if (!dbReady()) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+    if (!req.rawBody) {
+      return res.status(400).json({ error: 'Webhook body is missing' });
+    }
+
+    const result = await handleWebhook(req.params.provider, req.rawBody, req.headers);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Error handling payment webhook:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,101 @@
 const express = require('express');
 const router = express.Router();
 const Restaurant = require('../models/Restaurant');
+const { GSTIN_PATTERN } = Restaurant;
 const Dish = require('../models/Dish');
-const { body, validationResult } = require('express-validator');
-const { auth, authorize } = require('../middleware/auth');
+const Review = require('../models/Review');
+const mongoose = require('mongoose');
+const { body, query: queryParam, validationResult } = require('express-validator');
+const { auth, authorize, optionalAuth } = require('../middleware/auth');
+const { loadManagedRestaurant } = require('../utils/restaurantAccess');
+const { DAYS, isValidTime, withOpenStatus } = require('../utils/openingHours');
+const { getRatingSummary, toReviewResponse } = require('../utils/reviews');
+const { estimateDeliveryMinutes, toGeoPoint, toLatLng } = require('../utils/geo');
+const { MAX_DELIVERY_DISTANCE_KM } = require('../config/deliveryZones');
+const { dishFilterValidators, resolveDishFilters, toDishConditions } = require('../utils/dishFilters');
+
+// Longest a restaurant can pause itself for in one go
+const MAX_PAUSE_MINUTES = 24 * 60;
+const MAX_REVIEWS_PER_PAGE = 50;
+const MAX_NEARBY_RADIUS_KM = 50;
+const LOCATION_MESSAGE = 'Location needs a valid latitude and longitude';
+
+// Fields an owner sets directly. The rating comes from reviews, the slug from
+// the name, and hours, pauses and category order have their own routes.
+const EDITABLE_FIELDS = [
+  'name', 'description', 'photo', 'cuisines', 'address', 'location', 'contact',
+  'timings', 'deliveryFee', 'minimumOrder', 'isActive', 'isVegOnly', 'gstin',
+  'invoicePrefix'
+];
+
+const pickEditable = (input) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (input[key] !== undefined) fields[key] = input[key];
+  return fields;
+}, {});
+
+// Invoice details; send '' to clear either one
+const invoiceDetailValidators = [
+  body('gstin').optional({ values: 'falsy' }).trim().toUpperCase().matches(GSTIN_PATTERN).withMessage('Enter a valid 15-character GSTIN'),
+  body('invoicePrefix').optional({ values: 'falsy' }).trim().toUpperCase().matches(/^[A-Z0-9]{2,5}$/).withMessage('Invoice prefix must be 2-5 letters or digits')
+];
+
+// "22.31,73.18" -> { latitude, longitude }, or null
+const parseNear = (value) => {
+  const [lat, lng] = String(value).split(',');
+  if (lat === undefined || lng === undefined || !lat.trim() || !lng.trim()) return null;
+  return toLatLng({ lat, lng });
+};
+
+// Restaurants within radiusKm of a point, nearest first, each with its
+// distance and delivery estimate from there
+const findNearby = async (query, point, radiusKm, page, limit) => {
+  const [result] = await Restaurant.aggregate([
+    {
+      $geoNear: {
+        near: toGeoPoint(point),
+        key: 'location',
+        distanceField: 'distanceMeters',
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query
+      }
+    },
+    {
+      $facet: {
+        restaurants: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+  const restaurants = await Restaurant.populate(result.restaurants, { path: 'owner', select: 'name email' });
+  const now = new Date();
+  return {
+    total: result.total.length ? result.total[0].count : 0,
+    restaurants: restaurants.map(({ distanceMeters, ...restaurant }) => {
+      const distanceKm = distanceMeters / 1000;
+      return {
+        ...withOpenStatus(restaurant, now),
+        distanceKm: Math.round(distanceKm * 10) / 10,
+        etaMinutes: estimateDeliveryMinutes(distanceKm, now)
+      };
+    })
+  };
+};
 
 // @route   GET /api/restaurants
-// @desc    Get all restaurants
+// @desc    Get all restaurants; with ?near=lat,lng&radiusKm= only those nearby,
+//          nearest first, with distanceKm and etaMinutes
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', [
+  queryParam('near').optional().custom(value => parseNear(value) !== null).withMessage('near must be "latitude,longitude"'),
+  queryParam('radiusKm').optional().isFloat({ gt: 0, max: MAX_NEARBY_RADIUS_KM }).withMessage(`radiusKm must be between 0 and ${MAX_NEARBY_RADIUS_KM}`)
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { 
       page = 1, 
       limit = 10, 
@@ -18,7 +104,9 @@ router.get('/', async (req, res) => {
       isVegOnly, 
       search,
       sortBy = 'rating',
-      order = 'desc'
+      order = 'desc',
+      near,
+      radiusKm = MAX_DELIVERY_DISTANCE_KM
     } = req.query;
 
     const query = { isActive: true };
@@ -38,6 +126,22 @@ router.get('/', async (req, res) => {
       query.isVegOnly = true;
     }
 
+    // Nearby mode is sorted by distance, which MongoDB can't combine with text search
+    if (near) {
+      if (search) {
+        return res.status(400).json({ error: 'search cannot be combined with near' });
+      }
+      const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+      const pageSize = Math.max(1, parseInt(limit, 10) || 10);
+      const { restaurants, total } = await findNearby(query, parseNear(near), Number(radiusKm), pageNumber, pageSize);
+      return res.json({
+        restaurants,
+        totalPages: Math.ceil(total / pageSize),
+        currentPage: pageNumber,
+        total
+      });
+    }
+
     // Search functionality
     if (search) {
       query.$text = { $search: search };
@@ -57,7 +161,7 @@ router.get('/', async (req, res) => {
     const total = await Restaurant.countDocuments(query);
 
     res.json({
-      restaurants,
+      restaurants: restaurants.map(r => withOpenStatus(r)),
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total
@@ -68,6 +172,22 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/restaurants/mine
+// @desc    Restaurants the current user manages (all restaurants for admins)
+// @access  Private (Restaurant Owner/Admin)
+router.get('/mine', [auth, authorize('restaurant_owner', 'admin')], async (req, res) => {
+  try {
+    const filter = req.user.role === 'admin' ? {} : { owner: req.user._id };
+    const restaurants = await Restaurant.find(filter)
+      .select('name slug photo cuisines isActive isVegOnly menuCategories timings schedule holidays pause')
+      .sort({ name: 1 });
+    res.json(restaurants.map(r => withOpenStatus(r)));
+  } catch (error) {
+    console.error('Error fetching managed restaurants:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   GET /api/restaurants/:id
 // @desc    Get restaurant by ID
 // @access  Public
@@ -84,7 +204,7 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Restaurant not found' });
     }
 
-    res.json(restaurant);
+    res.json(withOpenStatus(restaurant));
   } catch (error) {
     console.error('Error fetching restaurant:', error);
     res.status(500).json({ error: 'Server error' });
@@ -107,9 +227,9 @@ router.get('/slug/:slug', async (req, res) => {
     const dishes = await Dish.find({ 
       restaurant: restaurant._id, 
       isAvailable: true 
-    }).select('name description price image category isVeg isSpicy isPopular averageRating totalRatings');
+    }).select('name description price image category isVeg isSpicy isPopular averageRating totalRatings customizations stock.dailyLimit stock.remaining dietaryInfo allergens calories ingredients');
 
-    res.json({ restaurant, dishes });
+    res.json({ restaurant: withOpenStatus(restaurant), dishes });
   } catch (error) {
     console.error('Error fetching restaurant by slug:', error);
     res.status(500).json({ error: 'Server error' });
@@ -134,7 +254,9 @@ router.post('/', [
   body('contact.email').isEmail().withMessage('Valid email is required'),
   body('timings.open').notEmpty().withMessage('Opening time is required'),
   body('timings.close').notEmpty().withMessage('Closing time is required'),
-  body('timings.daysOpen').isArray({ min: 1 }).withMessage('Days open is required')
+  body('timings.daysOpen').isArray({ min: 1 }).withMessage('Days open is required'),
+  body('location').optional().custom(value => toLatLng(value) !== null).withMessage(LOCATION_MESSAGE),
+  ...invoiceDetailValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -143,7 +265,8 @@ router.post('/', [
     }
 
     const restaurant = new Restaurant({
-      ...req.body,
+      ...pickEditable(req.body),
+      location: req.body.location ? toGeoPoint(req.body.location) : undefined,
       owner: req.user.id
     });
 
@@ -161,8 +284,17 @@ router.post('/', [
 // @route   PUT /api/restaurants/:id
 // @desc    Update restaurant
 // @access  Private (Restaurant Owner/Admin)
-router.put('/:id', [auth], async (req, res) => {
+router.put('/:id', [
+  auth,
+  body('location').optional().custom(value => toLatLng(value) !== null).withMessage(LOCATION_MESSAGE),
+  ...invoiceDetailValidators
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const restaurant = await Restaurant.findById(req.params.id);
 
     if (!restaurant) {
@@ -174,9 +306,11 @@ router.put('/:id', [auth], async (req, res) => {
       return res.status(401).json({ error: 'Not authorized' });
     }
 
+    const updates = pickEditable(req.body);
+    if (updates.location) updates.location = toGeoPoint(updates.location);
     const updatedRestaurant = await Restaurant.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
 
@@ -212,25 +346,27 @@ router.delete('/:id', [auth], async (req, res) => {
 });
 
 // @route   GET /api/restaurants/:id/menu
-// @desc    Get restaurant menu
+// @desc    Get restaurant menu, with the same dish filters as GET /api/dishes
 // @access  Public
-router.get('/:id/menu', async (req, res) => {
+router.get('/:id/menu', [optionalAuth, ...dishFilterValidators], async (req, res) => {
   try {
-    const { category, isVeg, search } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { category, search } = req.query;
     
     const query = { 
       restaurant: req.params.id, 
-      isAvailable: true 
+      isAvailable: true,
+      ...toDishConditions(resolveDishFilters(req.query, req.user))
     };
 
     if (category) {
       query.category = category;
     }
 
-    if (isVeg === 'true') {
-      query.isVeg = true;
-    }
-
     if (search) {
       query.$text = { $search: search };
     }
@@ -245,4 +381,247 @@ router.get('/:id/menu', async (req, res) => {
   }
 });
 
+// @route   GET /api/restaurants/:id/dishes
+// @desc    Full menu for the menu editor, including unavailable dishes
+// @access  Private (Restaurant Owner/Admin)
+router.get('/:id/dishes', [auth, authorize('restaurant_owner', 'admin')], async (req, res) => {
+  try {
+    const access = await loadManagedRestaurant(req.params.id, req.user);
+    if (!access.ok) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const dishes = await Dish.find({ restaurant: access.restaurant._id })
+      .select('-ratings')
+      .sort({ category: 1, name: 1 });
+
+    res.json({
+      restaurant: withOpenStatus(access.restaurant),
+      dishes,
+      categories: Dish.CATEGORIES,
+      dietaryInfo: Dish.DIETARY_INFO,
+      allergens: Dish.ALLERGENS
+    });
+  } catch (error) {
+    console.error('Error fetching restaurant dishes:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/restaurants/:id/menu-categories
+// @desc    Set the display order of menu categories
+// @access  Private (Restaurant Owner/Admin)
+router.put('/:id/menu-categories', [
+  auth,
+  authorize('restaurant_owner', 'admin'),
+  body('categories').isArray().withMessage('categories must be an array'),
+  body('categories.*').isIn(Dish.CATEGORIES).withMessage('Invalid category')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const access = await loadManagedRestaurant(req.params.id, req.user);
+    if (!access.ok) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    access.restaurant.menuCategories = Array.from(new Set(req.body.categories));
+    await access.restaurant.save();
+    res.json({ menuCategories: access.restaurant.menuCategories });
+  } catch (error) {
+    console.error('Error reordering menu categories:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/restaurants/:id/schedule
+// @desc    Replace the weekly opening hours and holidays
+//          Body: { schedule: [{ day, slots: [{ open: 'HH:mm', close: 'HH:mm' }] }], holidays: [{ date: 'YYYY-MM-DD', reason }] }
+// @access  Private (Restaurant Owner/Admin)
+router.put('/:id/schedule', [
+  auth,
+  authorize('restaurant_owner', 'admin'),
+  body('schedule').isArray().withMessage('schedule must be an array'),
+  body('schedule.*.day').isIn(DAYS).withMessage('Invalid day'),
+  body('schedule.*.slots').isArray().withMessage('slots must be an array'),
+  body('schedule.*.slots.*.open').custom(isValidTime).withMessage('Slot times must be HH:mm'),
+  body('schedule.*.slots.*.close').custom(isValidTime).withMessage('Slot times must be HH:mm'),
+  body('holidays').optional().isArray().withMessage('holidays must be an array'),
+  body('holidays.*.date').optional().isISO8601({ strict: true }).withMessage('Holiday dates must be YYYY-MM-DD')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const access = await loadManagedRestaurant(req.params.id, req.user);
+    if (!access.ok) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const days = req.body.schedule.map(entry => entry.day);
+    if (new Set(days).size !== days.length) {
+      return res.status(400).json({ error: 'Each day can appear only once in the schedule' });
+    }
+
+    const restaurant = access.restaurant;
+    restaurant.schedule = req.body.schedule.map(({ day, slots }) => ({
+      day,
+      slots: slots.map(({ open, close }) => ({ open, close }))
+    }));
+    if (req.body.holidays) {
+      restaurant.holidays = req.body.holidays.map(({ date, reason }) => ({ date: String(date).slice(0, 10), reason }));
+    }
+    // Keep the legacy fields in step for older clients
+    restaurant.timings.daysOpen = restaurant.schedule.filter(s => s.slots.length > 0).map(s => s.day);
+    await restaurant.save();
+
+    res.json(withOpenStatus(restaurant));
+  } catch (error) {
+    console.error('Error updating restaurant schedule:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/restaurants/:id/pause
+// @desc    Stop taking orders for a while; resumes automatically after `minutes`
+//          Body: { minutes, reason? }
+// @access  Private (Restaurant Owner/Admin)
+router.put('/:id/pause', [
+  auth,
+  authorize('restaurant_owner', 'admin'),
+  body('minutes').isInt({ min: 1, max: MAX_PAUSE_MINUTES }).withMessage(`minutes must be between 1 and ${MAX_PAUSE_MINUTES}`),
+  body('reason').optional().isString().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const access = await loadManagedRestaurant(req.params.id, req.user);
+    if (!access.ok) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const now = new Date();
+    access.restaurant.pause = {
+      isPaused: true,
+      until: new Date(now.getTime() + Number(req.body.minutes) * 60 * 1000),
+      reason: req.body.reason,
+      pausedAt: now
+    };
+    await access.restaurant.save();
+
+    res.json(withOpenStatus(access.restaurant));
+  } catch (error) {
+    console.error('Error pausing restaurant:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/restaurants/:id/pause
+// @desc    Resume taking orders before the pause runs out
+// @access  Private (Restaurant Owner/Admin)
+router.delete('/:id/pause', [auth, authorize('restaurant_owner', 'admin')], async (req, res) => {
+  try {
+    const access = await loadManagedRestaurant(req.params.id, req.user);
+    if (!access.ok) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    access.restaurant.pause = { isPaused: false };
+    await access.restaurant.save();
+
+    res.json(withOpenStatus(access.restaurant));
+  } catch (error) {
+    console.error('Error resuming restaurant:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/restaurants/:id/reviews
+// @desc    Reviews newest first with the average scores; ?page=&limit=
+// @access  Public
+router.get('/:id/reviews', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_REVIEWS_PER_PAGE, Math.max(1, parseInt(req.query.limit, 10) || 10));
+    const query = { restaurant: req.params.id };
+
+    const [reviews, total, summary] = await Promise.all([
+      Review.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'name')
+        .lean(),
+      Review.countDocuments(query),
+      getRatingSummary(req.params.id)
+    ]);
+
+    res.json({
+      reviews: reviews.map(toReviewResponse),
+      summary,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/restaurants/:id/reviews/:reviewId/reply
+// @desc    Post the restaurant's public reply to a review (one per review)
+// @access  Private (Restaurant Owner/Admin)
+router.post('/:id/reviews/:reviewId/reply', [
+  auth,
+  authorize('restaurant_owner', 'admin'),
+  body('text').trim().notEmpty().withMessage('Reply cannot be empty')
+    .isLength({ max: 1000 }).withMessage('Reply cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const access = await loadManagedRestaurant(req.params.id, req.user);
+    if (!access.ok) {
+      return res.status(access.status).json({ error: access.error });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.reviewId)) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    // Conditional on there being no reply yet, so two replies can't race in
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.reviewId, restaurant: access.restaurant._id, 'reply.text': { $exists: false } },
+      { $set: { reply: { text: req.body.text, by: req.user._id, at: new Date() } } },
+      { new: true }
+    ).populate('user', 'name').lean();
+
+    if (!review) {
+      const exists = await Review.exists({ _id: req.params.reviewId, restaurant: access.restaurant._id });
+      return exists
+        ? res.status(409).json({ error: 'This review already has a reply' })
+        : res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json(toReviewResponse(review));
+  } catch (error) {
+    console.error('Error replying to review:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
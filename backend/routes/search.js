@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const { PRICE_BANDS, search } = require('../utils/search');
+
+const MAX_LIMIT = 50;
+
+// @route   GET /api/search
+// @desc    Restaurants and dishes matching ?q=, grouped by type, with facet counts.
+//          Optional: type (all|restaurants|dishes), limit, autocomplete=true (prefix/typo
+//          matches only, no facets), cuisine, category, veg=true, priceBand
+// @access  Public
+router.get('/', [
+  query('q').trim().isLength({ min: 1, max: 100 }).withMessage('Search query is required'),
+  query('type').optional().isIn(['all', 'restaurants', 'dishes']).withMessage('Invalid type'),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`limit must be between 1 and ${MAX_LIMIT}`),
+  query('priceBand').optional().isIn(PRICE_BANDS.map(b => b.value)).withMessage('Invalid price band')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!(mongoose.connection && mongoose.connection.readyState === 1)) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+
+    const { q, type, limit, autocomplete, cuisine, category, veg, priceBand } = req.query;
+    const result = await search({
+      q,
+      type,
+      limit: limit ? Number(limit) : autocomplete === 'true' ? 5 : 10,
+      autocomplete: autocomplete === 'true',
+      cuisine,
+      category,
+      veg: veg === 'true',
+      priceBand
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Error searching:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const DeliveryZone = require('../models/DeliveryZone');
+const { body, query, validationResult } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const { findRestaurant } = require('../utils/orderPricing');
+const { checkServiceability, loadZones, toZoneResponse } = require('../utils/serviceability');
+
+// @route   GET /api/serviceability
+// @desc    Check whether a restaurant delivers to a location: ?lat=&lng=&restaurantId=
+//          (restaurantId may also be a slug). Responds with the zone, fee, distance and ETA.
+// @access  Public
+router.get('/', [
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { lat, lng, restaurantId } = req.query;
+    let restaurant = null;
+    if (restaurantId) {
+      restaurant = await findRestaurant({ restaurantId });
+      if (!restaurant) return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const result = await checkServiceability({
+      address: { coordinates: { latitude: Number(lat), longitude: Number(lng) } },
+      restaurant,
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Error checking serviceability:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/serviceability/zones
+// @desc    Active delivery zones, optionally for one city (?city=)
+// @access  Public
+router.get('/zones', async (req, res) => {
+  try {
+    const city = typeof req.query.city === 'string' ? req.query.city.trim().toLowerCase() : '';
+    const zones = (await loadZones()).filter(z => !city || z.city === city);
+    res.json(zones.map(toZoneResponse));
+  } catch (error) {
+    console.error('Error fetching delivery zones:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+const zoneValidators = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('city').isString().trim().notEmpty().withMessage('City is required'),
+    field('name').isString().trim().notEmpty().withMessage('Zone name is required'),
+    field('center.latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid center latitude is required'),
+    field('center.longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid center longitude is required'),
+    field('radiusKm').isFloat({ min: 0.1 }).withMessage('Radius must be at least 0.1 km'),
+    body('deliveryFee').optional().isFloat({ min: 0 }).withMessage('Delivery fee cannot be negative'),
+    body('estimatedTime').optional().isInt({ min: 1 }).withMessage('Estimated time must be in minutes'),
+    body('maxDistanceKm').optional().isFloat({ min: 0.1 }).withMessage('Max distance must be at least 0.1 km'),
+    body('priority').optional().isInt().withMessage('Priority must be a whole number'),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+const ZONE_FIELDS = ['city', 'name', 'center', 'radiusKm', 'deliveryFee', 'estimatedTime', 'maxDistanceKm', 'priority', 'isActive'];
+
+const pickZoneFields = (source) => Object.fromEntries(
+  ZONE_FIELDS.filter(key => source[key] !== undefined).map(key => [key, source[key]])
+);
+
+// @route   POST /api/serviceability/zones
+// @desc    Create a delivery zone. Once a city has stored zones they replace its defaults.
+// @access  Private (Admin)
+router.post('/zones', [auth, authorize('admin'), ...zoneValidators(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const zone = await DeliveryZone.create(pickZoneFields(req.body));
+    res.status(201).json(toZoneResponse(zone));
+  } catch (error) {
+    console.error('Error creating delivery zone:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/serviceability/zones/:id
+// @desc    Update a delivery zone
+// @access  Private (Admin)
+router.put('/zones/:id', [auth, authorize('admin'), ...zoneValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const zone = await DeliveryZone.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickZoneFields(req.body) },
+      { new: true, runValidators: true }
+    );
+    if (!zone) return res.status(404).json({ error: 'Delivery zone not found' });
+    res.json(toZoneResponse(zone));
+  } catch (error) {
+    console.error('Error updating delivery zone:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/serviceability/zones/:id
+// @desc    Delete a delivery zone
+// @access  Private (Admin)
+router.delete('/zones/:id', [auth, authorize('admin')], async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+    if (!zone) return res.status(404).json({ error: 'Delivery zone not found' });
+    res.json({ message: 'Delivery zone removed' });
+  } catch (error) {
+    console.error('Error deleting delivery zone:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,208 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const PaymentIntent = require('../models/PaymentIntent');
+const SplitBill = require('../models/SplitBill');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { createIntent, getOrderBalance, refreshIntent, toIntentResponse, isValidUpiId } = require('../utils/payments');
+const { toSplitBillResponse, watchSplitBill } = require('../utils/splitBills');
+
+const dbReady = () => mongoose.connection && mongoose.connection.readyState === 1;
+
+const isOrganizer = (bill, user) => user.role === 'admin' || String(bill.organizer) === String(user._id);
+
+const loadOrder = (bill) => Order.findById(bill.order)
+  .select('orderId user restaurantName totalAmount paymentMethod paymentStatus paidAmount status')
+  .lean();
+
+// The bill and the participant a pay link token belongs to
+const findShare = async (token) => {
+  const bill = await SplitBill.findOne({ 'participants.token': String(token) }).populate('organizer', 'name');
+  if (!bill) return {};
+  return { bill, participant: bill.participants.find(p => p.token === String(token)) };
+};
+
+// The latest payment a participant started, refreshed so expired ones show as failed
+const latestIntent = async (bill, participant) => {
+  const intent = await PaymentIntent.findOne({ splitBill: bill._id, participant: participant._id }).sort({ createdAt: -1 });
+  return intent ? refreshIntent(intent) : null;
+};
+
+// @route   GET /api/split-bills/pay/:token
+// @desc    A participant's pay link: their share, the order and how far along the group is
+// @access  Public (pay link token)
+router.get('/pay/:token', async (req, res) => {
+  try {
+    if (!dbReady()) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+    const { bill, participant } = await findShare(req.params.token);
+    if (!bill) return res.status(404).json({ error: 'Pay link not found' });
+
+    const [order, intent] = await Promise.all([loadOrder(bill), latestIntent(bill, participant)]);
+    const { participants, ...progress } = toSplitBillResponse(bill);
+    res.json({
+      ...progress,
+      restaurantName: order?.restaurantName,
+      organizerName: bill.organizer?.name,
+      participant: participants.find(p => String(p.id) === String(participant._id)),
+      intent: intent ? toIntentResponse(intent) : null
+    });
+  } catch (error) {
+    console.error('Error fetching split bill share:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/split-bills/pay/:token/intents
+// @desc    Pay a share: { upiId }. Returns the payment intent to poll via
+//          GET /api/split-bills/pay/:token; a payment already in progress is returned as is
+// @access  Public (pay link token)
+router.post('/pay/:token/intents', [
+  body('upiId').trim().notEmpty().withMessage('UPI ID is required').bail().custom(isValidUpiId).withMessage('Enter a valid UPI ID, like name@bank')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!dbReady()) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+
+    const { bill, participant } = await findShare(req.params.token);
+    if (!bill) return res.status(404).json({ error: 'Pay link not found' });
+    if (bill.status !== 'collecting') {
+      return res.status(409).json({ error: bill.status === 'cancelled' ? 'This order was cancelled' : 'This bill is already paid' });
+    }
+    if (participant.status !== 'pending') {
+      return res.status(409).json({ error: 'Your share is already paid' });
+    }
+
+    const current = await latestIntent(bill, participant);
+    if (current && current.status === 'pending') return res.json(toIntentResponse(current));
+
+    const order = await loadOrder(bill);
+    const result = await createIntent({
+      order,
+      amount: participant.share,
+      upiId: req.body.upiId,
+      payerName: participant.name,
+      splitBill: bill._id,
+      participant: participant._id
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, ...result.details });
+    }
+    res.status(201).json(toIntentResponse(result.intent));
+  } catch (error) {
+    console.error('Error paying split bill share:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/split-bills/:orderId
+// @desc    The organizer's view: every share with its pay link token and status,
+//          plus what is still outstanding on the order
+// @access  Private (organizer/Admin)
+router.get('/:orderId', auth, async (req, res) => {
+  try {
+    if (!dbReady()) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+    const bill = await SplitBill.findOne({ orderId: req.params.orderId });
+    if (!bill) return res.status(404).json({ error: 'Split bill not found' });
+    if (!isOrganizer(bill, req.user)) return res.status(403).json({ error: 'Not your split bill' });
+
+    const order = await loadOrder(bill);
+    const balance = await getOrderBalance(order);
+    res.json({
+      ...toSplitBillResponse(bill, { withLinks: true }),
+      restaurantName: order.restaurantName,
+      orderStatus: order.status,
+      paymentStatus: order.paymentStatus,
+      paid: balance.paid,
+      outstanding: balance.outstanding
+    });
+  } catch (error) {
+    console.error('Error fetching split bill:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/split-bills/:orderId/events
+// @desc    Server-sent `split_bill_updated` events whenever a share is paid,
+//          the bill is completed or the order is cancelled. Progress only, no pay links.
+//          EventSource can't send headers, so browsers pass a pay link token as ?token=
+// @access  Private (organizer/Admin, or anyone holding one of the bill's pay link tokens)
+router.get('/:orderId/events', optionalAuth, async (req, res) => {
+  try {
+    if (!dbReady()) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+    const bill = await SplitBill.findOne({ orderId: req.params.orderId }).select('orderId organizer participants.token');
+    if (!bill) return res.status(404).json({ error: 'Split bill not found' });
+    const hasToken = req.query.token !== undefined && bill.participants.some(p => p.token === String(req.query.token));
+    if (!hasToken) {
+      if (!req.user) return res.status(401).json({ error: 'Log in or use your pay link' });
+      if (!isOrganizer(bill, req.user)) return res.status(403).json({ error: 'Not your split bill' });
+    }
+
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders?.();
+    res.write(`: connected\n\n`);
+
+    const unwatch = watchSplitBill(bill.orderId, res);
+    req.on('close', unwatch);
+  } catch (error) {
+    console.error('Error watching split bill:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/split-bills/:orderId/cover
+// @desc    The organizer pays whatever the group hasn't: { upiId }. Shares still
+//          unpaid are marked covered and the order goes to the restaurant once it succeeds.
+// @access  Private (organizer/Admin)
+router.post('/:orderId/cover', [
+  auth,
+  body('upiId').trim().notEmpty().withMessage('UPI ID is required').bail().custom(isValidUpiId).withMessage('Enter a valid UPI ID, like name@bank')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!dbReady()) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+
+    const bill = await SplitBill.findOne({ orderId: req.params.orderId });
+    if (!bill) return res.status(404).json({ error: 'Split bill not found' });
+    if (!isOrganizer(bill, req.user)) return res.status(403).json({ error: 'Not your split bill' });
+    if (bill.status !== 'collecting') {
+      return res.status(409).json({ error: bill.status === 'cancelled' ? 'This order was cancelled' : 'This bill is already paid' });
+    }
+
+    const result = await createIntent({
+      order: await loadOrder(bill),
+      user: req.user,
+      upiId: req.body.upiId,
+      payerName: req.user.name,
+      splitBill: bill._id
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error, ...result.details });
+    }
+    res.status(201).json(toIntentResponse(result.intent));
+  } catch (error) {
+    console.error('Error covering split bill:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
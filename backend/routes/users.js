@@ -1,47 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Order = require('../models/Order');
+const Dish = require('../models/Dish');
+const { buildOrderQuery, encodeCursor } = require('../utils/orderQuery');
+const { ADDRESS_TYPES } = require('../utils/address');
+const { toLatLng } = require('../utils/geo');
 const { body, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, '..', 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-	fs.mkdirSync(uploadsDir);
-}
-
-// Multer storage
-const storage = multer.diskStorage({
-	destination: (req, file, cb) => cb(null, uploadsDir),
-	filename: (req, file, cb) => {
-		const ext = path.extname(file.originalname);
-		const base = path.basename(file.originalname, ext).replace(/[^a-zA-Z0-9-_]/g, '');
-		cb(null, `${Date.now()}_${base}${ext}`);
-	}
-});
-
-const upload = multer({
-	storage,
-	limits: { fileSize: 2 * 1024 * 1024 }, // 2MB
-	fileFilter: (req, file, cb) => {
-		const allowed = ['image/jpeg', 'image/png', 'image/webp'];
-		if (!allowed.includes(file.mimetype)) return cb(new Error('Only JPG/PNG/WebP images are allowed'));
-		cb(null, true);
-	}
-});
+const { singleImage, toUploadUrls } = require('../middleware/upload');
 
 // @route   POST /api/users/upload-avatar
 // @desc    Upload profile avatar and return URL
 // @access  Private
-router.post('/upload-avatar', auth, upload.single('avatar'), async (req, res) => {
+router.post('/upload-avatar', auth, singleImage('avatar'), async (req, res) => {
 	try {
 		if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-		const publicUrl = `/uploads/${req.file.filename}`;
-		const absoluteUrl = `${req.protocol}://${req.get('host')}${publicUrl}`;
-		res.json({ url: absoluteUrl, path: publicUrl });
+		res.json(toUploadUrls(req, req.file));
 	} catch (error) {
 		console.error('Error uploading avatar:', error);
 		res.status(500).json({ error: 'Server error' });
@@ -71,6 +46,10 @@ router.put('/profile', [
   body('phone').optional().matches(/^[0-9]{10}$/).withMessage('Valid 10-digit phone number is required'),
   body('bikeNumber').optional().isLength({ min: 3, max: 20 }).withMessage('Bike number must be 3-20 characters'),
   body('avatar').optional().isString(),
+  body('preferences.isVegOnly').optional().isBoolean().withMessage('isVegOnly must be true or false'),
+  body('preferences.spiceLevel').optional().isIn(['mild', 'medium', 'hot']).withMessage('Spice level must be mild, medium or hot'),
+  body('preferences.allergens').optional().isArray().withMessage('Allergens must be an array'),
+  body('preferences.allergens.*').optional().isIn(Dish.ALLERGENS).withMessage('Invalid allergen'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -101,13 +80,166 @@ router.put('/profile', [
   }
 });
 
+// Address book. Every write responds with the full list so clients always
+// see which address is the default after the change.
+const addressValidators = (isUpdate) => [
+  body('type').optional().isIn(ADDRESS_TYPES).withMessage(`Type must be one of ${ADDRESS_TYPES.join(', ')}`),
+  (isUpdate ? body('address.street').optional() : body('address.street'))
+    .isString().trim().notEmpty().withMessage('Street is required'),
+  (isUpdate ? body('address.city').optional() : body('address.city'))
+    .isString().trim().notEmpty().withMessage('City is required'),
+  body('address.state').optional().isString().trim(),
+  body('address.zipCode').optional({ checkFalsy: true }).matches(/^[0-9]{6}$/).withMessage('Valid 6-digit PIN code is required'),
+  body('address.landmark').optional().isString().trim(),
+  body('coordinates').optional({ nullable: true }).custom(value => toLatLng(value) !== null).withMessage('Coordinates need a valid latitude and longitude'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false'),
+];
+
+const applyAddress = (entry, { type, address, coordinates }) => {
+  if (type) entry.type = type;
+  if (address) {
+    entry.address = { ...(entry.toObject().address || {}), ...address };
+  }
+  if (coordinates !== undefined) entry.coordinates = coordinates ? toLatLng(coordinates) : undefined;
+};
+
+const makeDefault = (user, addressId) => {
+  user.addresses.forEach(addr => { addr.isDefault = String(addr._id) === String(addressId); });
+};
+
+// @route   GET /api/users/addresses
+// @desc    List saved delivery addresses
+// @access  Private
+router.get('/addresses', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('addresses');
+    res.json(user.addresses);
+  } catch (error) {
+    console.error('Error fetching addresses:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/addresses
+// @desc    Save a new address; the first one saved becomes the default
+// @access  Private
+router.post('/addresses', [auth, ...addressValidators(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id);
+    user.addresses.push({});
+    const entry = user.addresses[user.addresses.length - 1];
+    applyAddress(entry, req.body);
+    if (req.body.isDefault === true || user.addresses.length === 1) makeDefault(user, entry._id);
+
+    await user.save();
+    res.status(201).json(user.addresses);
+  } catch (error) {
+    console.error('Error adding address:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/users/addresses/:addressId
+// @desc    Update a saved address
+// @access  Private
+router.put('/addresses/:addressId', [auth, ...addressValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.id);
+    const entry = user.addresses.id(req.params.addressId);
+    if (!entry) return res.status(404).json({ error: 'Address not found' });
+
+    applyAddress(entry, req.body);
+    if (req.body.isDefault === true) makeDefault(user, entry._id);
+
+    await user.save();
+    res.json(user.addresses);
+  } catch (error) {
+    console.error('Error updating address:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   PUT /api/users/addresses/:addressId/default
+// @desc    Make an address the default
+// @access  Private
+router.put('/addresses/:addressId/default', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user.addresses.id(req.params.addressId)) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+    makeDefault(user, req.params.addressId);
+    await user.save();
+    res.json(user.addresses);
+  } catch (error) {
+    console.error('Error setting default address:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/addresses/:addressId
+// @desc    Delete an address; removing the default promotes the next one
+// @access  Private
+router.delete('/addresses/:addressId', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const entry = user.addresses.id(req.params.addressId);
+    if (!entry) return res.status(404).json({ error: 'Address not found' });
+
+    entry.deleteOne();
+    await user.save();
+    res.json(user.addresses);
+  } catch (error) {
+    console.error('Error deleting address:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // @route   GET /api/users/orders
-// @desc    Get user orders
+// @desc    The logged-in user's orders, newest first. Accepts status, limit and
+//          cursor like GET /api/orders; responds { orders, nextCursor, hasMore }
 // @access  Private
 router.get('/orders', auth, async (req, res) => {
   try {
-    // This will be implemented when Order model is created
-    res.json({ message: 'Orders endpoint - to be implemented' });
+    const { status, limit, cursor } = req.query;
+    const query = buildOrderQuery({ status, limit, cursor });
+    if (!query.ok) return res.status(query.status).json({ error: query.error });
+
+    const docs = await Order.find({ ...query.filter, user: req.user._id })
+      .select('orderId restaurantId restaurantName items totalAmount pricing paymentMethod paymentStatus status splitBill createdAt')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(query.limit + 1)
+      .lean();
+    const hasMore = docs.length > query.limit;
+    const page = hasMore ? docs.slice(0, query.limit) : docs;
+
+    res.json({
+      orders: page.map(doc => ({
+        id: doc.orderId,
+        restaurantId: doc.restaurantId,
+        restaurantName: doc.restaurantName,
+        items: doc.items,
+        totalAmount: doc.totalAmount,
+        pricing: doc.pricing,
+        paymentMethod: doc.paymentMethod,
+        paymentStatus: doc.paymentStatus,
+        status: doc.status,
+        splitBill: Boolean(doc.splitBill),
+        createdAt: doc.createdAt,
+      })),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      hasMore,
+    });
   } catch (error) {
     console.error('Error fetching user orders:', error);
     res.status(500).json({ error: 'Server error' });
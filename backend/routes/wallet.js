@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const { auth, authorize } = require('../middleware/auth');
+const { encodeCursor, decodeCursor } = require('../utils/orderQuery');
+const { createTopUpIntent, toIntentResponse, isValidUpiId } = require('../utils/payments');
+const { MIN_TOPUP, MAX_TOPUP, getBalance, creditWallet, toWalletTransactionResponse } = require('../utils/wallet');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const dbReady = () => mongoose.connection && mongoose.connection.readyState === 1;
+
+// @route   GET /api/wallet
+// @desc    The customer's wallet balance
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    if (!dbReady()) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+    res.json({ balance: await getBalance(req.user._id), currency: 'INR' });
+  } catch (error) {
+    console.error('Error fetching wallet balance:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET /api/wallet/transactions
+// @desc    Wallet transactions, newest first: ?limit (default 20, max 100)
+//          and ?cursor (nextCursor of the previous page)
+// @access  Private
+router.get('/transactions', [
+  auth,
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`Limit must be 1 to ${MAX_PAGE_SIZE}`).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!dbReady()) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+
+    const filter = { user: req.user._id };
+    if (req.query.cursor) {
+      const after = decodeCursor(req.query.cursor);
+      if (!after) return res.status(400).json({ error: 'Invalid cursor' });
+      filter.$or = [
+        { createdAt: { $lt: after.createdAt } },
+        { createdAt: after.createdAt, _id: { $lt: after._id } },
+      ];
+    }
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+
+    // Fetch one extra row to learn whether another page exists
+    const docs = await WalletTransaction.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
+    const hasMore = docs.length > limit;
+    const page = hasMore ? docs.slice(0, limit) : docs;
+
+    res.json({
+      transactions: page.map(toWalletTransactionResponse),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      hasMore
+    });
+  } catch (error) {
+    console.error('Error fetching wallet transactions:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/wallet/topups
+// @desc    Add money by UPI: { amount, upiId }. Returns a payment intent to
+//          poll via GET /api/payments/intents/:id; the wallet is credited
+//          once the payment succeeds.
+// @access  Private
+router.post('/topups', [
+  auth,
+  body('amount').isFloat({ min: MIN_TOPUP, max: MAX_TOPUP }).withMessage(`Top up between ₹${MIN_TOPUP} and ₹${MAX_TOPUP}`).toFloat(),
+  body('upiId').trim().notEmpty().withMessage('UPI ID is required').bail().custom(isValidUpiId).withMessage('Enter a valid UPI ID, like name@bank')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!dbReady()) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+
+    const result = await createTopUpIntent({ user: req.user, amount: req.body.amount, upiId: req.body.upiId });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json(toIntentResponse(result.intent));
+  } catch (error) {
+    console.error('Error starting wallet top-up:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST /api/wallet/cashback
+// @desc    Credit cashback to a customer's wallet: { userId, amount, description?, orderId? }.
+//          With an orderId, cashback is only credited once per order.
+// @access  Private (Admin)
+router.post('/cashback', [
+  auth,
+  authorize('admin'),
+  body('userId').isMongoId().withMessage('Invalid user id'),
+  body('amount').isFloat({ gt: 0, max: MAX_TOPUP }).withMessage(`Cashback must be between ₹0 and ₹${MAX_TOPUP}`).toFloat(),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description must be at most 200 characters'),
+  body('orderId').optional().trim().notEmpty().withMessage('Order id cannot be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!dbReady()) {
+      return res.status(503).json({ error: 'Database not connected' });
+    }
+
+    const { userId, amount, description, orderId } = req.body;
+    if (!(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await creditWallet({
+      user: userId,
+      type: 'cashback',
+      amount,
+      key: orderId ? `cashback:${orderId}` : undefined,
+      orderId,
+      description: description || (orderId ? `Cashback on order ${orderId}` : 'Cashback')
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    if (result.replayed) {
+      return res.status(409).json({ error: 'Cashback was already credited for this order' });
+    }
+    res.status(201).json(toWalletTransactionResponse(result.transaction));
+  } catch (error) {
+    console.error('Error crediting cashback:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,321 @@
+const mongoose = require('mongoose');
+const Restaurant = require('./models/Restaurant');
+const Dish = require('./models/Dish');
+const { DAYS } = require('./utils/openingHours');
+const { toGeoPoint } = require('./utils/geo');
+require('dotenv').config();
+
+// The Vadodara restaurants and menus that used to be hardcoded in the
+// frontend restaurant pages. Safe to re-run: restaurants are upserted by
+// slug and each menu is replaced by dish name.
+
+const AREA_LOCATIONS = {
+  'Alkapuri': { latitude: 22.3114, longitude: 73.1710 },
+  'Race Course': { latitude: 22.3148, longitude: 73.1705 },
+};
+
+// The menus carry no veg flag, so it is inferred from the dish name/description
+const NON_VEG = /\b(chicken|mutton|beef|fish|prawns?|eggs?|keema|meat|snails|pepperoni)\b/i;
+
+// Same slots every day of the week, for restaurants that close between lunch and dinner
+const everyDay = (...slots) => DAYS.map(day => ({ day, slots: slots.map(([open, close]) => ({ open, close })) }));
+
+const vadodaraRestaurants = [
+  {
+    name: 'Old School Eatery',
+    description: 'Neighbourhood favourite for North Indian curries, biryani, pizza and quick bites',
+    photo: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252981/cbf0e26a374f31531096c56671993220_ffd7xy.jpg',
+    cuisines: ['North Indian', 'Biryani', 'Pizza', 'Sandwich', 'Chinese', 'Desserts', 'Beverages'],
+    address: { street: '17/B, Nutan Bharat Society, Opposite Relience Fresh, Alkapuri', city: 'Vadodara', state: 'Gujarat', zipCode: '390007' },
+    contact: { phone: '+918888856567', email: 'oldschooleatery@example.com' },
+    timings: { open: '12:00 PM', close: '10:30 PM' },
+    schedule: everyDay(['12:00', '15:00'], ['19:00', '22:30']),
+    rating: 4.6,
+    ratingCount: 833,
+    menu: [
+      { name: 'Paneer Butter Masala', price: 299, description: 'Cottage cheese in creamy tomato gravy.', category: 'North Indian', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752398998/7525c28b815e93b8f4ad4a3bb889090e_aunwup.jpg' },
+      { name: 'Dal Makhani', price: 249, description: 'Slow-cooked black lentils in creamy sauce.', category: 'North Indian', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/0892e095adc768a6f3daa568d10b74c5_kytasc.jpg' },
+      { name: 'Butter Naan', price: 49, description: 'Soft Indian bread with butter.', category: 'North Indian', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753335197/burger_yrnmbm.jpg' },
+      { name: 'Aloo Gobi', price: 199, description: 'Potato and cauliflower cooked with spices.', category: 'North Indian', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753335235/pasta_kikytt.jpg' },
+      { name: 'Veg Biryani', price: 249, description: 'Aromatic rice with mixed vegetables and spices.', category: 'Biryani', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252983/859adef90e854238d9b330d0c7d2cf73_get6ol.jpg' },
+      { name: 'Paneer Biryani', price: 279, description: 'Biryani rice with paneer and spices.', category: 'Biryani', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/410b32a87e020b0e8dbe8a2850d8ca29_prsyzo.jpg' },
+      { name: 'Hyderabadi Biryani', price: 299, description: 'Spicy biryani with authentic Hyderabadi flavors.', category: 'Biryani', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752398029/3e10bbc839b5ab13a9561cfed1f6fa8b_brpb4b.jpg' },
+      { name: 'Margherita Pizza', price: 199, description: 'Classic cheese and tomato pizza.', category: 'Pizza', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753335236/pizza_eo0k4v.jpg' },
+      { name: 'Farmhouse Pizza', price: 249, description: 'Loaded with veggies and cheese.', category: 'Pizza', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752563696/410b32a87e020b0e8dbe8a2850d8ca29_socitw.jpg' },
+      { name: 'Peppy Paneer Pizza', price: 269, description: 'Paneer, capsicum, and spicy seasoning.', category: 'Pizza', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753335211/food1_z8vt3v.jpg' },
+      { name: 'Mexican Green Wave', price: 259, description: 'Mexican herbs, veggies, and cheese.', category: 'Pizza', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753335242/samosa_q7pecl.jpg' },
+      { name: 'Masala Dosa', price: 149, description: 'Crispy rice crepe with spiced potato filling.', category: 'South Indian', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/781c6867d971c5fa7a704c992dc755c3_waxhi9.jpg' },
+      { name: 'Idli Sambar', price: 99, description: 'Steamed rice cakes with sambar.', category: 'South Indian', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752398575/15de2cac5615a54813f8e0a8530c6876_whxeeu.jpg' },
+      { name: 'Medu Vada', price: 109, description: 'Crispy lentil doughnuts with chutney.', category: 'South Indian', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252982/10e3906d61a1e09dcb471723d5b28347_ckpxxi.jpg' },
+      { name: 'Pav Bhaji', price: 129, description: 'Spicy mashed veggies with buttered buns.', category: 'Chaat', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252985/a79424d1606a535db91108548167727f_rpmxgv.jpg' },
+      { name: 'Pani Puri', price: 99, description: 'Crispy puris with spicy water.', category: 'Chaat', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252986/930a559fbe007109bb73b2be1f53411a_ojpdss.jpg' },
+      { name: 'Dahi Puri', price: 109, description: 'Puris filled with yogurt and chutneys.', category: 'Chaat', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752398135/0b5eb439a0fe2c71aa7b427d3402e1ea_jd6bkm.jpg' },
+      { name: 'Sev Puri', price: 109, description: 'Crispy puris topped with sev and chutneys.', category: 'Chaat', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752563713/043f9704cb216d23dab6ebb934b9f7b7_v01vwv.jpg' },
+      { name: 'Brownie Sundae', price: 129, description: 'Chocolate brownie with ice cream.', category: 'Desserts', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/684ca1498560c84097bebc3805da551b_mt0neb.jpg' },
+      { name: 'Gulab Jamun', price: 99, description: 'Soft sweet dumplings in syrup.', category: 'Desserts', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252983/400b385226afc26f539aa732d38b14a6_k6si5f.jpg' },
+      { name: 'Rasmalai', price: 139, description: 'Soft cheese patties in sweetened milk.', category: 'Desserts', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252982/10e3906d61a1e09dcb471723d5b28347_ckpxxi.jpg' },
+      { name: 'Ice Cream (2 scoops)', price: 89, description: 'Choice of vanilla, chocolate, or strawberry.', category: 'Desserts', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252980/01a8503fdbc5be552ae436c2aafcd064_sjk2uw.jpg' },
+    ],
+  },
+  {
+    name: 'Domino\'s Pizza',
+    description: 'Pizzas, sides and desserts, baked fresh and delivered fast',
+    photo: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252983/f9007f73da46783cb255a1e621637f27_d26djo.jpg',
+    cuisines: ['Pizza', 'Fast Food', 'Italian', 'Beverages', 'Desserts', 'Sides'],
+    address: { street: '321, Pizza Street, Alkapuri', city: 'Vadodara', state: 'Gujarat', zipCode: '390007' },
+    contact: { phone: '+917777777777', email: 'dominospizza@example.com' },
+    timings: { open: '11:00 AM', close: '11:00 PM' },
+    rating: 4.6,
+    ratingCount: 892,
+    menu: [
+      { name: 'Margherita Pizza', price: 299, description: 'Classic tomato sauce with mozzarella cheese.', category: 'Pizza', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753335236/pizza_eo0k4v.jpg' },
+      { name: 'Peppy Paneer Pizza', price: 399, description: 'Spicy paneer with capsicum and onions.', category: 'Pizza', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753335211/food1_z8vt3v.jpg' },
+      { name: 'Farmhouse Pizza', price: 449, description: 'Fresh vegetables with mushrooms and olives.', category: 'Pizza', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752563696/410b32a87e020b0e8dbe8a2850d8ca29_socitw.jpg' },
+      { name: 'Mexican Green Wave', price: 399, description: 'Mexican herbs with jalapeños and paprika.', category: 'Pizza', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753335242/samosa_q7pecl.jpg' },
+      { name: 'Chicken Wings', price: 199, description: 'Crispy chicken wings with hot sauce.', category: 'Sides', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252983/859adef90e854238d9b330d0c7d2cf73_get6ol.jpg' },
+      { name: 'Garlic Bread', price: 99, description: 'Toasted bread with garlic butter and herbs.', category: 'Sides', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753335197/burger_yrnmbm.jpg' },
+      { name: 'Chocolate Lava Cake', price: 149, description: 'Warm chocolate cake with molten center.', category: 'Desserts', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/684ca1498560c84097bebc3805da551b_mt0neb.jpg' },
+      { name: 'Coca Cola', price: 79, description: 'Refreshing carbonated soft drink.', category: 'Beverages', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252980/01a8503fdbc5be552ae436c2aafcd064_sjk2uw.jpg' },
+    ],
+  },
+  {
+    name: 'Le Prive',
+    description: 'French fine dining with classic European plates, wine and cocktails',
+    photo: '/menu-images/le-prive.jpg',
+    cuisines: ['French', 'European', 'Fine Dining', 'Wine', 'Desserts', 'Cocktails'],
+    address: { street: '789, Champs-Élysées Avenue, Race Course Road', city: 'Vadodara', state: 'Gujarat', zipCode: '390007' },
+    contact: { phone: '+919999999999', email: 'leprive@example.com' },
+    timings: { open: '6:00 PM', close: '11:00 PM' },
+    rating: 4.9,
+    ratingCount: 432,
+    menu: [
+      { name: 'Escargots de Bourgogne', price: 899, description: 'Burgundy snails in garlic herb butter.', category: 'Appetizers', image: '/menu-images/escargots.jpg' },
+      { name: 'Coq au Vin', price: 1299, description: 'Braised chicken in red wine with mushrooms.', category: 'Main Course', image: '/menu-images/coq-au-vin.jpg' },
+      { name: 'Beef Bourguignon', price: 1499, description: 'Slow-cooked beef in red wine sauce.', category: 'Main Course', image: '/menu-images/beef-bourguignon.jpg' },
+      { name: 'Ratatouille', price: 799, description: 'Provençal vegetable stew with herbs.', category: 'Main Course', image: '/menu-images/ratatouille.jpg' },
+      { name: 'Crème Brûlée', price: 399, description: 'Classic French vanilla custard with caramelized sugar.', category: 'Desserts', image: '/menu-images/creme-brulee.jpg' },
+      { name: 'French Red Wine', price: 599, description: 'Premium French red wine selection.', category: 'Beverages', image: '/menu-images/french-wine.jpg' },
+    ],
+  },
+  {
+    name: 'The South Cafe',
+    description: 'Dosas, idlis, vadas and filter coffee from the South',
+    photo: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/781c6867d971c5fa7a704c992dc755c3_waxhi9.jpg',
+    cuisines: ['South Indian', 'Dosa', 'Idli', 'Vada', 'Chutney', 'Desserts', 'Beverages'],
+    address: { street: '123, South Street, Alkapuri', city: 'Vadodara', state: 'Gujarat', zipCode: '390007' },
+    contact: { phone: '+919999999999', email: 'thesouthcafe@example.com' },
+    timings: { open: '8:00 AM', close: '11:00 PM' },
+    schedule: everyDay(['08:00', '15:00'], ['18:00', '23:00']),
+    rating: 4.7,
+    ratingCount: 542,
+    menu: [
+      { name: 'Masala Dosa', price: 149, description: 'Crispy rice crepe with spiced potato filling.', category: 'South Indian', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/781c6867d971c5fa7a704c992dc755c3_waxhi9.jpg' },
+      { name: 'Idli Sambar', price: 99, description: 'Steamed rice cakes with sambar.', category: 'South Indian', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752398575/15de2cac5615a54813f8e0a8530c6876_whxeeu.jpg' },
+      { name: 'Medu Vada', price: 109, description: 'Crispy lentil doughnuts with chutney.', category: 'South Indian', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252982/10e3906d61a1e09dcb471723d5b28347_ckpxxi.jpg' },
+      { name: 'Rava Dosa', price: 159, description: 'Crispy dosa made with semolina.', category: 'South Indian', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/0892e095adc768a6f3daa568d10b74c5_kytasc.jpg' },
+      { name: 'Onion Uttapam', price: 139, description: 'Thick pancake topped with onions and spices.', category: 'South Indian', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753335197/burger_yrnmbm.jpg' },
+      { name: 'Filter Coffee', price: 59, description: 'Traditional South Indian filter coffee.', category: 'Beverages', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252980/01a8503fdbc5be552ae436c2aafcd064_sjk2uw.jpg' },
+      { name: 'Payasam', price: 99, description: 'South Indian rice pudding dessert.', category: 'Desserts', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252983/400b385226afc26f539aa732d38b14a6_k6si5f.jpg' },
+    ],
+  },
+  {
+    name: 'Santosh Pav Bhaji',
+    description: 'Buttery pav bhaji and Mumbai street food favourites',
+    photo: '/menu-images/santosh-pav-bhaji.jpg',
+    cuisines: ['Street Food', 'Pav Bhaji', 'Fast Food', 'Beverages', 'Snacks', 'Desserts'],
+    address: { street: '123, Street Food Lane, Alkapuri', city: 'Vadodara', state: 'Gujarat', zipCode: '390007' },
+    contact: { phone: '+916666666666', email: 'santoshpavbhaji@example.com' },
+    timings: { open: '8:00 AM', close: '10:00 PM' },
+    rating: 4.7,
+    ratingCount: 567,
+    menu: [
+      { name: 'Pav Bhaji', price: 89, description: 'Spicy mixed vegetable curry with butter pav.', category: 'Pav Bhaji', image: '/menu-images/pav-bhaji.jpg' },
+      { name: 'Cheese Pav Bhaji', price: 129, description: 'Pav bhaji with extra cheese topping.', category: 'Pav Bhaji', image: '/menu-images/cheese-pav-bhaji.jpg' },
+      { name: 'Butter Pav Bhaji', price: 109, description: 'Pav bhaji with extra butter and cream.', category: 'Pav Bhaji', image: '/menu-images/butter-pav-bhaji.jpg' },
+      { name: 'Pani Puri', price: 49, description: 'Crispy puris with spicy water and chutney.', category: 'Snacks', image: '/menu-images/pani-puri.jpg' },
+      { name: 'Dahi Puri', price: 69, description: 'Puri with yogurt, chutney and sev.', category: 'Snacks', image: '/menu-images/dahi-puri.jpg' },
+      { name: 'Sev Puri', price: 59, description: 'Puri with chutney, yogurt and sev toppings.', category: 'Snacks', image: '/menu-images/sev-puri.jpg' },
+      { name: 'Masala Chai', price: 25, description: 'Spicy Indian tea with milk and spices.', category: 'Beverages', image: '/menu-images/masala-chai.jpg' },
+      { name: 'Filter Coffee', price: 35, description: 'South Indian filter coffee with milk.', category: 'Beverages', image: '/menu-images/filter-coffee.jpeg' },
+      { name: 'Gulab Jamun', price: 45, description: 'Sweet milk dumplings in sugar syrup.', category: 'Desserts', image: '/menu-images/gulab-jamun.jpeg' },
+      { name: 'Rasmalai', price: 55, description: 'Soft cottage cheese patties in sweet milk.', category: 'Desserts', image: '/menu-images/rasmalai.jpeg' },
+    ],
+  },
+  {
+    name: 'Urban Bites',
+    description: 'Modern Indian bowls, wraps and fusion plates',
+    photo: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752397646/ae21f90d2d9471f8d345edfbe03e4ee2_pxltci.jpg',
+    cuisines: ['Modern Indian', 'Fusion', 'Fast Casual', 'Beverages', 'Desserts', 'Snacks'],
+    address: { street: '789, Urban Plaza, Race Course Road', city: 'Vadodara', state: 'Gujarat', zipCode: '390007' },
+    contact: { phone: '+914444444444', email: 'urbanbites@example.com' },
+    timings: { open: '11:00 AM', close: '11:00 PM' },
+    rating: 4.4,
+    ratingCount: 456,
+    menu: [
+      { name: 'Butter Chicken Bowl', price: 299, description: 'Creamy butter chicken with rice and naan.', category: 'Modern Indian', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252983/859adef90e854238d9b330d0c7d2cf73_get6ol.jpg' },
+      { name: 'Paneer Tikka Wrap', price: 199, description: 'Grilled paneer with mint chutney in tortilla.', category: 'Modern Indian', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752398998/7525c28b815e93b8f4ad4a3bb889090e_aunwup.jpg' },
+      { name: 'Chicken Biryani Bowl', price: 249, description: 'Fragrant biryani with tender chicken pieces.', category: 'Modern Indian', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752398029/3e10bbc839b5ab13a9561cfed1f6fa8b_brpb4b.jpg' },
+      { name: 'Fusion Tacos', price: 179, description: 'Indian spiced filling in Mexican tacos.', category: 'Fusion', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753335242/samosa_q7pecl.jpg' },
+      { name: 'Quinoa Salad', price: 159, description: 'Fresh quinoa with vegetables and herbs.', category: 'Fusion', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752398575/15de2cac5615a54813f8e0a8530c6876_whxeeu.jpg' },
+      { name: 'Sweet Potato Fries', price: 129, description: 'Crispy sweet potato fries with dip.', category: 'Snacks', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753335197/burger_yrnmbm.jpg' },
+      { name: 'Mango Lassi', price: 89, description: 'Refreshing mango yogurt drink.', category: 'Beverages', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753074301/4d65723ca703fe8bbf6f0d60fdd70939_xpu8pr.jpg' },
+      { name: 'Masala Chai Latte', price: 99, description: 'Spiced chai with steamed milk.', category: 'Beverages', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252980/01a8503fdbc5be552ae436c2aafcd064_sjk2uw.jpg' },
+      { name: 'Chocolate Brownie', price: 119, description: 'Warm chocolate brownie with ice cream.', category: 'Desserts', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/684ca1498560c84097bebc3805da551b_mt0neb.jpg' },
+      { name: 'Gulab Jamun Cheesecake', price: 139, description: 'Fusion dessert with traditional flavors.', category: 'Desserts', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252983/400b385226afc26f539aa732d38b14a6_k6si5f.jpg' },
+    ],
+  },
+  {
+    name: 'Punjabi Dhaba',
+    description: 'Highway-style Punjabi curries, tandoori breads and lassi',
+    photo: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252985/a79424d1606a535db91108548167727f_rpmxgv.jpg',
+    cuisines: ['Punjabi', 'North Indian', 'Dhaba', 'Beverages', 'Desserts', 'Breads'],
+    address: { street: '567, Highway Road, Alkapuri', city: 'Vadodara', state: 'Gujarat', zipCode: '390007' },
+    contact: { phone: '+913333333333', email: 'punjabidhaba@example.com' },
+    timings: { open: '7:00 AM', close: '11:00 PM' },
+    rating: 4.6,
+    ratingCount: 634,
+    menu: [
+      { name: 'Butter Chicken', price: 299, description: 'Creamy tomato-based curry with tender chicken.', category: 'Punjabi', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252983/859adef90e854238d9b330d0c7d2cf73_get6ol.jpg' },
+      { name: 'Paneer Butter Masala', price: 249, description: 'Cottage cheese in rich tomato gravy.', category: 'Punjabi', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752398998/7525c28b815e93b8f4ad4a3bb889090e_aunwup.jpg' },
+      { name: 'Dal Makhani', price: 199, description: 'Slow-cooked black lentils with cream.', category: 'Punjabi', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/0892e095adc768a6f3daa568d10b74c5_kytasc.jpg' },
+      { name: 'Chicken Biryani', price: 349, description: 'Fragrant rice with tender chicken and spices.', category: 'Punjabi', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752398029/3e10bbc839b5ab13a9561cfed1f6fa8b_brpb4b.jpg' },
+      { name: 'Veg Biryani', price: 249, description: 'Aromatic rice with mixed vegetables.', category: 'Punjabi', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252983/859adef90e854238d9b330d0c7d2cf73_get6ol.jpg' },
+      { name: 'Butter Naan', price: 29, description: 'Soft bread brushed with butter.', category: 'Breads', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753335197/burger_yrnmbm.jpg' },
+      { name: 'Tandoori Roti', price: 19, description: 'Whole wheat bread cooked in tandoor.', category: 'Breads', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753335211/food1_z8vt3v.jpg' },
+      { name: 'Lassi', price: 79, description: 'Traditional Punjabi sweet yogurt drink.', category: 'Beverages', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753074301/4d65723ca703fe8bbf6f0d60fdd70939_xpu8pr.jpg' },
+      { name: 'Masala Chai', price: 25, description: 'Spiced Indian tea with milk.', category: 'Beverages', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252980/01a8503fdbc5be552ae436c2aafcd064_sjk2uw.jpg' },
+      { name: 'Gulab Jamun', price: 45, description: 'Sweet milk dumplings in sugar syrup.', category: 'Desserts', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252983/400b385226afc26f539aa732d38b14a6_k6si5f.jpg' },
+      { name: 'Rasmalai', price: 55, description: 'Soft cottage cheese patties in sweet milk.', category: 'Desserts', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252982/10e3906d61a1e09dcb471723d5b28347_ckpxxi.jpg' },
+    ],
+  },
+  {
+    name: 'Rajasthani Rasoi',
+    description: 'Traditional Rajasthani thalis, dal baati churma and desserts',
+    photo: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252983/400b385226afc26f539aa732d38b14a6_k6si5f.jpg',
+    cuisines: ['Rajasthani', 'Dal Baati', 'Gatte Ki Sabzi', 'North Indian', 'Desserts', 'Beverages'],
+    address: { street: '789, Rajputana Road, Race Course', city: 'Vadodara', state: 'Gujarat', zipCode: '390007' },
+    contact: { phone: '+919999999999', email: 'rajasthanirasoi@example.com' },
+    timings: { open: '11:00 AM', close: '11:00 PM' },
+    schedule: everyDay(['11:00', '15:00'], ['18:00', '23:00']),
+    rating: 4.6,
+    ratingCount: 543,
+    menu: [
+      { name: 'Dal Baati Churma', price: 199, description: 'Traditional Rajasthani dal with baati and churma.', category: 'Rajasthani', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/0892e095adc768a6f3daa568d10b74c5_kytasc.jpg' },
+      { name: 'Gatte Ki Sabzi', price: 179, description: 'Gram flour dumplings in spicy gravy.', category: 'Rajasthani', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752398998/7525c28b815e93b8f4ad4a3bb889090e_aunwup.jpg' },
+      { name: 'Laal Maas', price: 299, description: 'Spicy red meat curry with Rajasthani spices.', category: 'Rajasthani', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752398029/3e10bbc839b5ab13a9561cfed1f6fa8b_brpb4b.jpg' },
+      { name: 'Ker Sangri', price: 159, description: 'Traditional Rajasthani desert beans curry.', category: 'Rajasthani', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/410b32a87e020b0e8dbe8a2850d8ca29_prsyzo.jpg' },
+      { name: 'Ghewar', price: 89, description: 'Traditional Rajasthani sweet dessert.', category: 'Desserts', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252983/400b385226afc26f539aa732d38b14a6_k6si5f.jpg' },
+      { name: 'Masala Chai', price: 49, description: 'Spiced Indian tea with milk.', category: 'Beverages', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252980/01a8503fdbc5be552ae436c2aafcd064_sjk2uw.jpg' },
+    ],
+  },
+  {
+    name: 'The Chaat Chaska',
+    description: 'Chaat, puris and street snacks made to order',
+    photo: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252986/930a559fbe007109bb73b2be1f53411a_ojpdss.jpg',
+    cuisines: ['Chaat', 'Street Food', 'Fast Food', 'Beverages', 'Snacks', 'Desserts'],
+    address: { street: '456, Chaat Corner, Alkapuri', city: 'Vadodara', state: 'Gujarat', zipCode: '390007' },
+    contact: { phone: '+915555555555', email: 'thechaatchaska@example.com' },
+    timings: { open: '10:00 AM', close: '11:00 PM' },
+    rating: 4.5,
+    ratingCount: 723,
+    menu: [
+      { name: 'Dahi Puri', price: 79, description: 'Crispy puris with yogurt, chutney and sev.', category: 'Chaat', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752398135/0b5eb439a0fe2c71aa7b427d3402e1ea_jd6bkm.jpg' },
+      { name: 'Pani Puri', price: 59, description: 'Crispy puris with spicy water and chutney.', category: 'Chaat', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252986/930a559fbe007109bb73b2be1f53411a_ojpdss.jpg' },
+      { name: 'Sev Puri', price: 69, description: 'Puri with chutney, yogurt and sev toppings.', category: 'Chaat', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752563713/043f9704cb216d23dab6ebb934b9f7b7_v01vwv.jpg' },
+      { name: 'Bhel Puri', price: 89, description: 'Puffed rice with vegetables and chutney.', category: 'Chaat', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/0892e095adc768a6f3daa568d10b74c5_kytasc.jpg' },
+      { name: 'Ragda Pattice', price: 99, description: 'Potato patties with white peas curry.', category: 'Chaat', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753335197/burger_yrnmbm.jpg' },
+      { name: 'Samosa Chaat', price: 109, description: 'Samosa topped with chutney and yogurt.', category: 'Chaat', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753335242/samosa_q7pecl.jpg' },
+      { name: 'Masala Chai', price: 25, description: 'Spicy Indian tea with milk and spices.', category: 'Beverages', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252980/01a8503fdbc5be552ae436c2aafcd064_sjk2uw.jpg' },
+      { name: 'Filter Coffee', price: 35, description: 'South Indian filter coffee with milk.', category: 'Beverages', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252983/400b385226afc26f539aa732d38b14a6_k6si5f.jpg' },
+      { name: 'Jassi', price: 49, description: 'Sweet lassi with rose water and cardamom.', category: 'Beverages', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753074301/4d65723ca703fe8bbf6f0d60fdd70939_xpu8pr.jpg' },
+      { name: 'Gulab Jamun', price: 45, description: 'Sweet milk dumplings in sugar syrup.', category: 'Desserts', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252983/400b385226afc26f539aa732d38b14a6_k6si5f.jpg' },
+      { name: 'Rasmalai', price: 55, description: 'Soft cottage cheese patties in sweet milk.', category: 'Desserts', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252982/10e3906d61a1e09dcb471723d5b28347_ckpxxi.jpg' },
+      { name: 'Payasam', price: 65, description: 'Traditional rice pudding with nuts.', category: 'Desserts', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/684ca1498560c84097bebc3805da551b_mt0neb.jpg' },
+    ],
+  },
+  {
+    name: 'Momos Hut',
+    description: 'Steamed, fried and tandoori momos with Indo-Chinese sides',
+    photo: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752398135/0b5eb439a0fe2c71aa7b427d3402e1ea_jd6bkm.jpg',
+    cuisines: ['Momos', 'Indo-Chinese', 'Street Food', 'Beverages', 'Snacks', 'Desserts'],
+    address: { street: '234, Food Court, Alkapuri', city: 'Vadodara', state: 'Gujarat', zipCode: '390007' },
+    contact: { phone: '+912222222222', email: 'momoshut@example.com' },
+    timings: { open: '12:00 PM', close: '11:00 PM' },
+    rating: 4.3,
+    ratingCount: 388,
+    menu: [
+      { name: 'Veg Steamed Momos', price: 99, description: 'Steamed dumplings stuffed with veggies.', category: 'Momos', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752398135/0b5eb439a0fe2c71aa7b427d3402e1ea_jd6bkm.jpg' },
+      { name: 'Chicken Steamed Momos', price: 129, description: 'Steamed dumplings stuffed with chicken.', category: 'Momos', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752563713/043f9704cb216d23dab6ebb934b9f7b7_v01vwv.jpg' },
+      { name: 'Veg Fried Momos', price: 109, description: 'Crispy fried momos with spicy dip.', category: 'Momos', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252983/859adef90e854238d9b330d0c7d2cf73_get6ol.jpg' },
+      { name: 'Chicken Fried Momos', price: 139, description: 'Fried chicken momos with spicy sauce.', category: 'Momos', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/410b32a87e020b0e8dbe8a2850d8ca29_prsyzo.jpg' },
+      { name: 'Paneer Momos', price: 119, description: 'Steamed momos stuffed with paneer.', category: 'Momos', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752398998/7525c28b815e93b8f4ad4a3bb889090e_aunwup.jpg' },
+      { name: 'Chilli Momos', price: 129, description: 'Momos tossed in spicy Indo-Chinese sauce.', category: 'Indo-Chinese', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252986/930a559fbe007109bb73b2be1f53411a_ojpdss.jpg' },
+      { name: 'Spring Rolls', price: 99, description: 'Crispy rolls stuffed with veggies.', category: 'Indo-Chinese', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1753335242/samosa_q7pecl.jpg' },
+      { name: 'Fried Rice', price: 119, description: 'Indo-Chinese style fried rice.', category: 'Indo-Chinese', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752398029/3e10bbc839b5ab13a9561cfed1f6fa8b_brpb4b.jpg' },
+      { name: 'Lemon Iced Tea', price: 59, description: 'Refreshing lemon iced tea.', category: 'Beverages', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252980/01a8503fdbc5be552ae436c2aafcd064_sjk2uw.jpg' },
+      { name: 'Cold Coffee', price: 69, description: 'Chilled coffee with ice.', category: 'Beverages', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252983/400b385226afc26f539aa732d38b14a6_k6si5f.jpg' },
+      { name: 'Brownie Sundae', price: 99, description: 'Brownie with ice cream and chocolate sauce.', category: 'Desserts', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/684ca1498560c84097bebc3805da551b_mt0neb.jpg' },
+      { name: 'Ice Cream', price: 79, description: 'Assorted ice cream scoops.', category: 'Desserts', image: 'https://res.cloudinary.com/dlurlrbou/image/upload/v1752252982/10e3906d61a1e09dcb471723d5b28347_ckpxxi.jpg' },
+    ],
+  },
+];
+
+const slugify = (name) => name
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '');
+
+const locationFor = (street) => {
+  const area = Object.keys(AREA_LOCATIONS).find(name => street.includes(name));
+  return area ? toGeoPoint(AREA_LOCATIONS[area]) : undefined;
+};
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+const seedRestaurant = async ({ menu, ...data }) => {
+  const slug = slugify(data.name);
+  let restaurant = await Restaurant.findOne({ slug });
+  if (!restaurant) restaurant = new Restaurant();
+  restaurant.set({ ...data, location: locationFor(data.address.street), isActive: true });
+  await restaurant.save();
+
+  for (const dish of menu) {
+    const isVeg = !NON_VEG.test(`${dish.name} ${dish.description}`);
+    await Dish.findOneAndUpdate(
+      { restaurant: restaurant._id, name: dish.name },
+      { ...dish, restaurant: restaurant._id, isVeg, isAvailable: true },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+  console.log(`✅ ${restaurant.name} (/restaurant/${restaurant.slug}): ${menu.length} dishes`);
+};
+
+const seedVadodara = async () => {
+  console.log('🌱 Seeding Vadodara restaurants...');
+  await connectDB();
+
+  for (const restaurant of vadodaraRestaurants) {
+    try {
+      await seedRestaurant(restaurant);
+    } catch (error) {
+      console.error(`❌ Error seeding ${restaurant.name}:`, error.message);
+    }
+  }
+
+  mongoose.connection.close();
+  console.log('🔌 Database connection closed');
+};
+
+if (require.main === module) {
+  seedVadodara().catch(console.error);
+}
+
+module.exports = { seedVadodara };
@@ -17,6 +17,14 @@ const dishRoutes = require('./routes/dishes');
 const userRoutes = require('./routes/users');
 const orderRoutes = require('./routes/orders');
 const authRoutes = require('./routes/auth');
+const serviceabilityRoutes = require('./routes/serviceability');
+const searchRoutes = require('./routes/search');
+const couponRoutes = require('./routes/coupons');
+const paymentRoutes = require('./routes/payments');
+const splitBillRoutes = require('./routes/splitBills');
+const walletRoutes = require('./routes/wallet');
+const { startRestockJob } = require('./utils/inventory');
+const { getProvider, payee } = require('./utils/payments');
 
 // Middleware
 app.use(helmet());
@@ -29,18 +37,27 @@ app.use(cors({
     process.env.FRONTEND_URL
   ].filter(Boolean),
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // Payment providers send all their webhooks from a few addresses
+  skip: (req) => req.originalUrl.startsWith('/api/payments/webhooks/')
 });
 app.use(limiter);
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks/')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Database connection (always attempt, with sensible default)
@@ -53,6 +70,7 @@ mongoose
   .then(() => {
     console.log('✅ Connected to MongoDB');
     dbConnected = true;
+    startRestockJob();
   })
   .catch((err) => {
     console.log('⚠️  MongoDB connection failed');
@@ -109,12 +127,27 @@ try {
   }
 }
 
+// Payments can't run without a provider and a UPI payee, so refuse to start instead
+try {
+  const provider = getProvider();
+  console.log(`💳 Payments: ${provider.name}, UPI payee ${payee().vpa}`);
+} catch (error) {
+  console.error('❌ Payments are not configured:', error.message);
+  process.exit(1);
+}
+
 // Routes
 app.use('/api/restaurants', restaurantRoutes);
 app.use('/api/dishes', dishRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/serviceability', serviceabilityRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/split-bills', splitBillRoutes);
+app.use('/api/wallet', walletRoutes);
 
 // Serve uploaded files
 app.use('/uploads', express.static(require('path').join(__dirname, 'uploads')));
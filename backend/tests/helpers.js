@@ -0,0 +1,60 @@
+// Shared fixtures for the unit tests. Nothing here talks to MongoDB: tests
+// replace model methods with t.mock.method and hand back fake queries.
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+// A stand-in for a Mongoose query: chainable like one and awaitable
+const query = (result) => {
+  const q = {
+    select: () => q,
+    lean: () => q,
+    sort: () => q,
+    limit: () => q,
+    populate: () => q,
+    exec: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return q;
+};
+
+// Routes answer 503 unless the connection reports ready
+const connectDb = (t) => {
+  Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1, configurable: true });
+  t.after(() => { delete mongoose.connection.readyState; });
+};
+
+// Serve `router` under `path` on a free port; pass `users` so the auth
+// middleware can find whoever a token was signed for
+const startApp = async (t, path, router, users = []) => {
+  t.mock.method(User, 'findById', (id) => query(users.find((u) => String(u._id) === String(id)) || null));
+
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}${path}`;
+};
+
+const tokenFor = (user) => jwt.sign({ user: { id: String(user._id) } }, process.env.JWT_SECRET);
+
+const request = async (url, { method = 'GET', user, body } = {}) => {
+  const res = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(user ? { Authorization: `Bearer ${tokenFor(user)}` } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+module.exports = { query, connectDb, startApp, request };
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Dish = require('../models/Dish');
+const { consumeStock } = require('../utils/inventory');
+const { query } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Dishes keyed by id; findOneAndUpdate applies the conditional decrement the
+// way the database would, so a short dish doesn't match
+const fakeDishes = (t, dishes) => {
+  const byId = new Map(dishes.map(dish => [String(dish._id), { ...dish, stock: { ...dish.stock } }]));
+  const remaining = (dish) => dish.stock.remaining ?? dish.stock.dailyLimit;
+  t.mock.method(Dish, 'findOneAndUpdate', (filter, pipeline) => {
+    const dish = byId.get(String(filter._id));
+    const tracked = typeof dish?.stock?.dailyLimit === 'number';
+    if (!tracked) return query(null);
+    // consumeStock asks for $gte [current, qty]; restoreStock has no $expr
+    const [, quantity] = filter.$expr ? filter.$expr.$gte : [];
+    if (filter.$expr && remaining(dish) < quantity) return query(null);
+    const change = filter.$expr ? -quantity : pipeline[0].$set['stock.remaining'].$min[1].$add[1];
+    dish.stock.remaining = Math.min(dish.stock.dailyLimit, remaining(dish) + change);
+    return query({ ...dish });
+  });
+  t.mock.method(Dish, 'findById', (dishId) => query(byId.get(String(dishId)) || null));
+  return byId;
+};
+
+test('stock is taken off each counted dish', async (t) => {
+  const [naan, lassi, water] = [id(), id(), id()];
+  const dishes = fakeDishes(t, [
+    { _id: naan, name: 'Naan', restaurant: id(), isAvailable: true, stock: { dailyLimit: 20, remaining: 5 } },
+    { _id: lassi, name: 'Lassi', restaurant: id(), isAvailable: true, stock: { dailyLimit: 10 } },
+    { _id: water, name: 'Water', restaurant: id(), isAvailable: true, stock: {} },
+  ]);
+
+  const result = await consumeStock([{ dish: naan, quantity: 2 }, { dish: naan, quantity: 1 }, { dish: lassi, quantity: 4 }, { dish: water, quantity: 9 }]);
+
+  assert.deepStrictEqual(result, { ok: true });
+  assert.strictEqual(dishes.get(String(naan)).stock.remaining, 2);
+  assert.strictEqual(dishes.get(String(lassi)).stock.remaining, 6);
+});
+
+test('an order a dish is short for is refused and nothing is taken', async (t) => {
+  const [naan, lassi] = [id(), id()];
+  const dishes = fakeDishes(t, [
+    { _id: naan, name: 'Naan', restaurant: id(), isAvailable: true, stock: { dailyLimit: 20, remaining: 5 } },
+    { _id: lassi, name: 'Lassi', restaurant: id(), isAvailable: true, stock: { dailyLimit: 10, remaining: 1 } },
+  ]);
+
+  const result = await consumeStock([{ dish: naan, quantity: 3 }, { dish: lassi, quantity: 2 }]);
+
+  assert.deepStrictEqual(result, {
+    ok: false,
+    status: 409,
+    error: 'Only 1 Lassi left',
+    details: { dishId: String(lassi), remaining: 1 },
+  });
+  assert.strictEqual(dishes.get(String(naan)).stock.remaining, 5);
+  assert.strictEqual(dishes.get(String(lassi)).stock.remaining, 1);
+});
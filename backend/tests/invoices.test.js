@@ -0,0 +1,152 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Order = require('../models/Order');
+const InvoiceCounter = require('../models/InvoiceCounter');
+const { financialYearOf, checkInvoiceable, issueInvoice, buildInvoice, renderInvoiceHtml } = require('../utils/invoices');
+const { query } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const restaurant = { _id: id(), name: 'Spice Route', slug: 'spice-route', invoicePrefix: 'SPICE', gstin: '24AAACS1234A1Z5' };
+
+const paidOrder = (orderId) => ({ _id: id(), orderId, status: 'delivered', paymentStatus: 'paid', items: [], pricing: {}, totalAmount: 100 });
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), doc);
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+};
+
+// Just enough of MongoDB's matching for the filters issueInvoice writes with
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  if (path === '$or') return condition.some(branch => matches(doc, branch));
+  const value = path === '_id' ? doc._id : getPath(doc, path);
+  if (condition && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId)) {
+    if ('$exists' in condition && (value !== undefined) !== condition.$exists) return false;
+    if ('$nin' in condition && condition.$nin.includes(value)) return false;
+    if ('$lt' in condition && !(value < condition.$lt)) return false;
+    return true;
+  }
+  return String(value) === String(condition);
+});
+
+// Copies keep ObjectIds and Dates as they are, unlike structuredClone
+const copy = (order) => order && {
+  ...order,
+  invoice: order.invoice && { ...order.invoice, issuing: order.invoice.issuing && { ...order.invoice.issuing } },
+};
+
+// In-memory orders and invoice counters. Every call yields first, so
+// requests started together interleave the way they would against a database.
+const fakeDb = (t, orders) => {
+  const byId = new Map(orders.map(order => [String(order._id), copy(order)]));
+  const counters = new Map();
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  t.mock.method(Order, 'findById', (orderId) => query(tick().then(() => copy(byId.get(String(orderId))) || null)));
+  t.mock.method(Order, 'findOneAndUpdate', (filter, update) => query(tick().then(() => {
+    const doc = byId.get(String(filter._id));
+    if (!doc || !matches(doc, filter)) return null;
+    Object.entries(update.$set || {}).forEach(([path, value]) => setPath(doc, path, value));
+    Object.keys(update.$unset || {}).forEach(path => setPath(doc, path, undefined));
+    return copy(doc);
+  })));
+  t.mock.method(InvoiceCounter, 'findOneAndUpdate', async (filter, update) => {
+    await tick();
+    const key = `${filter.restaurant}:${filter.financialYear}`;
+    const seq = (counters.get(key) || 0) + update.$inc.seq;
+    counters.set(key, seq);
+    return { ...filter, seq };
+  });
+  return { orders: byId, counters };
+};
+
+test('invoices are numbered in sequence without gaps', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-06-15T06:30:00Z') });
+  const orders = ['ORD-1', 'ORD-2', 'ORD-3'].map(paidOrder);
+  const db = fakeDb(t, orders);
+
+  const numbers = [];
+  for (const order of orders) {
+    const result = await issueInvoice(order, restaurant);
+    assert.strictEqual(result.ok, true);
+    numbers.push(result.order.invoice.number);
+  }
+
+  assert.deepStrictEqual(numbers, ['SPICE/2627/00001', 'SPICE/2627/00002', 'SPICE/2627/00003']);
+  const again = await issueInvoice(db.orders.get(String(orders[1]._id)), restaurant);
+  assert.strictEqual(again.order.invoice.number, 'SPICE/2627/00002');
+  assert.strictEqual(db.counters.get(`${restaurant._id}:2026-27`), 3);
+});
+
+test('concurrent requests for the same invoice take one number between them', async (t) => {
+  const [first, second] = [paidOrder('ORD-10'), paidOrder('ORD-11')];
+  const db = fakeDb(t, [first, second]);
+
+  const results = await Promise.all([
+    issueInvoice(first, restaurant),
+    issueInvoice(first, restaurant),
+    issueInvoice(first, restaurant),
+  ]);
+
+  const numbers = results.map(result => result.order.invoice.number);
+  assert.strictEqual(new Set(numbers).size, 1);
+  assert.strictEqual(db.orders.get(String(first._id)).invoice.issuing, undefined);
+  const next = await issueInvoice(second, restaurant);
+  assert.match(next.order.invoice.number, /\/00002$/);
+});
+
+test('a claim left by a request that died is taken over', async (t) => {
+  const order = { ...paidOrder('ORD-20'), invoice: { issuing: { token: id(), at: new Date(Date.now() - 60 * 1000) } } };
+  fakeDb(t, [order]);
+
+  const result = await issueInvoice(order, restaurant);
+
+  assert.strictEqual(result.ok, true);
+  assert.match(result.order.invoice.number, /\/00001$/);
+});
+
+test('the financial year rolls over at midnight IST on 1 April', () => {
+  assert.deepStrictEqual(financialYearOf(new Date('2027-03-31T18:29:59Z')), { label: '2026-27', code: '2627' });
+  assert.deepStrictEqual(financialYearOf(new Date('2027-03-31T18:30:00Z')), { label: '2027-28', code: '2728' });
+  assert.deepStrictEqual(financialYearOf(new Date('2027-01-10T00:00:00Z')), { label: '2026-27', code: '2627' });
+});
+
+test('numbering starts again at 1 in a new financial year', async (t) => {
+  const orders = ['ORD-30', 'ORD-31', 'ORD-32'].map(paidOrder);
+  const db = fakeDb(t, orders);
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2027-03-31T18:00:00Z') });
+
+  const march = [await issueInvoice(orders[0], restaurant), await issueInvoice(orders[1], restaurant)];
+  t.mock.timers.setTime(new Date('2027-03-31T18:30:00Z').getTime());
+  const april = await issueInvoice(orders[2], restaurant);
+
+  assert.deepStrictEqual(march.map(result => result.order.invoice.number), ['SPICE/2627/00001', 'SPICE/2627/00002']);
+  assert.strictEqual(april.order.invoice.number, 'SPICE/2728/00001');
+  assert.strictEqual(april.order.invoice.financialYear, '2027-28');
+  assert.strictEqual(db.counters.get(`${restaurant._id}:2026-27`), 2);
+});
+
+test('a cancelled order is not numbered, but an issued invoice is shown as cancelled', async (t) => {
+  const cancelled = { ...paidOrder('ORD-40'), status: 'cancelled' };
+  const db = fakeDb(t, [cancelled]);
+
+  assert.strictEqual(checkInvoiceable(cancelled).ok, false);
+  const refused = await issueInvoice(cancelled, restaurant);
+  assert.deepStrictEqual(refused, { ok: false, status: 409, error: 'Cancelled orders have no invoice' });
+  assert.strictEqual(db.counters.size, 0);
+
+  const voided = {
+    ...cancelled,
+    invoice: { number: 'SPICE/2627/00007', financialYear: '2026-27', issuedAt: new Date(), gstin: restaurant.gstin, cancelledAt: new Date() },
+  };
+  assert.strictEqual(checkInvoiceable(voided).ok, true);
+  const html = renderInvoiceHtml(buildInvoice(voided, restaurant, { name: 'Asha' }));
+  assert.match(html, /class="cancelled"/);
+  assert.match(html, /this tax invoice is void/);
+});
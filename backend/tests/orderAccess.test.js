@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Order = require('../models/Order');
+const Restaurant = require('../models/Restaurant');
+const ordersRouter = require('../routes/orders');
+const { query, connectDb, startApp, request } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const owner = { _id: id(), name: 'Owner', role: 'restaurant_owner' };
+const customer = { _id: id(), name: 'Customer', role: 'user' };
+const stranger = { _id: id(), name: 'Stranger', role: 'user' };
+const driver = { _id: id(), name: 'Driver', role: 'delivery_partner' };
+const restaurant = { _id: id(), name: 'Spice Route', owner: owner._id, isActive: true };
+
+const order = {
+  _id: id(),
+  orderId: 'ORD-2001',
+  user: customer._id,
+  restaurant: restaurant._id,
+  restaurantName: restaurant.name,
+  status: 'out_for_delivery',
+  deliveryAddress: { street: '12 MG Road', city: 'Vadodara' },
+  driver: { id: driver._id, name: driver.name },
+  items: [],
+};
+
+const stubOrderLookups = (t) => {
+  t.mock.method(Order, 'findOne', () => query(order));
+  t.mock.method(Restaurant, 'findById', async (rid) => (String(rid) === String(restaurant._id) ? restaurant : null));
+};
+
+test('tracking needs a login', async (t) => {
+  connectDb(t);
+  stubOrderLookups(t);
+  const url = await startApp(t, '/api/orders', ordersRouter, []);
+
+  const res = await request(`${url}/tracking/ORD-2001`);
+
+  assert.strictEqual(res.status, 401);
+});
+
+test('tracking is refused to someone outside the order', async (t) => {
+  connectDb(t);
+  stubOrderLookups(t);
+  const url = await startApp(t, '/api/orders', ordersRouter, [stranger]);
+
+  const res = await request(`${url}/tracking/ORD-2001`, { user: stranger });
+
+  assert.strictEqual(res.status, 403);
+});
+
+test('the customer, the restaurant owner and the driver can track the order', async (t) => {
+  connectDb(t);
+  stubOrderLookups(t);
+  const url = await startApp(t, '/api/orders', ordersRouter, [customer, owner, driver]);
+
+  for (const user of [customer, owner, driver]) {
+    const res = await request(`${url}/tracking/ORD-2001`, { user });
+    assert.strictEqual(res.status, 200, user.name);
+  }
+});
+
+// Captures the filter the list and summary run with
+const stubOrderList = (t) => {
+  const filters = [];
+  t.mock.method(Order, 'find', (filter) => {
+    filters.push(filter);
+    return query([]);
+  });
+  t.mock.method(Order, 'aggregate', async (pipeline) => {
+    filters.push(pipeline[0].$match);
+    return [];
+  });
+  return filters;
+};
+
+test('listing orders needs a login', async (t) => {
+  connectDb(t);
+  stubOrderList(t);
+  const url = await startApp(t, '/api/orders', ordersRouter, []);
+
+  assert.strictEqual((await request(url)).status, 401);
+  assert.strictEqual((await request(`${url}/summary`)).status, 401);
+});
+
+test('each role lists only its own orders', async (t) => {
+  connectDb(t);
+  const filters = stubOrderList(t);
+  t.mock.method(Restaurant, 'find', () => query([{ _id: restaurant._id, slug: 'spice-route' }]));
+  const admin = { _id: id(), name: 'Admin', role: 'admin' };
+  const url = await startApp(t, '/api/orders', ordersRouter, [customer, owner, driver, admin]);
+
+  for (const user of [customer, owner, driver, admin]) {
+    assert.strictEqual((await request(url, { user })).status, 200, user.name);
+  }
+
+  const [forCustomer, forOwner, forDriver, forAdmin] = filters.map(filter => filter.$and[0]);
+  assert.strictEqual(String(forCustomer.user), String(customer._id));
+  assert.deepStrictEqual(forOwner.$or[0].restaurant.$in, [restaurant._id]);
+  assert.deepStrictEqual(forOwner.$or[1].restaurantId.$in, [String(restaurant._id), 'spice-route']);
+  assert.deepStrictEqual(forDriver['driver.id'].$in, [driver._id, String(driver._id)]);
+  assert.deepStrictEqual(forAdmin, {});
+});
+
+test('the summary is scoped the same way', async (t) => {
+  connectDb(t);
+  const filters = stubOrderList(t);
+  const url = await startApp(t, '/api/orders', ordersRouter, [customer]);
+
+  const res = await request(`${url}/summary`, { user: customer });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(filters.length, 2);
+  filters.forEach(filter => assert.strictEqual(String(filter.$and[0].user), String(customer._id)));
+});
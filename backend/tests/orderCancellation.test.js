@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Dish = require('../models/Dish');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const Restaurant = require('../models/Restaurant');
+const ordersRouter = require('../routes/orders');
+const { query, connectDb, startApp, request } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const owner = { _id: id(), name: 'Owner', role: 'restaurant_owner' };
+const otherOwner = { _id: id(), name: 'Other owner', role: 'restaurant_owner' };
+const customer = { _id: id(), name: 'Customer', role: 'user' };
+const restaurant = { _id: id(), name: 'Spice Route', owner: owner._id, isActive: true };
+
+const paidOrder = (status) => ({
+  _id: id(),
+  orderId: 'ORD-1001',
+  user: customer._id,
+  restaurant: restaurant._id,
+  restaurantName: restaurant.name,
+  status,
+  paymentMethod: 'upi',
+  paymentStatus: 'paid',
+  totalAmount: 525,
+  pricing: { subtotal: 500, total: 525 },
+  items: [],
+});
+
+// Stubs the order lookups and write; returns the calls made so tests can
+// inspect what was written
+const stubOrder = (t, doc) => {
+  const calls = { update: [], refunds: [] };
+  t.mock.method(Order, 'findOne', () => query(doc));
+  t.mock.method(Order, 'findOneAndUpdate', (filter, update) => {
+    calls.update.push({ filter, update });
+    return query(filter.status === doc.status ? { ...doc, ...update.$set } : null);
+  });
+  t.mock.method(Order, 'updateOne', async () => ({ acknowledged: true }));
+  t.mock.method(Restaurant, 'findById', async (rid) => (String(rid) === String(restaurant._id) ? restaurant : null));
+  t.mock.method(Refund, 'create', async (data) => {
+    calls.refunds.push(data);
+    return { _id: id(), ...data };
+  });
+  return calls;
+};
+
+test('a paid order the restaurant rejects is cancelled and refunded in full', async (t) => {
+  connectDb(t);
+  const calls = stubOrder(t, paidOrder('confirmed'));
+  const url = await startApp(t, '/api/orders', ordersRouter, [owner]);
+
+  const res = await request(`${url}/ORD-1001/reject-restaurant`, { method: 'POST', user: owner, body: { reason: 'Out of paneer' } });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.status, 'cancelled');
+  assert.strictEqual(calls.update[0].update.$set.status, 'cancelled');
+  assert.strictEqual(calls.update[0].update.$set.cancellation.fee, 0);
+  assert.strictEqual(calls.refunds.length, 1);
+  assert.strictEqual(calls.refunds[0].amount, 525);
+  assert.strictEqual(calls.refunds[0].cancellationFee, 0);
+  assert.strictEqual(calls.refunds[0].status, 'initiated');
+  assert.strictEqual(res.body.refund.amount, 525);
+});
+
+test('a customer cancelling the same order pays the cancellation fee', async (t) => {
+  connectDb(t);
+  const calls = stubOrder(t, paidOrder('confirmed'));
+  const url = await startApp(t, '/api/orders', ordersRouter, [customer]);
+
+  const res = await request(`${url}/ORD-1001/cancel`, { method: 'POST', user: customer });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(calls.refunds[0].cancellationFee, 50);
+  assert.strictEqual(calls.refunds[0].amount, 475);
+});
+
+test('another restaurant cannot reject the order', async (t) => {
+  connectDb(t);
+  const calls = stubOrder(t, paidOrder('pending'));
+  const url = await startApp(t, '/api/orders', ordersRouter, [otherOwner]);
+
+  const res = await request(`${url}/ORD-1001/reject-restaurant`, { method: 'POST', user: otherOwner });
+
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(calls.update.length, 0);
+  assert.strictEqual(calls.refunds.length, 0);
+});
+
+test('cancelling an accepted order puts its dishes back on stock', async (t) => {
+  connectDb(t);
+  const dishId = id();
+  const order = { ...paidOrder('confirmed'), items: [{ dish: dishId, quantity: 2 }, { dish: dishId, quantity: 1 }] };
+  stubOrder(t, order);
+  const restocked = [];
+  t.mock.method(Dish, 'findOneAndUpdate', (filter, pipeline) => {
+    restocked.push({ filter, set: pipeline[0].$set });
+    return query(null);
+  });
+  const url = await startApp(t, '/api/orders', ordersRouter, [owner]);
+
+  const res = await request(`${url}/ORD-1001/reject-restaurant`, { method: 'POST', user: owner });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(restocked.length, 1);
+  assert.strictEqual(String(restocked[0].filter._id), String(dishId));
+  assert.strictEqual(restocked[0].set['stock.remaining'].$min[1].$add[1], 3);
+});
+
+test('rejecting a pending order leaves stock alone', async (t) => {
+  connectDb(t);
+  stubOrder(t, { ...paidOrder('pending'), items: [{ dish: id(), quantity: 2 }] });
+  const restock = t.mock.method(Dish, 'findOneAndUpdate', () => query(null));
+  const url = await startApp(t, '/api/orders', ordersRouter, [owner]);
+
+  const res = await request(`${url}/ORD-1001/reject-restaurant`, { method: 'POST', user: owner });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(restock.mock.callCount(), 0);
+});
+
+test('cancelling an order whose invoice was issued marks the invoice cancelled', async (t) => {
+  connectDb(t);
+  const calls = stubOrder(t, { ...paidOrder('confirmed'), invoice: { number: 'SPICE/2627/00007' } });
+  t.mock.method(Dish, 'findOneAndUpdate', () => query(null));
+  const url = await startApp(t, '/api/orders', ordersRouter, [owner]);
+
+  const res = await request(`${url}/ORD-1001/reject-restaurant`, { method: 'POST', user: owner });
+
+  assert.strictEqual(res.status, 200);
+  assert.ok(calls.update[0].update.$set['invoice.cancelledAt'] instanceof Date);
+});
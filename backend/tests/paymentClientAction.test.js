@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const PaymentIntent = require('../models/PaymentIntent');
+const { createTopUpIntent } = require('../utils/payments');
+const { payee, toQrCodeDataUrl } = require('../utils/payments/upi');
+
+process.env.UPI_PAYEE_VPA = 'cravecart@okaxis';
+
+// PaymentIntent.create without a database: a document whose save() is a no-op
+const stubIntentCreate = (t) => t.mock.method(PaymentIntent, 'create', async (data) => {
+  const intent = new PaymentIntent(data);
+  intent.save = async () => intent;
+  return intent;
+});
+
+const topUp = () => createTopUpIntent({ user: { _id: new mongoose.Types.ObjectId(), name: 'Asha' }, amount: 250, upiId: 'asha@okaxis' });
+
+test('a provider with its own payment link keeps it, and the QR code points there', async (t) => {
+  process.env.PAYMENT_PROVIDER = 'razorpay';
+  process.env.RAZORPAY_KEY_ID = 'rzp_test';
+  process.env.RAZORPAY_KEY_SECRET = 'secret';
+  stubIntentCreate(t);
+  t.mock.method(globalThis, 'fetch', async () => ({
+    ok: true,
+    json: async () => ({ id: 'plink_1', short_url: 'https://rzp.io/i/abc' }),
+  }));
+
+  const { ok, intent } = await topUp();
+
+  assert.strictEqual(ok, true);
+  assert.strictEqual(intent.clientAction.type, 'redirect');
+  assert.strictEqual(intent.clientAction.url, 'https://rzp.io/i/abc');
+  assert.strictEqual(intent.clientAction.uri, undefined);
+  assert.strictEqual(intent.clientAction.qrCode, await toQrCodeDataUrl('https://rzp.io/i/abc'));
+});
+
+test('the mock provider gets a UPI link referencing the intent', async (t) => {
+  process.env.PAYMENT_PROVIDER = 'mock';
+  process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+  process.env.MOCK_PAYMENT_DELAY_MS = '600000';
+  stubIntentCreate(t);
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+
+  const { ok, intent } = await topUp();
+
+  assert.strictEqual(ok, true);
+  assert.strictEqual(intent.clientAction.type, 'upi_intent');
+  assert.match(intent.clientAction.uri, new RegExp(`^upi://pay\\?pa=cravecart@okaxis&.*tr=${intent._id}&.*am=250\\.00&cu=INR$`));
+  assert.match(intent.clientAction.qrCode, /^data:image\/png;base64,/);
+});
+
+test('UPI links need a valid payee UPI ID', (t) => {
+  t.after(() => { process.env.UPI_PAYEE_VPA = 'cravecart@okaxis'; });
+  delete process.env.UPI_PAYEE_VPA;
+  assert.throws(() => payee(), /UPI_PAYEE_VPA is not set/);
+  process.env.UPI_PAYEE_VPA = 'cravecart';
+  assert.throws(() => payee(), /not a valid UPI ID/);
+});
@@ -0,0 +1,39 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { getProvider } = require('../utils/payments');
+const mock = require('../utils/payments/mock');
+
+const saved = { ...process.env };
+beforeEach(() => {
+  process.env = { ...saved };
+  delete process.env.PAYMENT_PROVIDER;
+  delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  process.env.NODE_ENV = 'development';
+});
+
+test('PAYMENT_PROVIDER has no default', () => {
+  assert.throws(() => getProvider(), /PAYMENT_PROVIDER is not set/);
+});
+
+test('unknown providers are refused', () => {
+  process.env.PAYMENT_PROVIDER = 'paypal';
+  assert.throws(() => getProvider(), /Unknown PAYMENT_PROVIDER "paypal"/);
+});
+
+test('the mock provider is refused in production', () => {
+  process.env.PAYMENT_PROVIDER = 'mock';
+  assert.strictEqual(getProvider().name, 'mock');
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => getProvider(), /cannot be used in production/);
+  process.env.PAYMENT_PROVIDER = 'razorpay';
+  assert.strictEqual(getProvider().name, 'razorpay');
+});
+
+test('the mock provider needs its own webhook secret', async () => {
+  await assert.rejects(
+    mock.createPayment({ _id: 'pi_1', amount: 100, upiId: 'asha@okaxis' }, { reference: 'ORD-1', description: 'Order ORD-1' }),
+    /MOCK_PAYMENT_WEBHOOK_SECRET is not set/
+  );
+  assert.strictEqual(mock.verifyWebhook(Buffer.from('{}'), { 'x-mock-signature': 'anything' }), false);
+});
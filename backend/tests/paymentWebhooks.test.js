@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Order = require('../models/Order');
+const PaymentIntent = require('../models/PaymentIntent');
+const { handleWebhook } = require('../utils/payments');
+const { signPayload } = require('../utils/payments/signature');
+const { query } = require('./helpers');
+
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const deliver = (event) => {
+  const rawBody = Buffer.from(JSON.stringify({ event, providerRef: 'mock_1' }));
+  return handleWebhook('mock', rawBody, { 'x-mock-signature': signPayload(process.env.MOCK_PAYMENT_WEBHOOK_SECRET, rawBody) });
+};
+
+// Silence the refund warnings the flagging paths log
+const quietWarnings = (t) => t.mock.method(console, 'warn', () => {});
+
+test('a success for an intent that already failed leaves it failed and flags a refund', async (t) => {
+  quietWarnings(t);
+  const updates = [];
+  t.mock.method(PaymentIntent, 'findOneAndUpdate', async (filter, update) => {
+    updates.push({ filter, update });
+    return filter.status === 'failed' ? { _id: new mongoose.Types.ObjectId(), status: 'failed', refundDue: true } : null;
+  });
+  const orderWrite = t.mock.method(Order, 'updateOne', async () => ({ matchedCount: 1 }));
+
+  const result = await deliver('payment.succeeded');
+
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.ignored, true);
+  assert.strictEqual(updates[0].filter.status, 'pending');
+  assert.strictEqual(updates[1].filter.status, 'failed');
+  assert.strictEqual(updates[1].update.$set.refundDue, true);
+  assert.strictEqual(updates[1].update.$set.status, undefined);
+  assert.strictEqual(orderWrite.mock.callCount(), 0);
+});
+
+test('a payment captured after the order was cancelled is flagged, not marked paid', async (t) => {
+  quietWarnings(t);
+  const orderRef = new mongoose.Types.ObjectId();
+  const intent = { _id: new mongoose.Types.ObjectId(), purpose: 'order', order: orderRef, status: 'succeeded', amount: 500 };
+  t.mock.method(PaymentIntent, 'findOneAndUpdate', async () => intent);
+  t.mock.method(PaymentIntent, 'find', () => query([{ amount: 500, status: 'succeeded' }]));
+  const flagged = t.mock.method(PaymentIntent, 'updateOne', async () => ({ matchedCount: 1 }));
+  t.mock.method(Order, 'findById', () => query({
+    _id: orderRef,
+    orderId: 'ORD-1002',
+    status: 'cancelled',
+    cancellation: { fee: 0, refundAmount: 0 },
+    totalAmount: 500,
+    paymentStatus: 'pending',
+    paidAmount: 0,
+  }));
+  const orderWrite = t.mock.method(Order, 'updateOne', async () => ({ matchedCount: 1 }));
+
+  const result = await deliver('payment.succeeded');
+
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(flagged.mock.callCount(), 1);
+  assert.deepStrictEqual(flagged.mock.calls[0].arguments, [{ _id: intent._id }, { $set: { refundDue: true } }]);
+  assert.strictEqual(orderWrite.mock.callCount(), 0);
+});
+
+test('a payment already covered by the cancellation refund is not flagged again', async (t) => {
+  const orderRef = new mongoose.Types.ObjectId();
+  t.mock.method(PaymentIntent, 'findOneAndUpdate', async () => ({ _id: new mongoose.Types.ObjectId(), purpose: 'order', order: orderRef, status: 'succeeded', amount: 500 }));
+  t.mock.method(PaymentIntent, 'find', () => query([{ amount: 500, status: 'succeeded' }]));
+  const flagged = t.mock.method(PaymentIntent, 'updateOne', async () => ({ matchedCount: 1 }));
+  t.mock.method(Order, 'findById', () => query({
+    _id: orderRef,
+    orderId: 'ORD-1003',
+    status: 'cancelled',
+    cancellation: { fee: 50, refundAmount: 450 },
+    totalAmount: 500,
+    paymentStatus: 'paid',
+  }));
+
+  await deliver('payment.succeeded');
+
+  assert.strictEqual(flagged.mock.callCount(), 0);
+});
+
+test('a paid online order is released to the restaurant', async (t) => {
+  const orderRef = new mongoose.Types.ObjectId();
+  t.mock.method(PaymentIntent, 'findOneAndUpdate', async () => ({ _id: new mongoose.Types.ObjectId(), purpose: 'order', order: orderRef, status: 'succeeded', amount: 500 }));
+  t.mock.method(PaymentIntent, 'find', () => query([{ amount: 500, status: 'succeeded' }]));
+  t.mock.method(Order, 'findById', () => query({
+    _id: orderRef,
+    orderId: 'ORD-1004',
+    status: 'awaiting_payment',
+    totalAmount: 500,
+    paymentStatus: 'pending',
+    paidAmount: 0,
+  }));
+  t.mock.method(Order, 'updateOne', async () => ({ matchedCount: 1 }));
+  const release = t.mock.method(Order, 'findOneAndUpdate', () => query({ _id: orderRef, orderId: 'ORD-1004', status: 'pending' }));
+
+  await deliver('payment.succeeded');
+
+  assert.strictEqual(release.mock.callCount(), 1);
+  const [filter, update] = release.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, { _id: orderRef, status: 'awaiting_payment' });
+  assert.strictEqual(update.$set.status, 'pending');
+  assert.strictEqual(update.$push.statusHistory.reason, 'Payment received');
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Restaurant = require('../models/Restaurant');
+const restaurantsRouter = require('../routes/restaurants');
+const { connectDb, startApp, request } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const ownerId = id();
+const owner = { _id: ownerId, id: String(ownerId), name: 'Owner', role: 'restaurant_owner' };
+const restaurant = { _id: id(), name: 'Spice Route', owner: owner._id, rating: 3.2, ratingCount: 40 };
+
+test('an owner update cannot touch the rating, review count or owner', async (t) => {
+  connectDb(t);
+  t.mock.method(Restaurant, 'findById', async () => restaurant);
+  const update = t.mock.method(Restaurant, 'findByIdAndUpdate', async (rid, updates) => ({ ...restaurant, ...updates }));
+  const url = await startApp(t, '/api/restaurants', restaurantsRouter, [owner]);
+
+  const res = await request(`${url}/${restaurant._id}`, {
+    method: 'PUT',
+    user: owner,
+    body: { description: 'Now with biryani', rating: 5, ratingCount: 999, owner: String(id()), slug: 'best' },
+  });
+
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(update.mock.calls[0].arguments[1], { description: 'Now with biryani' });
+  assert.strictEqual(res.body.rating, 3.2);
+});
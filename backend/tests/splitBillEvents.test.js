@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const SplitBill = require('../models/SplitBill');
+const splitBillsRouter = require('../routes/splitBills');
+const { query, connectDb, startApp, request } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const organizer = { _id: id(), name: 'Organizer', role: 'user' };
+const stranger = { _id: id(), name: 'Stranger', role: 'user' };
+const bill = {
+  _id: id(),
+  orderId: 'ORD-3001',
+  organizer: organizer._id,
+  participants: [{ _id: id(), token: 'share-token-1' }, { _id: id(), token: 'share-token-2' }],
+};
+
+// Open the stream, note the response and hang up without waiting for events
+const openStream = async (url, headers = {}) => {
+  const controller = new AbortController();
+  const res = await fetch(url, { headers, signal: controller.signal });
+  controller.abort();
+  return { status: res.status, type: res.headers.get('content-type') };
+};
+
+const setup = async (t) => {
+  connectDb(t);
+  t.mock.method(SplitBill, 'findOne', () => query(bill));
+  return startApp(t, '/api/split-bills', splitBillsRouter, [organizer, stranger]);
+};
+
+test('split bill events need a login or a pay link token', async (t) => {
+  const url = await setup(t);
+
+  const res = await request(`${url}/ORD-3001/events`);
+
+  assert.strictEqual(res.status, 401);
+});
+
+test('split bill events are refused to other customers and unknown tokens', async (t) => {
+  const url = await setup(t);
+
+  assert.strictEqual((await request(`${url}/ORD-3001/events`, { user: stranger })).status, 403);
+  assert.strictEqual((await request(`${url}/ORD-3001/events?token=guessed`)).status, 401);
+});
+
+test('split bill events stream to a pay link holder', async (t) => {
+  const url = await setup(t);
+
+  const res = await openStream(`${url}/ORD-3001/events?token=share-token-2`);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.type, 'text/event-stream');
+});
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const { creditWallet, debitWallet } = require('../utils/wallet');
+const { initiateRefund } = require('../utils/refunds');
+const { query } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Records the transactions written; returns them with the stub
+const stubTransactions = (t, { existing = null } = {}) => {
+  const written = [];
+  t.mock.method(WalletTransaction, 'findOne', async () => existing);
+  const create = t.mock.method(WalletTransaction, 'create', async (data) => {
+    written.push(data);
+    return { _id: id(), ...data };
+  });
+  return { written, create };
+};
+
+test('a debit the balance does not cover is refused without touching the ledger', async (t) => {
+  const user = id();
+  const { create } = stubTransactions(t);
+  const walletUpdate = t.mock.method(Wallet, 'findOneAndUpdate', async () => null);
+  t.mock.method(Wallet, 'findOne', () => query({ balancePaise: 12050 }));
+
+  const result = await debitWallet({ user, type: 'order_payment', amount: 200, key: 'order:ORD-1' });
+
+  assert.deepStrictEqual(result, { ok: false, status: 409, error: 'Your wallet balance is only ₹120.5', details: { balance: 120.5 } });
+  const [filter, update] = walletUpdate.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, { user, balancePaise: { $gte: 20000 } });
+  assert.deepStrictEqual(update, { $inc: { balancePaise: -20000 } });
+  assert.strictEqual(create.mock.callCount(), 0);
+});
+
+test('a debit the balance covers posts balanced entries', async (t) => {
+  const user = id();
+  const { written } = stubTransactions(t);
+  t.mock.method(Wallet, 'findOneAndUpdate', async () => ({ user, balancePaise: 5000 }));
+
+  const result = await debitWallet({ user, type: 'order_payment', amount: 150, key: 'order:ORD-2', orderId: 'ORD-2' });
+
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(written[0].balanceAfter, 50);
+  assert.deepStrictEqual(written[0].entries, [{ account: 'wallet', debit: 150 }, { account: 'orders', credit: 150 }]);
+});
+
+test('a posting whose key was already used is replayed, not applied twice', async (t) => {
+  const existing = { _id: id(), key: 'topup:pi_1', amount: 100 };
+  const { create } = stubTransactions(t, { existing });
+  const walletUpdate = t.mock.method(Wallet, 'findOneAndUpdate', async () => ({ balancePaise: 0 }));
+
+  const result = await creditWallet({ user: id(), type: 'topup', amount: 100, key: 'topup:pi_1' });
+
+  assert.deepStrictEqual(result, { ok: true, transaction: existing, replayed: true });
+  assert.strictEqual(walletUpdate.mock.callCount(), 0);
+  assert.strictEqual(create.mock.callCount(), 0);
+});
+
+test('the balance is put back when the transaction cannot be written', async (t) => {
+  const user = id();
+  t.mock.method(WalletTransaction, 'findOne', async () => null);
+  t.mock.method(WalletTransaction, 'create', async () => { throw new Error('write failed'); });
+  t.mock.method(Wallet, 'findOneAndUpdate', async () => ({ user, balancePaise: 10000 }));
+  const restore = t.mock.method(Wallet, 'updateOne', async () => ({ matchedCount: 1 }));
+
+  await assert.rejects(creditWallet({ user, type: 'cashback', amount: 25 }), /write failed/);
+  assert.deepStrictEqual(restore.mock.calls[0].arguments, [{ user }, { $inc: { balancePaise: -2500 } }]);
+});
+
+test('wallet money on a cancelled order is refunded to the wallet straight away', async (t) => {
+  const user = id();
+  const order = { _id: id(), orderId: 'ORD-3', user, paymentMethod: 'upi', walletAmount: 120 };
+  const refunds = [];
+  t.mock.method(Refund, 'create', async (data) => {
+    refunds.push(data);
+    return { _id: id(), ...data };
+  });
+  const { written } = stubTransactions(t);
+  const walletUpdate = t.mock.method(Wallet, 'findOneAndUpdate', async () => ({ user, balancePaise: 32000 }));
+  const orderUpdate = t.mock.method(Order, 'updateOne', async () => ({ matchedCount: 1 }));
+
+  const refund = await initiateRefund(order, { refundAmount: 120, fee: 0 });
+
+  assert.strictEqual(refunds[0].method, 'wallet');
+  assert.strictEqual(refunds[0].status, 'processed');
+  assert.deepStrictEqual(walletUpdate.mock.calls[0].arguments[1], { $inc: { balancePaise: 12000 } });
+  assert.strictEqual(written[0].type, 'refund');
+  assert.strictEqual(written[0].key, `refund:${refund._id}`);
+  assert.strictEqual(written[0].balanceAfter, 320);
+  assert.deepStrictEqual(written[0].entries, [{ account: 'wallet', credit: 120 }, { account: 'refunds', debit: 120 }]);
+  assert.deepStrictEqual(orderUpdate.mock.calls[0].arguments[1], { $set: { paymentStatus: 'refunded' } });
+});
+
+test('only the wallet share is credited when the rest was paid by UPI', async (t) => {
+  const user = id();
+  const order = { _id: id(), orderId: 'ORD-4', user, paymentMethod: 'upi', walletAmount: 100 };
+  const refunds = [];
+  t.mock.method(Refund, 'create', async (data) => {
+    refunds.push(data);
+    return { _id: id(), ...data };
+  });
+  const { written } = stubTransactions(t);
+  t.mock.method(Wallet, 'findOneAndUpdate', async () => ({ user, balancePaise: 10000 }));
+  const orderUpdate = t.mock.method(Order, 'updateOne', async () => ({ matchedCount: 1 }));
+
+  await initiateRefund(order, { refundAmount: 400, fee: 50 });
+
+  assert.strictEqual(refunds[0].method, 'upi');
+  assert.strictEqual(refunds[0].status, 'initiated');
+  assert.strictEqual(refunds[0].walletAmount, 100);
+  assert.strictEqual(written[0].amount, 100);
+  assert.strictEqual(orderUpdate.mock.callCount(), 0);
+});
@@ -0,0 +1,37 @@
+// Delivery address helpers shared by the address book and order creation.
+//
+// Orders store a flat, structured address:
+//   { type, street, city, state, zipCode, landmark, coordinates: { latitude, longitude } }
+// which is what the tracking payload and the dashboards read back.
+
+const { toLatLng } = require('./geo');
+
+const ADDRESS_TYPES = ['home', 'work', 'other'];
+
+const clean = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+// Accepts a flat address, an address-book entry ({ type, address, coordinates })
+// or, for older clients, a plain string. Returns null when unusable.
+const toDeliveryAddress = (input) => {
+  if (typeof input === 'string') return clean(input) || null;
+  if (!input || typeof input !== 'object') return null;
+
+  const source = input.address && typeof input.address === 'object'
+    ? { ...input.address, type: input.type, coordinates: input.coordinates }
+    : input;
+  const street = clean(source.street);
+  const city = clean(source.city);
+  if (!street || !city) return null;
+
+  return {
+    type: ADDRESS_TYPES.includes(source.type) ? source.type : undefined,
+    street,
+    city,
+    state: clean(source.state),
+    zipCode: clean(source.zipCode),
+    landmark: clean(source.landmark),
+    coordinates: toLatLng(source.coordinates) || undefined,
+  };
+};
+
+module.exports = { ADDRESS_TYPES, toDeliveryAddress };
@@ -0,0 +1,84 @@
+// Promo codes. checkCoupon() decides whether a code applies to a cart and
+// how much it takes off; priceOrder runs it so the discount on an order is
+// always computed here, never taken from the client.
+//
+// checkCoupon() returns { ok: true, coupon, discount }
+// or { ok: false, status, error, details } ready to send as a response.
+// Coupons need a logged-in customer: per-user limits and first-order offers
+// are counted against their orders. Cancelled and rejected orders don't count.
+
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+
+const NOT_COUNTED = ['cancelled', 'rejected'];
+
+// orderPricing requires this module, so fetch its rounding on first use
+const roundMoney = (value) => require('./orderPricing').roundMoney(value);
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Discount for a food subtotal, never more than the subtotal itself
+const computeDiscount = (coupon, subtotal) => {
+  const raw = coupon.discountType === 'percent' ? subtotal * coupon.value / 100 : coupon.value;
+  const capped = typeof coupon.maxDiscount === 'number' ? Math.min(raw, coupon.maxDiscount) : raw;
+  return roundMoney(Math.min(capped, subtotal));
+};
+
+const appliesToRestaurant = (coupon, restaurant) => {
+  const restaurants = (coupon.restaurants || []).map(String);
+  const cuisines = coupon.cuisines || [];
+  if (restaurants.length === 0 && cuisines.length === 0) return true;
+  return restaurants.includes(String(restaurant._id)) ||
+    (restaurant.cuisines || []).some(cuisine => cuisines.includes(cuisine));
+};
+
+const rejected = (status, error, code) => ({ ok: false, status, error, details: { couponCode: code } });
+
+const checkCoupon = async ({ code, user, restaurant, subtotal, now = new Date() }) => {
+  const normalized = normalizeCode(code);
+  if (!user) return rejected(401, 'Log in to use a coupon', normalized);
+
+  const coupon = await Coupon.findOne({ code: normalized, isActive: true });
+  if (!coupon) return rejected(404, `${normalized} is not a valid coupon`, normalized);
+  if (coupon.validFrom && coupon.validFrom > now) return rejected(422, `${normalized} is not active yet`, normalized);
+  if (coupon.validUntil && coupon.validUntil <= now) return rejected(422, `${normalized} has expired`, normalized);
+  if (!appliesToRestaurant(coupon, restaurant)) {
+    return rejected(422, `${normalized} can't be used at ${restaurant.name}`, normalized);
+  }
+  if (subtotal < coupon.minOrderAmount) {
+    return rejected(422, `Add items worth ₹${roundMoney(coupon.minOrderAmount - subtotal)} more to use ${normalized}`, normalized);
+  }
+
+  const counted = { user: user._id, status: { $nin: NOT_COUNTED } };
+  if (coupon.firstOrderOnly && await Order.exists(counted)) {
+    return rejected(422, `${normalized} is only for your first order`, normalized);
+  }
+  if (typeof coupon.perUserLimit === 'number') {
+    const used = await Order.countDocuments({ ...counted, 'coupon.code': normalized });
+    if (used >= coupon.perUserLimit) {
+      return rejected(422, `You have already used ${normalized}`, normalized);
+    }
+  }
+
+  return { ok: true, coupon, discount: computeDiscount(coupon, subtotal) };
+};
+
+const toCouponResponse = (coupon) => ({
+  _id: coupon._id,
+  code: coupon.code,
+  description: coupon.description,
+  discountType: coupon.discountType,
+  value: coupon.value,
+  minOrderAmount: coupon.minOrderAmount,
+  maxDiscount: coupon.maxDiscount,
+  perUserLimit: coupon.perUserLimit,
+  validFrom: coupon.validFrom,
+  validUntil: coupon.validUntil,
+  restaurants: coupon.restaurants,
+  cuisines: coupon.cuisines,
+  firstOrderOnly: coupon.firstOrderOnly,
+  isActive: coupon.isActive,
+  createdAt: coupon.createdAt,
+});
+
+module.exports = { normalizeCode, computeDiscount, appliesToRestaurant, checkCoupon, toCouponResponse };
@@ -0,0 +1,87 @@
+// Dietary, allergen, calorie and spice filters for dish listings
+// (GET /api/dishes and GET /api/restaurants/:id/menu).
+//
+// Query params:
+//   isVeg=true|false, isSpicy=true|false
+//   dietary=Vegan,Gluten-Free        dishes tagged with every one of these
+//   excludeAllergens=Nuts,Dairy      dishes containing none of these
+//   minCalories=, maxCalories=       dishes without a calorie count are left out
+//
+// For a logged-in user, isVeg, isSpicy and excludeAllergens default from
+// preferences.isVegOnly, spiceLevel ('mild' hides spicy dishes) and allergens.
+// Passing a param, even empty (`isVeg=`), overrides its default.
+
+const { query } = require('express-validator');
+const Dish = require('../models/Dish');
+
+const parseList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+const parseBoolean = (value) => (value === 'true' ? true : value === 'false' ? false : undefined);
+
+const parseNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+const listOf = (allowed) => (value) => parseList(value).every(item => allowed.includes(item));
+
+const dishFilterValidators = [
+  query('isVeg').optional().isIn(['', 'true', 'false']).withMessage('isVeg must be true or false'),
+  query('isSpicy').optional().isIn(['', 'true', 'false']).withMessage('isSpicy must be true or false'),
+  query('dietary').optional().custom(listOf(Dish.DIETARY_INFO)).withMessage(`dietary must be from: ${Dish.DIETARY_INFO.join(', ')}`),
+  query('excludeAllergens').optional().custom(listOf(Dish.ALLERGENS)).withMessage(`excludeAllergens must be from: ${Dish.ALLERGENS.join(', ')}`),
+  query('minCalories').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('minCalories must be a positive number'),
+  query('maxCalories').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('maxCalories must be a positive number')
+];
+
+// Filter values implied by a user's saved preferences
+const preferenceDefaults = (user) => {
+  const preferences = user?.preferences || {};
+  return {
+    isVeg: preferences.isVegOnly ? true : undefined,
+    isSpicy: preferences.spiceLevel === 'mild' ? false : undefined,
+    excludeAllergens: preferences.allergens && preferences.allergens.length ? [...preferences.allergens] : [],
+  };
+};
+
+// Query params (plus the user's defaults) as
+// { isVeg, isSpicy, dietary, excludeAllergens, minCalories, maxCalories, fromPreferences }
+// where fromPreferences lists the filters that came from saved preferences
+const resolveDishFilters = (params = {}, user = null) => {
+  const defaults = preferenceDefaults(user);
+  const fromPreferences = [];
+  const pick = (name, parse) => {
+    if (params[name] !== undefined) return parse(params[name]);
+    const fallback = defaults[name];
+    if (fallback !== undefined && !(Array.isArray(fallback) && fallback.length === 0)) fromPreferences.push(name);
+    return fallback;
+  };
+
+  return {
+    isVeg: pick('isVeg', parseBoolean),
+    isSpicy: pick('isSpicy', parseBoolean),
+    dietary: params.dietary ? parseList(params.dietary) : [],
+    excludeAllergens: pick('excludeAllergens', parseList),
+    minCalories: parseNumber(params.minCalories),
+    maxCalories: parseNumber(params.maxCalories),
+    fromPreferences,
+  };
+};
+
+// Mongo conditions for resolved filters, to merge into a Dish query
+const toDishConditions = (filters) => {
+  const conditions = {};
+  if (filters.isVeg !== undefined) conditions.isVeg = filters.isVeg;
+  if (filters.isSpicy !== undefined) conditions.isSpicy = filters.isSpicy;
+  if (filters.dietary.length > 0) conditions.dietaryInfo = { $all: filters.dietary };
+  if (filters.excludeAllergens.length > 0) conditions.allergens = { $nin: filters.excludeAllergens };
+  if (filters.minCalories !== undefined || filters.maxCalories !== undefined) {
+    conditions.calories = { $exists: true };
+    if (filters.minCalories !== undefined) conditions.calories.$gte = filters.minCalories;
+    if (filters.maxCalories !== undefined) conditions.calories.$lte = filters.maxCalories;
+  }
+  return conditions;
+};
+
+module.exports = { dishFilterValidators, preferenceDefaults, resolveDishFilters, toDishConditions };
@@ -0,0 +1,69 @@
+// Distance and ETA helpers, kept in step with VadodaraUtils in
+// src/config/googleMaps.js so the backend and the map agree on numbers.
+
+const EARTH_RADIUS_KM = 6371;
+
+// Great-circle distance in km (Haversine formula)
+const calculateDistance = (lat1, lng1, lat2, lng2) => {
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+};
+
+// Peak hours in Vadodara: 12-2 PM, 7-9 PM (IST)
+const isPeakHour = (date = new Date()) => {
+  const istTime = new Date(date.getTime() + (5.5 * 60 * 60 * 1000));
+  const hour = istTime.getUTCHours();
+  return (hour >= 12 && hour <= 14) || (hour >= 19 && hour <= 21);
+};
+
+// Riding time in minutes for a distance, slower during peak hours
+const estimateTravelMinutes = (distanceKm, date = new Date()) => {
+  const baseSpeed = isPeakHour(date) ? 15 : 25; // km/h
+  return Math.ceil((distanceKm / baseSpeed) * 60);
+};
+
+// Delivery estimate for a distance already known, including prep time
+const estimateDeliveryMinutes = (distanceKm, date = new Date()) => {
+  const prepTime = 15; // minutes
+  const bufferTime = 5; // minutes
+  return estimateTravelMinutes(distanceKm, date) + prepTime + bufferTime;
+};
+
+// Full delivery estimate from restaurant to customer, including prep time
+const getEstimatedDeliveryTime = (restaurantLat, restaurantLng, deliveryLat, deliveryLng, date = new Date()) => {
+  const distance = calculateDistance(restaurantLat, restaurantLng, deliveryLat, deliveryLng);
+  return estimateDeliveryMinutes(distance, date);
+};
+
+// Accepts { latitude, longitude }, { lat, lng } or a GeoJSON Point
+// ({ type: 'Point', coordinates: [lng, lat] }); returns null when unusable
+const toLatLng = (point) => {
+  if (!point) return null;
+  const isGeoJSON = Array.isArray(point.coordinates) && point.coordinates.length === 2;
+  const latitude = Number(isGeoJSON ? point.coordinates[1] : point.latitude ?? point.lat);
+  const longitude = Number(isGeoJSON ? point.coordinates[0] : point.longitude ?? point.lng);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { latitude, longitude };
+};
+
+// Any point toLatLng understands as a GeoJSON Point, or null
+const toGeoPoint = (point) => {
+  const latLng = toLatLng(point);
+  return latLng && { type: 'Point', coordinates: [latLng.longitude, latLng.latitude] };
+};
+
+module.exports = {
+  calculateDistance,
+  isPeakHour,
+  estimateTravelMinutes,
+  estimateDeliveryMinutes,
+  getEstimatedDeliveryTime,
+  toLatLng,
+  toGeoPoint
+};
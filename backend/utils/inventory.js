@@ -0,0 +1,197 @@
+// Daily dish stock. A dish with `stock.dailyLimit` set has `stock.remaining`
+// plates left today: accepting an order takes its quantities off (or is
+// refused when there aren't enough), the dish
+// goes unavailable at zero, cancelling or rejecting an accepted order puts
+// them back, and every day at `stock.restockAt` (IST) the
+// count is reset to the limit. Each change is pushed to open menus as a
+// `dish_availability` event on the orders SSE channel.
+
+const mongoose = require('mongoose');
+const Dish = require('../models/Dish');
+const { broadcastOrderEvent } = require('./orderEvents');
+const { localDay, parseTime } = require('./openingHours');
+
+const RESTOCK_CHECK_MS = 60 * 1000;
+
+const isStockTracked = (dish) => typeof dish?.stock?.dailyLimit === 'number';
+
+// Plates left, or null when the dish is not stock-tracked
+const remainingStock = (dish) => (
+  isStockTracked(dish) ? Math.max(0, dish.stock.remaining ?? dish.stock.dailyLimit) : null
+);
+
+const toAvailabilityEvent = (dish) => ({
+  restaurantId: String(dish.restaurant),
+  dishId: String(dish._id),
+  isAvailable: dish.isAvailable,
+  remaining: remainingStock(dish),
+});
+
+// A counted dish with nothing left can't be on the menu, and one that only
+// went off because it sold out comes back once it has stock again
+const syncStockAvailability = (dish) => {
+  if (!isStockTracked(dish)) {
+    dish.stock.soldOut = false;
+    return;
+  }
+  if (dish.stock.remaining === 0 && dish.isAvailable) {
+    dish.isAvailable = false;
+    dish.stock.soldOut = true;
+  } else if (dish.stock.remaining > 0 && dish.stock.soldOut) {
+    dish.isAvailable = true;
+    dish.stock.soldOut = false;
+  }
+};
+
+// Apply stock settings from the menu editor to a dish document:
+// { dailyLimit (null stops counting), remaining?, restockAt? }
+const applyStockSettings = (dish, stock, now = new Date()) => {
+  if (stock) {
+    if (stock.restockAt) dish.stock.restockAt = stock.restockAt;
+    if (stock.dailyLimit === null) {
+      dish.stock.dailyLimit = undefined;
+      dish.stock.remaining = undefined;
+    } else if (stock.dailyLimit !== undefined) {
+      const limit = Number(stock.dailyLimit);
+      // Starting to count fills today's stock; changing the limit only caps what's left
+      const left = isStockTracked(dish) ? Math.min(remainingStock(dish), limit) : limit;
+      if (!isStockTracked(dish)) dish.stock.lastRestockedAt = now;
+      dish.stock.dailyLimit = limit;
+      dish.stock.remaining = left;
+    }
+    if (stock.remaining !== undefined && isStockTracked(dish)) {
+      dish.stock.remaining = Math.min(Number(stock.remaining), dish.stock.dailyLimit);
+    }
+  }
+  syncStockAvailability(dish);
+};
+
+const broadcastAvailability = (dish) => broadcastOrderEvent('dish_availability', toAvailabilityEvent(dish));
+
+// Dish id -> total quantity across an order's items
+const quantitiesByDish = (items = []) => {
+  const quantities = new Map();
+  for (const item of items) {
+    if (!item.dish) continue;
+    const id = String(item.dish);
+    quantities.set(id, (quantities.get(id) || 0) + (Number(item.quantity) || 0));
+  }
+  return quantities;
+};
+
+// Take an accepted order's items off their dishes' stock. Each decrement is
+// conditional on enough being left, so concurrent acceptances can't oversell:
+// if any counted dish is short, what was already taken goes back and the
+// order is refused. A dish that hits zero is marked unavailable (and soldOut
+// if it was on the menu). Returns { ok: true } or { ok: false, status, error,
+// details: { dishId, remaining } }.
+const consumeStock = async (items = []) => {
+  const taken = [];
+  for (const [id, quantity] of quantitiesByDish(items)) {
+    const current = { $ifNull: ['$stock.remaining', '$stock.dailyLimit'] };
+    const left = { $subtract: [current, quantity] };
+    const dish = await Dish.findOneAndUpdate(
+      { _id: id, 'stock.dailyLimit': { $type: 'number' }, $expr: { $gte: [current, quantity] } },
+      [{
+        $set: {
+          'stock.remaining': left,
+          'stock.soldOut': { $cond: [{ $and: [{ $eq: [left, 0] }, '$isAvailable'] }, true, '$stock.soldOut'] },
+          isAvailable: { $cond: [{ $eq: [left, 0] }, false, '$isAvailable'] },
+        },
+      }],
+      { new: true }
+    ).lean();
+    if (dish) {
+      taken.push({ dish: id, quantity });
+      broadcastAvailability(dish);
+      continue;
+    }
+
+    // No match is either a dish that isn't counted or one that is short
+    const counted = await Dish.findById(id).select('name stock').lean();
+    if (isStockTracked(counted)) {
+      await restoreStock(taken);
+      const remaining = remainingStock(counted);
+      return {
+        ok: false,
+        status: 409,
+        error: `Only ${remaining} ${counted.name} left`,
+        details: { dishId: id, remaining },
+      };
+    }
+  }
+  return { ok: true };
+};
+
+// Put a cancelled or rejected order's items back on their dishes' stock,
+// never above the daily limit (a restock may have run since). A dish that
+// was off only because it sold out comes back on the menu.
+const restoreStock = async (items = []) => {
+  for (const [id, quantity] of quantitiesByDish(items)) {
+    const left = { $min: ['$stock.dailyLimit', { $add: [{ $ifNull: ['$stock.remaining', '$stock.dailyLimit'] }, quantity] }] };
+    const backOnMenu = { $and: ['$stock.soldOut', { $gt: [left, 0] }] };
+    const dish = await Dish.findOneAndUpdate(
+      { _id: id, 'stock.dailyLimit': { $type: 'number' } },
+      [{
+        $set: {
+          'stock.remaining': left,
+          'stock.soldOut': { $cond: [backOnMenu, false, '$stock.soldOut'] },
+          isAvailable: { $cond: [backOnMenu, true, '$isAvailable'] },
+        },
+      }],
+      { new: true }
+    ).lean();
+    if (dish) broadcastAvailability(dish);
+  }
+};
+
+// Start of the most recent restock window for a dish
+const lastRestockTime = (dish, now = new Date()) => {
+  const minutes = parseTime(dish.stock.restockAt) ?? 0;
+  const today = localDay(now.getTime()).dayStartMs + minutes * 60 * 1000;
+  return new Date(today <= now.getTime() ? today : today - 24 * 60 * 60 * 1000);
+};
+
+const restockDish = async (dish, now = new Date()) => {
+  const set = { 'stock.remaining': dish.stock.dailyLimit, 'stock.lastRestockedAt': now, 'stock.soldOut': false };
+  // Only dishes that sold out come back; ones the owner switched off stay off
+  if (dish.stock.soldOut) set.isAvailable = true;
+  const updated = await Dish.findByIdAndUpdate(dish._id, { $set: set }, { new: true }).lean();
+  if (updated) broadcastAvailability(updated);
+  return updated;
+};
+
+// Reset every stock-tracked dish whose restock time has passed since it was last restocked
+const restockDueDishes = async (now = new Date()) => {
+  const dishes = await Dish.find({ 'stock.dailyLimit': { $type: 'number' } })
+    .select('restaurant isAvailable stock')
+    .lean();
+  const due = dishes.filter(dish => !dish.stock.lastRestockedAt || dish.stock.lastRestockedAt < lastRestockTime(dish, now));
+  for (const dish of due) {
+    await restockDish(dish, now);
+  }
+  return due.length;
+};
+
+let restockTimer = null;
+
+const startRestockJob = () => {
+  if (restockTimer) return;
+  restockTimer = setInterval(() => {
+    if (!(mongoose.connection && mongoose.connection.readyState === 1)) return;
+    restockDueDishes().catch(error => console.error('Error restocking dishes:', error));
+  }, RESTOCK_CHECK_MS);
+  restockTimer.unref();
+};
+
+module.exports = {
+  isStockTracked,
+  remainingStock,
+  applyStockSettings,
+  broadcastAvailability,
+  consumeStock,
+  restoreStock,
+  restockDish,
+  restockDueDishes,
+  startRestockJob,
+};
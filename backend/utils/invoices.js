@@ -0,0 +1,443 @@
+// Invoices for orders, as HTML or PDF.
+//
+// An order gets its invoice number the first time the invoice is asked for,
+// once it has been paid (or delivered, for cash orders). Numbers run in
+// sequence per restaurant and Indian financial year (April to March, IST),
+// e.g. SPICE/2627/00042; see models/InvoiceCounter. The request numbering an
+// order claims it first, so racing requests never take a number they can't
+// use. An order cancelled after its invoice was issued keeps the invoice,
+// marked cancelled. Restaurants with a GSTIN issue a tax invoice, others a
+// receipt with the same breakdown.
+//
+// Taxes are recomputed from the GST rate stored on each item with the same
+// rules as utils/orderPricing, split into CGST and SGST since restaurants
+// only deliver within their own state. The delivery fee is not taxed.
+
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Order = require('../models/Order');
+const InvoiceCounter = require('../models/InvoiceCounter');
+const { computeTaxes, roundMoney, TAX_RATE } = require('./orderPricing');
+
+const UTC_OFFSET_MINUTES = 330; // IST
+
+const ENDED_STATUSES = ['cancelled', 'rejected'];
+
+// A claim older than this is taken to be from a request that died
+const ISSUE_CLAIM_TIMEOUT_MS = 30 * 1000;
+// How long a request waits for another one that is numbering the same order
+const ISSUE_WAIT_MS = 250;
+const ISSUE_WAIT_ATTEMPTS = 20;
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash on delivery',
+  card: 'Card',
+  upi: 'UPI',
+  wallet: 'CraveCart wallet',
+};
+
+// { label: '2026-27', code: '2627' } for the financial year `date` falls in
+const financialYearOf = (date) => {
+  const local = new Date(date.getTime() + UTC_OFFSET_MINUTES * 60000);
+  const start = local.getUTCMonth() >= 3 ? local.getUTCFullYear() : local.getUTCFullYear() - 1;
+  const end = String(start + 1).slice(-2);
+  return { label: `${start}-${end}`, code: `${String(start).slice(-2)}${end}` };
+};
+
+const invoicePrefixOf = (restaurant) => restaurant.invoicePrefix
+  || String(restaurant.slug || restaurant.name || '').replace(/[^a-z0-9]/gi, '').slice(0, 5).toUpperCase()
+  || 'CC';
+
+// Returns { ok: true } or { ok: false, status, error } ready to send
+const checkInvoiceable = (order) => {
+  if (order.invoice?.number) return { ok: true };
+  if (ENDED_STATUSES.includes(order.status)) {
+    return { ok: false, status: 409, error: 'Cancelled orders have no invoice' };
+  }
+  if (order.paymentStatus === 'paid' || order.status === 'delivered') return { ok: true };
+  return { ok: false, status: 409, error: 'The invoice is ready once the order is paid' };
+};
+
+const nextInvoiceSeq = async (restaurantId, financialYear) => {
+  const filter = { restaurant: restaurantId, financialYear };
+  try {
+    return (await InvoiceCounter.findOneAndUpdate(filter, { $inc: { seq: 1 } }, { new: true, upsert: true })).seq;
+  } catch (error) {
+    // Two first invoices of the year raced to create the counter; it exists now
+    if (error.code !== 11000) throw error;
+    return (await InvoiceCounter.findOneAndUpdate(filter, { $inc: { seq: 1 } }, { new: true })).seq;
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Mark the order as being numbered by us; null if it already has a number,
+// was cancelled, or another live request holds it
+const claimInvoice = (order, token, now = new Date()) => Order.findOneAndUpdate(
+  {
+    _id: order._id,
+    'invoice.number': { $exists: false },
+    status: { $nin: ENDED_STATUSES },
+    $or: [
+      { 'invoice.issuing.token': { $exists: false } },
+      { 'invoice.issuing.at': { $lt: new Date(now.getTime() - ISSUE_CLAIM_TIMEOUT_MS) } },
+    ],
+  },
+  { $set: { 'invoice.issuing': { token, at: now } } },
+  { new: true }
+).lean();
+
+// Take the next number and write it to the order we claimed
+const numberInvoice = async (order, restaurant, token) => {
+  const issuedAt = new Date();
+  const year = financialYearOf(issuedAt);
+  const seq = await nextInvoiceSeq(restaurant._id, year.label);
+  const number = `${invoicePrefixOf(restaurant)}/${year.code}/${String(seq).padStart(5, '0')}`;
+  const issued = await Order.findOneAndUpdate(
+    { _id: order._id, 'invoice.issuing.token': token },
+    {
+      $set: {
+        'invoice.number': number,
+        'invoice.financialYear': year.label,
+        'invoice.issuedAt': issuedAt,
+        'invoice.gstin': restaurant.gstin || undefined,
+      },
+      $unset: { 'invoice.issuing': 1 },
+    },
+    { new: true }
+  ).lean();
+  if (!issued) {
+    // Only if we stalled past the claim timeout and another request took over
+    console.error(`Invoice number ${number} was taken for order ${order.orderId} but not used`);
+  }
+  return issued;
+};
+
+// Numbers the order's invoice unless it already has one. Returns
+// { ok: true, order } or { ok: false, status, error } when another request
+// is still numbering it.
+const issueInvoice = async (order, restaurant) => {
+  let current = order;
+  for (let attempt = 0; attempt <= ISSUE_WAIT_ATTEMPTS; attempt += 1) {
+    if (current?.invoice?.number) return { ok: true, order: current };
+    if (!current || ENDED_STATUSES.includes(current.status)) break;
+
+    const token = new mongoose.Types.ObjectId();
+    const claimed = await claimInvoice(current, token);
+    const issued = claimed && await numberInvoice(claimed, restaurant, token);
+    if (issued) return { ok: true, order: issued };
+
+    if (!claimed) await sleep(ISSUE_WAIT_MS);
+    current = await Order.findById(order._id).select('-statusHistory -tracking').lean();
+  }
+  if (current?.invoice?.number) return { ok: true, order: current };
+  if (!current) return { ok: false, status: 404, error: 'Order not found' };
+  if (ENDED_STATUSES.includes(current.status)) {
+    return { ok: false, status: 409, error: 'Cancelled orders have no invoice' };
+  }
+  return { ok: false, status: 409, error: 'The invoice is being issued, please try again' };
+};
+
+const formatAddress = (address) => {
+  if (!address) return '';
+  if (typeof address === 'string') return address;
+  return [address.street, address.landmark, address.city, address.state, address.zipCode].filter(Boolean).join(', ');
+};
+
+const itemName = (item) => {
+  const options = (item.customizations || []).map(c => c.option).filter(Boolean);
+  return options.length ? `${item.name} (${options.join(', ')})` : item.name;
+};
+
+// Everything an invoice shows, for an order that has been issued one
+const buildInvoice = (order, restaurant, customer) => {
+  const pricing = order.pricing || {};
+  const fallbackRate = pricing.taxRate ?? TAX_RATE;
+  const items = order.items || [];
+  const { lines, rates, taxes } = computeTaxes(
+    items.map(item => ({ amount: roundMoney(item.price * item.quantity), taxRate: item.taxRate ?? fallbackRate })),
+    pricing.discount || 0
+  );
+
+  return {
+    title: order.invoice.gstin ? 'Tax Invoice' : 'Receipt',
+    number: order.invoice.number,
+    financialYear: order.invoice.financialYear,
+    issuedAt: order.invoice.issuedAt,
+    cancelledAt: order.invoice.cancelledAt,
+    orderId: order.orderId,
+    orderedAt: order.createdAt,
+    seller: {
+      name: restaurant?.name || order.restaurantName,
+      gstin: order.invoice.gstin,
+      address: formatAddress(restaurant?.address),
+      phone: restaurant?.contact?.phone,
+    },
+    buyer: {
+      name: customer?.name,
+      address: formatAddress(order.deliveryAddress),
+    },
+    placeOfSupply: restaurant?.address?.state,
+    items: items.map((item, idx) => ({
+      name: itemName(item),
+      quantity: item.quantity,
+      unitPrice: item.price,
+      amount: lines[idx].amount,
+      discount: lines[idx].discount,
+      taxableValue: lines[idx].taxableValue,
+      taxRate: lines[idx].taxRate,
+    })),
+    taxes: rates.map(rate => {
+      const cgst = roundMoney(rate.tax / 2);
+      return { ...rate, cgst, sgst: roundMoney(rate.tax - cgst) };
+    }),
+    subtotal: pricing.subtotal ?? roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)),
+    discount: pricing.discount || 0,
+    couponCode: pricing.couponCode,
+    deliveryFee: pricing.deliveryFee || 0,
+    totalTax: taxes,
+    total: order.totalAmount,
+    payment: {
+      method: PAYMENT_METHOD_LABELS[order.paymentMethod] || order.paymentMethod,
+      status: order.paymentStatus,
+      walletAmount: order.walletAmount || 0,
+    },
+  };
+};
+
+const formatDate = (value) => new Date(value).toLocaleString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+const formatPercent = (rate) => `${Number((rate * 100).toFixed(2))}%`;
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+})[ch]);
+
+const renderInvoiceHtml = (invoice) => {
+  const money = (value) => `₹${Number(value).toFixed(2)}`;
+  const row = (label, value) => `<tr><td>${escapeHtml(label)}</td><td class="num">${value}</td></tr>`;
+
+  const itemRows = invoice.items.map(item => `
+        <tr>
+          <td>${escapeHtml(item.name)}</td>
+          <td class="num">${item.quantity}</td>
+          <td class="num">${money(item.unitPrice)}</td>
+          <td class="num">${item.discount > 0 ? `-${money(item.discount)}` : '—'}</td>
+          <td class="num">${money(item.taxableValue)}</td>
+          <td class="num">${formatPercent(item.taxRate)}</td>
+        </tr>`).join('');
+
+  const taxRows = invoice.taxes.map(tax => `
+        <tr>
+          <td>${formatPercent(tax.rate)}</td>
+          <td class="num">${money(tax.taxableValue)}</td>
+          <td class="num">${money(tax.cgst)}</td>
+          <td class="num">${money(tax.sgst)}</td>
+          <td class="num">${money(tax.tax)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(invoice.title)} ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #222; max-width: 760px; margin: 32px auto; padding: 0 16px; }
+    h1 { margin: 0 0 4px; font-size: 1.6em; }
+    .muted { color: #666; }
+    .parties { display: flex; justify-content: space-between; gap: 24px; margin: 24px 0; }
+    .parties h2 { margin: 0 0 6px; font-size: 1em; text-transform: uppercase; color: #ff6b35; }
+    .parties p { margin: 2px 0; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+    th, td { padding: 8px 6px; border-bottom: 1px solid #e5e5e5; text-align: left; }
+    th { background: #fafafa; font-size: 0.85em; text-transform: uppercase; }
+    .num { text-align: right; white-space: nowrap; }
+    .totals { width: 320px; margin-left: auto; }
+    .totals tr:last-child td { font-weight: bold; font-size: 1.1em; border-top: 2px solid #222; }
+    .cancelled { padding: 10px 12px; border: 2px solid #c62828; color: #c62828; font-weight: bold; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(invoice.title)}</h1>
+  <p class="muted">
+    No. ${escapeHtml(invoice.number)} · Issued ${escapeHtml(formatDate(invoice.issuedAt))}<br>
+    Order ${escapeHtml(invoice.orderId)} · Placed ${escapeHtml(formatDate(invoice.orderedAt))}
+  </p>
+  ${invoice.cancelledAt ? `<p class="cancelled">Cancelled ${escapeHtml(formatDate(invoice.cancelledAt))}. The order was cancelled and this ${escapeHtml(invoice.title.toLowerCase())} is void.</p>` : ''}
+
+  <div class="parties">
+    <div>
+      <h2>From</h2>
+      <p><strong>${escapeHtml(invoice.seller.name)}</strong></p>
+      ${invoice.seller.address ? `<p>${escapeHtml(invoice.seller.address)}</p>` : ''}
+      ${invoice.seller.phone ? `<p>Phone: ${escapeHtml(invoice.seller.phone)}</p>` : ''}
+      ${invoice.seller.gstin ? `<p>GSTIN: ${escapeHtml(invoice.seller.gstin)}</p>` : ''}
+    </div>
+    <div>
+      <h2>Billed to</h2>
+      ${invoice.buyer.name ? `<p><strong>${escapeHtml(invoice.buyer.name)}</strong></p>` : ''}
+      ${invoice.buyer.address ? `<p>${escapeHtml(invoice.buyer.address)}</p>` : ''}
+      ${invoice.placeOfSupply ? `<p>Place of supply: ${escapeHtml(invoice.placeOfSupply)}</p>` : ''}
+    </div>
+  </div>
+
+  <table>
+    <thead>
+      <tr><th>Item</th><th class="num">Qty</th><th class="num">Rate</th><th class="num">Discount</th><th class="num">Taxable value</th><th class="num">GST</th></tr>
+    </thead>
+    <tbody>${itemRows}
+    </tbody>
+  </table>
+
+  <table>
+    <thead>
+      <tr><th>GST rate</th><th class="num">Taxable value</th><th class="num">CGST</th><th class="num">SGST</th><th class="num">Total tax</th></tr>
+    </thead>
+    <tbody>${taxRows}
+    </tbody>
+  </table>
+
+  <table class="totals">
+    ${row('Subtotal', money(invoice.subtotal))}
+    ${invoice.discount > 0 ? row(`Discount${invoice.couponCode ? ` (${invoice.couponCode})` : ''}`, `-${money(invoice.discount)}`) : ''}
+    ${row('GST', money(invoice.totalTax))}
+    ${row('Delivery fee', money(invoice.deliveryFee))}
+    ${row('Total', money(invoice.total))}
+  </table>
+
+  <p class="muted">
+    Payment: ${escapeHtml(invoice.payment.method)}${invoice.payment.walletAmount > 0 ? ` (${money(invoice.payment.walletAmount)} from wallet)` : ''}.
+    Prices are in Indian rupees.
+  </p>
+</body>
+</html>
+`;
+};
+
+// Resolves to a Buffer. The built-in PDF fonts have no rupee sign, so
+// amounts are written as "Rs."
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${invoice.title} ${invoice.number}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const money = (value) => `Rs. ${Number(value).toFixed(2)}`;
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  // Columns as [label, width, align]; widths are fractions of the page
+  const drawRow = (columns, values, { bold = false } = {}) => {
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    let height = 0;
+    columns.forEach(([, fraction, align], idx) => {
+      const columnWidth = width * fraction;
+      doc.text(String(values[idx]), x, y, { width: columnWidth - 6, align });
+      height = Math.max(height, doc.y - y);
+      x += columnWidth;
+    });
+    doc.y = y + height + 4;
+    doc.moveTo(left, doc.y - 2).lineTo(left + width, doc.y - 2).strokeColor('#e5e5e5').stroke();
+  };
+  const drawTable = (columns, rows) => {
+    drawRow(columns, columns.map(([label]) => label), { bold: true });
+    rows.forEach(values => drawRow(columns, values));
+    doc.moveDown();
+  };
+
+  doc.font('Helvetica-Bold').fontSize(20).text(invoice.title);
+  doc.font('Helvetica').fontSize(9).fillColor('#666')
+    .text(`No. ${invoice.number} - Issued ${formatDate(invoice.issuedAt)}`)
+    .text(`Order ${invoice.orderId} - Placed ${formatDate(invoice.orderedAt)}`)
+    .fillColor('#222');
+  if (invoice.cancelledAt) {
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#c62828')
+      .text(`CANCELLED ${formatDate(invoice.cancelledAt)}. The order was cancelled and this ${invoice.title.toLowerCase()} is void.`)
+      .fillColor('#222');
+  }
+  doc.moveDown();
+
+  const partiesTop = doc.y;
+  const half = width / 2;
+  doc.font('Helvetica-Bold').fontSize(10).text('FROM', left, partiesTop, { width: half - 10 });
+  doc.font('Helvetica').fontSize(10).text([
+    invoice.seller.name,
+    invoice.seller.address,
+    invoice.seller.phone && `Phone: ${invoice.seller.phone}`,
+    invoice.seller.gstin && `GSTIN: ${invoice.seller.gstin}`,
+  ].filter(Boolean).join('\n'), { width: half - 10 });
+  const sellerBottom = doc.y;
+  doc.font('Helvetica-Bold').fontSize(10).text('BILLED TO', left + half, partiesTop, { width: half });
+  doc.font('Helvetica').fontSize(10).text([
+    invoice.buyer.name,
+    invoice.buyer.address,
+    invoice.placeOfSupply && `Place of supply: ${invoice.placeOfSupply}`,
+  ].filter(Boolean).join('\n') || '-', { width: half });
+  doc.x = left;
+  doc.y = Math.max(sellerBottom, doc.y);
+  doc.moveDown();
+
+  drawTable(
+    [['Item', 0.36, 'left'], ['Qty', 0.08, 'right'], ['Rate', 0.14, 'right'], ['Discount', 0.14, 'right'], ['Taxable value', 0.18, 'right'], ['GST', 0.1, 'right']],
+    invoice.items.map(item => [
+      item.name,
+      item.quantity,
+      money(item.unitPrice),
+      item.discount > 0 ? `-${money(item.discount)}` : '-',
+      money(item.taxableValue),
+      formatPercent(item.taxRate),
+    ])
+  );
+
+  drawTable(
+    [['GST rate', 0.2, 'left'], ['Taxable value', 0.2, 'right'], ['CGST', 0.2, 'right'], ['SGST', 0.2, 'right'], ['Total tax', 0.2, 'right']],
+    invoice.taxes.map(tax => [formatPercent(tax.rate), money(tax.taxableValue), money(tax.cgst), money(tax.sgst), money(tax.tax)])
+  );
+
+  const totals = [
+    ['Subtotal', money(invoice.subtotal)],
+    ...(invoice.discount > 0 ? [[`Discount${invoice.couponCode ? ` (${invoice.couponCode})` : ''}`, `-${money(invoice.discount)}`]] : []),
+    ['GST', money(invoice.totalTax)],
+    ['Delivery fee', money(invoice.deliveryFee)],
+  ];
+  totals.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(10).text(label, left + half, y, { width: half / 2 });
+    doc.text(value, left + half * 1.5, y, { width: half / 2, align: 'right' });
+  });
+  const totalY = doc.y + 4;
+  doc.font('Helvetica-Bold').fontSize(12).text('Total', left + half, totalY, { width: half / 2 });
+  doc.text(money(invoice.total), left + half * 1.5, totalY, { width: half / 2, align: 'right' });
+
+  doc.x = left;
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(9).fillColor('#666').text(
+    `Payment: ${invoice.payment.method}${invoice.payment.walletAmount > 0 ? ` (${money(invoice.payment.walletAmount)} from wallet)` : ''}. Prices are in Indian rupees.`,
+    left,
+    doc.y,
+    { width }
+  );
+
+  doc.end();
+});
+
+module.exports = {
+  financialYearOf,
+  checkInvoiceable,
+  issueInvoice,
+  buildInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+};
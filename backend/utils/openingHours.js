@@ -0,0 +1,150 @@
+// Opening hours: a weekly schedule of per-day slots, holidays and a
+// restaurant-controlled pause.
+//
+// Times are restaurant-local (IST, like isPeakHour in ./geo) and stored as
+// "HH:mm". A slot whose close is not after its open runs past midnight, e.g.
+// { open: '18:00', close: '02:00' }. Restaurants saved before schedules existed
+// only have the free-text `timings`; their schedule is derived from those.
+//
+// getOpenStatus() returns
+//   { isOpenNow, isPaused, pausedUntil, closesAt, nextOpensAt, todaySlots }
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const UTC_OFFSET_MINUTES = 330; // IST
+const MINUTES_PER_DAY = 24 * 60;
+const DAY_MS = MINUTES_PER_DAY * 60 * 1000;
+
+// "10:30 PM", "10:30pm", "12noon", "7pm", "22:30" -> minutes after midnight
+const parseTime = (value) => {
+  const text = String(value || '').trim().toLowerCase().replace(/\s+/g, '');
+  if (text === '12noon' || text === 'noon') return 12 * 60;
+  if (text === '12midnight' || text === 'midnight') return 0;
+  const match = text.match(/^(\d{1,2})(?:[:.](\d{2}))?(am|pm)?$/);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3];
+  if (minutes > 59 || hours > (meridiem ? 12 : 24)) return null;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  return (hours * 60 + minutes) % MINUTES_PER_DAY;
+};
+
+const formatTime = (minutes) => {
+  const h = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const m = String(minutes % 60).padStart(2, '0');
+  return `${h}:${m}`;
+};
+
+const isValidTime = (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(String(value));
+
+// Legacy `timings` ({ open, close, daysOpen }) as a weekly schedule
+const scheduleFromTimings = (timings = {}) => {
+  const open = parseTime(timings.open);
+  const close = parseTime(timings.close);
+  if (open === null || close === null) return [];
+  const days = timings.daysOpen && timings.daysOpen.length ? timings.daysOpen : DAYS;
+  return days.map(day => ({ day, slots: [{ open: formatTime(open), close: formatTime(close) }] }));
+};
+
+const getWeeklySchedule = (restaurant) => (
+  restaurant.schedule && restaurant.schedule.length
+    ? restaurant.schedule
+    : scheduleFromTimings(restaurant.timings)
+);
+
+// Local calendar day for a UTC instant: { dayStartMs (UTC ms of local midnight), weekday, date }
+const localDay = (ms) => {
+  const local = ms + UTC_OFFSET_MINUTES * 60 * 1000;
+  const midnight = local - (((local % DAY_MS) + DAY_MS) % DAY_MS);
+  const asDate = new Date(midnight);
+  return {
+    dayStartMs: midnight - UTC_OFFSET_MINUTES * 60 * 1000,
+    weekday: asDate.getUTCDay(),
+    date: asDate.toISOString().slice(0, 10),
+  };
+};
+
+const isPaused = (restaurant, now = new Date()) => Boolean(
+  restaurant.pause && restaurant.pause.isPaused &&
+  (!restaurant.pause.until || new Date(restaurant.pause.until) > now)
+);
+
+// Concrete [start, end) intervals (UTC ms) for slots starting on the given local days
+const intervalsFrom = (restaurant, fromMs, days) => {
+  const schedule = getWeeklySchedule(restaurant);
+  const holidays = new Set((restaurant.holidays || []).map(h => h.date));
+  const intervals = [];
+  for (let offset = 0; offset < days; offset += 1) {
+    const day = localDay(fromMs + offset * DAY_MS);
+    if (holidays.has(day.date)) continue;
+    const entry = schedule.find(s => s.day === DAYS[day.weekday]);
+    for (const slot of (entry && entry.slots) || []) {
+      const open = parseTime(slot.open);
+      const close = parseTime(slot.close);
+      if (open === null || close === null) continue;
+      const start = day.dayStartMs + open * 60 * 1000;
+      const end = day.dayStartMs + (close > open ? close : close + MINUTES_PER_DAY) * 60 * 1000;
+      intervals.push({ start, end, slot });
+    }
+  }
+  return intervals.sort((a, b) => a.start - b.start);
+};
+
+const getOpenStatus = (restaurant, now = new Date()) => {
+  const nowMs = now.getTime();
+  // Start a day early to catch yesterday's slots that run past midnight
+  const intervals = intervalsFrom(restaurant, nowMs - DAY_MS, 9);
+  const current = intervals.find(i => i.start <= nowMs && nowMs < i.end);
+  const paused = isPaused(restaurant, now);
+  const pausedUntil = paused && restaurant.pause.until ? new Date(restaurant.pause.until) : null;
+
+  // When paused, the restaurant reopens at the first slot moment after the pause ends
+  const reopenFrom = paused ? (pausedUntil ? pausedUntil.getTime() : null) : nowMs;
+  let nextOpensAt = null;
+  if (reopenFrom !== null) {
+    const next = intervals.find(i => i.end > reopenFrom && (paused || i.start > nowMs));
+    if (next) nextOpensAt = new Date(Math.max(next.start, reopenFrom));
+  }
+
+  const today = localDay(nowMs);
+  const todayEntry = getWeeklySchedule(restaurant).find(s => s.day === DAYS[today.weekday]);
+  const isHoliday = (restaurant.holidays || []).some(h => h.date === today.date);
+
+  return {
+    isOpenNow: Boolean(current) && !paused,
+    isPaused: paused,
+    pausedUntil,
+    closesAt: current && !paused ? new Date(current.end) : null,
+    nextOpensAt: current && !paused ? null : nextOpensAt,
+    todaySlots: isHoliday ? [] : ((todayEntry && todayEntry.slots) || []).map(({ open, close }) => ({ open, close })),
+  };
+};
+
+// Restaurant JSON with its live open status merged in. Restaurants without a
+// saved schedule get the one derived from their timings, so clients always see
+// the hours that are actually enforced.
+const withOpenStatus = (restaurant, now = new Date()) => {
+  const plain = typeof restaurant.toObject === 'function' ? restaurant.toObject() : restaurant;
+  return { ...plain, schedule: getWeeklySchedule(plain), ...getOpenStatus(plain, now) };
+};
+
+// Why an order can't be placed right now, or null when the restaurant is open
+const closedReason = (restaurant, status = getOpenStatus(restaurant)) => {
+  if (status.isOpenNow) return null;
+  if (status.isPaused) return `${restaurant.name} is not taking orders right now`;
+  return `${restaurant.name} is closed right now`;
+};
+
+module.exports = {
+  DAYS,
+  parseTime,
+  formatTime,
+  isValidTime,
+  localDay,
+  scheduleFromTimings,
+  getWeeklySchedule,
+  getOpenStatus,
+  withOpenStatus,
+  closedReason,
+};
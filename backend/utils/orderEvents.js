@@ -0,0 +1,21 @@
+// Server-sent events behind GET /api/orders/events. Order updates and dish
+// availability changes are pushed to every connected client; clients that
+// subscribed with ?restaurantId= only get events for that restaurant.
+
+// SSE clients registry (optionally scoped by restaurantId)
+const sseClients = new Set(); // Set<{ res, restaurantId?: string }>
+
+const broadcastOrderEvent = (type, payload) => {
+  const data = `event: ${type}\n` +
+               `data: ${JSON.stringify(payload)}\n\n`;
+  for (const client of sseClients) {
+    try {
+      if (client.restaurantId && payload?.restaurantId && client.restaurantId !== String(payload.restaurantId)) {
+        continue;
+      }
+      client.res.write(data);
+    } catch (_) {}
+  }
+};
+
+module.exports = { sseClients, broadcastOrderEvent };
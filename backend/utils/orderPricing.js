@@ -0,0 +1,244 @@
+// Authoritative order pricing. Prices always come from the Dish collection;
+// the `price` a client sends with an item is ignored.
+//
+// priceOrder() returns { ok: true, restaurant, items, breakdown, serviceability }
+// or { ok: false, status, error, details } ready to send as a response.
+// When a deliveryAddress is given the order must be serviceable, and the
+// delivery fee comes from the matching delivery zone. Orders for a restaurant
+// that is closed or paused are rejected with 409, as are carts asking for
+// more of a stock-tracked dish than is left today. A couponCode is checked
+// against the (logged-in) user and its discount comes off the food subtotal
+// before tax; an unusable code fails the whole quote with `details.couponCode`.
+//
+// GST depends on the dish category: TAX_RATE unless GST_CATEGORY_RATES sets
+// another rate, e.g. "Beverages:18,Wine:0" (percent). The discount is shared
+// across items in proportion to their value and tax is rounded once per rate,
+// so invoices (utils/invoices.js) add up to the same taxes.
+
+const mongoose = require('mongoose');
+const Dish = require('../models/Dish');
+const Restaurant = require('../models/Restaurant');
+const { checkServiceability } = require('./serviceability');
+const { getOpenStatus, closedReason } = require('./openingHours');
+const { remainingStock } = require('./inventory');
+const { checkCoupon } = require('./coupons');
+
+const TAX_RATE = 0.05; // GST on restaurant food
+const MIN_PAYOUT = 30;
+const PAYOUT_RATE = 0.1;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const parseCategoryRates = (value) => {
+  const rates = {};
+  for (const pair of String(value || '').split(',')) {
+    if (!pair.trim()) continue;
+    const [category, percent] = pair.split(':').map(part => part && part.trim());
+    const rate = Number(percent) / 100;
+    if (!category || percent === undefined || !(rate >= 0 && rate < 1)) {
+      console.warn(`Ignoring GST_CATEGORY_RATES entry "${pair.trim()}"`);
+      continue;
+    }
+    rates[category] = rate;
+  }
+  return rates;
+};
+
+const CATEGORY_TAX_RATES = parseCategoryRates(process.env.GST_CATEGORY_RATES);
+
+const taxRateFor = (category) => CATEGORY_TAX_RATES[category] ?? TAX_RATE;
+
+// GST on `lines` ([{ amount, taxRate }], before discount) with `discount` taken
+// off in proportion. Returns each line's taxable value and a summary per rate.
+const computeTaxes = (lines, discount = 0) => {
+  const gross = lines.reduce((sum, line) => sum + line.amount, 0);
+  let discountLeft = discount;
+  const taxed = lines.map((line, idx) => {
+    // The last line takes what's left so the shares add up to the discount
+    const share = idx === lines.length - 1 ? discountLeft : (gross > 0 ? roundMoney(discount * line.amount / gross) : 0);
+    discountLeft = roundMoney(discountLeft - share);
+    return { ...line, discount: share, taxableValue: roundMoney(line.amount - share) };
+  });
+
+  const byRate = new Map();
+  for (const line of taxed) {
+    byRate.set(line.taxRate, (byRate.get(line.taxRate) || 0) + line.taxableValue);
+  }
+  const rates = [...byRate.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([rate, taxableValue]) => ({ rate, taxableValue: roundMoney(taxableValue), tax: roundMoney(taxableValue * rate) }));
+
+  return {
+    lines: taxed,
+    rates,
+    taxes: roundMoney(rates.reduce((sum, r) => sum + r.tax, 0)),
+    // One rate for the whole order, or null when dishes are taxed differently
+    taxRate: rates.length === 1 ? rates[0].rate : (rates.length === 0 ? TAX_RATE : null),
+  };
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isObjectId = (value) => value && mongoose.Types.ObjectId.isValid(String(value)) && String(value).length === 24;
+
+// Accepts an ObjectId, a slug or (for older clients) the restaurant name
+const findRestaurant = async ({ restaurantId, restaurantName }) => {
+  if (isObjectId(restaurantId)) {
+    const byId = await Restaurant.findById(restaurantId);
+    if (byId) return byId;
+  }
+  if (restaurantId) {
+    const bySlug = await Restaurant.findOne({ slug: String(restaurantId).toLowerCase() });
+    if (bySlug) return bySlug;
+  }
+  if (restaurantName) {
+    return Restaurant.findOne({ name: new RegExp(`^${escapeRegex(restaurantName)}$`, 'i') });
+  }
+  return null;
+};
+
+const findDish = (restaurant, item) => {
+  const dishId = item.dish || item.dishId || item._id || item.id;
+  if (isObjectId(dishId)) {
+    return Dish.findOne({ _id: dishId, restaurant: restaurant._id });
+  }
+  if (item.name) {
+    return Dish.findOne({ restaurant: restaurant._id, name: new RegExp(`^${escapeRegex(item.name)}$`, 'i') });
+  }
+  return null;
+};
+
+// Resolve selected options ([{ name, option }]) against the dish's customizations.
+// Single-choice groups take at most one option and required groups need one.
+const priceCustomizations = (dish, selected = []) => {
+  const resolved = [];
+  for (const choice of Array.isArray(selected) ? selected : []) {
+    const group = (dish.customizations || []).find(c => c.name === choice?.name);
+    const optionIndex = group ? group.options.indexOf(choice.option) : -1;
+    if (optionIndex === -1) {
+      return { error: `Invalid option "${choice?.option}" for "${choice?.name}" on ${dish.name}` };
+    }
+    const picked = resolved.filter(c => c.name === group.name);
+    if (picked.some(c => c.option === choice.option)) {
+      return { error: `"${choice.option}" is selected twice for "${group.name}" on ${dish.name}` };
+    }
+    if (!group.multiple && picked.length > 0) {
+      return { error: `Choose only one option for "${group.name}" on ${dish.name}` };
+    }
+    resolved.push({ name: group.name, option: choice.option, price: Number(group.prices[optionIndex]) || 0 });
+  }
+  const missing = (dish.customizations || []).find(group => group.required && !resolved.some(c => c.name === group.name));
+  if (missing) {
+    return { error: `Choose an option for "${missing.name}" on ${dish.name}` };
+  }
+  return { customizations: resolved };
+};
+
+const priceOrder = async ({ items, restaurantId, restaurantName, deliveryAddress, couponCode, user }) => {
+  const restaurant = await findRestaurant({ restaurantId, restaurantName });
+  if (!restaurant || !restaurant.isActive) {
+    return { ok: false, status: 400, error: 'Restaurant not found' };
+  }
+
+  const openStatus = getOpenStatus(restaurant);
+  if (!openStatus.isOpenNow) {
+    return {
+      ok: false,
+      status: 409,
+      error: closedReason(restaurant, openStatus),
+      details: { isOpenNow: false, isPaused: openStatus.isPaused, nextOpensAt: openStatus.nextOpensAt }
+    };
+  }
+
+  let serviceability = null;
+  if (deliveryAddress !== undefined) {
+    serviceability = await checkServiceability({ address: deliveryAddress, restaurant });
+    if (!serviceability.serviceable) {
+      return { ok: false, status: 422, error: serviceability.reason, details: { serviceable: false } };
+    }
+  }
+
+  const priced = [];
+  const unavailable = [];
+  const requested = new Map(); // dish id -> quantity across lines with different options
+  for (const item of items) {
+    const quantity = Number(item.quantity || 1);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { ok: false, status: 400, error: `Invalid quantity for ${item.name || 'item'}` };
+    }
+
+    const dish = await findDish(restaurant, item);
+    if (!dish) {
+      return { ok: false, status: 400, error: `${item.name || 'Item'} is not on ${restaurant.name}'s menu` };
+    }
+    const remaining = remainingStock(dish);
+    if (!dish.isAvailable || remaining === 0) {
+      unavailable.push(dish.name);
+      continue;
+    }
+    const wanted = (requested.get(String(dish._id)) || 0) + quantity;
+    requested.set(String(dish._id), wanted);
+    if (remaining !== null && wanted > remaining) {
+      return {
+        ok: false,
+        status: 409,
+        error: `Only ${remaining} × ${dish.name} left today`,
+        details: { dishId: String(dish._id), remaining }
+      };
+    }
+
+    const { customizations, error } = priceCustomizations(dish, item.customizations);
+    if (error) return { ok: false, status: 400, error };
+
+    const unitPrice = dish.price + customizations.reduce((sum, c) => sum + c.price, 0);
+    priced.push({
+      dish: dish._id,
+      name: dish.name,
+      price: unitPrice,
+      quantity,
+      photo: dish.image,
+      customizations,
+      category: dish.category,
+      taxRate: taxRateFor(dish.category),
+    });
+  }
+
+  if (unavailable.length > 0) {
+    return { ok: false, status: 409, error: 'Some items are no longer available', details: { unavailable } };
+  }
+
+  const subtotal = roundMoney(priced.reduce((sum, it) => sum + it.price * it.quantity, 0));
+  if (subtotal < restaurant.minimumOrder) {
+    return {
+      ok: false,
+      status: 400,
+      error: `Minimum order for ${restaurant.name} is ₹${restaurant.minimumOrder}`,
+      details: { subtotal, minimumOrder: restaurant.minimumOrder },
+    };
+  }
+
+  let coupon = null;
+  let discount = 0;
+  if (couponCode) {
+    const applied = await checkCoupon({ code: couponCode, user, restaurant, subtotal });
+    if (!applied.ok) return applied;
+    coupon = applied.coupon;
+    discount = applied.discount;
+  }
+
+  const deliveryFee = roundMoney(serviceability?.deliveryFee ?? restaurant.deliveryFee ?? 0);
+  const { taxes, taxRate } = computeTaxes(priced.map(it => ({ amount: roundMoney(it.price * it.quantity), taxRate: it.taxRate })), discount);
+  const total = roundMoney(subtotal - discount + deliveryFee + taxes);
+
+  return {
+    ok: true,
+    restaurant,
+    items: priced,
+    breakdown: { subtotal, deliveryFee, taxes, taxRate, discount, couponCode: coupon ? coupon.code : undefined, total },
+    coupon,
+    payoutAmount: Math.max(MIN_PAYOUT, Math.round(subtotal * PAYOUT_RATE)),
+    serviceability,
+  };
+};
+
+module.exports = { priceOrder, findRestaurant, findDish, priceCustomizations, computeTaxes, roundMoney, TAX_RATE };
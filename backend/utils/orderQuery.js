@@ -0,0 +1,82 @@
+// Filters and cursor pagination for order listings.
+//
+// Orders are listed newest first, ordered by (createdAt, _id) so the cursor
+// stays stable when several orders share a timestamp.
+
+const mongoose = require('mongoose');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const encodeCursor = (doc) => Buffer
+  .from(`${new Date(doc.createdAt).toISOString()}|${doc._id}`)
+  .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+    const date = new Date(createdAt);
+    if (Number.isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { createdAt: date, _id: new mongoose.Types.ObjectId(id) };
+  } catch (_) {
+    return null;
+  }
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Returns { ok: true, filter, limit } or { ok: false, status, error }
+const buildOrderQuery = (query = {}) => {
+  const { status, restaurantId, driver, from, to, paymentMethod, q, cursor } = query;
+  const filter = {};
+
+  if (status) filter.status = { $in: String(status).split(',') };
+  if (restaurantId) filter.restaurantId = String(restaurantId);
+  if (paymentMethod) filter.paymentMethod = { $in: String(paymentMethod).split(',') };
+
+  if (driver) {
+    // driver.id is an ObjectId for real drivers, a string for admin placeholders
+    const ids = [String(driver)];
+    if (mongoose.Types.ObjectId.isValid(String(driver))) ids.push(new mongoose.Types.ObjectId(String(driver)));
+    filter['driver.id'] = { $in: ids };
+  }
+
+  const fromDate = parseDate(from);
+  const toDate = parseDate(to);
+  if (fromDate === undefined || toDate === undefined) {
+    return { ok: false, status: 400, error: 'from/to must be valid dates' };
+  }
+  if (fromDate || toDate) {
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = fromDate;
+    if (toDate) filter.createdAt.$lte = toDate;
+  }
+
+  if (q) {
+    const term = escapeRegex(String(q).trim().toUpperCase());
+    // Full or leading IDs hit the orderId index; fragments fall back to a scan
+    filter.orderId = term.startsWith('ORD') ? new RegExp(`^${term}`) : new RegExp(term);
+  }
+
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    if (!after) return { ok: false, status: 400, error: 'Invalid cursor' };
+    filter.$or = [
+      { createdAt: { $lt: after.createdAt } },
+      { createdAt: after.createdAt, _id: { $lt: after._id } },
+    ];
+  }
+
+  const requested = parseInt(query.limit, 10);
+  const limit = Math.min(MAX_PAGE_SIZE, Number.isFinite(requested) && requested > 0 ? requested : DEFAULT_PAGE_SIZE);
+
+  return { ok: true, filter, limit };
+};
+
+module.exports = { buildOrderQuery, encodeCursor, decodeCursor, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE };
@@ -0,0 +1,83 @@
+// Order status state machine shared by every order endpoint.
+//
+// ORDER_TRANSITIONS maps a current status to the statuses it may move to,
+// and each edge lists the roles allowed to take it. Admins may take any
+// edge that exists; nobody may take an edge that doesn't. Customers cancel
+// through POST /api/orders/:id/cancel, which applies the cancellation policy.
+// UPI, card and split bill orders start in `awaiting_payment` and are moved
+// to `pending` by the payment flow once paid (utils/payments,
+// utils/splitBills.js), never by a request.
+
+const ROLES = {
+  CUSTOMER: 'user',
+  RESTAURANT: 'restaurant_owner',
+  DELIVERY: 'delivery_partner',
+  ADMIN: 'admin'
+};
+
+const { CUSTOMER, RESTAURANT, DELIVERY } = ROLES;
+
+const ORDER_TRANSITIONS = {
+  awaiting_payment: {
+    pending: [],
+    cancelled: [CUSTOMER]
+  },
+  pending: {
+    confirmed: [RESTAURANT],
+    pending_delivery: [RESTAURANT],
+    rejected: [RESTAURANT],
+    cancelled: [RESTAURANT, CUSTOMER]
+  },
+  confirmed: {
+    preparing: [RESTAURANT],
+    pending_delivery: [RESTAURANT],
+    ready_for_pickup: [RESTAURANT],
+    cancelled: [RESTAURANT, CUSTOMER]
+  },
+  preparing: {
+    pending_delivery: [RESTAURANT],
+    ready_for_pickup: [RESTAURANT],
+    cancelled: [CUSTOMER]
+  },
+  pending_delivery: {
+    ready_for_pickup: [RESTAURANT],
+    accepted_delivery: [DELIVERY],
+    out_for_delivery: [DELIVERY],
+    cancelled: [CUSTOMER]
+  },
+  ready_for_pickup: {
+    accepted_delivery: [DELIVERY],
+    out_for_delivery: [DELIVERY],
+    cancelled: [CUSTOMER]
+  },
+  accepted_delivery: {
+    ready_for_pickup: [RESTAURANT],
+    out_for_delivery: [DELIVERY],
+    cancelled: [CUSTOMER]
+  },
+  out_for_delivery: {
+    // Self-edge so an admin can hand the order to another driver
+    out_for_delivery: [],
+    delivered: [DELIVERY]
+  },
+  delivered: {},
+  rejected: {},
+  cancelled: {}
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+const canTransition = (from, to) => Boolean(ORDER_TRANSITIONS[from] && ORDER_TRANSITIONS[from][to]);
+
+// Returns { ok: true } or { ok: false, status, error } ready to send as a response
+const checkTransition = (from, to, role) => {
+  if (!canTransition(from, to)) {
+    return { ok: false, status: 409, error: `Cannot move order from ${from} to ${to}` };
+  }
+  if (role === ROLES.ADMIN || ORDER_TRANSITIONS[from][to].includes(role)) {
+    return { ok: true };
+  }
+  return { ok: false, status: 403, error: 'Insufficient permissions for this status change' };
+};
+
+module.exports = { ROLES, ORDER_TRANSITIONS, ORDER_STATUSES, canTransition, checkTransition };
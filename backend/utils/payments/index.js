@@ -0,0 +1,373 @@
+// Online payments. The browser never marks an order paid: it asks for a
+// payment intent, pays through the provider, and waits while the provider's
+// signed webhook moves the intent to `succeeded` or `failed`. Once succeeded
+// intents (plus any wallet money used at checkout) cover the order total, the
+// order's paymentStatus becomes `paid`. A wallet top-up is an intent without
+// an order; it credits the customer's wallet when it succeeds. Money the
+// provider takes that we can't keep (a late success on a failed intent, or a
+// payment for an order cancelled meanwhile) is flagged `refundDue`.
+//
+// PAYMENT_PROVIDER picks the provider and must be set; `mock` (./mock.js)
+// is refused when NODE_ENV is production.
+// A provider is an object with:
+//   name
+//   createPayment(intent, purchase) -> { providerRef, clientAction?, webhook? }
+//     starts collecting intent.amount. `purchase` is { reference, description,
+//     returnPath }: what the payment is for, as shown to the payer, and where
+//     to send them back to. `clientAction` tells the payer what to
+//     do: { type: 'redirect', url } or { type: 'upi_intent', uri? }, plus an
+//     optional message. Every UPI intent gets a `upi://pay` uri (built here
+//     unless the provider gave one) and a QR code of it. `webhook` is
+//     only used by the mock: a signed { delayMs, rawBody, headers } delivered
+//     back to handleWebhook.
+//   verifyWebhook(rawBody, headers) -> boolean
+//   parseWebhook(payload) -> { providerRef, status, failureReason? } or null
+//     for events we don't act on.
+//
+// Functions that can be refused return { ok: true, ... } or
+// { ok: false, status, error, details? } ready to send as a response.
+
+const Order = require('../../models/Order');
+const PaymentIntent = require('../../models/PaymentIntent');
+const { broadcastOrderEvent } = require('../orderEvents');
+const { refreshSplitBill, releaseOrder } = require('../splitBills');
+const { creditWallet } = require('../wallet');
+const { roundMoney } = require('../orderPricing');
+const { isValidUpiId, payee, buildUpiUri, toQrCodeDataUrl } = require('./upi');
+const mock = require('./mock');
+const razorpay = require('./razorpay');
+
+const PROVIDERS = { mock, razorpay };
+// Providers where no money moves; never used in production
+const TEST_ONLY_PROVIDERS = ['mock'];
+
+// How long a pending intent holds its share of the order total
+const PAYMENT_INTENT_TTL_MINUTES = 20;
+
+// The configured provider; throws when PAYMENT_PROVIDER is missing, unknown
+// or a test-only provider in production. server.js calls this at startup.
+const getProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER;
+  if (!name) throw new Error(`PAYMENT_PROVIDER is not set (${Object.keys(PROVIDERS).join(' or ')})`);
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown PAYMENT_PROVIDER "${name}"`);
+  if (TEST_ONLY_PROVIDERS.includes(name) && process.env.NODE_ENV === 'production') {
+    throw new Error(`PAYMENT_PROVIDER "${name}" cannot be used in production`);
+  }
+  return provider;
+};
+
+// What has been paid on an order and what is still free to collect. Wallet
+// money taken at checkout counts as paid, and live pending intents hold their
+// amount so parallel payers can't overpay.
+const getOrderBalance = async (order, now = new Date()) => {
+  const intents = await PaymentIntent.find({
+    order: order._id,
+    $or: [{ status: 'succeeded' }, { status: 'pending', expiresAt: { $gt: now } }],
+  }).select('amount status').lean();
+
+  const sum = (status) => roundMoney(intents.filter(i => i.status === status).reduce((total, i) => total + i.amount, 0));
+  const total = Number(order.totalAmount) || 0;
+  const paid = roundMoney(sum('succeeded') + (Number(order.walletAmount) || 0));
+  const held = sum('pending');
+  return { total, paid, held, outstanding: Math.max(0, roundMoney(total - paid - held)) };
+};
+
+const ENDED_STATUSES = ['cancelled', 'rejected'];
+
+// A cancelled order's refund covers what was collected when it was
+// cancelled; anything captured since is flagged for refund on `intent`
+const flagCapturedAfterCancel = async (order, intent) => {
+  if (intent?.status !== 'succeeded') return;
+  const collected = roundMoney((order.cancellation?.fee || 0) + (order.cancellation?.refundAmount || 0));
+  const balance = await getOrderBalance(order);
+  if (balance.paid > collected) {
+    await PaymentIntent.updateOne({ _id: intent._id }, { $set: { refundDue: true } });
+    console.warn(`Payment ${intent._id} captured for ${order.status} order ${order.orderId}; flagged for refund`);
+  }
+};
+
+// Bring order.paymentStatus and paidAmount in line with its intents after
+// `intent` settled, and update the split bill if the order has one. A
+// cancelled or rejected order is never marked paid.
+const settleOrder = async (orderRef, intent) => {
+  const order = await Order.findById(orderRef)
+    .select('orderId restaurantId status cancellation totalAmount paymentStatus paidAmount walletAmount splitBill')
+    .lean();
+  if (!order) return order;
+  if (ENDED_STATUSES.includes(order.status)) {
+    await flagCapturedAfterCancel(order, intent);
+    return order;
+  }
+  if (['paid', 'refunded'].includes(order.paymentStatus)) return order;
+
+  const balance = await getOrderBalance(order);
+  let paymentStatus = order.paymentStatus;
+  if (balance.paid >= balance.total) {
+    paymentStatus = 'paid';
+  } else if (balance.paid === 0 && balance.held === 0) {
+    paymentStatus = 'failed';
+  }
+
+  if (paymentStatus !== order.paymentStatus || balance.paid !== order.paidAmount) {
+    const written = await Order.updateOne(
+      { _id: order._id, paymentStatus: order.paymentStatus, status: { $nin: ENDED_STATUSES } },
+      { $set: { paymentStatus, paidAmount: balance.paid } }
+    );
+    // Cancelled or settled by someone else since we read it: start over
+    if (written.matchedCount === 0) return settleOrder(orderRef, intent);
+  }
+  if (paymentStatus !== order.paymentStatus) {
+    broadcastOrderEvent('order_payment_updated', {
+      id: order.orderId,
+      restaurantId: order.restaurantId,
+      paymentStatus,
+      paidAmount: balance.paid,
+    });
+  }
+  if (order.splitBill) {
+    await refreshSplitBill(order, paymentStatus);
+  } else if (paymentStatus === 'paid' && order.status === 'awaiting_payment') {
+    await releaseOrder(order._id, 'Payment received');
+  }
+  return { ...order, paymentStatus, paidAmount: balance.paid };
+};
+
+// Add a QR code of the link the payer has to open, so they can scan it from
+// another phone. A QR code that fails to render is left out, not fatal.
+const withQrCode = async (clientAction) => {
+  const target = clientAction?.url || clientAction?.uri;
+  if (!target) return clientAction;
+  try {
+    return { ...clientAction, qrCode: await toQrCodeDataUrl(target) };
+  } catch (error) {
+    console.error('Error generating payment QR code:', error);
+    return clientAction;
+  }
+};
+
+// A UPI intent whose provider gives no link of its own (the mock) is paid
+// through our `upi://pay` link for its amount. Providers with a payment page
+// or link keep theirs: only they can match the money to the intent.
+const withUpiUri = (intent, purchase, clientAction = {}) => {
+  if (intent.method !== 'upi' || clientAction.uri || clientAction.url) return clientAction;
+  return {
+    type: 'upi_intent',
+    ...clientAction,
+    uri: buildUpiUri({ amount: intent.amount, reference: String(intent._id), note: purchase.description }),
+  };
+};
+
+// Hand a new intent to the provider; the intent fails when the provider
+// can't be reached. The mock's webhook is scheduled here.
+const startPayment = async (provider, intent, purchase) => {
+  let started;
+  try {
+    started = await provider.createPayment(intent, purchase);
+  } catch (error) {
+    console.error('Error starting payment:', error);
+    intent.status = 'failed';
+    intent.failureReason = 'Payment provider unavailable';
+    await intent.save();
+    return { ok: false, status: 502, error: 'Could not reach the payment provider, please try again' };
+  }
+
+  intent.providerRef = started.providerRef;
+  intent.clientAction = await withQrCode(withUpiUri(intent, purchase, started.clientAction));
+  await intent.save();
+
+  if (started.webhook) {
+    const { delayMs, rawBody, headers } = started.webhook;
+    setTimeout(() => {
+      handleWebhook(provider.name, rawBody, headers)
+        .catch(error => console.error('Error delivering mock payment webhook:', error));
+    }, delayMs);
+  }
+  return { ok: true, intent };
+};
+
+// `splitBill` and `participant` tie the payment to a split bill share
+const createIntent = async ({ order, user, amount, upiId, payerName, splitBill, participant }) => {
+  if (order.paymentMethod === 'cash') {
+    return { ok: false, status: 422, error: 'Cash orders are paid on delivery' };
+  }
+  if (['paid', 'refunded'].includes(order.paymentStatus)) {
+    return { ok: false, status: 409, error: 'This order is already paid' };
+  }
+  if (ENDED_STATUSES.includes(order.status)) {
+    return { ok: false, status: 409, error: `This order was ${order.status}` };
+  }
+
+  const balance = await getOrderBalance(order);
+  const requested = amount === undefined ? balance.outstanding : roundMoney(amount);
+  if (!(requested > 0) || requested > balance.outstanding) {
+    return {
+      ok: false,
+      status: 409,
+      error: balance.outstanding > 0 ? `Only ₹${balance.outstanding} is left to pay on this order` : 'Nothing is left to pay on this order',
+      details: { outstanding: balance.outstanding },
+    };
+  }
+
+  const provider = getProvider();
+  const intent = await PaymentIntent.create({
+    order: order._id,
+    orderId: order.orderId,
+    user: user?._id,
+    amount: requested,
+    method: 'upi',
+    upiId,
+    payerName,
+    splitBill,
+    participant,
+    provider: provider.name,
+    expiresAt: new Date(Date.now() + PAYMENT_INTENT_TTL_MINUTES * 60 * 1000),
+  });
+
+  const started = await startPayment(provider, intent, {
+    reference: order.orderId,
+    description: `Order ${order.orderId} at ${order.restaurantName}`,
+    returnPath: `/track/${order.orderId}`,
+  });
+  if (!started.ok) return started;
+
+  // A retry after a failed attempt puts the order back to awaiting payment
+  if (order.paymentStatus === 'failed') {
+    await Order.updateOne({ _id: order._id, paymentStatus: 'failed' }, { $set: { paymentStatus: 'pending' } });
+  }
+  return started;
+};
+
+// Add money to a customer's wallet. The wallet is credited once the
+// provider confirms the payment.
+const createTopUpIntent = async ({ user, amount, upiId }) => {
+  const provider = getProvider();
+  const intent = await PaymentIntent.create({
+    purpose: 'wallet_topup',
+    user: user._id,
+    amount: roundMoney(amount),
+    method: 'upi',
+    upiId,
+    payerName: user.name,
+    provider: provider.name,
+    expiresAt: new Date(Date.now() + PAYMENT_INTENT_TTL_MINUTES * 60 * 1000),
+  });
+  return startPayment(provider, intent, {
+    reference: `TOPUP-${intent._id}`,
+    description: 'CraveCart wallet top-up',
+    returnPath: '/dashboard',
+  });
+};
+
+// Act on an intent that just settled: credit the wallet for a successful
+// top-up, otherwise bring its order up to date
+const applySettledIntent = async (intent) => {
+  if (intent.purpose !== 'wallet_topup') {
+    await settleOrder(intent.order, intent);
+    return;
+  }
+  if (intent.status === 'succeeded') {
+    await creditWallet({
+      user: intent.user,
+      type: 'topup',
+      amount: intent.amount,
+      key: `topup:${intent._id}`,
+      paymentIntent: intent._id,
+      description: 'Wallet top-up',
+    });
+  }
+};
+
+// Pending intents past their expiry are failed when next looked at
+const refreshIntent = async (intent) => {
+  if (intent.status !== 'pending' || intent.expiresAt > new Date()) return intent;
+  const expired = await PaymentIntent.findOneAndUpdate(
+    { _id: intent._id, status: 'pending' },
+    { $set: { status: 'failed', failureReason: 'Payment timed out' } },
+    { new: true }
+  );
+  if (!expired) return PaymentIntent.findById(intent._id);
+  await applySettledIntent(expired);
+  return expired;
+};
+
+// Verify and apply a provider callback. Repeated deliveries of the same
+// event, and events for intents that already settled, are acknowledged
+// and ignored. Only a pending intent can succeed, even past its expiry; a
+// success for one that already failed stays failed and is flagged for
+// refund, since the money was taken.
+const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getProvider();
+  if (providerName !== provider.name) {
+    return { ok: false, status: 404, error: 'Unknown payment provider' };
+  }
+  if (!provider.verifyWebhook(rawBody, headers)) {
+    return { ok: false, status: 401, error: 'Invalid webhook signature' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString());
+  } catch (_) {
+    return { ok: false, status: 400, error: 'Webhook body is not JSON' };
+  }
+
+  const event = provider.parseWebhook(payload);
+  if (!event) return { ok: true, ignored: true };
+
+  const ref = { provider: providerName, providerRef: event.providerRef };
+  const intent = await PaymentIntent.findOneAndUpdate(
+    { ...ref, status: 'pending' },
+    event.status === 'succeeded'
+      ? { $set: { status: 'succeeded', paidAt: new Date() } }
+      : { $set: { status: 'failed', failureReason: event.failureReason || 'Payment failed' } },
+    { new: true }
+  );
+  if (!intent) {
+    if (event.status !== 'succeeded') return { ok: true, ignored: true };
+    const late = await PaymentIntent.findOneAndUpdate(
+      { ...ref, status: 'failed', refundDue: { $ne: true } },
+      { $set: { refundDue: true, paidAt: new Date() } },
+      { new: true }
+    );
+    if (late) console.warn(`Payment ${late._id} succeeded after it failed; flagged for refund`);
+    return { ok: true, ignored: true };
+  }
+
+  await applySettledIntent(intent);
+  return { ok: true, intent };
+};
+
+const toIntentResponse = (intent) => ({
+  id: intent._id,
+  purpose: intent.purpose,
+  orderId: intent.orderId,
+  amount: intent.amount,
+  currency: intent.currency,
+  method: intent.method,
+  upiId: intent.upiId,
+  payerName: intent.payerName,
+  provider: intent.provider,
+  status: intent.status,
+  // Only useful while the customer still has to act
+  clientAction: intent.status === 'pending' ? intent.clientAction : undefined,
+  failureReason: intent.failureReason,
+  refundDue: intent.refundDue || undefined,
+  paidAt: intent.paidAt,
+  expiresAt: intent.expiresAt,
+  createdAt: intent.createdAt,
+});
+
+module.exports = {
+  PAYMENT_INTENT_TTL_MINUTES,
+  getProvider,
+  getOrderBalance,
+  settleOrder,
+  createIntent,
+  createTopUpIntent,
+  refreshIntent,
+  handleWebhook,
+  toIntentResponse,
+  isValidUpiId,
+  payee
+};
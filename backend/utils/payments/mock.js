@@ -0,0 +1,45 @@
+// Local stand-in for a payment gateway, for development and tests.
+//
+// No money moves: a few seconds after a payment is created the provider
+// "sends" its webhook, signed with MOCK_PAYMENT_WEBHOOK_SECRET (required),
+// and it goes through the same verification as a real gateway's. UPI IDs starting with
+// `fail` (e.g. fail@upi) are declined, everything else succeeds.
+
+const { signPayload, signatureMatches } = require('./signature');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const secret = () => process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+const delayMs = () => Number(process.env.MOCK_PAYMENT_DELAY_MS) || 3000;
+
+const createPayment = async (intent) => {
+  if (!secret()) {
+    throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not set');
+  }
+  const providerRef = `mock_${intent._id}`;
+  const declined = /^fail/i.test(intent.upiId || '');
+  const rawBody = JSON.stringify({
+    event: declined ? 'payment.failed' : 'payment.succeeded',
+    providerRef,
+    reason: declined ? 'Declined by the payer\'s bank' : undefined,
+  });
+
+  return {
+    providerRef,
+    clientAction: {
+      type: 'upi_intent',
+      message: `Approve the request for ₹${intent.amount} in your UPI app, or scan the QR code to pay`,
+    },
+    webhook: { delayMs: delayMs(), rawBody, headers: { [SIGNATURE_HEADER]: signPayload(secret(), rawBody) } },
+  };
+};
+
+const verifyWebhook = (rawBody, headers) => signatureMatches(secret(), rawBody, headers[SIGNATURE_HEADER]);
+
+const parseWebhook = (payload) => {
+  if (payload.event === 'payment.succeeded') return { providerRef: payload.providerRef, status: 'succeeded' };
+  if (payload.event === 'payment.failed') return { providerRef: payload.providerRef, status: 'failed', failureReason: payload.reason };
+  return null;
+};
+
+module.exports = { name: 'mock', createPayment, verifyWebhook, parseWebhook };
@@ -0,0 +1,59 @@
+// Razorpay adapter. Each intent becomes a Razorpay payment link the customer
+// opens to pay by UPI (or card); Razorpay then calls
+// POST /api/payments/webhooks/razorpay, signed with the webhook secret
+// configured on the Razorpay dashboard.
+//
+// Needs RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET.
+
+const { signatureMatches } = require('./signature');
+
+const API_BASE = 'https://api.razorpay.com/v1';
+
+const FAILED_EVENTS = {
+  'payment_link.expired': 'Payment link expired',
+  'payment_link.cancelled': 'Payment link was cancelled',
+};
+
+const createPayment = async (intent, purchase) => {
+  const { RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET } = process.env;
+  if (!RAZORPAY_KEY_ID || !RAZORPAY_KEY_SECRET) {
+    throw new Error('Razorpay is not configured');
+  }
+
+  const response = await fetch(`${API_BASE}/payment_links`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Basic ${Buffer.from(`${RAZORPAY_KEY_ID}:${RAZORPAY_KEY_SECRET}`).toString('base64')}`,
+    },
+    body: JSON.stringify({
+      // Razorpay amounts are in paise
+      amount: Math.round(intent.amount * 100),
+      currency: intent.currency,
+      reference_id: String(intent._id),
+      description: purchase.description,
+      expire_by: Math.floor(intent.expiresAt.getTime() / 1000),
+      notes: { reference: purchase.reference, intentId: String(intent._id) },
+      ...(process.env.FRONTEND_URL ? { callback_url: `${process.env.FRONTEND_URL}${purchase.returnPath}`, callback_method: 'get' } : {}),
+    }),
+  });
+  const link = await response.json();
+  if (!response.ok) {
+    throw new Error(`Razorpay: ${link.error?.description || response.statusText}`);
+  }
+
+  return { providerRef: link.id, clientAction: { type: 'redirect', url: link.short_url } };
+};
+
+const verifyWebhook = (rawBody, headers) =>
+  signatureMatches(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody, headers['x-razorpay-signature']);
+
+const parseWebhook = (payload) => {
+  const link = payload.payload?.payment_link?.entity;
+  if (!link) return null;
+  if (payload.event === 'payment_link.paid') return { providerRef: link.id, status: 'succeeded' };
+  if (FAILED_EVENTS[payload.event]) return { providerRef: link.id, status: 'failed', failureReason: FAILED_EVENTS[payload.event] };
+  return null;
+};
+
+module.exports = { name: 'razorpay', createPayment, verifyWebhook, parseWebhook };
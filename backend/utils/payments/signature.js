@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+// HMAC-SHA256 of the raw webhook body, hex encoded
+const signPayload = (secret, rawBody) => crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+// Constant-time comparison of a received signature with the expected one
+const signatureMatches = (secret, rawBody, signature) => {
+  if (!secret || !rawBody || typeof signature !== 'string') return false;
+  const expected = Buffer.from(signPayload(secret, rawBody));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = { signPayload, signatureMatches };
@@ -0,0 +1,48 @@
+// UPI deep links and QR codes.
+//
+// A `upi://pay` intent URI (NPCI's UPI linking spec) opens any UPI app with
+// the payee, amount and reference already filled in; the same URI as a QR
+// code can be scanned from another phone. The payee is UPI_PAYEE_VPA /
+// UPI_PAYEE_NAME and the transaction reference (`tr`) is the payment intent's
+// ID, so every attempt can be told apart when reconciling.
+
+const QRCode = require('qrcode');
+
+// handle@psp, e.g. priya.sharma@okhdfcbank or 9876543210@ybl
+const UPI_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{1,255}@[a-zA-Z][a-zA-Z0-9]{1,63}$/;
+
+// UPI apps truncate or reject longer transaction notes
+const MAX_NOTE_LENGTH = 50;
+
+const isValidUpiId = (value) => UPI_ID_PATTERN.test(String(value || '').trim());
+
+// Who UPI links pay; throws when UPI_PAYEE_VPA is missing or malformed.
+// server.js calls this at startup.
+const payee = () => {
+  const vpa = process.env.UPI_PAYEE_VPA;
+  if (!vpa) throw new Error('UPI_PAYEE_VPA is not set');
+  if (!isValidUpiId(vpa)) throw new Error(`UPI_PAYEE_VPA "${vpa}" is not a valid UPI ID`);
+  return { vpa, name: process.env.UPI_PAYEE_NAME || 'CraveCart' };
+};
+
+const buildUpiUri = ({ amount, reference, note }) => {
+  const { vpa, name } = payee();
+  const params = [
+    ['pa', vpa],
+    ['pn', name],
+    ['tr', reference],
+    ['tn', note ? String(note).slice(0, MAX_NOTE_LENGTH) : undefined],
+    ['am', Number(amount).toFixed(2)],
+    ['cu', 'INR'],
+  ];
+  return 'upi://pay?' + params
+    .filter(([, value]) => value)
+    // Some UPI apps don't decode the payee, so `@` is left as is
+    .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`)
+    .join('&');
+};
+
+// A PNG data URL the client can put straight into an <img>
+const toQrCodeDataUrl = (text) => QRCode.toDataURL(text, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+
+module.exports = { UPI_ID_PATTERN, isValidUpiId, payee, buildUpiUri, toQrCodeDataUrl };
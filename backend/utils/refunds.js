@@ -0,0 +1,134 @@
+// Customer cancellation policy and the refund workflow.
+//
+// Cancelling is free until the restaurant accepts the order. After that a
+// share of the food subtotal is kept as a cancellation fee, and once a
+// driver is on the way the order can no longer be cancelled. When the
+// restaurant or an admin cancels or rejects an order the fee is waived.
+//
+// Refunds start as `initiated` and end `processed` or `failed`; a failed
+// refund can be initiated again. A processed refund marks the order
+// paymentStatus `refunded`. Money that came from the CraveCart wallet goes
+// straight back to it, as can the rest if the customer prefers; a refund
+// paid entirely to the wallet is processed at once.
+
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const { roundMoney } = require('./orderPricing');
+const { creditWallet } = require('./wallet');
+
+// Share of the food subtotal kept when a customer cancels in each status
+const CANCELLATION_FEE_RATES = {
+  awaiting_payment: 0,
+  pending: 0,
+  confirmed: 0.1,
+  preparing: 0.5,
+  pending_delivery: 0.5,
+  ready_for_pickup: 0.5,
+  accepted_delivery: 0.5,
+};
+
+const REFUND_TRANSITIONS = {
+  initiated: ['processed', 'failed'],
+  failed: ['initiated'],
+  processed: [],
+};
+
+// Returns { cancellable, status, feeRate, fee, refundAmount, error? }.
+// Only money actually collected is refunded, so unpaid (e.g. cash) orders
+// cancel with nothing to refund and no fee to withhold, and a split bill
+// cancelled part way refunds the shares already paid. `waiveFee` refunds
+// everything collected.
+const getCancellationTerms = (order, { waiveFee = false } = {}) => {
+  const policyRate = CANCELLATION_FEE_RATES[order.status];
+  if (policyRate === undefined) {
+    return { cancellable: false, status: order.status, error: `Orders that are ${order.status.replace(/_/g, ' ')} can no longer be cancelled` };
+  }
+
+  const feeRate = waiveFee ? 0 : policyRate;
+  const paid = order.paymentStatus === 'paid'
+    ? Number(order.pricing?.total ?? order.totalAmount) || 0
+    : Number(order.paidAmount) || 0;
+  const subtotal = Number(order.pricing?.subtotal ?? paid) || 0;
+  const fee = Math.min(paid, roundMoney(subtotal * feeRate));
+  return { cancellable: true, status: order.status, feeRate, fee, refundAmount: roundMoney(paid - fee) };
+};
+
+// Create the refund for a freshly cancelled order; null when nothing was
+// paid. The wallet is refunded first, then (with `toWallet`, for customers
+// with an account) the rest too.
+const initiateRefund = async (order, terms, { toWallet = false } = {}) => {
+  if (!(terms.refundAmount > 0)) return null;
+
+  let walletAmount = 0;
+  if (order.user) {
+    walletAmount = toWallet ? terms.refundAmount : Math.min(terms.refundAmount, Number(order.walletAmount) || 0);
+  }
+  const settled = walletAmount >= terms.refundAmount;
+
+  const refund = await Refund.create({
+    order: order._id,
+    orderId: order.orderId,
+    user: order.user,
+    amount: terms.refundAmount,
+    cancellationFee: terms.fee,
+    method: settled ? 'wallet' : order.paymentMethod,
+    walletAmount,
+    status: settled ? 'processed' : 'initiated',
+    processedAt: settled ? new Date() : undefined,
+  });
+  if (walletAmount > 0) {
+    await creditWallet({
+      user: order.user,
+      type: 'refund',
+      amount: walletAmount,
+      key: `refund:${refund._id}`,
+      order: order._id,
+      orderId: order.orderId,
+      refund: refund._id,
+      description: `Refund for order ${order.orderId}`,
+    });
+  }
+  if (settled) {
+    await Order.updateOne({ _id: order._id }, { $set: { paymentStatus: 'refunded' } });
+  }
+  return refund;
+};
+
+// Returns { ok: true, refund } or { ok: false, status, error }
+const setRefundStatus = async (refund, status, { failureReason } = {}) => {
+  if (!(REFUND_TRANSITIONS[refund.status] || []).includes(status)) {
+    return { ok: false, status: 409, error: `Cannot move refund from ${refund.status} to ${status}` };
+  }
+
+  refund.status = status;
+  refund.failureReason = status === 'failed' ? failureReason || 'Refund failed' : undefined;
+  refund.processedAt = status === 'processed' ? new Date() : undefined;
+  await refund.save();
+
+  if (status === 'processed') {
+    await Order.updateOne({ _id: refund.order }, { $set: { paymentStatus: 'refunded' } });
+  }
+  return { ok: true, refund };
+};
+
+const toRefundResponse = (refund) => refund && ({
+  id: refund._id,
+  orderId: refund.orderId,
+  amount: refund.amount,
+  cancellationFee: refund.cancellationFee,
+  method: refund.method,
+  walletAmount: refund.walletAmount || 0,
+  status: refund.status,
+  failureReason: refund.failureReason,
+  processedAt: refund.processedAt,
+  createdAt: refund.createdAt,
+  updatedAt: refund.updatedAt,
+});
+
+module.exports = {
+  CANCELLATION_FEE_RATES,
+  getCancellationTerms,
+  initiateRefund,
+  setRefundStatus,
+  toRefundResponse
+};
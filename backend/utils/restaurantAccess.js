@@ -0,0 +1,24 @@
+// Who may manage a restaurant's menu: its owner, or any admin.
+
+const mongoose = require('mongoose');
+const Restaurant = require('../models/Restaurant');
+
+const canManageRestaurant = (restaurant, user) => {
+  if (!restaurant || !user) return false;
+  if (user.role === 'admin') return true;
+  return Boolean(restaurant.owner) && String(restaurant.owner._id || restaurant.owner) === String(user._id);
+};
+
+// Returns { ok: true, restaurant } or { ok: false, status, error }
+const loadManagedRestaurant = async (restaurantId, user) => {
+  const restaurant = mongoose.Types.ObjectId.isValid(String(restaurantId))
+    ? await Restaurant.findById(restaurantId)
+    : null;
+  if (!restaurant) return { ok: false, status: 404, error: 'Restaurant not found' };
+  if (!canManageRestaurant(restaurant, user)) {
+    return { ok: false, status: 403, error: 'You can only manage your own restaurant\'s menu' };
+  }
+  return { ok: true, restaurant };
+};
+
+module.exports = { canManageRestaurant, loadManagedRestaurant };
@@ -0,0 +1,83 @@
+// Order reviews and the scores aggregated from them.
+//
+// A customer rates a delivered order once: the restaurant, the food and
+// (when a driver delivered it) the delivery, each 1-5. Restaurant.rating and
+// ratingCount are recomputed from the restaurant scores after every review,
+// and the driver's User.driverRating from the delivery scores.
+
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Restaurant = require('../models/Restaurant');
+const User = require('../models/User');
+
+const roundRating = (value) => Math.round((Number(value) || 0) * 10) / 10;
+
+const driverIdOf = (order) => {
+  const id = order.driver?.id || order.driver?._id;
+  return id && mongoose.Types.ObjectId.isValid(id) ? id : undefined;
+};
+
+// Returns { ok: true } or { ok: false, status, error }
+const checkReviewable = (order, user) => {
+  if (!order.user || String(order.user) !== String(user._id)) {
+    return { ok: false, status: 403, error: 'Only the customer who placed the order can review it' };
+  }
+  if (order.status !== 'delivered') {
+    return { ok: false, status: 409, error: 'Orders can be reviewed once they are delivered' };
+  }
+  if (!order.restaurant) {
+    return { ok: false, status: 409, error: 'This order is not linked to a restaurant' };
+  }
+  return { ok: true };
+};
+
+// Average and count of one score across the matching reviews
+const averageScore = async (match, field) => {
+  const [result] = await Review.aggregate([
+    { $match: { ...match, [`ratings.${field}`]: { $type: 'number' } } },
+    { $group: { _id: null, average: { $avg: `$ratings.${field}` }, count: { $sum: 1 } } },
+  ]);
+  return { average: roundRating(result?.average), count: result?.count || 0 };
+};
+
+const refreshRestaurantRating = async (restaurantId) => {
+  const { average, count } = await averageScore({ restaurant: new mongoose.Types.ObjectId(restaurantId) }, 'restaurant');
+  await Restaurant.updateOne({ _id: restaurantId }, { $set: { rating: average, ratingCount: count } });
+  return { rating: average, ratingCount: count };
+};
+
+const refreshDriverRating = async (driverId) => {
+  if (!driverId) return null;
+  const driverRating = await averageScore({ driver: new mongoose.Types.ObjectId(driverId) }, 'delivery');
+  await User.updateOne({ _id: driverId }, { $set: { driverRating } });
+  return driverRating;
+};
+
+// Restaurant, food and delivery averages for a restaurant's review list header
+const getRatingSummary = async (restaurantId) => {
+  const match = { restaurant: new mongoose.Types.ObjectId(restaurantId) };
+  const [restaurant, food, delivery] = await Promise.all(
+    ['restaurant', 'food', 'delivery'].map(field => averageScore(match, field))
+  );
+  return { rating: restaurant.average, ratingCount: restaurant.count, food: food.average, delivery: delivery.average };
+};
+
+// Public shape: reviewer first name only, no driver or order internals
+const toReviewResponse = (review) => ({
+  id: review._id,
+  orderId: review.orderId,
+  userName: (review.user?.name || 'Customer').split(' ')[0],
+  ratings: review.ratings,
+  comment: review.comment,
+  reply: review.reply?.text ? { text: review.reply.text, at: review.reply.at } : null,
+  createdAt: review.createdAt,
+});
+
+module.exports = {
+  driverIdOf,
+  checkReviewable,
+  refreshRestaurantRating,
+  refreshDriverRating,
+  getRatingSummary,
+  toReviewResponse,
+};
@@ -0,0 +1,207 @@
+// Unified restaurant + dish search behind GET /api/search.
+//
+// A query is matched three ways, best first:
+//   1. prefix  - a word in the name (or a cuisine/category) starts with the query
+//   2. text    - the existing text indexes on Restaurant and Dish (stemmed words)
+//   3. fuzzy   - only when 1 and 2 find nothing: names with a word within a
+//                small edit distance of a query word ("biriyani" -> "Biryani")
+// Matches are ranked in that order, facets are counted over every match, and
+// the cuisine/category/veg/price filters are applied afterwards so the facet
+// counts don't collapse to the current selection.
+
+const Restaurant = require('../models/Restaurant');
+const Dish = require('../models/Dish');
+
+const MAX_CANDIDATES = 300;
+
+const PRICE_BANDS = [
+  { value: 'under-150', label: 'Under ₹150', min: 0, max: 150 },
+  { value: '150-300', label: '₹150 – ₹300', min: 150, max: 300 },
+  { value: '300-500', label: '₹300 – ₹500', min: 300, max: 500 },
+  { value: '500-plus', label: '₹500+', min: 500, max: Infinity },
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalize = (text) => String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Any word starting with the query, e.g. "pan" matches "Paneer Tikka" and "Shahi Paneer"
+const prefixRegex = (q) => new RegExp(`(^|[\\s-])${escapeRegex(q)}`, 'i');
+
+const priceBandOf = (price) => PRICE_BANDS.find(band => price >= band.min && price < band.max);
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// One typo per four letters, at most two
+const allowedTypos = (word) => Math.min(2, Math.floor(word.length / 4));
+
+// Names where every query word is close to some word of the name
+const fuzzyMatches = (q, names) => {
+  const words = q.split(' ').filter(w => w.length >= 3);
+  if (words.length === 0) return [];
+  return names.filter((name) => {
+    const nameWords = normalize(name).split(/[\s-]+/);
+    return words.every(word => nameWords.some(nw => (
+      levenshtein(word, nw) <= allowedTypos(word) ||
+      // A partly typed word: compare against the start of the name word
+      levenshtein(word, nw.slice(0, word.length)) <= allowedTypos(word)
+    )));
+  });
+};
+
+const countBy = (items, keysOf) => {
+  const counts = new Map();
+  for (const item of items) {
+    for (const key of keysOf(item)) {
+      if (key) counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  return Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+};
+
+// Text-index matches as Map<id, textScore>
+const textScores = async (Model, q, filter) => {
+  const docs = await Model.find({ ...filter, $text: { $search: q } }, { score: { $meta: 'textScore' } })
+    .select('_id')
+    .limit(MAX_CANDIDATES)
+    .lean();
+  return new Map(docs.map(doc => [String(doc._id), doc.score]));
+};
+
+// Candidates ranked prefix > text > fuzzy; `usedFuzzy` says whether typo matching kicked in
+const findCandidates = async (Model, { q, filter, prefixFields, select, populate, textSearch }) => {
+  const load = (conditions) => {
+    const found = Model.find(conditions).select(select).limit(MAX_CANDIDATES);
+    return (populate ? found.populate(populate) : found).lean();
+  };
+  const regex = prefixRegex(q);
+  const [prefixDocs, scores] = await Promise.all([
+    load({ ...filter, $or: prefixFields.map(field => ({ [field]: regex })) }),
+    textSearch ? textScores(Model, q, filter) : new Map(),
+  ]);
+
+  const ranked = new Map(prefixDocs.map(doc => [String(doc._id), {
+    doc,
+    rank: 3 + (regex.test(doc.name) ? 1 : 0) + (normalize(doc.name).startsWith(q) ? 1 : 0),
+  }]));
+  const textOnly = [...scores.keys()].filter(id => !ranked.has(id));
+  if (textOnly.length > 0) {
+    const docs = await load({ _id: { $in: textOnly } });
+    docs.forEach(doc => ranked.set(String(doc._id), { doc, rank: 1 + Math.min(1, scores.get(String(doc._id)) / 10) }));
+  }
+
+  let usedFuzzy = false;
+  if (ranked.size === 0) {
+    const names = await Model.distinct('name', filter);
+    const close = fuzzyMatches(q, names);
+    if (close.length > 0) {
+      usedFuzzy = true;
+      const docs = await load({ ...filter, name: { $in: close } });
+      docs.forEach(doc => ranked.set(String(doc._id), { doc, rank: 0.5 }));
+    }
+  }
+
+  const docs = [...ranked.values()]
+    .sort((a, b) => b.rank - a.rank || (b.doc.rating || b.doc.averageRating || 0) - (a.doc.rating || a.doc.averageRating || 0))
+    .map(entry => entry.doc);
+  return { docs, usedFuzzy };
+};
+
+const toRestaurantResult = (r) => ({
+  _id: r._id,
+  name: r.name,
+  slug: r.slug,
+  photo: r.photo,
+  cuisines: r.cuisines,
+  rating: r.rating,
+  isVegOnly: r.isVegOnly,
+});
+
+const toDishResult = (d) => ({
+  _id: d._id,
+  name: d.name,
+  price: d.price,
+  image: d.image,
+  category: d.category,
+  isVeg: d.isVeg,
+  restaurant: d.restaurant && { _id: d.restaurant._id, name: d.restaurant.name, slug: d.restaurant.slug },
+});
+
+// options: { q, type: 'all'|'restaurants'|'dishes', limit, autocomplete, cuisine, category, veg, priceBand }
+const search = async ({ q, type = 'all', limit = 10, autocomplete = false, cuisine, category, veg, priceBand }) => {
+  const query = normalize(q);
+  const wantRestaurants = type !== 'dishes';
+  const wantDishes = type !== 'restaurants';
+
+  const [restaurantMatches, dishMatches] = await Promise.all([
+    wantRestaurants
+      ? findCandidates(Restaurant, {
+        q: query,
+        filter: { isActive: true },
+        prefixFields: ['name', 'cuisines'],
+        select: 'name slug photo cuisines rating isVegOnly',
+        textSearch: !autocomplete,
+      })
+      : { docs: [], usedFuzzy: false },
+    wantDishes
+      ? findCandidates(Dish, {
+        q: query,
+        filter: { isAvailable: true },
+        prefixFields: ['name', 'category'],
+        select: 'name price image category isVeg averageRating restaurant',
+        populate: { path: 'restaurant', select: 'name slug isActive' },
+        textSearch: !autocomplete,
+      })
+      : { docs: [], usedFuzzy: false },
+  ]);
+
+  const restaurants = restaurantMatches.docs;
+  // Dishes from inactive restaurants can't be ordered
+  const dishes = dishMatches.docs.filter(d => d.restaurant && d.restaurant.isActive !== false);
+
+  const facets = {
+    cuisine: countBy(restaurants, r => r.cuisines || []),
+    category: countBy(dishes, d => [d.category]),
+    veg: { veg: dishes.filter(d => d.isVeg).length, nonVeg: dishes.filter(d => !d.isVeg).length },
+    priceBand: PRICE_BANDS.map(({ value, label }) => ({
+      value,
+      label,
+      count: dishes.filter(d => priceBandOf(d.price)?.value === value).length,
+    })),
+  };
+
+  const band = PRICE_BANDS.find(b => b.value === priceBand);
+  const filteredRestaurants = restaurants.filter(r => (
+    (!cuisine || (r.cuisines || []).includes(cuisine)) &&
+    (!veg || r.isVegOnly)
+  ));
+  const filteredDishes = dishes.filter(d => (
+    (!category || d.category === category) &&
+    (!veg || d.isVeg) &&
+    (!band || (d.price >= band.min && d.price < band.max))
+  ));
+
+  return {
+    query,
+    fuzzy: restaurantMatches.usedFuzzy || dishMatches.usedFuzzy,
+    restaurants: filteredRestaurants.slice(0, limit).map(toRestaurantResult),
+    dishes: filteredDishes.slice(0, limit).map(toDishResult),
+    total: { restaurants: filteredRestaurants.length, dishes: filteredDishes.length },
+    ...(autocomplete ? {} : { facets }),
+  };
+};
+
+module.exports = { PRICE_BANDS, levenshtein, fuzzyMatches, search };
@@ -0,0 +1,77 @@
+// Can we deliver from a restaurant to an address, and for how much?
+//
+// checkServiceability() returns either
+//   { serviceable: true, zone, deliveryFee, distanceKm, estimatedMinutes }
+// or
+//   { serviceable: false, reason }
+// distanceKm/estimatedMinutes are null when a location is missing, and zone is
+// null when the address has a city but no coordinates (only the city is checked).
+
+const DeliveryZone = require('../models/DeliveryZone');
+const { MAX_DELIVERY_DISTANCE_KM, DEFAULT_DELIVERY_ZONES } = require('../config/deliveryZones');
+const { calculateDistance, getEstimatedDeliveryTime, toLatLng } = require('./geo');
+
+const byPriority = (a, b) => (a.priority || 0) - (b.priority || 0) || a.radiusKm - b.radiusKm;
+
+// Active zones, stored ones first; cities without stored zones use the defaults
+const loadZones = async () => {
+  const stored = await DeliveryZone.find({ isActive: true }).lean();
+  const storedCities = new Set(stored.map(z => z.city));
+  const defaults = DEFAULT_DELIVERY_ZONES.filter(z => !storedCities.has(z.city));
+  return [...stored, ...defaults].sort(byPriority);
+};
+
+const toZoneResponse = (zone) => zone && ({
+  id: zone._id,
+  city: zone.city,
+  name: zone.name,
+  center: zone.center,
+  radiusKm: zone.radiusKm,
+  deliveryFee: zone.deliveryFee,
+  estimatedTime: zone.estimatedTime,
+  maxDistanceKm: zone.maxDistanceKm || MAX_DELIVERY_DISTANCE_KM,
+});
+
+const roundKm = (km) => Math.round(km * 100) / 100;
+
+const checkServiceability = async ({ address, restaurant, date = new Date() }) => {
+  const zones = await loadZones();
+  const point = toLatLng(address?.coordinates);
+
+  if (!point) {
+    // Without coordinates we can only tell whether we serve the city at all
+    const city = typeof address?.city === 'string' ? address.city.trim().toLowerCase() : '';
+    if (!city) return { serviceable: false, reason: 'Please share the delivery location or city' };
+    if (!zones.some(z => z.city === city)) {
+      return { serviceable: false, reason: `We don't deliver to ${address.city.trim()} yet` };
+    }
+    return { serviceable: true, zone: null, deliveryFee: null, distanceKm: null, estimatedMinutes: null };
+  }
+
+  const zone = zones.find(z => calculateDistance(point.latitude, point.longitude, z.center.latitude, z.center.longitude) <= z.radiusKm);
+  if (!zone) return { serviceable: false, reason: 'This address is outside our delivery area' };
+
+  const origin = toLatLng(restaurant?.location);
+  if (!origin) {
+    return { serviceable: true, zone: toZoneResponse(zone), deliveryFee: zone.deliveryFee, distanceKm: null, estimatedMinutes: zone.estimatedTime };
+  }
+
+  const distanceKm = calculateDistance(origin.latitude, origin.longitude, point.latitude, point.longitude);
+  const maxDistanceKm = zone.maxDistanceKm || MAX_DELIVERY_DISTANCE_KM;
+  if (distanceKm > maxDistanceKm) {
+    return {
+      serviceable: false,
+      reason: `${restaurant.name} is ${roundKm(distanceKm)} km away; it only delivers up to ${maxDistanceKm} km`,
+    };
+  }
+
+  return {
+    serviceable: true,
+    zone: toZoneResponse(zone),
+    deliveryFee: zone.deliveryFee,
+    distanceKm: roundKm(distanceKm),
+    estimatedMinutes: getEstimatedDeliveryTime(origin.latitude, origin.longitude, point.latitude, point.longitude, date),
+  };
+};
+
+module.exports = { checkServiceability, loadZones, toZoneResponse };
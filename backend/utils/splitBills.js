@@ -0,0 +1,179 @@
+// Split bills: one order paid by several people, each from their own phone.
+//
+// The organizer places the order with a `split` and it is created in
+// `awaiting_payment`, hidden from the restaurant. Every participant gets a
+// share of the server-priced total and a pay link carrying their token.
+// Payments go through the normal payment intents (utils/payments), which call
+// refreshSplitBill() whenever one settles. Once the order is fully paid -
+// by the participants, or by the organizer covering what's left - the order
+// is released to the restaurant as a new `pending` order.
+
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const PaymentIntent = require('../models/PaymentIntent');
+const SplitBill = require('../models/SplitBill');
+const { broadcastOrderEvent } = require('./orderEvents');
+
+const MAX_PARTICIPANTS = 20;
+
+// SSE responses following a split bill, by orderId
+const watchers = new Map();
+
+// Shares of `total` proportional to `weights` (evenly when they are all zero),
+// rounded down to the paisa; the last payer with a share takes the leftover
+// paise so the shares always add up to the total
+const allocateShares = (total, weights) => {
+  const totalPaise = Math.round(total * 100);
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+  const fractions = weights.map(w => (weightSum > 0 ? w / weightSum : 1 / weights.length));
+  const paise = fractions.map(f => Math.floor(totalPaise * f));
+  const last = fractions.map(f => f > 0).lastIndexOf(true);
+  if (last !== -1) paise[last] += totalPaise - paise.reduce((sum, p) => sum + p, 0);
+  return paise.map(p => p / 100);
+};
+
+// Manual splits weigh shares by the amounts the organizer entered for the
+// food, so the delivery fee and taxes are shared in the same proportion
+const createSplitBill = async (order, { type, participants }, organizer) => {
+  const weights = participants.map(p => (type === 'manual' ? Number(p.amount) : 1));
+  const shares = allocateShares(order.totalAmount, weights);
+
+  const bill = await SplitBill.create({
+    order: order._id,
+    orderId: order.orderId,
+    organizer: organizer._id,
+    splitType: type,
+    total: order.totalAmount,
+    participants: participants.map((p, i) => ({
+      name: p.name.trim(),
+      weight: weights[i],
+      share: shares[i],
+      token: crypto.randomBytes(16).toString('hex'),
+    })),
+  });
+  await Order.updateOne({ _id: order._id }, { $set: { splitBill: bill._id } });
+  return bill;
+};
+
+// Hand a fully paid order to the restaurant. Used for split bills here and
+// for every other online order by utils/payments.
+const releaseOrder = async (orderRef, reason = 'Split bill paid') => {
+  const released = await Order.findOneAndUpdate(
+    { _id: orderRef, status: 'awaiting_payment' },
+    {
+      $set: { status: 'pending' },
+      $push: { statusHistory: { from: 'awaiting_payment', status: 'pending', role: 'system', reason, at: new Date() } },
+    },
+    { new: true }
+  ).lean();
+  if (!released) return null;
+
+  broadcastOrderEvent('order_created', {
+    id: released.orderId,
+    restaurantId: released.restaurantId,
+    restaurantName: released.restaurantName,
+    items: released.items,
+    totalAmount: released.totalAmount,
+    pricing: released.pricing,
+    paymentMethod: released.paymentMethod,
+    paymentStatus: released.paymentStatus,
+    status: released.status,
+    createdAt: released.createdAt,
+    dropAddress: [released.deliveryAddress?.street, released.deliveryAddress?.city].filter(Boolean).join(', '),
+  });
+  return released;
+};
+
+const toSplitBillResponse = (bill, { withLinks = false } = {}) => {
+  const paidShares = bill.participants.filter(p => p.status !== 'pending');
+  return {
+    id: bill._id,
+    orderId: bill.orderId,
+    splitType: bill.splitType,
+    total: bill.total,
+    status: bill.status,
+    paidCount: paidShares.length,
+    participantCount: bill.participants.length,
+    releasedAt: bill.releasedAt,
+    participants: bill.participants.map(p => ({
+      id: p._id,
+      name: p.name,
+      share: p.share,
+      status: p.status,
+      paidAt: p.paidAt,
+      // Pay links only go to the organizer, never over the public event stream
+      ...(withLinks ? { token: p.token } : {}),
+    })),
+  };
+};
+
+const watchSplitBill = (orderId, res) => {
+  if (!watchers.has(orderId)) watchers.set(orderId, new Set());
+  watchers.get(orderId).add(res);
+  return () => {
+    const set = watchers.get(orderId);
+    set?.delete(res);
+    if (set && set.size === 0) watchers.delete(orderId);
+  };
+};
+
+const notifySplitBill = (bill) => {
+  const data = `event: split_bill_updated\n` +
+               `data: ${JSON.stringify(toSplitBillResponse(bill))}\n\n`;
+  for (const res of watchers.get(bill.orderId) || []) {
+    try {
+      res.write(data);
+    } catch (_) {}
+  }
+};
+
+// Recompute who has paid from the succeeded intents. `paymentStatus` is the
+// order's, just settled: once it is `paid` whoever hasn't paid was covered
+// by the organizer, and the order is released.
+const refreshSplitBill = async (order, paymentStatus) => {
+  const bill = await SplitBill.findOne({ order: order._id });
+  if (!bill || bill.status === 'cancelled') return bill;
+
+  const succeeded = await PaymentIntent.find({ splitBill: bill._id, status: 'succeeded' })
+    .select('participant amount paidAt')
+    .lean();
+  for (const participant of bill.participants) {
+    const payments = succeeded.filter(i => i.participant && String(i.participant) === String(participant._id));
+    const paid = payments.reduce((sum, i) => sum + i.amount, 0);
+    if (participant.status === 'pending' && payments.length && paid >= participant.share) {
+      participant.status = 'paid';
+      participant.paidAt = payments[payments.length - 1].paidAt;
+    }
+  }
+
+  if (paymentStatus === 'paid' && bill.status === 'collecting') {
+    bill.participants.forEach(p => { if (p.status === 'pending') p.status = 'covered'; });
+    bill.status = 'paid';
+    if (await releaseOrder(order._id)) bill.releasedAt = new Date();
+  }
+  await bill.save();
+  notifySplitBill(bill);
+  return bill;
+};
+
+// The order was cancelled: stop taking payments for it
+const cancelSplitBill = async (orderRef) => {
+  const bill = await SplitBill.findOneAndUpdate(
+    { order: orderRef, status: 'collecting' },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+  if (bill) notifySplitBill(bill);
+  return bill;
+};
+
+module.exports = {
+  MAX_PARTICIPANTS,
+  allocateShares,
+  createSplitBill,
+  refreshSplitBill,
+  releaseOrder,
+  cancelSplitBill,
+  toSplitBillResponse,
+  watchSplitBill
+};
@@ -0,0 +1,104 @@
+// CraveCart wallet: a per-customer balance backed by a double-entry ledger.
+//
+// Every movement is one WalletTransaction whose entries balance the
+// customer's `wallet` account against a CraveCart account: top-ups, refunds
+// and cashback credit the wallet, orders debit it. The cached balance on
+// Wallet is changed with a conditional $inc first, so two debits can't both
+// spend the same money, and the transaction is written right after.
+//
+// Functions that can be refused return { ok: true, ... } or
+// { ok: false, status, error, details? } ready to send as a response.
+
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const { roundMoney } = require('./orderPricing');
+
+// Limits for a single top-up, in rupees
+const MIN_TOPUP = 10;
+const MAX_TOPUP = 10000;
+
+// The CraveCart account on the other side of each kind of movement
+const COUNTER_ACCOUNTS = {
+  topup: 'topups',
+  refund: 'refunds',
+  cashback: 'cashback',
+  order_payment: 'orders',
+};
+
+const toRupees = (paise) => roundMoney(paise / 100);
+
+const getBalance = async (userId) => {
+  const wallet = await Wallet.findOne({ user: userId }).select('balancePaise').lean();
+  return toRupees(wallet?.balancePaise || 0);
+};
+
+const postTransaction = async ({ user, type, direction, amount, key, counterAccount, ...details }) => {
+  const paise = Math.round(Number(amount) * 100);
+  if (!(paise > 0)) return { ok: false, status: 400, error: 'Amount must be positive' };
+
+  if (key) {
+    const existing = await WalletTransaction.findOne({ key });
+    if (existing) return { ok: true, transaction: existing, replayed: true };
+  }
+
+  const change = direction === 'credit' ? paise : -paise;
+  const wallet = direction === 'credit'
+    ? await Wallet.findOneAndUpdate({ user }, { $inc: { balancePaise: paise } }, { new: true, upsert: true, setDefaultsOnInsert: true })
+    : await Wallet.findOneAndUpdate({ user, balancePaise: { $gte: paise } }, { $inc: { balancePaise: -paise } }, { new: true });
+  if (!wallet) {
+    const balance = await getBalance(user);
+    return { ok: false, status: 409, error: `Your wallet balance is only ₹${balance}`, details: { balance } };
+  }
+
+  const rupees = toRupees(paise);
+  const counter = counterAccount || COUNTER_ACCOUNTS[type];
+  const entries = direction === 'credit'
+    ? [{ account: 'wallet', credit: rupees }, { account: counter, debit: rupees }]
+    : [{ account: 'wallet', debit: rupees }, { account: counter, credit: rupees }];
+
+  try {
+    const transaction = await WalletTransaction.create({
+      ...details,
+      user,
+      type,
+      direction,
+      amount: rupees,
+      balanceAfter: toRupees(wallet.balancePaise),
+      entries,
+      key,
+    });
+    return { ok: true, transaction };
+  } catch (error) {
+    // Put the balance back; on a duplicate key the same posting won a race
+    await Wallet.updateOne({ user }, { $inc: { balancePaise: -change } });
+    if (error.code === 11000 && key) {
+      return { ok: true, transaction: await WalletTransaction.findOne({ key }), replayed: true };
+    }
+    throw error;
+  }
+};
+
+const creditWallet = (options) => postTransaction({ ...options, direction: 'credit' });
+
+// Refused with 409 when the balance doesn't cover `amount`
+const debitWallet = (options) => postTransaction({ ...options, direction: 'debit' });
+
+const toWalletTransactionResponse = (transaction) => ({
+  id: transaction._id,
+  type: transaction.type,
+  direction: transaction.direction,
+  amount: transaction.amount,
+  balanceAfter: transaction.balanceAfter,
+  description: transaction.description,
+  orderId: transaction.orderId,
+  createdAt: transaction.createdAt,
+});
+
+module.exports = {
+  MIN_TOPUP,
+  MAX_TOPUP,
+  getBalance,
+  creditWallet,
+  debitWallet,
+  toWalletTransactionResponse
+};
@@ -1,5 +1,5 @@
 import React from "react";
-import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
+import { BrowserRouter as Router, Routes, Route, Navigate } from "react-router-dom";
 import { AuthProvider } from "./context/AuthContext";
 import { CartProvider } from "./context/CartContext"; // ✅ Add CartProvider import
 
@@ -32,21 +32,28 @@ import CartPage from "./pages/CartPage";
 import PaymentPage from "./pages/PaymentPage";
 import SplitPaymentPage from "./pages/SplitPaymentPage";
 import SplitUpiCollectionPage from "./pages/SplitUpiCollectionPage";
+import SplitBillPage from "./pages/SplitBillPage";
+import SplitPayPage from "./pages/SplitPayPage";
 import DeliveryDashboard from "./pages/DeliveryDashboard";
 
-import OldSchoolEateryPage from "./components/OldSchoolEateryPage";
-import DominosPizzaPage from "./components/DominosPizzaPage";
-import LePrivePage from "./components/LePrivePage";
-import SouthCafePage from "./components/SouthCafePage";
-import SantoshPavBhajiPage from "./components/SantoshPavBhajiPage";
-import UrbanBitesPage from "./components/UrbanBitesPage";
-import PunjabiDhabaPage from "./components/PunjabiDhabaPage";
-import RajasthaniRasoiPage from "./components/RajasthaniRasoiPage";
-import TheChaatChaskaPage from "./components/TheChaatChaskaPage";
-import MomosHutPage from "./components/MomosHutPage";
+import RestaurantPage from "./pages/RestaurantPage";
 
 import "./App.css";
 
+// Old per-restaurant URLs, kept working for bookmarks and shared links
+const LEGACY_RESTAURANT_ROUTES = {
+  "/old-school-eatery": "old-school-eatery",
+  "/dominos-pizza": "domino-s-pizza",
+  "/le-prive": "le-prive",
+  "/south-cafe": "the-south-cafe",
+  "/santosh-pav-bhaji": "santosh-pav-bhaji",
+  "/urban-bites": "urban-bites",
+  "/punjabi-dhaba": "punjabi-dhaba",
+  "/rajasthani-rasoi": "rajasthani-rasoi",
+  "/the-chaat-chaska": "the-chaat-chaska",
+  "/momos-hut": "momos-hut",
+};
+
 function LandingPage() {
   return (
     <>
@@ -90,22 +97,18 @@ function App() {
               <Route path="/payment" element={<PaymentPage />} />
               <Route path="/split-payment" element={<SplitPaymentPage />} />
               <Route path="/split-upi-collection" element={<SplitUpiCollectionPage />} />
+              <Route path="/split-bill/:orderId" element={<SplitBillPage />} />
+              <Route path="/split-pay/:token" element={<SplitPayPage />} />
               {/* 🚚 Delivery Dashboard */}
               <Route path="/delivery" element={<DeliveryDashboard />} />
               {/* 🛠️ Admin Dashboard */}
               <Route path="/admin" element={<AdminDashboard />} />
 
               {/* 🍴 Restaurant Pages */}
-              <Route path="/old-school-eatery" element={<OldSchoolEateryPage />} />
-              <Route path="/dominos-pizza" element={<DominosPizzaPage />} />
-              <Route path="/le-prive" element={<LePrivePage />} />
-              <Route path="/south-cafe" element={<SouthCafePage />} />
-              <Route path="/santosh-pav-bhaji" element={<SantoshPavBhajiPage />} />
-              <Route path="/urban-bites" element={<UrbanBitesPage />} />
-              <Route path="/punjabi-dhaba" element={<PunjabiDhabaPage />} />
-              <Route path="/rajasthani-rasoi" element={<RajasthaniRasoiPage />} />
-              <Route path="/the-chaat-chaska" element={<TheChaatChaskaPage />} />
-              <Route path="/momos-hut" element={<MomosHutPage />} />
+              <Route path="/restaurant/:slug" element={<RestaurantPage />} />
+              {Object.entries(LEGACY_RESTAURANT_ROUTES).map(([path, slug]) => (
+                <Route key={path} path={path} element={<Navigate to={`/restaurant/${slug}`} replace />} />
+              ))}
 
               {/* 📍 Order Tracking Routes */}
               <Route path="/track" element={<TrackingPage />} />
@@ -0,0 +1,190 @@
+import React, { useEffect, useState } from 'react';
+import { usersAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import './AddressPicker.css';
+
+const EMPTY_FORM = { type: 'home', street: '', city: 'Vadodara', state: 'Gujarat', zipCode: '', landmark: '' };
+
+const TYPE_LABELS = { home: '🏠 Home', work: '🏢 Work', other: '📍 Other' };
+
+// Address-book entry ({ type, address, coordinates }) -> the flat shape orders store
+export const toDeliveryAddress = (entry) => ({
+  type: entry.type,
+  ...entry.address,
+  coordinates: entry.coordinates?.latitude != null ? entry.coordinates : undefined,
+});
+
+export const formatAddressLine = (address) => [address.street, address.landmark, address.city, address.zipCode]
+  .filter(Boolean)
+  .join(', ');
+
+// Checkout step for choosing where the order goes. Logged-in users pick from
+// (or add to) their address book; guests just fill in the form. `onChange`
+// should be stable (e.g. a state setter): a new one reloads the address book.
+const AddressPicker = ({ value, onChange }) => {
+  const { user } = useAuth();
+  const [addresses, setAddresses] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [coordinates, setCoordinates] = useState(null);
+  const [locating, setLocating] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const select = (entry) => {
+    setSelectedId(entry._id);
+    onChange(toDeliveryAddress(entry));
+  };
+
+  useEffect(() => {
+    if (!user) {
+      setShowForm(true);
+      return;
+    }
+    let alive = true;
+    usersAPI.getAddresses()
+      .then(list => {
+        if (!alive) return;
+        setAddresses(list || []);
+        const preferred = (list || []).find(a => a.isDefault) || (list || [])[0];
+        if (preferred) {
+          setSelectedId(preferred._id);
+          onChange(toDeliveryAddress(preferred));
+        } else {
+          setShowForm(true);
+        }
+      })
+      .catch(() => { if (alive) setShowForm(true); });
+    return () => { alive = false; };
+  }, [user, onChange]);
+
+  const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+  const pinCurrentLocation = () => {
+    if (!navigator.geolocation) {
+      setError('Location is not available in this browser');
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        setCoordinates({ latitude: pos.coords.latitude, longitude: pos.coords.longitude });
+        setLocating(false);
+      },
+      () => {
+        setError('Could not get your location');
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
+  const submitForm = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (!form.street.trim() || !form.city.trim()) {
+      setError('Street and city are required');
+      return;
+    }
+    if (form.zipCode && !/^[0-9]{6}$/.test(form.zipCode)) {
+      setError('PIN code must be 6 digits');
+      return;
+    }
+
+    const { type, ...address } = form;
+    const entry = { type, address, coordinates: coordinates || undefined };
+
+    if (!user) {
+      onChange(toDeliveryAddress(entry));
+      setShowForm(false);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const list = await usersAPI.addAddress(entry);
+      setAddresses(list);
+      select(list[list.length - 1]);
+      setShowForm(false);
+      setForm(EMPTY_FORM);
+      setCoordinates(null);
+    } catch (err) {
+      setError(err.data?.errors?.[0]?.msg || err.message || 'Could not save the address');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="address-picker">
+      <h2>Deliver To</h2>
+
+      {addresses.map(entry => (
+        <label key={entry._id} className={`address-option ${selectedId === entry._id ? 'selected' : ''}`}>
+          <input
+            type="radio"
+            name="delivery-address"
+            checked={selectedId === entry._id}
+            onChange={() => select(entry)}
+          />
+          <span className="address-type">
+            {TYPE_LABELS[entry.type] || entry.type}
+            {entry.isDefault && <span className="address-default">Default</span>}
+          </span>
+          <span className="address-line">{formatAddressLine(entry.address || {})}</span>
+        </label>
+      ))}
+
+      {!user && value && !showForm && (
+        <div className="address-option selected">
+          <span className="address-line">{formatAddressLine(value)}</span>
+        </div>
+      )}
+
+      {showForm ? (
+        <form className="address-form" onSubmit={submitForm}>
+          <div className="address-types">
+            {Object.keys(TYPE_LABELS).map(type => (
+              <button
+                key={type}
+                type="button"
+                className={form.type === type ? 'active' : ''}
+                onClick={() => setForm(prev => ({ ...prev, type }))}
+              >
+                {TYPE_LABELS[type]}
+              </button>
+            ))}
+          </div>
+          <input placeholder="House / flat, street *" value={form.street} onChange={updateField('street')} />
+          <input placeholder="Landmark" value={form.landmark} onChange={updateField('landmark')} />
+          <div className="address-form-row">
+            <input placeholder="City *" value={form.city} onChange={updateField('city')} />
+            <input placeholder="PIN code" value={form.zipCode} onChange={updateField('zipCode')} inputMode="numeric" maxLength={6} />
+          </div>
+          <input placeholder="State" value={form.state} onChange={updateField('state')} />
+          <button type="button" className="address-locate" onClick={pinCurrentLocation} disabled={locating}>
+            {locating ? 'Locating…' : coordinates ? '📍 Location pinned' : '📍 Use my current location'}
+          </button>
+          {error && <p className="address-error">{error}</p>}
+          <div className="address-form-actions">
+            <button type="submit" className="address-save" disabled={saving}>
+              {saving ? 'Saving…' : user ? 'Save address' : 'Use this address'}
+            </button>
+            {(addresses.length > 0 || (!user && value)) && (
+              <button type="button" className="address-cancel" onClick={() => { setShowForm(false); setError(''); }}>
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      ) : (
+        <button className="address-add" onClick={() => setShowForm(true)}>
+          {user ? '+ Add new address' : 'Change address'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AddressPicker;
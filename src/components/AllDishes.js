@@ -5,44 +5,44 @@ import "./AllDishes.css";
 // Mapping of dishes to restaurants
 const dishToRestaurants = {
   "Red Sauce Pasta": [
-    { name: "Le Prive", route: "/le-prive", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1753335211/food1_z8vt3v.jpg" },
-    { name: "Urban Bites", route: "/urban-bites", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398575/15de2cac5615a54813f8e0a8530c6876_whxeeu.jpg" }
+    { name: "Le Prive", route: "/restaurant/le-prive", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1753335211/food1_z8vt3v.jpg" },
+    { name: "Urban Bites", route: "/restaurant/urban-bites", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398575/15de2cac5615a54813f8e0a8530c6876_whxeeu.jpg" }
   ],
   "Grilled Burger": [
-    { name: "Old School Eatery", route: "/old-school-eatery", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1753335220/food5_vb4td0.jpg" },
-    { name: "Urban Bites", route: "/urban-bites", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398575/15de2cac5615a54813f8e0a8530c6876_whxeeu.jpg" }
+    { name: "Old School Eatery", route: "/restaurant/old-school-eatery", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1753335220/food5_vb4td0.jpg" },
+    { name: "Urban Bites", route: "/restaurant/urban-bites", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398575/15de2cac5615a54813f8e0a8530c6876_whxeeu.jpg" }
   ],
   "Paneer Pizza": [
-    { name: "Dominos Pizza", route: "/dominos-pizza", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752563696/410b32a87e020b0e8dbe8a2850d8ca29_socitw.jpg" },
-    { name: "Old School Eatery", route: "/old-school-eatery", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1753335220/food5_vb4td0.jpg" }
+    { name: "Dominos Pizza", route: "/restaurant/domino-s-pizza", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752563696/410b32a87e020b0e8dbe8a2850d8ca29_socitw.jpg" },
+    { name: "Old School Eatery", route: "/restaurant/old-school-eatery", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1753335220/food5_vb4td0.jpg" }
   ],
   "Cheese Samosa": [
-    { name: "Santosh Pav Bhaji", route: "/santosh-pav-bhaji", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1753335213/food3_islz2v.jpg" },
-    { name: "Punjabi Dhaba", route: "/punjabi-dhaba", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398998/7525c28b815e93b8f4ad4a3bb889090e_aunwup.jpg" }
+    { name: "Santosh Pav Bhaji", route: "/restaurant/santosh-pav-bhaji", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1753335213/food3_islz2v.jpg" },
+    { name: "Punjabi Dhaba", route: "/restaurant/punjabi-dhaba", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398998/7525c28b815e93b8f4ad4a3bb889090e_aunwup.jpg" }
   ],
   "Spicy Momos": [
-    { name: "Momos Hut", route: "/momos-hut", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398135/0b5eb439a0fe2c71aa7b427d3402e1ea_jd6bkm.jpg" },
-    { name: "Urban Bites", route: "/urban-bites", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398575/15de2cac5615a54813f8e0a8530c6876_whxeeu.jpg" }
+    { name: "Momos Hut", route: "/restaurant/momos-hut", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398135/0b5eb439a0fe2c71aa7b427d3402e1ea_jd6bkm.jpg" },
+    { name: "Urban Bites", route: "/restaurant/urban-bites", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398575/15de2cac5615a54813f8e0a8530c6876_whxeeu.jpg" }
   ],
   "Chicken Rice": [
-    { name: "South Cafe", route: "/south-cafe", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398029/3e10bbc839b5ab13a9561cfed1f6fa8b_brpb4b.jpg" },
-    { name: "Urban Bites", route: "/urban-bites", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398575/15de2cac5615a54813f8e0a8530c6876_whxeeu.jpg" }
+    { name: "South Cafe", route: "/restaurant/the-south-cafe", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398029/3e10bbc839b5ab13a9561cfed1f6fa8b_brpb4b.jpg" },
+    { name: "Urban Bites", route: "/restaurant/urban-bites", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398575/15de2cac5615a54813f8e0a8530c6876_whxeeu.jpg" }
   ],
   "Veggie Salad": [
-    { name: "Urban Bites", route: "/urban-bites", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398575/15de2cac5615a54813f8e0a8530c6876_whxeeu.jpg" },
-    { name: "South Cafe", route: "/south-cafe", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398029/3e10bbc839b5ab13a9561cfed1f6fa8b_brpb4b.jpg" }
+    { name: "Urban Bites", route: "/restaurant/urban-bites", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398575/15de2cac5615a54813f8e0a8530c6876_whxeeu.jpg" },
+    { name: "South Cafe", route: "/restaurant/the-south-cafe", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398029/3e10bbc839b5ab13a9561cfed1f6fa8b_brpb4b.jpg" }
   ],
   "Paneer Tikka": [
-    { name: "Punjabi Dhaba", route: "/punjabi-dhaba", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398998/7525c28b815e93b8f4ad4a3bb889090e_aunwup.jpg" },
-    { name: "Rajasthani Rasoi", route: "/rajasthani-rasoi", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752252982/10e3906d61a1e09dcb471723d5b28347_ckpxxi.jpg" }
+    { name: "Punjabi Dhaba", route: "/restaurant/punjabi-dhaba", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398998/7525c28b815e93b8f4ad4a3bb889090e_aunwup.jpg" },
+    { name: "Rajasthani Rasoi", route: "/restaurant/rajasthani-rasoi", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752252982/10e3906d61a1e09dcb471723d5b28347_ckpxxi.jpg" }
   ],
   "Dosa": [
-    { name: "South Cafe", route: "/south-cafe", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/781c6867d971c5fa7a704c992dc755c3_waxhi9.jpg" },
-    { name: "Rajasthani Rasoi", route: "/rajasthani-rasoi", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752252982/10e3906d61a1e09dcb471723d5b28347_ckpxxi.jpg" }
+    { name: "South Cafe", route: "/restaurant/the-south-cafe", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752252984/781c6867d971c5fa7a704c992dc755c3_waxhi9.jpg" },
+    { name: "Rajasthani Rasoi", route: "/restaurant/rajasthani-rasoi", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752252982/10e3906d61a1e09dcb471723d5b28347_ckpxxi.jpg" }
   ],
   "Rasmalai": [
-    { name: "Rajasthani Rasoi", route: "/rajasthani-rasoi", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752252982/10e3906d61a1e09dcb471723d5b28347_ckpxxi.jpg" },
-    { name: "Punjabi Dhaba", route: "/punjabi-dhaba", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398998/7525c28b815e93b8f4ad4a3bb889090e_aunwup.jpg" }
+    { name: "Rajasthani Rasoi", route: "/restaurant/rajasthani-rasoi", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752252982/10e3906d61a1e09dcb471723d5b28347_ckpxxi.jpg" },
+    { name: "Punjabi Dhaba", route: "/restaurant/punjabi-dhaba", image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1752398998/7525c28b815e93b8f4ad4a3bb889090e_aunwup.jpg" }
   ]
 };
 
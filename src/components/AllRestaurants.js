@@ -61,18 +61,18 @@ const AllRestaurants = () => {
     setShowVegOnly((prev) => !prev);
   };
 
-  const routeMap = {
-    "Old School Eatery": "/old-school-eatery",
-    "Le Prive": "/le-prive",
-    "The South Cafe": "/south-cafe",
-    "Domino's Pizza": "/dominos-pizza",
-    "Santosh Pav Bhaji": "/santosh-pav-bhaji",
-    "Urban Bites": "/urban-bites",
-    "Punjabi Dhaba": "/punjabi-dhaba",
-    "Rajasthan Rasoi": "/rajasthani-rasoi", // ✅ ADDED
-    "The Chaat Chaska": "/the-chaat-chaska", // ✅ ADDED
-    "MomosHut": "/momos-hut", // ✅ ADDED
-
+  // Cards whose restaurant has a menu page, by restaurant slug
+  const slugMap = {
+    "Old School Eatery": "old-school-eatery",
+    "Le Prive": "le-prive",
+    "The South Cafe": "the-south-cafe",
+    "Domino's Pizza": "domino-s-pizza",
+    "Santosh Pav Bhaji": "santosh-pav-bhaji",
+    "Urban Bites": "urban-bites",
+    "Punjabi Dhaba": "punjabi-dhaba",
+    "Rajasthan Rasoi": "rajasthani-rasoi",
+    "The Chaat Chaska": "the-chaat-chaska",
+    "MomosHut": "momos-hut",
   };
 
   return (
@@ -97,11 +97,11 @@ const AllRestaurants = () => {
             </>
           );
 
-          const route = routeMap[res.name];
+          const slug = slugMap[res.name];
 
-          return route ? (
+          return slug ? (
             <Link
-              to={route}
+              to={`/restaurant/${slug}`}
               key={index}
               className="restaurant-card"
               style={{ textDecoration: "none", color: "inherit" }}
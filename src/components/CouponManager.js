@@ -0,0 +1,188 @@
+import React, { useEffect, useState } from 'react';
+import { couponsAPI, restaurantsAPI } from '../services/api';
+import './CouponManager.css';
+
+const EMPTY_FORM = {
+  code: '',
+  description: '',
+  discountType: 'percent',
+  value: '',
+  minOrderAmount: '',
+  maxDiscount: '',
+  perUserLimit: '1',
+  validFrom: '',
+  validUntil: '',
+  restaurants: [],
+  cuisines: '',
+  firstOrderOnly: false,
+};
+
+const errorMessage = (err) => err?.data?.errors?.[0]?.msg || err?.data?.error || err?.message || 'Something went wrong';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' }) : '');
+
+const describeDiscount = (coupon) => (coupon.discountType === 'percent'
+  ? `${coupon.value}% off${coupon.maxDiscount ? ` up to ₹${coupon.maxDiscount}` : ''}`
+  : `₹${coupon.value} off`);
+
+const describeValidity = (coupon) => {
+  if (coupon.validFrom && coupon.validUntil) return `${formatDate(coupon.validFrom)} – ${formatDate(coupon.validUntil)}`;
+  if (coupon.validUntil) return `Until ${formatDate(coupon.validUntil)}`;
+  if (coupon.validFrom) return `From ${formatDate(coupon.validFrom)}`;
+  return 'Always';
+};
+
+// Form values as a POST /api/coupons body; blank optional fields are left out
+const toCouponBody = (form) => {
+  const optionalNumber = (value) => (value === '' ? undefined : Number(value));
+  return {
+    code: form.code.trim(),
+    description: form.description.trim() || undefined,
+    discountType: form.discountType,
+    value: Number(form.value),
+    minOrderAmount: optionalNumber(form.minOrderAmount),
+    maxDiscount: form.discountType === 'percent' ? optionalNumber(form.maxDiscount) : undefined,
+    perUserLimit: form.perUserLimit === '' ? null : Number(form.perUserLimit),
+    validFrom: form.validFrom || undefined,
+    validUntil: form.validUntil || undefined,
+    restaurants: form.restaurants,
+    cuisines: form.cuisines.split(',').map(c => c.trim()).filter(Boolean),
+    firstOrderOnly: form.firstOrderOnly,
+  };
+};
+
+// Admin list and editor for promo codes
+const CouponManager = () => {
+  const [coupons, setCoupons] = useState([]);
+  const [restaurants, setRestaurants] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    couponsAPI.getAll().then(setCoupons).catch((err) => setError(errorMessage(err)));
+    restaurantsAPI.getMine().then(setRestaurants).catch(() => {});
+  }, []);
+
+  const restaurantName = (id) => restaurants.find(r => r._id === id)?.name || 'Restaurant';
+  const describeScope = (coupon) => [
+    ...(coupon.restaurants || []).map(restaurantName),
+    ...(coupon.cuisines || []),
+  ].join(', ') || 'All restaurants';
+
+  const updateField = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const createCoupon = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      const created = await couponsAPI.create(toCouponBody(form));
+      setCoupons(prev => [created, ...prev]);
+      setForm(EMPTY_FORM);
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (coupon) => {
+    try {
+      setError('');
+      const updated = await couponsAPI.update(coupon._id, { isActive: !coupon.isActive });
+      setCoupons(prev => prev.map(c => c._id === updated._id ? updated : c));
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  const deleteCoupon = async (coupon) => {
+    if (!window.confirm(`Delete coupon ${coupon.code}?`)) return;
+    try {
+      setError('');
+      await couponsAPI.delete(coupon._id);
+      setCoupons(prev => prev.filter(c => c._id !== coupon._id));
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  return (
+    <div className="coupon-manager">
+      <h3>Coupons</h3>
+      {error && <div className="coupon-manager-error">{error}</div>}
+
+      <form className="coupon-form" onSubmit={createCoupon}>
+        <input placeholder="CODE" value={form.code} onChange={updateField('code')} required maxLength={20} />
+        <select value={form.discountType} onChange={updateField('discountType')}>
+          <option value="percent">% off</option>
+          <option value="flat">₹ off</option>
+        </select>
+        <input type="number" min="0" step="any" placeholder="Value" value={form.value} onChange={updateField('value')} required />
+        {form.discountType === 'percent' && (
+          <input type="number" min="0" placeholder="Max discount ₹" value={form.maxDiscount} onChange={updateField('maxDiscount')} />
+        )}
+        <input type="number" min="0" placeholder="Min order ₹" value={form.minOrderAmount} onChange={updateField('minOrderAmount')} />
+        <input type="number" min="1" placeholder="Uses per customer" value={form.perUserLimit} onChange={updateField('perUserLimit')} title="Leave empty for unlimited" />
+        <label>From <input type="date" value={form.validFrom} onChange={updateField('validFrom')} /></label>
+        <label>Until <input type="date" value={form.validUntil} onChange={updateField('validUntil')} /></label>
+        <select
+          multiple
+          value={form.restaurants}
+          onChange={(e) => setForm(prev => ({ ...prev, restaurants: Array.from(e.target.selectedOptions, o => o.value) }))}
+          title="Limit to these restaurants (none selected = all)"
+        >
+          {restaurants.map(r => <option key={r._id} value={r._id}>{r.name}</option>)}
+        </select>
+        <input placeholder="Cuisines, comma separated" value={form.cuisines} onChange={updateField('cuisines')} />
+        <input placeholder="Description" value={form.description} onChange={updateField('description')} maxLength={200} />
+        <label className="coupon-form-check">
+          <input type="checkbox" checked={form.firstOrderOnly} onChange={updateField('firstOrderOnly')} />
+          First order only
+        </label>
+        <button type="submit" disabled={saving}>{saving ? 'Saving…' : 'Add coupon'}</button>
+      </form>
+
+      <table className="coupon-table">
+        <thead>
+          <tr>
+            <th>Code</th>
+            <th>Discount</th>
+            <th>Min order</th>
+            <th>Per customer</th>
+            <th>Valid</th>
+            <th>Applies to</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {coupons.map(coupon => (
+            <tr key={coupon._id} className={coupon.isActive ? '' : 'inactive'}>
+              <td>
+                <strong>{coupon.code}</strong>
+                {coupon.firstOrderOnly && <span className="coupon-tag">First order</span>}
+                {coupon.description && <div className="coupon-description">{coupon.description}</div>}
+              </td>
+              <td>{describeDiscount(coupon)}</td>
+              <td>{coupon.minOrderAmount ? `₹${coupon.minOrderAmount}` : '—'}</td>
+              <td>{coupon.perUserLimit || 'Unlimited'}</td>
+              <td>{describeValidity(coupon)}</td>
+              <td>{describeScope(coupon)}</td>
+              <td className="coupon-actions">
+                <button onClick={() => toggleActive(coupon)}>{coupon.isActive ? 'Disable' : 'Enable'}</button>
+                <button className="danger" onClick={() => deleteCoupon(coupon)}>Delete</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {coupons.length === 0 && <div className="coupon-manager-empty">No coupons yet</div>}
+    </div>
+  );
+};
+
+export default CouponManager;
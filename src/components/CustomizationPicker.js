@@ -0,0 +1,99 @@
+import React, { useMemo, useState } from 'react';
+import './CustomizationPicker.css';
+
+// Required single-choice groups start on their first option
+const initialSelections = (dish) => Object.fromEntries(
+  (dish.customizations || []).map(group => [
+    group.name,
+    group.required && !group.multiple && group.options.length > 0 ? [group.options[0]] : [],
+  ])
+);
+
+// Modal for choosing a dish's options before it goes into the cart.
+// Calls onConfirm with [{ name, option, price }] and the unit price.
+const CustomizationPicker = ({ dish, onConfirm, onClose }) => {
+  const [selections, setSelections] = useState(() => initialSelections(dish));
+  const groups = useMemo(() => dish.customizations || [], [dish]);
+
+  const chosen = useMemo(() => groups.flatMap(group => (selections[group.name] || []).map(option => ({
+    name: group.name,
+    option,
+    price: Number(group.prices?.[group.options.indexOf(option)]) || 0,
+  }))), [groups, selections]);
+
+  const unitPrice = dish.price + chosen.reduce((sum, c) => sum + c.price, 0);
+  const missing = groups.filter(group => group.required && !(selections[group.name] || []).length);
+
+  const choose = (group, option) => {
+    setSelections(prev => {
+      const current = prev[group.name] || [];
+      if (group.multiple) {
+        return {
+          ...prev,
+          [group.name]: current.includes(option) ? current.filter(o => o !== option) : [...current, option],
+        };
+      }
+      return { ...prev, [group.name]: option === null ? [] : [option] };
+    });
+  };
+
+  const optionPrice = (group, index) => {
+    const price = Number(group.prices?.[index]) || 0;
+    return price > 0 ? `+₹${price}` : '';
+  };
+
+  return (
+    <div className="customization-overlay" onClick={onClose}>
+      <div className="customization-modal" onClick={(e) => e.stopPropagation()} role="dialog" aria-label={`Customize ${dish.name}`}>
+        <div className="customization-header">
+          <h3>{dish.name}</h3>
+          <button className="customization-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+
+        {groups.map(group => (
+          <fieldset className="customization-group" key={group.name}>
+            <legend>
+              {group.name}
+              <span className="customization-hint">
+                {group.required ? 'Required' : 'Optional'}{group.multiple ? ' · choose any' : ''}
+              </span>
+            </legend>
+            {!group.multiple && !group.required && (
+              <label className="customization-option">
+                <input
+                  type="radio"
+                  name={group.name}
+                  checked={!(selections[group.name] || []).length}
+                  onChange={() => choose(group, null)}
+                />
+                <span>None</span>
+              </label>
+            )}
+            {group.options.map((option, index) => (
+              <label className="customization-option" key={option}>
+                <input
+                  type={group.multiple ? 'checkbox' : 'radio'}
+                  name={group.name}
+                  checked={(selections[group.name] || []).includes(option)}
+                  onChange={() => choose(group, option)}
+                />
+                <span>{option}</span>
+                <span className="customization-price">{optionPrice(group, index)}</span>
+              </label>
+            ))}
+          </fieldset>
+        ))}
+
+        <button
+          className="customization-confirm"
+          disabled={missing.length > 0}
+          onClick={() => onConfirm(chosen, unitPrice)}
+        >
+          {missing.length > 0 ? `Choose ${missing[0].name}` : `Add to Cart · ₹${unitPrice}`}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CustomizationPicker;
@@ -0,0 +1,112 @@
+import React from 'react';
+import './DishFilters.css';
+
+// Mirrors DIETARY_INFO / ALLERGENS in backend/models/Dish.js
+export const DIETARY_OPTIONS = ['Vegan', 'Gluten-Free', 'Dairy-Free'];
+export const ALLERGENS = ['Gluten', 'Dairy', 'Nuts', 'Eggs', 'Soy', 'Fish', 'Shellfish', 'Pork', 'Beef'];
+
+export const CALORIE_RANGES = [
+  { value: 'under-300', label: 'Under 300 kcal', max: 300 },
+  { value: '300-600', label: '300 – 600 kcal', min: 300, max: 600 },
+  { value: '600-plus', label: '600+ kcal', min: 600 },
+];
+
+// Filters start from the user's saved preferences, like GET /api/dishes does
+export const defaultDishFilters = (user) => {
+  const preferences = user?.preferences || {};
+  return {
+    vegOnly: Boolean(preferences.isVegOnly),
+    hideSpicy: preferences.spiceLevel === 'mild',
+    dietary: [],
+    excludeAllergens: [...(preferences.allergens || [])],
+    calories: '',
+  };
+};
+
+export const countActiveFilters = (filters) => (
+  (filters.vegOnly ? 1 : 0) +
+  (filters.hideSpicy ? 1 : 0) +
+  filters.dietary.length +
+  filters.excludeAllergens.length +
+  (filters.calories ? 1 : 0)
+);
+
+export const matchesDishFilters = (dish, filters) => {
+  if (filters.vegOnly && !dish.isVeg) return false;
+  if (filters.hideSpicy && dish.isSpicy) return false;
+  const dietary = dish.dietaryInfo || [];
+  if (!filters.dietary.every(tag => dietary.includes(tag))) return false;
+  if ((dish.allergens || []).some(allergen => filters.excludeAllergens.includes(allergen))) return false;
+  const range = CALORIE_RANGES.find(r => r.value === filters.calories);
+  if (range) {
+    // Dishes without a calorie count can't be shown as within a range
+    if (typeof dish.calories !== 'number') return false;
+    if (range.min !== undefined && dish.calories < range.min) return false;
+    if (range.max !== undefined && dish.calories >= range.max) return false;
+  }
+  return true;
+};
+
+// Cart lines containing any of the user's allergens, with the matching allergens
+export const allergenConflicts = (items, allergens = []) => items
+  .map(item => ({ item, allergens: (item.allergens || []).filter(a => allergens.includes(a)) }))
+  .filter(conflict => conflict.allergens.length > 0);
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+// Filter panel for a dish listing. `showVeg` is off for pure-veg restaurants;
+// `onSavePreferences` (logged-in users only) stores the current choices on the profile.
+const DishFilters = ({ filters, onChange, showVeg = true, onSavePreferences, saving = false }) => {
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  return (
+    <div className="dish-filters">
+      <div className="dish-filters-row">
+        {showVeg && (
+          <label className="dish-filters-check">
+            <input type="checkbox" checked={filters.vegOnly} onChange={(e) => update({ vegOnly: e.target.checked })} />
+            Veg only
+          </label>
+        )}
+        <label className="dish-filters-check">
+          <input type="checkbox" checked={filters.hideSpicy} onChange={(e) => update({ hideSpicy: e.target.checked })} />
+          Not spicy
+        </label>
+        {DIETARY_OPTIONS.map(tag => (
+          <label className="dish-filters-check" key={tag}>
+            <input type="checkbox" checked={filters.dietary.includes(tag)} onChange={() => update({ dietary: toggle(filters.dietary, tag) })} />
+            {tag}
+          </label>
+        ))}
+        <select value={filters.calories} onChange={(e) => update({ calories: e.target.value })}>
+          <option value="">Any calories</option>
+          {CALORIE_RANGES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+        </select>
+      </div>
+
+      <div className="dish-filters-row">
+        <span className="dish-filters-label">Hide dishes with</span>
+        {ALLERGENS.map(allergen => (
+          <button
+            key={allergen}
+            type="button"
+            className={`dish-filters-chip${filters.excludeAllergens.includes(allergen) ? ' active' : ''}`}
+            onClick={() => update({ excludeAllergens: toggle(filters.excludeAllergens, allergen) })}
+          >
+            {allergen}
+          </button>
+        ))}
+      </div>
+
+      {onSavePreferences && (
+        <div className="dish-filters-actions">
+          <button type="button" onClick={onSavePreferences} disabled={saving}>
+            {saving ? 'Saving…' : 'Save as my preferences'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DishFilters;
@@ -1,41 +1,59 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
 import "./FeaturedRestaurants.css";
 import { useNavigate } from "react-router-dom";
+import { restaurantsAPI } from "../services/api";
 
-const restaurants = [
-  {
-    name: "Red Sauce Pasta",
-    restaurant: "Koa Cafe",
-    rating: 4.5,
-    image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1753335205/dish2_jlcq4a.jpg",
-  },
-  {
-    name: "Grilled Burger",
-    restaurant: "Burger King",
-    rating: 4.7,
-    image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1753335197/burger_yrnmbm.jpg",
-  },
-  {
-    name: "Paneer Pizza",
-    restaurant: "PizzaWala's",
-    rating: 4.6,
-    image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1753335236/pizza_eo0k4v.jpg",
-  },
-  {
-    name: "Cheese Samosa",
-    restaurant: "Jagdish Samosa",
-    rating: 4.4,
-    image: "https://res.cloudinary.com/dlurlrbou/image/upload/v1753335242/samosa_q7pecl.jpg",
-  },
-];
+const CARD_COUNT = 4;
+const NEARBY_RADIUS_KM = 10;
+
+// Browser position as "lat,lng", or null when it isn't available or allowed
+const getCurrentPosition = () => new Promise((resolve) => {
+  if (!navigator.geolocation) {
+    resolve(null);
+    return;
+  }
+  navigator.geolocation.getCurrentPosition(
+    (pos) => resolve(`${pos.coords.latitude},${pos.coords.longitude}`),
+    () => resolve(null),
+    { timeout: 10000, maximumAge: 5 * 60 * 1000 }
+  );
+});
+
+// Nearest restaurants (with distance and ETA) when we know where the user is,
+// otherwise the top rated ones
+const loadRestaurants = async () => {
+  const near = await getCurrentPosition();
+  if (near) {
+    const nearby = await restaurantsAPI.getAll({ near, radiusKm: NEARBY_RADIUS_KM, limit: CARD_COUNT });
+    if (nearby.restaurants.length > 0) return { restaurants: nearby.restaurants, isNearby: true };
+  }
+  const topRated = await restaurantsAPI.getAll({ limit: CARD_COUNT });
+  return { restaurants: topRated.restaurants, isNearby: false };
+};
 
 function FeaturedRestaurants() {
   const navigate = useNavigate();
+  const [restaurants, setRestaurants] = useState([]);
+  const [isNearby, setIsNearby] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadRestaurants()
+      .then((result) => {
+        if (cancelled) return;
+        setRestaurants(result.restaurants);
+        setIsNearby(result.isNearby);
+      })
+      .catch((err) => console.error("Failed to load restaurants", err));
+    return () => { cancelled = true; };
+  }, []);
+
+  if (restaurants.length === 0) return null;
 
   return (
     <section className="featured-restaurants">
       <div className="section-header">
-        <h2 className="section-title">Featured Restaurants</h2>
+        <h2 className="section-title">{isNearby ? "Restaurants Near You" : "Featured Restaurants"}</h2>
 
         <span
           className="section-arrow"
@@ -47,16 +65,23 @@ function FeaturedRestaurants() {
       </div>
 
       <div className="restaurant-grid">
-        {restaurants.map((rest, idx) => (
-          <div className="restaurant-card" key={idx}>
-            <img src={rest.image} alt={rest.name} className="restaurant-img" />
+        {restaurants.map((rest) => (
+          <div className="restaurant-card" key={rest._id}>
+            <img src={rest.photo} alt={rest.name} className="restaurant-img" />
             <div className="restaurant-info">
               <div className="restaurant-name">{rest.name}</div>
-              <div className="restaurant-cuisine">{rest.restaurant}</div>
+              <div className="restaurant-cuisine">{(rest.cuisines || []).slice(0, 3).join(", ")}</div>
               <div className="restaurant-rating">
-                <span className="star">★</span> {rest.rating}
+                <span className="star">★</span> {rest.rating ? rest.rating.toFixed(1) : "New"}
               </div>
-              <button className="order-now-btn">Order Now</button>
+              {rest.distanceKm !== undefined && (
+                <div className="restaurant-distance">
+                  {rest.distanceKm} km · {rest.etaMinutes} mins
+                </div>
+              )}
+              <button className="order-now-btn" onClick={() => navigate(`/restaurant/${rest.slug}`)}>
+                Order Now
+              </button>
             </div>
           </div>
         ))}
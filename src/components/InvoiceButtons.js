@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { ordersAPI } from '../services/api';
+
+// "View invoice" and "Download PDF" for a paid order. The invoice endpoint
+// needs the login token, so the file is fetched here and handed to the
+// browser as a blob URL.
+const InvoiceButtons = ({ orderId, className = '' }) => {
+  const [loading, setLoading] = useState(null);
+
+  const fetchInvoice = async (format) => {
+    if (loading) return;
+    // Opened before the request so popup blockers let it through
+    const tab = format === 'html' ? window.open('', '_blank') : null;
+    setLoading(format);
+    try {
+      const url = URL.createObjectURL(await ordersAPI.getInvoice(orderId, format));
+      if (tab) {
+        tab.location.href = url;
+      } else {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `invoice-${orderId}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (e) {
+      tab?.close();
+      alert(e.message || 'Could not load the invoice');
+    } finally {
+      setLoading(null);
+    }
+  };
+
+  return (
+    <>
+      <button className={className} onClick={() => fetchInvoice('html')} disabled={Boolean(loading)}>
+        {loading === 'html' ? 'Loading…' : 'View invoice'}
+      </button>
+      <button className={className} onClick={() => fetchInvoice('pdf')} disabled={Boolean(loading)}>
+        {loading === 'pdf' ? 'Preparing…' : 'Download PDF'}
+      </button>
+    </>
+  );
+};
+
+export default InvoiceButtons;
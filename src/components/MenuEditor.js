@@ -0,0 +1,417 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { restaurantsAPI, dishesAPI } from '../services/api';
+import './MenuEditor.css';
+
+// Categories in the restaurant's chosen order; unlisted ones follow alphabetically
+export const orderMenuCategories = (categories, order = []) => {
+  const rank = (cat) => {
+    const index = order.indexOf(cat);
+    return index === -1 ? order.length : index;
+  };
+  return [...categories].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+};
+
+const emptyDish = {
+  name: '',
+  description: '',
+  price: '',
+  image: '',
+  category: '',
+  isVeg: true,
+  isSpicy: false,
+  isAvailable: true,
+  dietaryInfo: [],
+  allergens: [],
+  customizations: [],
+  dailyLimit: '',
+  restockAt: '06:00',
+};
+
+// The API stores options and prices as parallel arrays; the form edits them as rows
+const toFormDish = (dish) => ({
+  ...emptyDish,
+  ...dish,
+  price: String(dish.price ?? ''),
+  dailyLimit: String(dish.stock?.dailyLimit ?? ''),
+  restockAt: dish.stock?.restockAt || emptyDish.restockAt,
+  customizations: (dish.customizations || []).map(group => ({
+    name: group.name,
+    required: Boolean(group.required),
+    multiple: Boolean(group.multiple),
+    options: group.options.map((option, i) => ({ option, price: String(group.prices?.[i] ?? 0) })),
+  })),
+});
+
+const toDishPayload = (form) => ({
+  name: form.name.trim(),
+  description: form.description.trim(),
+  price: Number(form.price),
+  image: form.image.trim(),
+  category: form.category,
+  isVeg: form.isVeg,
+  isSpicy: form.isSpicy,
+  isAvailable: form.isAvailable,
+  dietaryInfo: form.dietaryInfo,
+  allergens: form.allergens,
+  // A blank daily limit means the dish isn't stock-counted
+  stock: {
+    dailyLimit: form.dailyLimit === '' ? null : Number(form.dailyLimit),
+    restockAt: form.restockAt,
+  },
+  customizations: form.customizations
+    .filter(group => group.name.trim())
+    .map(group => {
+      const options = group.options.filter(o => o.option.trim());
+      return {
+        name: group.name.trim(),
+        required: group.required,
+        multiple: group.multiple,
+        options: options.map(o => o.option.trim()),
+        prices: options.map(o => Number(o.price) || 0),
+      };
+    }),
+});
+
+const errorMessage = (err) => err?.data?.errors?.[0]?.msg || err?.message || 'Something went wrong';
+
+const stockLabel = (dish) => {
+  if (typeof dish.stock?.dailyLimit !== 'number') return '';
+  const remaining = dish.stock.remaining ?? dish.stock.dailyLimit;
+  return remaining === 0 ? ' · Sold out' : ` · ${remaining}/${dish.stock.dailyLimit} left`;
+};
+
+const toggleValue = (list, value) => (
+  list.includes(value) ? list.filter(v => v !== value) : [...list, value]
+);
+
+const MenuEditor = () => {
+  const [restaurants, setRestaurants] = useState([]);
+  const [restaurantId, setRestaurantId] = useState('');
+  const [menu, setMenu] = useState(null);
+  const [categoryOrder, setCategoryOrder] = useState([]);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    restaurantsAPI.getMine()
+      .then((list) => {
+        setRestaurants(list);
+        if (list.length > 0) setRestaurantId(list[0]._id);
+      })
+      .catch((err) => setError(err.status === 401 || err.status === 403
+        ? 'Log in with a restaurant owner account to manage your menu.'
+        : errorMessage(err)))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const loadMenu = useCallback(async (id) => {
+    if (!id) return;
+    try {
+      setError('');
+      const data = await restaurantsAPI.getManagedDishes(id);
+      setMenu(data);
+      setCategoryOrder(data.restaurant.menuCategories || []);
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  }, []);
+
+  useEffect(() => {
+    setForm(null);
+    loadMenu(restaurantId);
+  }, [restaurantId, loadMenu]);
+
+  const dishes = useMemo(() => menu?.dishes || [], [menu]);
+  const orderedCategories = useMemo(
+    () => orderMenuCategories(Array.from(new Set(dishes.map(d => d.category))), categoryOrder),
+    [dishes, categoryOrder]
+  );
+  const orderChanged = orderedCategories.join('|') !== orderMenuCategories(orderedCategories, menu?.restaurant.menuCategories || []).join('|');
+
+  const moveCategory = (category, delta) => {
+    const next = [...orderedCategories];
+    const index = next.indexOf(category);
+    const target = index + delta;
+    if (target < 0 || target >= next.length) return;
+    [next[index], next[target]] = [next[target], next[index]];
+    setCategoryOrder(next);
+  };
+
+  const saveCategoryOrder = async () => {
+    try {
+      setSaving(true);
+      const { menuCategories } = await restaurantsAPI.reorderCategories(restaurantId, orderedCategories);
+      setMenu(prev => ({ ...prev, restaurant: { ...prev.restaurant, menuCategories } }));
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleAvailability = async (dish) => {
+    try {
+      const updated = await dishesAPI.setAvailability(dish._id, !dish.isAvailable);
+      setMenu(prev => ({ ...prev, dishes: prev.dishes.map(d => d._id === dish._id ? { ...d, isAvailable: updated.isAvailable, stock: updated.stock } : d) }));
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  const restockDish = async (dish) => {
+    try {
+      const updated = await dishesAPI.restock(dish._id);
+      setMenu(prev => ({ ...prev, dishes: prev.dishes.map(d => d._id === dish._id ? { ...d, isAvailable: updated.isAvailable, stock: updated.stock } : d) }));
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  const deleteDish = async (dish) => {
+    if (!window.confirm(`Delete ${dish.name} from the menu?`)) return;
+    try {
+      await dishesAPI.delete(dish._id);
+      setMenu(prev => ({ ...prev, dishes: prev.dishes.filter(d => d._id !== dish._id) }));
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  const startEdit = (dish) => {
+    setEditingId(dish?._id || null);
+    setForm(dish ? toFormDish(dish) : { ...emptyDish, category: orderedCategories[0] || menu.categories[0] });
+    setError('');
+  };
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const updateGroup = (groupIndex, changes) => {
+    updateForm({
+      customizations: form.customizations.map((g, i) => i === groupIndex ? { ...g, ...changes } : g),
+    });
+  };
+
+  const updateOption = (groupIndex, optionIndex, changes) => {
+    const group = form.customizations[groupIndex];
+    updateGroup(groupIndex, {
+      options: group.options.map((o, i) => i === optionIndex ? { ...o, ...changes } : o),
+    });
+  };
+
+  const handleImageUpload = async (file) => {
+    if (!file) return;
+    try {
+      setUploading(true);
+      const { url } = await dishesAPI.uploadImage(file);
+      updateForm({ image: url });
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const saveDish = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      const payload = toDishPayload(form);
+      const saved = editingId
+        ? await dishesAPI.update(editingId, payload)
+        : await dishesAPI.create({ ...payload, restaurant: restaurantId });
+      setMenu(prev => ({
+        ...prev,
+        dishes: editingId
+          ? prev.dishes.map(d => d._id === editingId ? saved : d)
+          : [...prev.dishes, saved],
+      }));
+      setForm(null);
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) return <div className="menu-editor">Loading…</div>;
+
+  if (restaurants.length === 0) {
+    return (
+      <div className="menu-editor">
+        {error ? <div className="menu-editor-error">{error}</div> : <p>You don't manage any restaurants yet.</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="menu-editor">
+      <div className="menu-editor-toolbar">
+        {restaurants.length > 1 ? (
+          <select value={restaurantId} onChange={(e) => setRestaurantId(e.target.value)}>
+            {restaurants.map(r => <option key={r._id} value={r._id}>{r.name}</option>)}
+          </select>
+        ) : (
+          <h3>{restaurants[0].name}</h3>
+        )}
+        <button className="menu-editor-primary" onClick={() => startEdit(null)} disabled={!menu}>
+          + Add dish
+        </button>
+      </div>
+
+      {error && <div className="menu-editor-error">{error}</div>}
+
+      {form && (
+        <form className="dish-form" onSubmit={saveDish}>
+          <h4>{editingId ? `Edit ${form.name || 'dish'}` : 'New dish'}</h4>
+          <div className="dish-form-grid">
+            <label>
+              Name
+              <input value={form.name} onChange={(e) => updateForm({ name: e.target.value })} required />
+            </label>
+            <label>
+              Price (₹)
+              <input type="number" min="0" step="1" value={form.price} onChange={(e) => updateForm({ price: e.target.value })} required />
+            </label>
+            <label>
+              Category
+              <select value={form.category} onChange={(e) => updateForm({ category: e.target.value })} required>
+                {menu.categories.map(cat => <option key={cat} value={cat}>{cat}</option>)}
+              </select>
+            </label>
+            <label className="dish-form-wide">
+              Description
+              <textarea value={form.description} onChange={(e) => updateForm({ description: e.target.value })} required />
+            </label>
+            <label>
+              Daily stock
+              <input type="number" min="0" step="1" value={form.dailyLimit} placeholder="Unlimited" onChange={(e) => updateForm({ dailyLimit: e.target.value })} />
+            </label>
+            <label>
+              Restock at
+              <input type="time" value={form.restockAt} onChange={(e) => updateForm({ restockAt: e.target.value })} disabled={form.dailyLimit === ''} />
+            </label>
+            <label className="dish-form-wide">
+              Image
+              <div className="dish-form-image">
+                {form.image && <img src={form.image} alt="" />}
+                <input value={form.image} placeholder="Image URL" onChange={(e) => updateForm({ image: e.target.value })} required />
+                <input type="file" accept="image/jpeg,image/png,image/webp" onChange={(e) => handleImageUpload(e.target.files[0])} />
+                {uploading && <span>Uploading…</span>}
+              </div>
+            </label>
+          </div>
+
+          <div className="dish-form-flags">
+            <label><input type="checkbox" checked={form.isVeg} onChange={(e) => updateForm({ isVeg: e.target.checked })} /> Veg</label>
+            <label><input type="checkbox" checked={form.isSpicy} onChange={(e) => updateForm({ isSpicy: e.target.checked })} /> Spicy</label>
+            <label><input type="checkbox" checked={form.isAvailable} onChange={(e) => updateForm({ isAvailable: e.target.checked })} /> Available</label>
+          </div>
+
+          <fieldset>
+            <legend>Dietary info</legend>
+            {menu.dietaryInfo.map(info => (
+              <label key={info}>
+                <input type="checkbox" checked={form.dietaryInfo.includes(info)} onChange={() => updateForm({ dietaryInfo: toggleValue(form.dietaryInfo, info) })} />
+                {info}
+              </label>
+            ))}
+          </fieldset>
+
+          <fieldset>
+            <legend>Allergens</legend>
+            {menu.allergens.map(allergen => (
+              <label key={allergen}>
+                <input type="checkbox" checked={form.allergens.includes(allergen)} onChange={() => updateForm({ allergens: toggleValue(form.allergens, allergen) })} />
+                {allergen}
+              </label>
+            ))}
+          </fieldset>
+
+          <fieldset className="dish-form-customizations">
+            <legend>Customizations</legend>
+            {form.customizations.map((group, gi) => (
+              <div className="customization-group" key={gi}>
+                <div className="customization-row">
+                  <input value={group.name} placeholder="Group name, e.g. Size" onChange={(e) => updateGroup(gi, { name: e.target.value })} />
+                  <label><input type="checkbox" checked={group.required} onChange={(e) => updateGroup(gi, { required: e.target.checked })} /> Required</label>
+                  <label><input type="checkbox" checked={group.multiple} onChange={(e) => updateGroup(gi, { multiple: e.target.checked })} /> Pick several (add-ons)</label>
+                  <button type="button" onClick={() => updateForm({ customizations: form.customizations.filter((_, i) => i !== gi) })}>Remove group</button>
+                </div>
+                {group.options.map((option, oi) => (
+                  <div className="customization-row" key={oi}>
+                    <input value={option.option} placeholder="Option" onChange={(e) => updateOption(gi, oi, { option: e.target.value })} />
+                    <input type="number" min="0" value={option.price} placeholder="+₹" onChange={(e) => updateOption(gi, oi, { price: e.target.value })} />
+                    <button type="button" onClick={() => updateGroup(gi, { options: group.options.filter((_, i) => i !== oi) })}>×</button>
+                  </div>
+                ))}
+                <button type="button" onClick={() => updateGroup(gi, { options: [...group.options, { option: '', price: '0' }] })}>+ Option</button>
+              </div>
+            ))}
+            <button type="button" onClick={() => updateForm({ customizations: [...form.customizations, { name: '', required: false, multiple: false, options: [{ option: '', price: '0' }] }] })}>
+              + Customization group
+            </button>
+          </fieldset>
+
+          <div className="dish-form-actions">
+            <button type="button" onClick={() => setForm(null)}>Cancel</button>
+            <button type="submit" className="menu-editor-primary" disabled={saving || uploading}>
+              {saving ? 'Saving…' : 'Save dish'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {menu && (
+        <div className="menu-editor-body">
+          <aside className="category-order">
+            <h4>Category order</h4>
+            {orderedCategories.map((cat, i) => (
+              <div className="category-order-row" key={cat}>
+                <span>{cat}</span>
+                <button onClick={() => moveCategory(cat, -1)} disabled={i === 0} aria-label={`Move ${cat} up`}>↑</button>
+                <button onClick={() => moveCategory(cat, 1)} disabled={i === orderedCategories.length - 1} aria-label={`Move ${cat} down`}>↓</button>
+              </div>
+            ))}
+            {orderChanged && (
+              <button className="menu-editor-primary" onClick={saveCategoryOrder} disabled={saving}>Save order</button>
+            )}
+          </aside>
+
+          <div className="menu-editor-dishes">
+            {dishes.length === 0 && <p>No dishes yet. Add your first dish to get started.</p>}
+            {orderedCategories.map(cat => (
+              <section key={cat}>
+                <h4>{cat}</h4>
+                {dishes.filter(d => d.category === cat).map(dish => (
+                  <div className={`menu-editor-dish${dish.isAvailable ? '' : ' unavailable'}`} key={dish._id}>
+                    {dish.image && <img src={dish.image} alt="" />}
+                    <div className="menu-editor-dish-info">
+                      <strong>{dish.name}</strong>
+                      <span>₹{dish.price} · {dish.isVeg ? 'Veg' : 'Non-veg'}{dish.customizations?.length ? ` · ${dish.customizations.length} customization${dish.customizations.length > 1 ? 's' : ''}` : ''}{stockLabel(dish)}</span>
+                    </div>
+                    <label className="availability-toggle">
+                      <input type="checkbox" checked={dish.isAvailable} onChange={() => toggleAvailability(dish)} />
+                      {dish.isAvailable ? 'Available' : 'Unavailable'}
+                    </label>
+                    {typeof dish.stock?.dailyLimit === 'number' && (
+                      <button onClick={() => restockDish(dish)}>Restock</button>
+                    )}
+                    <button onClick={() => startEdit(dish)}>Edit</button>
+                    <button className="danger" onClick={() => deleteDish(dish)}>Delete</button>
+                  </div>
+                ))}
+              </section>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MenuEditor;
@@ -0,0 +1,187 @@
+import React, { useCallback, useContext, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { usersAPI, ordersAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { CartContext, formatCustomizations } from '../context/CartContext';
+import OrderTimeline, { STATUS_LABELS } from './OrderTimeline';
+import ReviewForm from './ReviewForm';
+import InvoiceButtons from './InvoiceButtons';
+import './OrderHistory.css';
+
+const PAGE_SIZE = 10;
+
+const formatDate = (value) => new Date(value).toLocaleString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const itemLabel = (item) => {
+  const options = formatCustomizations(item.customizations);
+  return `${item.name}${options ? ` (${options})` : ''} × ${item.quantity}`;
+};
+
+// "Your orders" on the customer dashboard: paginated history, a detail panel
+// for the selected order, a Reorder action that refills the cart, invoice
+// downloads for paid orders and a rating form for delivered orders.
+const OrderHistory = () => {
+  const { user } = useAuth();
+  const { replaceCart } = useContext(CartContext);
+  const navigate = useNavigate();
+  const [orders, setOrders] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [detailError, setDetailError] = useState('');
+  const [reorderingId, setReorderingId] = useState(null);
+  const [reviewing, setReviewing] = useState(false);
+
+  const loadPage = useCallback(async (cursor) => {
+    setLoading(true);
+    try {
+      const page = await usersAPI.getOrders(cursor ? { limit: PAGE_SIZE, cursor } : { limit: PAGE_SIZE });
+      setOrders(prev => (cursor ? [...prev, ...(page.orders || [])] : page.orders || []));
+      setNextCursor(page.nextCursor || null);
+    } catch (_) {
+      if (!cursor) setOrders([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) loadPage();
+  }, [user, loadPage]);
+
+  const openOrder = async (id) => {
+    if (selected?.id === id) {
+      setSelected(null);
+      return;
+    }
+    setDetailError('');
+    setReviewing(false);
+    try {
+      setSelected(await ordersAPI.getById(id));
+    } catch (e) {
+      setSelected(null);
+      setDetailError(e.message || 'Could not load the order');
+    }
+  };
+
+  const handleReorder = async (id) => {
+    if (reorderingId) return;
+    setReorderingId(id);
+    try {
+      const result = await ordersAPI.reorder(id);
+      if (!result.items.length) {
+        alert('None of the items from this order are available right now.');
+        return;
+      }
+      const notes = [];
+      if (result.unavailable.length) notes.push(`Not available anymore: ${result.unavailable.join(', ')}`);
+      if (result.priceChanged) notes.push('Some prices have changed since you last ordered.');
+      if (notes.length && !window.confirm(`${notes.join('\n')}\n\nAdd the remaining items to your cart?`)) return;
+
+      replaceCart(result.items);
+      navigate('/cart');
+    } catch (e) {
+      alert(e.message || 'Could not reorder');
+    } finally {
+      setReorderingId(null);
+    }
+  };
+
+  const handleReviewed = () => {
+    setReviewing(false);
+    setSelected(prev => ({ ...prev, reviewed: true }));
+    setOrders(prev => prev.map(o => (o.id === selected.id ? { ...o, reviewed: true } : o)));
+  };
+
+  if (!user || (!loading && orders.length === 0)) return null;
+
+  return (
+    <section className="order-history">
+      <h2>Your Orders</h2>
+      {detailError && <p className="order-history-error">{detailError}</p>}
+      <ul className="order-history-list">
+        {orders.map(order => (
+          <li key={order.id} className={`order-history-item ${selected?.id === order.id ? 'expanded' : ''}`}>
+            <button className="order-history-summary" onClick={() => openOrder(order.id)}>
+              <span className="order-history-restaurant">{order.restaurantName}</span>
+              <span className={`order-history-status status-${order.status}`}>{STATUS_LABELS[order.status] || order.status}</span>
+              <span className="order-history-meta">
+                {formatDate(order.createdAt)} · {(order.items || []).length} item{(order.items || []).length === 1 ? '' : 's'} · ₹{order.totalAmount}
+              </span>
+            </button>
+
+            {selected?.id === order.id && (
+              <div className="order-history-detail">
+                <p className="order-history-id">
+                  Order {selected.id}
+                  {selected.invoiceNumber && ` · Invoice ${selected.invoiceNumber}`}
+                </p>
+                <ul className="order-history-items">
+                  {(selected.items || []).map((item, idx) => (
+                    <li key={`${item.name}-${idx}`}>
+                      <span>{itemLabel(item)}</span>
+                      <span>₹{item.price * item.quantity}</span>
+                    </li>
+                  ))}
+                </ul>
+                {selected.pricing && (
+                  <div className="order-history-pricing">
+                    <div><span>Subtotal</span><span>₹{selected.pricing.subtotal}</span></div>
+                    <div><span>Delivery fee</span><span>₹{selected.pricing.deliveryFee}</span></div>
+                    <div><span>Taxes</span><span>₹{selected.pricing.taxes}</span></div>
+                    {selected.pricing.discount > 0 && (
+                      <div><span>Discount</span><span>-₹{selected.pricing.discount}</span></div>
+                    )}
+                    <div className="order-history-total"><span>Total</span><span>₹{selected.pricing.total}</span></div>
+                  </div>
+                )}
+                <OrderTimeline orderId={selected.id} status={selected.status} />
+                <div className="order-history-actions">
+                  <button className="order-history-track" onClick={() => navigate(`/track/${selected.id}`)}>
+                    Track
+                  </button>
+                  {selected.splitBill && (
+                    <button className="order-history-track" onClick={() => navigate(`/split-bill/${selected.id}`)}>
+                      Split bill
+                    </button>
+                  )}
+                  <button
+                    className="order-history-reorder"
+                    onClick={() => handleReorder(selected.id)}
+                    disabled={reorderingId === selected.id}
+                  >
+                    {reorderingId === selected.id ? 'Checking menu…' : 'Reorder'}
+                  </button>
+                  {selected.invoiceAvailable && (
+                    <InvoiceButtons orderId={selected.id} className="order-history-track" />
+                  )}
+                  {selected.status === 'delivered' && !selected.reviewed && !reviewing && (
+                    <button className="order-history-rate" onClick={() => setReviewing(true)}>
+                      Rate order
+                    </button>
+                  )}
+                </div>
+                {selected.reviewed && <p className="order-history-reviewed">Thanks for rating this order!</p>}
+                {reviewing && (
+                  <ReviewForm order={selected} onSubmitted={handleReviewed} onCancel={() => setReviewing(false)} />
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+      {nextCursor && (
+        <button className="order-history-more" onClick={() => loadPage(nextCursor)} disabled={loading}>
+          {loading ? 'Loading…' : 'Show older orders'}
+        </button>
+      )}
+    </section>
+  );
+};
+
+export default OrderHistory;
@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+import { ordersAPI } from '../services/api';
+import './OrderTimeline.css';
+
+export const STATUS_LABELS = {
+  awaiting_payment: 'Waiting for Payment',
+  pending: 'Order Placed',
+  confirmed: 'Accepted by Restaurant',
+  preparing: 'Being Prepared',
+  pending_delivery: 'Waiting for Delivery Partner',
+  accepted_delivery: 'Accepted by Delivery Partner',
+  ready_for_pickup: 'Ready for Pickup',
+  out_for_delivery: 'Out for Delivery',
+  delivered: 'Delivered',
+  rejected: 'Rejected',
+  cancelled: 'Cancelled'
+};
+
+const ROLE_LABELS = {
+  user: 'Customer',
+  restaurant_owner: 'Restaurant',
+  delivery_partner: 'Delivery Partner',
+  admin: 'Admin',
+  guest: 'Guest'
+};
+
+const formatDuration = (ms) => {
+  if (ms == null) return null;
+  const mins = Math.round(ms / 60000);
+  if (mins < 1) return '< 1 min';
+  if (mins < 60) return `${mins} min`;
+  return `${Math.floor(mins / 60)}h ${mins % 60}m`;
+};
+
+// Vertical timeline of an order's status changes. Pass `status` so the
+// timeline refetches whenever the parent sees the order move on.
+const OrderTimeline = ({ orderId, status, compact = false }) => {
+  const [history, setHistory] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let alive = true;
+    ordersAPI.getHistory(orderId)
+      .then(data => { if (alive) { setHistory(data.history || []); setError(''); } })
+      .catch(e => { if (alive) setError(e.message || 'Could not load order history'); });
+    return () => { alive = false; };
+  }, [orderId, status]);
+
+  if (error) {
+    return <div className="order-timeline-error">{error}</div>;
+  }
+
+  if (history.length === 0) {
+    return <div className="order-timeline-empty">No status updates yet.</div>;
+  }
+
+  return (
+    <ol className={`order-timeline ${compact ? 'order-timeline-compact' : ''}`}>
+      {history.map((entry, idx) => (
+        <li key={`${entry.status}-${entry.at}-${idx}`} className={`timeline-entry timeline-${entry.status}`}>
+          <span className="timeline-dot" />
+          <div className="timeline-body">
+            <div className="timeline-title">
+              {STATUS_LABELS[entry.status] || entry.status}
+              {idx === history.length - 1 && <span className="timeline-current">Current</span>}
+            </div>
+            <div className="timeline-meta">
+              {new Date(entry.at).toLocaleString()}
+              {' • '}
+              {entry.actorName || ROLE_LABELS[entry.role] || 'System'}
+              {entry.actorName && entry.role && ` (${ROLE_LABELS[entry.role] || entry.role})`}
+            </div>
+            {entry.reason && <div className="timeline-reason">“{entry.reason}”</div>}
+            {formatDuration(entry.durationMs) && (
+              <div className="timeline-duration">in this state for {formatDuration(entry.durationMs)}</div>
+            )}
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default OrderTimeline;
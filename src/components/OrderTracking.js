@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { Loader } from '@googlemaps/js-api-loader';
 import { GOOGLE_MAPS_CONFIG, MAP_ICONS } from '../config/googleMaps';
+import { ordersAPI } from '../services/api';
 import './OrderTracking.css';
 
 const OrderTracking = ({ orderId, onClose }) => {
@@ -46,17 +47,7 @@ const OrderTracking = ({ orderId, onClose }) => {
   // Fetch order tracking data
   const fetchTrackingData = useCallback(async () => {
     try {
-      const response = await fetch(`/api/orders/tracking/${orderId}`, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to fetch tracking data');
-      }
-
-      const data = await response.json();
+      const data = await ordersAPI.getTracking(orderId);
       setOrderData(data);
       setLastUpdate(new Date());
       
@@ -217,13 +208,17 @@ const OrderTracking = ({ orderId, onClose }) => {
   // Get status color and icon
   const getStatusInfo = (status) => {
     const statusMap = {
+      awaiting_payment: { color: '#FFA500', icon: '⏳', text: 'Waiting for Payment' },
       pending: { color: '#FFA500', icon: '⏳', text: 'Order Received' },
       confirmed: { color: '#4CAF50', icon: '✅', text: 'Order Confirmed' },
       preparing: { color: '#2196F3', icon: '👨‍🍳', text: 'Being Prepared' },
-      ready: { color: '#9C27B0', icon: '📦', text: 'Ready for Pickup' },
+      pending_delivery: { color: '#2196F3', icon: '👨‍🍳', text: 'Being Prepared' },
+      accepted_delivery: { color: '#2196F3', icon: '🛵', text: 'Driver Assigned' },
+      ready_for_pickup: { color: '#9C27B0', icon: '📦', text: 'Ready for Pickup' },
       out_for_delivery: { color: '#FF6B35', icon: '🚗', text: 'Out for Delivery' },
       delivered: { color: '#4CAF50', icon: '🎉', text: 'Delivered' },
-      cancelled: { color: '#F44336', icon: '❌', text: 'Cancelled' }
+      cancelled: { color: '#F44336', icon: '❌', text: 'Cancelled' },
+      rejected: { color: '#F44336', icon: '❌', text: 'Rejected by Restaurant' }
     };
     
     return statusMap[status] || { color: '#757575', icon: '❓', text: 'Unknown' };
@@ -379,7 +374,7 @@ const OrderTracking = ({ orderId, onClose }) => {
                 <p><strong>Name:</strong> {orderData.driver.name}</p>
                 <p><strong>Phone:</strong> {orderData.driver.phone}</p>
                 <p><strong>Vehicle:</strong> {orderData.driver.vehicleNumber}</p>
-                <p><strong>Rating:</strong> ⭐ {orderData.driver.rating}/5</p>
+                {orderData.driver.rating && <p><strong>Rating:</strong> ⭐ {orderData.driver.rating}/5</p>}
               </div>
             </div>
           )}
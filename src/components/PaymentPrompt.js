@@ -0,0 +1,35 @@
+import React from 'react';
+
+// What the payer has to do for a pending payment intent: open the provider's
+// payment page or a UPI app, or scan the QR code from another phone
+const PaymentPrompt = ({ intent }) => {
+  const action = intent?.clientAction;
+  if (!action) return null;
+
+  const qrCode = action.qrCode && (
+    <img className="payment-qr" src={action.qrCode} alt={`QR code to pay ₹${intent.amount}`} />
+  );
+
+  if (action.type === 'redirect') {
+    return (
+      <div className="payment-prompt">
+        <p>
+          <a href={action.url} target="_blank" rel="noopener noreferrer">Open the payment page</a> to pay ₹{intent.amount}
+        </p>
+        {qrCode}
+      </div>
+    );
+  }
+  if (action.type === 'upi_intent') {
+    return (
+      <div className="payment-prompt">
+        <p>{action.message || `Pay ₹${intent.amount} from your UPI app`}</p>
+        {qrCode}
+        {action.uri && <a className="payment-upi-link" href={action.uri}>Open in UPI app</a>}
+      </div>
+    );
+  }
+  return <p className="payment-prompt">{action.message || `Complete the payment of ₹${intent.amount}`}</p>;
+};
+
+export default PaymentPrompt;
@@ -0,0 +1,113 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { restaurantsAPI } from '../services/api';
+import './RestaurantReviews.css';
+
+const PAGE_SIZE = 5;
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+const Stars = ({ value }) => (
+  <span className="review-card-stars" aria-label={`${value} out of 5`}>
+    {'★'.repeat(value)}{'☆'.repeat(5 - value)}
+  </span>
+);
+
+// Customer reviews on a restaurant page, newest first with "Show more".
+// With `onReply`, each unanswered review gets a reply box (restaurant dashboard).
+const RestaurantReviews = ({ restaurantId, onReply }) => {
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [drafts, setDrafts] = useState({});
+  const [error, setError] = useState('');
+
+  const loadPage = useCallback(async (nextPage) => {
+    setLoading(true);
+    try {
+      const data = await restaurantsAPI.getReviews(restaurantId, { page: nextPage, limit: PAGE_SIZE });
+      setReviews(prev => (nextPage === 1 ? data.reviews : [...prev, ...data.reviews]));
+      setSummary(data.summary);
+      setPage(data.currentPage);
+      setTotalPages(data.totalPages);
+    } catch (_) {
+      if (nextPage === 1) setReviews([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [restaurantId]);
+
+  useEffect(() => {
+    if (restaurantId) loadPage(1);
+  }, [restaurantId, loadPage]);
+
+  const sendReply = async (review) => {
+    const text = (drafts[review.id] || '').trim();
+    if (!text) return;
+    setError('');
+    try {
+      const updated = await onReply(review, text);
+      setReviews(prev => prev.map(r => (r.id === review.id ? updated : r)));
+      setDrafts(prev => ({ ...prev, [review.id]: '' }));
+    } catch (err) {
+      setError(err.message || 'Could not post your reply');
+    }
+  };
+
+  if (!summary) return null;
+
+  return (
+    <section className={`restaurant-reviews${onReply ? ' manage' : ''}`}>
+      <div className="restaurant-reviews-header">
+        <h2>Reviews</h2>
+        {summary.ratingCount > 0 && (
+          <span className="restaurant-reviews-summary">
+            {summary.rating}★ from {summary.ratingCount} review{summary.ratingCount === 1 ? '' : 's'}
+            {' · '}Food {summary.food}★
+            {summary.delivery > 0 && ` · Delivery ${summary.delivery}★`}
+          </span>
+        )}
+      </div>
+      {error && <p className="restaurant-reviews-error">{error}</p>}
+      {reviews.length === 0 && !loading && <p className="restaurant-reviews-empty">No reviews yet.</p>}
+      {reviews.map(review => (
+        <article className="review-card" key={review.id}>
+          <div className="review-card-head">
+            <strong>{review.userName}</strong>
+            <Stars value={review.ratings.restaurant} />
+            <span className="review-card-date">{formatDate(review.createdAt)}</span>
+          </div>
+          {review.comment && <p className="review-card-comment">{review.comment}</p>}
+          {review.reply ? (
+            <div className="review-card-reply">
+              <span>Reply from the restaurant</span>
+              <p>{review.reply.text}</p>
+            </div>
+          ) : onReply && (
+            <div className="review-card-reply-form">
+              <input
+                value={drafts[review.id] || ''}
+                onChange={(e) => setDrafts(prev => ({ ...prev, [review.id]: e.target.value }))}
+                placeholder="Write a public reply"
+                maxLength={1000}
+              />
+              <button onClick={() => sendReply(review)} disabled={!(drafts[review.id] || '').trim()}>Reply</button>
+            </div>
+          )}
+        </article>
+      ))}
+      {page < totalPages && (
+        <button className="restaurant-reviews-more" onClick={() => loadPage(page + 1)} disabled={loading}>
+          {loading ? 'Loading…' : 'Show more reviews'}
+        </button>
+      )}
+    </section>
+  );
+};
+
+export default RestaurantReviews;
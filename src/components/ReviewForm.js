@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { ordersAPI } from '../services/api';
+import './ReviewForm.css';
+
+const StarInput = ({ label, value, onChange }) => (
+  <div className="review-stars">
+    <span className="review-stars-label">{label}</span>
+    {[1, 2, 3, 4, 5].map(star => (
+      <button
+        type="button"
+        key={star}
+        className={star <= value ? 'filled' : ''}
+        onClick={() => onChange(star)}
+        aria-label={`${label}: ${star} star${star > 1 ? 's' : ''}`}
+      >
+        ★
+      </button>
+    ))}
+  </div>
+);
+
+// Rating form for a delivered order. The delivery score is only asked for
+// when a driver delivered the order. Calls onSubmitted with the saved review.
+const ReviewForm = ({ order, onSubmitted, onCancel }) => {
+  const [ratings, setRatings] = useState({ restaurant: 0, food: 0, delivery: 0 });
+  const [comment, setComment] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const hasDriver = Boolean(order.driver);
+  const complete = ratings.restaurant > 0 && ratings.food > 0 && (!hasDriver || ratings.delivery > 0);
+
+  const setRating = (field) => (value) => setRatings(prev => ({ ...prev, [field]: value }));
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!complete) return;
+    setSaving(true);
+    setError('');
+    try {
+      const review = await ordersAPI.review(order.id, {
+        restaurant: ratings.restaurant,
+        food: ratings.food,
+        ...(hasDriver ? { delivery: ratings.delivery } : {}),
+      }, comment.trim());
+      onSubmitted(review);
+    } catch (err) {
+      setError(err.message || 'Could not save your review');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="review-form" onSubmit={submit}>
+      <h4>Rate your order from {order.restaurantName}</h4>
+      <StarInput label="Restaurant" value={ratings.restaurant} onChange={setRating('restaurant')} />
+      <StarInput label="Food" value={ratings.food} onChange={setRating('food')} />
+      {hasDriver && <StarInput label="Delivery" value={ratings.delivery} onChange={setRating('delivery')} />}
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="Tell others about your order (optional)"
+        maxLength={1000}
+      />
+      {error && <p className="review-form-error">{error}</p>}
+      <div className="review-form-actions">
+        <button type="button" onClick={onCancel}>Cancel</button>
+        <button type="submit" className="review-form-submit" disabled={!complete || saving}>
+          {saving ? 'Saving…' : 'Submit review'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ReviewForm;
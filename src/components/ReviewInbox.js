@@ -0,0 +1,42 @@
+import React, { useEffect, useState } from 'react';
+import { restaurantsAPI } from '../services/api';
+import RestaurantReviews from './RestaurantReviews';
+
+// Reviews tab of the restaurant dashboard: the owner's restaurants' reviews with reply boxes
+const ReviewInbox = () => {
+  const [restaurants, setRestaurants] = useState([]);
+  const [restaurantId, setRestaurantId] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    restaurantsAPI.getMine()
+      .then((list) => {
+        setRestaurants(list);
+        if (list.length > 0) setRestaurantId(list[0]._id);
+      })
+      .catch((err) => setError(err.status === 401 || err.status === 403
+        ? 'Log in with a restaurant owner account to answer reviews.'
+        : err.message || 'Something went wrong'));
+  }, []);
+
+  const reply = (review, text) => restaurantsAPI.replyToReview(restaurantId, review.id, text);
+
+  if (error) return <p style={{ color: '#b91c1c' }}>{error}</p>;
+
+  return (
+    <div>
+      {restaurants.length > 1 && (
+        <select
+          value={restaurantId}
+          onChange={(e) => setRestaurantId(e.target.value)}
+          style={{ marginBottom: 12, padding: '6px 10px', borderRadius: 8, border: '1px solid #d1d5db' }}
+        >
+          {restaurants.map(r => <option key={r._id} value={r._id}>{r.name}</option>)}
+        </select>
+      )}
+      {restaurantId && <RestaurantReviews key={restaurantId} restaurantId={restaurantId} onReply={reply} />}
+    </div>
+  );
+};
+
+export default ReviewInbox;
@@ -0,0 +1,166 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { restaurantsAPI } from '../services/api';
+import './StoreHours.css';
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const PAUSE_OPTIONS = [
+  { minutes: 15, label: '15 minutes' },
+  { minutes: 30, label: '30 minutes' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 120, label: '2 hours' },
+  { minutes: 240, label: '4 hours' },
+];
+
+const errorMessage = (err) => err?.data?.errors?.[0]?.msg || err?.data?.error || err?.message || 'Something went wrong';
+
+const formatClock = (value) => (value
+  ? new Date(value).toLocaleString('en-IN', { weekday: 'short', hour: 'numeric', minute: '2-digit' })
+  : '');
+
+// One row per day, Monday first, whatever order the API returned
+const toFormSchedule = (schedule = []) => DAYS.map(day => ({
+  day,
+  slots: ((schedule.find(s => s.day === day) || {}).slots || []).map(({ open, close }) => ({ open, close })),
+}));
+
+// Store status (open / paused) and the weekly opening hours editor for the restaurant dashboard
+const StoreHours = () => {
+  const [restaurants, setRestaurants] = useState([]);
+  const [restaurantId, setRestaurantId] = useState('');
+  const [restaurant, setRestaurant] = useState(null);
+  const [schedule, setSchedule] = useState([]);
+  const [holidays, setHolidays] = useState([]);
+  const [pauseMinutes, setPauseMinutes] = useState(PAUSE_OPTIONS[1].minutes);
+  const [pauseReason, setPauseReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const applyRestaurant = useCallback((data) => {
+    setRestaurant(data);
+    setSchedule(toFormSchedule(data.schedule));
+    setHolidays((data.holidays || []).map(({ date, reason }) => ({ date, reason: reason || '' })));
+  }, []);
+
+  useEffect(() => {
+    restaurantsAPI.getMine()
+      .then((list) => {
+        setRestaurants(list);
+        if (list.length > 0) setRestaurantId(list[0]._id);
+      })
+      .catch((err) => setError(err.status === 401 || err.status === 403
+        ? 'Log in with a restaurant owner account to manage your store hours.'
+        : errorMessage(err)));
+  }, []);
+
+  useEffect(() => {
+    const selected = restaurants.find(r => r._id === restaurantId);
+    if (selected) applyRestaurant(selected);
+  }, [restaurantId, restaurants, applyRestaurant]);
+
+  const run = async (action, successText) => {
+    try {
+      setSaving(true);
+      setError('');
+      setNotice('');
+      const updated = await action();
+      applyRestaurant(updated);
+      setRestaurants(prev => prev.map(r => r._id === updated._id ? updated : r));
+      if (successText) setNotice(successText);
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const pause = () => run(() => restaurantsAPI.pause(restaurantId, pauseMinutes, pauseReason.trim() || undefined));
+  const resume = () => run(() => restaurantsAPI.resume(restaurantId));
+  const saveHours = () => run(
+    () => restaurantsAPI.updateSchedule(restaurantId, schedule, holidays.filter(h => h.date)),
+    'Opening hours saved'
+  );
+
+  const updateDay = (day, slots) => setSchedule(prev => prev.map(d => d.day === day ? { ...d, slots } : d));
+  const updateHoliday = (index, changes) => setHolidays(prev => prev.map((h, i) => i === index ? { ...h, ...changes } : h));
+
+  if (!restaurant) {
+    return <div className="store-hours">{error ? <div className="store-hours-error">{error}</div> : 'Loading…'}</div>;
+  }
+
+  const statusLabel = restaurant.isPaused
+    ? `Paused${restaurant.pausedUntil ? ` until ${formatClock(restaurant.pausedUntil)}` : ''}`
+    : restaurant.isOpenNow
+      ? `Open${restaurant.closesAt ? ` · closes ${formatClock(restaurant.closesAt)}` : ''}`
+      : `Closed${restaurant.nextOpensAt ? ` · opens ${formatClock(restaurant.nextOpensAt)}` : ''}`;
+
+  return (
+    <div className="store-hours">
+      <div className="store-hours-toolbar">
+        <h3>Store status</h3>
+        {restaurants.length > 1 && (
+          <select value={restaurantId} onChange={(e) => setRestaurantId(e.target.value)}>
+            {restaurants.map(r => <option key={r._id} value={r._id}>{r.name}</option>)}
+          </select>
+        )}
+      </div>
+
+      {error && <div className="store-hours-error">{error}</div>}
+      {notice && <div className="store-hours-notice">{notice}</div>}
+
+      <div className="store-status">
+        <span className={`store-status-dot ${restaurant.isOpenNow ? 'open' : restaurant.isPaused ? 'paused' : 'closed'}`} />
+        <strong>{statusLabel}</strong>
+        {restaurant.isPaused ? (
+          <button className="store-hours-primary" onClick={resume} disabled={saving}>Resume orders</button>
+        ) : (
+          <div className="store-pause">
+            <select value={pauseMinutes} onChange={(e) => setPauseMinutes(Number(e.target.value))}>
+              {PAUSE_OPTIONS.map(o => <option key={o.minutes} value={o.minutes}>{o.label}</option>)}
+            </select>
+            <input placeholder="Reason (optional)" value={pauseReason} onChange={(e) => setPauseReason(e.target.value)} maxLength={200} />
+            <button onClick={pause} disabled={saving}>Pause orders</button>
+          </div>
+        )}
+      </div>
+
+      <h4>Weekly hours</h4>
+      <div className="store-schedule">
+        {schedule.map(({ day, slots }) => (
+          <div className="store-schedule-day" key={day}>
+            <span className="store-schedule-name">{day}</span>
+            <div className="store-schedule-slots">
+              {slots.length === 0 && <span className="store-schedule-closed">Closed</span>}
+              {slots.map((slot, index) => (
+                <div className="store-schedule-slot" key={index}>
+                  <input type="time" value={slot.open} onChange={(e) => updateDay(day, slots.map((s, i) => i === index ? { ...s, open: e.target.value } : s))} />
+                  <span>to</span>
+                  <input type="time" value={slot.close} onChange={(e) => updateDay(day, slots.map((s, i) => i === index ? { ...s, close: e.target.value } : s))} />
+                  <button className="danger" onClick={() => updateDay(day, slots.filter((_, i) => i !== index))}>Remove</button>
+                </div>
+              ))}
+            </div>
+            <button onClick={() => updateDay(day, [...slots, { open: '12:00', close: '15:00' }])}>+ Slot</button>
+          </div>
+        ))}
+      </div>
+
+      <h4>Holidays</h4>
+      {holidays.map((holiday, index) => (
+        <div className="store-schedule-slot" key={index}>
+          <input type="date" value={holiday.date} onChange={(e) => updateHoliday(index, { date: e.target.value })} />
+          <input placeholder="Reason" value={holiday.reason} onChange={(e) => updateHoliday(index, { reason: e.target.value })} />
+          <button className="danger" onClick={() => setHolidays(prev => prev.filter((_, i) => i !== index))}>Remove</button>
+        </div>
+      ))}
+      <button onClick={() => setHolidays(prev => [...prev, { date: '', reason: '' }])}>+ Holiday</button>
+
+      <div className="store-hours-actions">
+        <button className="store-hours-primary" onClick={saveHours} disabled={saving}>Save hours</button>
+      </div>
+    </div>
+  );
+};
+
+export default StoreHours;
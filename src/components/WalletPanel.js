@@ -0,0 +1,170 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { walletAPI } from '../services/api';
+import { topUpWallet, isValidUpiId, UPI_ID_HINT } from '../services/payments';
+import { useAuth } from '../context/AuthContext';
+import PaymentPrompt from './PaymentPrompt';
+import './WalletPanel.css';
+
+const PAGE_SIZE = 20;
+
+// Matches the server's limits for one top-up
+const MIN_TOPUP = 10;
+const MAX_TOPUP = 10000;
+
+const TRANSACTION_LABELS = {
+  topup: 'Top-up',
+  refund: 'Refund',
+  cashback: 'Cashback',
+  order_payment: 'Order payment'
+};
+
+const formatDate = (value) => new Date(value).toLocaleString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// "CraveCart Wallet" on the customer dashboard: the balance, a UPI top-up
+// form and every transaction on the wallet, newest first
+const WalletPanel = () => {
+  const { user } = useAuth();
+  const [balance, setBalance] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [amount, setAmount] = useState('');
+  const [upiId, setUpiId] = useState('');
+  const [toppingUp, setToppingUp] = useState(false);
+  const [topUpIntent, setTopUpIntent] = useState(null);
+  const [topUpError, setTopUpError] = useState('');
+  const pollAbort = useRef(null);
+
+  const loadPage = useCallback(async (cursor) => {
+    setLoading(true);
+    try {
+      const page = await walletAPI.getTransactions(cursor ? { limit: PAGE_SIZE, cursor } : { limit: PAGE_SIZE });
+      setTransactions(prev => (cursor ? [...prev, ...(page.transactions || [])] : page.transactions || []));
+      setNextCursor(page.nextCursor || null);
+    } catch (_) {
+      if (!cursor) setTransactions([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const refresh = useCallback(async () => {
+    try {
+      setBalance((await walletAPI.getBalance()).balance);
+    } catch (_) {
+      setBalance(null);
+    }
+    loadPage();
+  }, [loadPage]);
+
+  useEffect(() => {
+    if (user) refresh();
+  }, [user, refresh]);
+
+  // Stop polling for a top-up if the customer leaves the page
+  useEffect(() => () => pollAbort.current?.abort(), []);
+
+  const handleTopUp = async (e) => {
+    e.preventDefault();
+    const value = Number(amount);
+    if (!(value >= MIN_TOPUP && value <= MAX_TOPUP)) {
+      setTopUpError(`Top up between ₹${MIN_TOPUP} and ₹${MAX_TOPUP}`);
+      return;
+    }
+    if (!isValidUpiId(upiId)) {
+      setTopUpError(UPI_ID_HINT);
+      return;
+    }
+    if (toppingUp) return;
+
+    setToppingUp(true);
+    setTopUpError('');
+    pollAbort.current = new AbortController();
+    try {
+      const intent = await topUpWallet(value, upiId.trim(), { onUpdate: setTopUpIntent, signal: pollAbort.current.signal });
+      if (intent.status === 'succeeded') {
+        setAmount('');
+        await refresh();
+      } else {
+        setTopUpError(`Top-up failed: ${intent.failureReason || 'please try again'}`);
+      }
+    } catch (err) {
+      if (!pollAbort.current.signal.aborted) setTopUpError(err.data?.errors?.[0]?.msg || err.message);
+    } finally {
+      setToppingUp(false);
+      setTopUpIntent(null);
+    }
+  };
+
+  if (!user) return null;
+
+  return (
+    <section className="wallet-panel">
+      <div className="wallet-header">
+        <h2>CraveCart Wallet</h2>
+        <span className="wallet-balance">{balance === null ? '—' : `₹${balance}`}</span>
+      </div>
+
+      <form className="wallet-topup" onSubmit={handleTopUp}>
+        <input
+          type="number"
+          min={MIN_TOPUP}
+          max={MAX_TOPUP}
+          step="1"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          placeholder="Amount (₹)"
+          disabled={toppingUp}
+        />
+        <input
+          type="text"
+          value={upiId}
+          onChange={(e) => setUpiId(e.target.value)}
+          placeholder="UPI ID"
+          disabled={toppingUp}
+        />
+        <button type="submit" disabled={toppingUp}>
+          {toppingUp ? 'Waiting for payment…' : 'Add money'}
+        </button>
+      </form>
+      {topUpError && <p className="wallet-error">{topUpError}</p>}
+      {toppingUp && <PaymentPrompt intent={topUpIntent} />}
+
+      {transactions.length === 0 && !loading ? (
+        <p className="wallet-empty">No transactions yet. Refunds and cashback land here too.</p>
+      ) : (
+        <ul className="wallet-transactions">
+          {transactions.map(transaction => (
+            <li key={transaction.id} className="wallet-transaction">
+              <div>
+                <span className="wallet-transaction-label">{TRANSACTION_LABELS[transaction.type] || transaction.type}</span>
+                <span className="wallet-transaction-meta">
+                  {formatDate(transaction.createdAt)}
+                  {transaction.description ? ` · ${transaction.description}` : ''}
+                </span>
+              </div>
+              <div className="wallet-transaction-amounts">
+                <span className={`wallet-transaction-amount ${transaction.direction}`}>
+                  {transaction.direction === 'credit' ? '+' : '-'}₹{transaction.amount}
+                </span>
+                <span className="wallet-transaction-meta">Balance ₹{transaction.balanceAfter}</span>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      {nextCursor && (
+        <button className="wallet-more" onClick={() => loadPage(nextCursor)} disabled={loading}>
+          {loading ? 'Loading…' : 'Show older transactions'}
+        </button>
+      )}
+    </section>
+  );
+};
+
+export default WalletPanel;
@@ -1,9 +1,36 @@
 // /CartContext.js
 
-import React, { createContext, useState } from "react";
+import React, { createContext, useCallback, useState } from "react";
 
 export const CartContext = createContext();
 
+// Cart lines in the shape POST /api/orders expects. Prices are left out on
+// purpose: the backend prices every order from the menu.
+export const toOrderItems = (items) => items.map((i) => ({
+  dish: i.dishId || i._id || i.id,
+  name: i.name,
+  quantity: i.quantity,
+  customizations: (i.customizations || []).map(({ name, option }) => ({ name, option })),
+}));
+
+// One cart line per dish + selected options, so "Pizza (Large)" and
+// "Pizza (Medium)" stay separate lines
+export const cartLineKey = (item) => {
+  const options = (item.customizations || [])
+    .map((c) => `${c.name}:${c.option}`)
+    .sort()
+    .join(',');
+  return `${item.dishId || item._id || item.id || item.name}|${options}`;
+};
+
+// "Size: Large, Extra cheese" style label for selected options
+export const formatCustomizations = (customizations = []) => (
+  customizations.map((c) => c.option).join(', ')
+);
+
+// Which restaurant a cart line is from; orders are placed with one restaurant
+const restaurantOf = (item) => String(item.restaurantId || item.restaurantName || '');
+
 export const CartProvider = ({ children }) => {
   const [cartItems, setCartItems] = useState([]);
   const [splitBillEnabled, setSplitBillEnabled] = useState(false);
@@ -13,42 +40,69 @@ export const CartProvider = ({ children }) => {
     { name: '', amount: 0 },
     { name: '', amount: 0 }
   ]);
+  // Promo code entered on the cart page; the server checks it again when pricing the order
+  const [couponCode, setCouponCode] = useState('');
 
+  // `item.price` is the unit price including any option prices. A cart holds
+  // one restaurant's dishes: adding from another asks to start a new cart,
+  // and resolves to false if the customer keeps the old one.
   const addToCart = (item) => {
+    const current = cartItems.find((i) => restaurantOf(i));
+    if (current && restaurantOf(item) && restaurantOf(item) !== restaurantOf(current)) {
+      const replace = window.confirm(
+        `Your cart has dishes from ${current.restaurantName || 'another restaurant'}. ` +
+        `Clear it and start a new cart from ${item.restaurantName || 'this restaurant'}?`
+      );
+      if (!replace) return false;
+      clearCart();
+    }
+
+    const lineKey = cartLineKey(item);
     setCartItems((prevItems) => {
-      const existing = prevItems.find((i) => i.name === item.name);
+      const existing = prevItems.find((i) => i.lineKey === lineKey);
       if (existing) {
         // Increment quantity
         return prevItems.map((i) =>
-          i.name === item.name ? { ...i, quantity: i.quantity + 1 } : i
+          i.lineKey === lineKey ? { ...i, quantity: i.quantity + 1 } : i
         );
       } else {
         // Add new item with quantity
-        return [...prevItems, { ...item, quantity: 1 }];
+        return [...prevItems, { ...item, lineKey, quantity: 1 }];
       }
     });
+    return true;
   };
 
-  const increaseQuantity = (name) => {
+  const increaseQuantity = (lineKey) => {
     setCartItems((prev) =>
       prev.map((i) =>
-        i.name === name ? { ...i, quantity: i.quantity + 1 } : i
+        i.lineKey === lineKey ? { ...i, quantity: i.quantity + 1 } : i
       )
     );
   };
 
-  const decreaseQuantity = (name) => {
+  const decreaseQuantity = (lineKey) => {
     setCartItems((prev) =>
       prev
         .map((i) =>
-          i.name === name ? { ...i, quantity: i.quantity - 1 } : i
+          i.lineKey === lineKey ? { ...i, quantity: i.quantity - 1 } : i
         )
         .filter((i) => i.quantity > 0)
     );
   };
 
+  // Swap the whole cart for a ready-made list of lines (used by Reorder)
+  const replaceCart = (items) => {
+    setCartItems(items.map((i) => ({ ...i, lineKey: cartLineKey(i), quantity: i.quantity || 1 })));
+  };
+
+  const applyCoupon = (code) => setCouponCode(code.trim().toUpperCase());
+  // Stable so the checkout pages' quote effects can depend on it
+  const removeCoupon = useCallback(() => setCouponCode(''), []);
+
   const clearCart = () => {
     setCartItems([]);
+    setCouponCode('');
     setSplitBillEnabled(false);
     setSplitBillType('equal');
     setSplitBillCount(2);
@@ -148,6 +202,10 @@ export const CartProvider = ({ children }) => {
         increaseQuantity, 
         decreaseQuantity,
         clearCart,
+        replaceCart,
+        couponCode,
+        applyCoupon,
+        removeCoupon,
         splitBillEnabled,
         splitBillType,
         splitBillCount,
@@ -1,30 +1,66 @@
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { ordersAPI } from '../services/api';
+import OrderTimeline from '../components/OrderTimeline';
+import CouponManager from '../components/CouponManager';
+import { formatCustomizations } from '../context/CartContext';
 import './AdminDashboard.css';
 
+const PAGE_SIZE = 50;
+
 export default function AdminDashboard() {
 	const [orders, setOrders] = useState([]);
 	const [filter, setFilter] = useState('pending_delivery');
+	const [search, setSearch] = useState('');
+	const [nextCursor, setNextCursor] = useState(null);
+	const [loadingMore, setLoadingMore] = useState(false);
+	const [summary, setSummary] = useState(null);
+	const [expandedId, setExpandedId] = useState(null);
+
+	// Filtering and search happen on the server; the table only holds the pages loaded so far
+	const listParams = useMemo(() => {
+		const params = { limit: PAGE_SIZE };
+		if (filter !== 'all') params.status = filter;
+		if (search.trim()) params.q = search.trim();
+		return params;
+	}, [filter, search]);
 
-	// Load existing orders on mount so the table isn't empty if admin opens late
 	useEffect(() => {
 		let alive = true;
-		(async () => {
+		// Small delay so typing an order ID doesn't fire a request per keystroke
+		const timer = setTimeout(async () => {
 			try {
-				const list = await ordersAPI.getAll();
-				if (alive && Array.isArray(list)) {
-					setOrders(prev => {
-						// Merge unique by id, prefer newest from server
-						const map = new Map();
-						[...list, ...prev].forEach(o => map.set(o.id, o));
-						return Array.from(map.values());
-					});
-				}
+				const page = await ordersAPI.getAll(listParams);
+				if (!alive) return;
+				setOrders(page.orders || []);
+				setNextCursor(page.nextCursor || null);
 			} catch (_) {}
-		})();
-		return () => { alive = false; };
+		}, 300);
+		return () => { alive = false; clearTimeout(timer); };
+	}, [listParams]);
+
+	const loadMore = async () => {
+		if (!nextCursor || loadingMore) return;
+		setLoadingMore(true);
+		try {
+			const page = await ordersAPI.getAll({ ...listParams, cursor: nextCursor });
+			setOrders(prev => {
+				const seen = new Set(prev.map(o => o.id));
+				return [...prev, ...(page.orders || []).filter(o => !seen.has(o.id))];
+			});
+			setNextCursor(page.nextCursor || null);
+		} catch (e) {
+			alert(e.message);
+		} finally {
+			setLoadingMore(false);
+		}
+	};
+
+	const refreshSummary = useCallback(() => {
+		ordersAPI.getSummary().then(setSummary).catch(() => {});
 	}, []);
 
+	useEffect(() => { refreshSummary(); }, [refreshSummary]);
+
 	useEffect(() => {
 		const base = (process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000/api');
 		const ev = new EventSource(base + '/orders/events');
@@ -36,6 +72,7 @@ export default function AdminDashboard() {
 				copy[idx] = { ...copy[idx], ...order };
 				return copy;
 			});
+			refreshSummary();
 		};
 		ev.addEventListener('order_created', e => { try { upsert(JSON.parse(e.data)); } catch(_){} });
 		ev.addEventListener('order_updated', e => { try { upsert(JSON.parse(e.data)); } catch(_){} });
@@ -44,31 +81,41 @@ export default function AdminDashboard() {
 		ev.addEventListener('order_ready', e => { try { upsert(JSON.parse(e.data)); } catch(_){} });
 		ev.addEventListener('order_assigned', e => { try { upsert(JSON.parse(e.data)); } catch(_){} });
 		ev.addEventListener('order_reassigned', e => { try { upsert(JSON.parse(e.data)); } catch(_){} });
+		ev.addEventListener('order_rejected', e => { try { upsert(JSON.parse(e.data)); } catch(_){} });
+		ev.addEventListener('order_cancelled', e => { try { upsert(JSON.parse(e.data)); } catch(_){} });
+		ev.addEventListener('order_payment_updated', e => { try { upsert(JSON.parse(e.data)); } catch(_){} });
 		return () => ev.close();
-	}, []);
+	}, [refreshSummary]);
 
-	const filtered = useMemo(() => orders.filter(o => filter === 'all' ? true : o.status === filter), [orders, filter]);
-
-	const total = orders.length;
-	const totalPending = orders.filter(o => o.status === 'pending' || o.status === 'pending_delivery').length;
-	const totalAccepted = orders.filter(o => o.status === 'accepted' || o.status === 'accepted_delivery').length;
-	const totalReady = orders.filter(o => o.status === 'ready_for_pickup').length;
-	const totalAssigned = orders.filter(o => o.status === 'out_for_delivery').length;
-	const totalDelivered = orders.filter(o => o.status === 'delivered').length;
-	const totalCancelled = orders.filter(o => o.status === 'cancelled' || o.status === 'rejected').length;
-	const todayIso = new Date().toISOString().slice(0,10);
-	const earningsToday = orders
-		.filter(o => o.status === 'delivered' && (o.createdAt ? String(o.createdAt).slice(0,10) === todayIso : true))
-		.reduce((sum, o) => sum + (Number(o.totalAmount) || 0), 0);
-
-	const acceptOrder = async (id) => { await ordersAPI.acceptByRestaurant(id); };
-	const markReady = async (id) => { await ordersAPI.markReadyForPickup(id); };
-	const cancel = async (id) => { await ordersAPI.rejectByRestaurant(id); };
-	const markDelivered = async (id) => { await ordersAPI.updateStatus(id, 'delivered'); };
-	const reassign = async (id) => {
-		const name = prompt('Enter driver name');
-		await ordersAPI.reassignDriver(id, { driverName: name || 'Reassigned Driver' });
+	// Live SSE updates may not match the current filter/search, so check them locally too
+	const filtered = useMemo(() => {
+		const statuses = filter === 'all' ? null : filter.split(',');
+		const term = search.trim().toUpperCase();
+		return orders.filter(o => (!statuses || statuses.includes(o.status)) && (!term || String(o.id).includes(term)));
+	}, [orders, filter, search]);
+
+	const count = (...statuses) => statuses.reduce((sum, s) => sum + (summary?.byStatus?.[s] || 0), 0);
+	const total = summary?.total || 0;
+	const totalPending = count('pending', 'pending_delivery');
+	const totalAccepted = count('confirmed', 'accepted_delivery');
+	const totalReady = count('ready_for_pickup');
+	const totalAssigned = count('out_for_delivery');
+	const totalDelivered = count('delivered');
+	const totalCancelled = count('cancelled', 'rejected');
+	const earningsToday = summary?.deliveredTodayAmount || 0;
+
+	// The server rejects illegal status changes (409) – surface them instead of failing silently
+	const withAlert = (action) => async (id) => {
+		try { await action(id); } catch (e) { alert(e.message); }
 	};
+	const acceptOrder = withAlert(id => ordersAPI.acceptByRestaurant(id));
+	const markReady = withAlert(id => ordersAPI.markReadyForPickup(id));
+	const cancel = withAlert(id => ordersAPI.rejectByRestaurant(id));
+	const markDelivered = withAlert(id => ordersAPI.updateStatus(id, 'delivered'));
+	const reassign = withAlert(id => {
+		const name = prompt('Enter driver name');
+		return ordersAPI.reassignDriver(id, { driverName: name || 'Reassigned Driver' });
+	});
 
 	const statusBadge = (s) => (
 		<span className={`badge ${s==='pending' || s==='pending_delivery' ? 'b-pending' : s==='confirmed' ? 'b-confirmed' : s==='accepted_delivery' ? 'b-confirmed' : s==='out_for_delivery' ? 'b-assigned' : s==='delivered' ? 'b-delivered' : 'b-cancelled'}`}>{
@@ -81,6 +128,13 @@ export default function AdminDashboard() {
 			<div className="admin-header">
 				<h2 className="admin-title">Admin Dashboard</h2>
 				<div className="admin-filters">
+					<input
+						type="search"
+						className="admin-search"
+						placeholder="Search order ID"
+						value={search}
+						onChange={e => setSearch(e.target.value)}
+					/>
 					<select value={filter} onChange={e => setFilter(e.target.value)}>
 						<option value="all">All</option>
 						<option value="pending_delivery">Pending Delivery</option>
@@ -89,7 +143,7 @@ export default function AdminDashboard() {
 						<option value="accepted_delivery">Accepted by Delivery</option>
 						<option value="out_for_delivery">Assigned to Delivery</option>
 						<option value="delivered">Completed</option>
-						<option value="cancelled">Cancelled</option>
+						<option value="cancelled,rejected">Cancelled</option>
 					</select>
 				</div>
 			</div>
@@ -119,38 +173,64 @@ export default function AdminDashboard() {
 					</thead>
 					<tbody>
 						{filtered.map(o => (
-							<tr className="admin-row" key={o.id}>
-								<td className="admin-td">{o.id}</td>
-								<td className="admin-td">{o.restaurantName || o.restaurantId}</td>
-								<td className="admin-td">{(o.items || []).map(i => `${i.name} x${i.quantity}`).join(', ')}</td>
-								<td className="admin-td">{typeof o.deliveryAddress === 'string' ? o.deliveryAddress : [o.deliveryAddress?.street, o.deliveryAddress?.city].filter(Boolean).join(', ')}</td>
-								<td className="admin-td">{statusBadge(o.status)}</td>
-								<td className="admin-td">
-									<div className="admin-actions">
-										{o.status === 'pending' && (
-											<>
-												<button className="btn btn-accept" onClick={() => acceptOrder(o.id)}>Accept</button>
-												<button className="btn btn-cancel" onClick={() => cancel(o.id)}>Reject</button>
-											</>
-										)}
-										{o.status === 'accepted' && (
-											<button className="btn btn-ready" onClick={() => markReady(o.id)}>Mark Ready</button>
-										)}
-										{o.status === 'out_for_delivery' && (
-											<>
-												<button className="btn btn-reassign" onClick={() => reassign(o.id)}>Reassign</button>
-												<button className="btn btn-delivered" onClick={() => markDelivered(o.id)}>Mark Delivered</button>
-											</>
-										)}
-										{['ready_for_pickup', 'delivered', 'cancelled'].includes(o.status) && (
-											<span style={{ color: '#6b7280', fontSize: '12px', fontStyle: 'italic' }}>No actions available</span>
-										)}
-									</div>
-								</td>
-							</tr>
+							<React.Fragment key={o.id}>
+								<tr className="admin-row">
+									<td className="admin-td">{o.id}</td>
+									<td className="admin-td">{o.restaurantName || o.restaurantId}</td>
+									<td className="admin-td">{(o.items || []).map(i => `${i.name}${i.customizations?.length ? ` (${formatCustomizations(i.customizations)})` : ''} x${i.quantity}`).join(', ')}</td>
+									<td className="admin-td">{typeof o.deliveryAddress === 'string' ? o.deliveryAddress : [o.deliveryAddress?.street, o.deliveryAddress?.city].filter(Boolean).join(', ')}</td>
+									<td className="admin-td">{statusBadge(o.status)}</td>
+									<td className="admin-td">
+										<div className="admin-actions">
+											<button className="btn btn-history" onClick={() => setExpandedId(expandedId === o.id ? null : o.id)}>
+												{expandedId === o.id ? 'Hide History' : 'History'}
+											</button>
+											{o.status === 'pending' && (
+												<>
+													<button className="btn btn-accept" onClick={() => acceptOrder(o.id)}>Accept</button>
+													<button className="btn btn-cancel" onClick={() => cancel(o.id)}>Reject</button>
+												</>
+											)}
+											{['confirmed', 'preparing', 'pending_delivery', 'accepted_delivery'].includes(o.status) && (
+												<button className="btn btn-ready" onClick={() => markReady(o.id)}>Mark Ready</button>
+											)}
+											{o.status === 'out_for_delivery' && (
+												<>
+													<button className="btn btn-reassign" onClick={() => reassign(o.id)}>Reassign</button>
+													<button className="btn btn-delivered" onClick={() => markDelivered(o.id)}>Mark Delivered</button>
+												</>
+											)}
+											{['ready_for_pickup', 'delivered', 'cancelled', 'rejected'].includes(o.status) && (
+												<span style={{ color: '#6b7280', fontSize: '12px', fontStyle: 'italic' }}>No actions available</span>
+											)}
+										</div>
+									</td>
+								</tr>
+								{expandedId === o.id && (
+									<tr className="admin-row admin-history-row">
+										<td className="admin-td" colSpan={6}>
+											<OrderTimeline orderId={o.id} status={o.status} compact />
+										</td>
+									</tr>
+								)}
+							</React.Fragment>
 						))}
 					</tbody>
 				</table>
+				{filtered.length === 0 && (
+					<div className="admin-empty">No orders found</div>
+				)}
+				{nextCursor && (
+					<div className="admin-load-more">
+						<button className="btn" onClick={loadMore} disabled={loadingMore}>
+							{loadingMore ? 'Loading…' : 'Load more'}
+						</button>
+					</div>
+				)}
+			</div>
+
+			<div className="admin-coupons">
+				<CouponManager />
 			</div>
 		</div>
 	);
@@ -1,8 +1,11 @@
 // src/CartPage.js
 
-import React, { useContext, useState } from "react";
+import React, { useContext, useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { CartContext } from "../context/CartContext";
+import { CartContext, formatCustomizations, toOrderItems } from "../context/CartContext";
+import { useAuth } from "../context/AuthContext";
+import { allergenConflicts } from "../components/DishFilters";
+import { couponsAPI } from "../services/api";
 import "./CartContent.css";
 
 const CartPage = () => {
@@ -23,16 +26,63 @@ const CartPage = () => {
     removeManualSplitPerson,
     calculateTotal,
     calculateSplitAmount,
-    getManualSplitSummary
+    getManualSplitSummary,
+    couponCode,
+    applyCoupon,
+    removeCoupon
   } = useContext(CartContext);
-  const [promoCode, setPromoCode] = useState("");
+  const { user } = useAuth();
+  const [promoCode, setPromoCode] = useState(couponCode);
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [promoError, setPromoError] = useState("");
 
   const total = calculateTotal();
   const splitAmount = calculateSplitAmount();
   const manualSplitSummary = getManualSplitSummary();
+  const conflicts = allergenConflicts(cartItems, user?.preferences?.allergens);
+
+  // Check the code whenever it or the cart changes; a code that stops
+  // applying (e.g. the cart drops below its minimum) is taken off
+  useEffect(() => {
+    if (!couponCode || cartItems.length === 0) {
+      setAppliedCoupon(null);
+      return;
+    }
+    let alive = true;
+    couponsAPI.validate({
+      code: couponCode,
+      items: toOrderItems(cartItems),
+      restaurantId: cartItems[0]?.restaurantId,
+      restaurantName: cartItems[0]?.restaurantName
+    })
+      .then((result) => {
+        if (!alive) return;
+        setAppliedCoupon(result);
+        setPromoError("");
+      })
+      .catch((e) => {
+        if (!alive) return;
+        setAppliedCoupon(null);
+        setPromoError(e.message);
+        removeCoupon();
+      });
+    return () => { alive = false; };
+  }, [couponCode, cartItems, removeCoupon]);
 
   const handlePromoApply = () => {
-    alert(`Promo "${promoCode}" applied! (you can add discount logic)`);
+    if (!promoCode.trim()) return;
+    if (!user) {
+      setPromoError("Log in to use a promo code");
+      return;
+    }
+    setPromoError("");
+    applyCoupon(promoCode);
+  };
+
+  const handlePromoRemove = () => {
+    removeCoupon();
+    setPromoCode("");
+    setPromoError("");
   };
 
   const handleCheckout = () => {
@@ -61,17 +111,30 @@ const CartPage = () => {
         <p>Your cart is empty.</p>
       ) : (
         <>
+          {conflicts.length > 0 && (
+            <div className="cart-allergen-warning">
+              <strong>⚠️ Contains your allergens</strong>
+              <ul>
+                {conflicts.map(({ item, allergens }) => (
+                  <li key={item.lineKey}>{item.name}: {allergens.join(", ")}</li>
+                ))}
+              </ul>
+            </div>
+          )}
           <div className="cart-items">
-            {cartItems.map((item, index) => (
-              <div key={index} className="cart-item">
+            {cartItems.map((item) => (
+              <div key={item.lineKey} className="cart-item">
                 <img src={item.image} alt={item.name} />
                 <div className="cart-item-info">
                   <h4>{item.name}</h4>
+                  {item.customizations?.length > 0 && (
+                    <p className="cart-item-options">{formatCustomizations(item.customizations)}</p>
+                  )}
                   <p>₹ {item.price}</p>
                   <div className="cart-item-quantity">
-                    <button onClick={() => decreaseQuantity(item.name)}>-</button>
+                    <button onClick={() => decreaseQuantity(item.lineKey)}>-</button>
                     <span>{item.quantity}</span>
-                    <button onClick={() => increaseQuantity(item.name)}>+</button>
+                    <button onClick={() => increaseQuantity(item.lineKey)}>+</button>
                   </div>
                   <p>Subtotal: ₹ {item.price * item.quantity}</p>
                 </div>
@@ -216,9 +279,21 @@ const CartPage = () => {
                 placeholder="Enter promo code"
                 value={promoCode}
                 onChange={(e) => setPromoCode(e.target.value)}
+                disabled={Boolean(appliedCoupon)}
               />
-              <button onClick={handlePromoApply}>Apply</button>
+              {appliedCoupon ? (
+                <button onClick={handlePromoRemove}>Remove</button>
+              ) : (
+                <button onClick={handlePromoApply}>Apply</button>
+              )}
             </div>
+            {appliedCoupon && (
+              <p className="promo-applied">
+                {appliedCoupon.code} applied: you save ₹ {appliedCoupon.discount}
+                {appliedCoupon.description ? ` (${appliedCoupon.description})` : ""}
+              </p>
+            )}
+            {promoError && <p className="error-message">{promoError}</p>}
 
             <button className="checkout-btn" onClick={handleCheckout}>
               {splitBillEnabled ? `Proceed to Checkout (₹ ${splitAmount})` : "Proceed to Checkout"}
@@ -4,6 +4,8 @@ import Navbar from '../components/Navbar';
 // Import all the same components as the landing page
 import HeroSection from '../components/HeroSection';
 import FeaturedRestaurants from '../components/FeaturedRestaurants';
+import OrderHistory from '../components/OrderHistory';
+import WalletPanel from '../components/WalletPanel';
 import HowItWorks from '../components/HowItWorks';
 import FeaturedDishes from '../components/FeaturedDishes';
 import PromoHeader from '../components/PromoHeader';
@@ -23,6 +25,8 @@ const Dashboard = () => {
       {/* Main Content - Exact same as landing page */}
       <main className="dashboard-main">
         <HeroSection />
+        <OrderHistory />
+        <WalletPanel />
         <FeaturedRestaurants />
         <HowItWorks />
         <FeaturedDishes />
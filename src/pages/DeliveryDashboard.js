@@ -4,6 +4,7 @@ import { useAuth } from '../context/AuthContext';
 import { ordersAPI } from '../services/api';
 
 const initialAvailable = [];
+const LOCATION_PING_INTERVAL_MS = 15000;
 
 export default function DeliveryDashboard() {
 	const { user } = useAuth();
@@ -56,19 +57,37 @@ export default function DeliveryDashboard() {
 		}
 	};
 
+	// Share GPS with the customer's tracking page while an order is in hand.
+	// Pings are throttled so a chatty GPS doesn't flood the API.
+	const activeOrderId = activeOrder?.id;
+	useEffect(() => {
+		if (!activeOrderId || !isOnline || !navigator.geolocation) return;
+		let lastSent = 0;
+		const watchId = navigator.geolocation.watchPosition(
+			({ coords }) => {
+				const now = Date.now();
+				if (now - lastSent < LOCATION_PING_INTERVAL_MS) return;
+				lastSent = now;
+				ordersAPI.updateLocation(activeOrderId, {
+					latitude: coords.latitude,
+					longitude: coords.longitude,
+					...(coords.heading != null && !Number.isNaN(coords.heading) ? { heading: coords.heading } : {}),
+					...(coords.speed != null ? { speed: coords.speed } : {})
+				}).catch(e => console.error('Failed to send location', e));
+			},
+			(e) => console.error('Location unavailable', e),
+			{ enableHighAccuracy: true, maximumAge: 10000 }
+		);
+		return () => navigator.geolocation.clearWatch(watchId);
+	}, [activeOrderId, isOnline]);
+
 	// Profile edit handlers removed (not used in current UI)
 
 	useEffect(() => {
 		let mounted = true;
 		const load = async () => {
 			try {
-				let list = await ordersAPI.getAvailable();
-				if ((!Array.isArray(list) || list.length === 0)) {
-					try {
-						const all = await ordersAPI.getAll();
-						list = (all || []).filter(o => ['pending_delivery'].includes(o.status));
-					} catch (_) {}
-				}
+				const list = await ordersAPI.getAvailable();
 				if (mounted) setAvailableOrders((list || []).filter(o => o.status === 'pending_delivery'));
 			} catch (e) {
 				if (mounted) setAvailableOrders([]);
@@ -81,6 +100,7 @@ export default function DeliveryDashboard() {
 		ev.addEventListener('order_created', refresh);
 		ev.addEventListener('order_updated', refresh);
 		ev.addEventListener('order_assigned', refresh);
+		ev.addEventListener('order_cancelled', refresh);
 		return () => { mounted = false; clearInterval(id); ev.close(); };
 	}, []);
 
@@ -1,83 +1,200 @@
 // src/pages/PaymentPage.js
 
-import React, { useState, useContext, useEffect } from "react";
-import { CartContext } from "../context/CartContext";
+import React, { useState, useContext, useEffect, useRef } from "react";
+import { CartContext, toOrderItems, formatCustomizations } from "../context/CartContext";
 import { useNavigate } from "react-router-dom";
 import "./PaymentPage.css";
-import { ordersAPI } from "../services/api";
+import { ordersAPI, walletAPI } from "../services/api";
+import { useAuth } from "../context/AuthContext";
+import { payOnline, isValidUpiId, UPI_ID_HINT } from "../services/payments";
+import AddressPicker from "../components/AddressPicker";
+import PaymentPrompt from "../components/PaymentPrompt";
+import InvoiceButtons from "../components/InvoiceButtons";
+
+// Confirmation screens once an order is placed. A failed payment stays on
+// the UPI form instead, so the customer can try again.
+const OUTCOMES = {
+  paid: { icon: '✅', title: 'Payment successful!', invoiceNote: '' },
+  cash: { icon: '💵', title: 'Order placed!', invoiceNote: 'Your invoice will be in your order history once the order is delivered.' },
+  pending: { icon: '⏳', title: 'Payment pending', invoiceNote: 'Your invoice will be in your order history once the payment is confirmed.' },
+};
 
 const PaymentPage = () => {
   const { 
     cartItems, 
-    calculateTotal, 
     splitBillEnabled, 
     splitBillType,
     splitBillCount,
     calculateSplitAmount,
     manualSplitData,
-    clearCart 
+    clearCart,
+    couponCode,
+    removeCoupon
   } = useContext(CartContext);
   
+  const { user } = useAuth();
   const navigate = useNavigate();
   const [selectedPaymentMethod, setSelectedPaymentMethod] = useState('');
   const [showUPIForm, setShowUPIForm] = useState(false);
   const [upiId, setUpiId] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
-  const [showSuccess, setShowSuccess] = useState(false);
+  // { kind: 'paid' | 'cash' | 'pending', message } once the order is placed
+  const [outcome, setOutcome] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState('');
+  const [deliveryAddress, setDeliveryAddress] = useState(null);
+  // The UPI order survives a failed payment so a retry pays for the same order
+  const [upiOrder, setUpiOrder] = useState(null);
+  const [paymentIntent, setPaymentIntent] = useState(null);
+  const [paymentError, setPaymentError] = useState('');
+  const pollAbort = useRef(null);
+  const [walletBalance, setWalletBalance] = useState(null);
+  const [useWallet, setUseWallet] = useState(false);
+  // Set once the order is paid, for the invoice links on the success screen
+  const [paidOrderId, setPaidOrderId] = useState(null);
 
-  const totalAmount = calculateTotal();
+  // The server prices the cart; totals shown here come from its quote
+  const totalAmount = quote?.pricing?.total;
   const splitAmount = calculateSplitAmount();
 
+  // Wallet money goes first; UPI pays whatever it doesn't cover.
+  // Split bills are paid by each person, so the wallet sits those out.
+  const walletApplied = useWallet && !splitBillEnabled && walletBalance > 0 && totalAmount
+    ? Math.min(walletBalance, totalAmount)
+    : 0;
+  const walletCovers = walletApplied > 0 && walletApplied >= totalAmount;
+  const upiAmount = upiOrder
+    ? Math.round((upiOrder.totalAmount - (upiOrder.walletAmount || 0)) * 100) / 100
+    : Math.round(((totalAmount || 0) - walletApplied) * 100) / 100;
+
+  const restaurantRef = {
+    restaurantId: cartItems[0]?.restaurantId,
+    restaurantName: cartItems[0]?.restaurantName
+  };
+
   useEffect(() => {
-    // If cart is empty, redirect to home
-    if (cartItems.length === 0) {
+    // If cart is empty, redirect to home; the success screen stays up after
+    // the cart is cleared
+    if (cartItems.length === 0 && !outcome) {
       navigate('/');
     }
-  }, [cartItems, navigate]);
+  }, [cartItems, navigate, outcome]);
+
+  // Stop polling for a payment if the customer leaves the page
+  useEffect(() => () => pollAbort.current?.abort(), []);
+
+  useEffect(() => {
+    if (!user) return;
+    walletAPI.getBalance()
+      .then(data => setWalletBalance(data.balance))
+      .catch(() => setWalletBalance(null));
+  }, [user]);
+
+  useEffect(() => {
+    if (cartItems.length === 0) return;
+    let alive = true;
+    setQuoteError('');
+    // Re-quoted once an address is picked: the delivery fee depends on its zone
+    ordersAPI.quote({
+      items: toOrderItems(cartItems),
+      restaurantId: cartItems[0]?.restaurantId,
+      restaurantName: cartItems[0]?.restaurantName,
+      ...(deliveryAddress ? { deliveryAddress } : {}),
+      ...(couponCode ? { couponCode } : {})
+    })
+      .then(data => { if (alive) setQuote(data); })
+      .catch(e => {
+        if (!alive) return;
+        setQuote(null);
+        if (e.data?.couponCode) {
+          // The code no longer applies: drop it and re-quote without it
+          alert(e.message);
+          removeCoupon();
+          return;
+        }
+        const unavailable = e.data?.unavailable;
+        setQuoteError(unavailable?.length ? `${e.message}: ${unavailable.join(', ')}` : e.message);
+      });
+    return () => { alive = false; };
+  }, [cartItems, deliveryAddress, couponCode, removeCoupon]);
 
   const selectPayment = (method) => {
     setSelectedPaymentMethod(method);
   };
 
+  // Throws on failure so callers never show success for an order that
+  // wasn't placed; ordersAPI.create makes retries of the same cart safe
   const createBackendOrder = async (paymentMethodLabel) => {
-    try {
-      const orderPayload = {
-        items: cartItems.map(i => ({ id: i.id, name: i.name, price: i.price, quantity: i.quantity })),
-        deliveryAddress: 'Customer address',
-        paymentMethod: paymentMethodLabel === 'cod' ? 'cash' : 'upi',
-        paymentStatus: paymentMethodLabel === 'cod' ? 'pending' : 'paid',
-        restaurantId: cartItems[0]?.restaurantId || 'demo-restaurant',
-        restaurantName: cartItems[0]?.restaurantName || 'Demo Restaurant',
-        pickupAddress: cartItems[0]?.restaurantAddress || 'Pickup Location'
-      };
-      await ordersAPI.create(orderPayload);
-    } catch (e) {
-      // Non-blocking for now
-      console.error('Failed to create backend order', e);
-    }
+    const paymentMethod = { cod: 'cash', wallet: 'wallet' }[paymentMethodLabel] || 'upi';
+    const orderPayload = {
+      items: toOrderItems(cartItems),
+      deliveryAddress,
+      paymentMethod,
+      ...(paymentMethod === 'upi' && walletApplied > 0 ? { walletAmount: walletApplied } : {}),
+      ...(couponCode ? { couponCode } : {}),
+      ...restaurantRef
+    };
+    return ordersAPI.create(orderPayload);
   };
 
   const proceedToPayment = async () => {
+    if (!deliveryAddress) {
+      alert('Please choose a delivery address');
+      return;
+    }
+
+    if (!quote) {
+      alert(quoteError || 'Still calculating your total, please wait a moment');
+      return;
+    }
+
+    if (walletCovers) {
+      if (isProcessing) return;
+      setIsProcessing(true);
+      try {
+        const order = await createBackendOrder('wallet');
+        setPaidOrderId(order.id);
+        showOutcome('paid', `Order confirmed! ₹${totalAmount} paid from your CraveCart wallet.`);
+      } catch (e) {
+        alert(`Could not place your order: ${e.message}. Please try again.`);
+      } finally {
+        setIsProcessing(false);
+      }
+      return;
+    }
+
     if (!selectedPaymentMethod) {
       alert('Please select a payment method');
       return;
     }
     
     if (selectedPaymentMethod === 'cod') {
+      if (walletApplied > 0) {
+        alert('Wallet balance can only be combined with UPI. Untick it to pay the full amount on delivery.');
+        return;
+      }
       // Cash on Delivery doesn't support split payments
       if (splitBillEnabled) {
         alert('Split bill is not available for Cash on Delivery. Please choose UPI payment for split bills.');
         return;
       }
-      await createBackendOrder('cod');
-      showSuccessMessage(`Order placed successfully! You will pay ₹${totalAmount} on delivery.`);
+      if (isProcessing) return;
+      setIsProcessing(true);
+      try {
+        await createBackendOrder('cod');
+        showOutcome('cash', `You will pay ₹${totalAmount} in cash on delivery.`);
+      } catch (e) {
+        alert(`Could not place your order: ${e.message}. Please try again.`);
+      } finally {
+        setIsProcessing(false);
+      }
       return;
     }
     
     if (selectedPaymentMethod === 'upi') {
       if (splitBillEnabled) {
         // For split payments, redirect to dedicated UPI collection page
-        navigate('/split-upi-collection');
+        navigate('/split-upi-collection', { state: { deliveryAddress } });
       } else {
         // For regular payments, show UPI form
         setShowUPIForm(true);
@@ -90,20 +207,49 @@ const PaymentPage = () => {
       alert('Please enter your UPI ID');
       return;
     }
+    if (!isValidUpiId(upiId)) {
+      alert(UPI_ID_HINT);
+      return;
+    }
+    if (isProcessing) return;
     
     setIsProcessing(true);
-    
-    setTimeout(async () => {
+    setPaymentError('');
+    pollAbort.current = new AbortController();
+    let order = upiOrder;
+    try {
+      if (!order) {
+        order = await createBackendOrder('upi');
+        setUpiOrder(order);
+      }
+      // Success only comes from the payment provider, via the server
+      const intent = await payOnline(
+        { orderId: order.id, upiId: upiId.trim() },
+        { onUpdate: setPaymentIntent, signal: pollAbort.current.signal }
+      );
+      if (intent.status === 'succeeded') {
+        setPaidOrderId(order.id);
+        showOutcome('paid', `Order confirmed. Amount paid: ₹${intent.amount}`);
+      } else {
+        setPaymentError(`Payment failed: ${intent.failureReason || 'please try again'}`);
+      }
+    } catch (e) {
+      if (e.pending) {
+        showOutcome('pending', `We are still waiting for your bank to confirm ₹${e.intent.amount}. Your order goes to the restaurant as soon as it does, so please don't pay again.`);
+      } else if (!pollAbort.current.signal.aborted) {
+        const detail = e.data?.errors?.[0]?.msg || e.message;
+        setPaymentError(order ? detail : `Could not place your order: ${detail}. Please try again.`);
+      }
+    } finally {
       setIsProcessing(false);
-      await createBackendOrder('upi');
-      showSuccessMessage(`Payment successful! Order confirmed. Amount paid: ₹${totalAmount}`);
-    }, 2000);
+      setPaymentIntent(null);
+    }
   };
 
-  const showSuccessMessage = (message) => {
-    setShowSuccess(true);
+  const showOutcome = (kind, message) => {
+    setOutcome({ kind, message });
     setShowUPIForm(false);
-    // Clear cart after successful payment
+    // The order is placed, so the cart is done with
     setTimeout(() => {
       clearCart();
       // You can navigate to order confirmation page or home
@@ -119,7 +265,8 @@ const PaymentPage = () => {
     navigate('/');
   };
 
-  if (showSuccess) {
+  if (outcome) {
+    const screen = OUTCOMES[outcome.kind];
     return (
       <div className="payment-container">
         <div className="payment-card">
@@ -127,10 +274,17 @@ const PaymentPage = () => {
             <div className="logo-icon">🍔</div>
             <span className="logo-text">FoodDelivery</span>
           </div>
-          <div className="success-message">
-            <div className="success-icon">✅</div>
-            <h2>Success!</h2>
-            <p>Payment successful! Order confirmed.</p>
+          <div className={`success-message ${outcome.kind}`}>
+            <div className="success-icon">{screen.icon}</div>
+            <h2>{screen.title}</h2>
+            <p>{outcome.message}</p>
+            {user && (paidOrderId ? (
+              <div className="success-invoice">
+                <InvoiceButtons orderId={paidOrderId} className="secondary-btn" />
+              </div>
+            ) : (
+              <p className="success-invoice-note">{screen.invoiceNote}</p>
+            ))}
             <button className="primary-btn" onClick={goHome}>
               Back to Home
             </button>
@@ -151,6 +305,7 @@ const PaymentPage = () => {
           
           <div className="upi-payment-form">
             <h2>UPI Payment</h2>
+            {paymentError && <p className="payment-error">{paymentError}</p>}
             <div className="input-group">
               <label>UPI ID</label>
               <input
@@ -158,22 +313,29 @@ const PaymentPage = () => {
                 value={upiId}
                 onChange={(e) => setUpiId(e.target.value)}
                 placeholder="Enter your UPI ID"
+                disabled={isProcessing}
               />
             </div>
             <div className="amount-display">
               <span>Amount to Pay:</span>
-              <span className="amount">₹{totalAmount}</span>
+              <span className="amount">₹{upiAmount}</span>
             </div>
+            {(upiOrder ? upiOrder.walletAmount > 0 : walletApplied > 0) && (
+              <p className="wallet-note">
+                ₹{upiOrder ? upiOrder.walletAmount : walletApplied} from your CraveCart wallet
+              </p>
+            )}
             
             {isProcessing ? (
               <div className="loading-content">
                 <div className="spinner"></div>
-                <p>Processing payment...</p>
+                <p>{paymentIntent ? 'Waiting for payment confirmation...' : 'Processing payment...'}</p>
+                <PaymentPrompt intent={paymentIntent} />
               </div>
             ) : (
               <>
                 <button className="primary-btn" onClick={processUPIPayment}>
-                  Pay Now
+                  {paymentError ? 'Try Again' : 'Pay Now'}
                 </button>
                 <button className="secondary-btn" onClick={() => setShowUPIForm(false)}>
                   Cancel
@@ -196,19 +358,61 @@ const PaymentPage = () => {
         
         <h1 className="main-heading">Choose Payment Method</h1>
         <p className="sub-text">Select your preferred payment option</p>
+
+        <AddressPicker value={deliveryAddress} onChange={setDeliveryAddress} />
         
         <div className="order-summary">
           <h2>Order Summary</h2>
-          {cartItems.map((item, index) => (
+          {(quote?.items || cartItems).map((item, index) => (
             <div key={index} className="order-item">
-              <span>{item.name} x{item.quantity}</span>
+              <span>
+                {item.name}
+                {item.customizations?.length > 0 && ` (${formatCustomizations(item.customizations)})`}
+                {' '}x{item.quantity}
+              </span>
               <span>₹{item.price * item.quantity}</span>
             </div>
           ))}
-          <div className="order-total">
-            <span>Total</span>
-            <span>₹{totalAmount}</span>
-          </div>
+          {quote ? (
+            <>
+              <div className="order-item">
+                <span>Subtotal</span>
+                <span>₹{quote.pricing.subtotal}</span>
+              </div>
+              <div className="order-item">
+                <span>Delivery Fee</span>
+                <span>{quote.pricing.deliveryFee > 0 ? `₹${quote.pricing.deliveryFee}` : 'Free'}</span>
+              </div>
+              <div className="order-item">
+                <span>Taxes (GST{quote.pricing.taxRate != null ? ` ${Math.round(quote.pricing.taxRate * 100)}%` : ''})</span>
+                <span>₹{quote.pricing.taxes}</span>
+              </div>
+              {quote.pricing.discount > 0 && (
+                <div className="order-item">
+                  <span>Discount{quote.pricing.couponCode ? ` (${quote.pricing.couponCode})` : ''}</span>
+                  <span>-₹{quote.pricing.discount}</span>
+                </div>
+              )}
+              <div className="order-total">
+                <span>Total</span>
+                <span>₹{totalAmount}</span>
+              </div>
+            </>
+          ) : (
+            <div className="order-total">
+              <span>Total</span>
+              <span>{quoteError ? 'Unavailable' : 'Calculating…'}</span>
+            </div>
+          )}
+          {quote?.serviceability?.estimatedMinutes && (
+            <p className="quote-eta">
+              🕒 Arrives in about {quote.serviceability.estimatedMinutes} min
+              {quote.serviceability.zone ? ` · ${quote.serviceability.zone.name}` : ''}
+            </p>
+          )}
+          {quoteError && (
+            <p className="quote-error">{quoteError}</p>
+          )}
           {splitBillEnabled && (
             <div className="split-info">
               <span>
@@ -243,6 +447,25 @@ const PaymentPage = () => {
           </div>
         )}
         
+        {user && walletBalance > 0 && !splitBillEnabled && (
+          <label className="wallet-option">
+            <input
+              type="checkbox"
+              checked={useWallet}
+              onChange={(e) => setUseWallet(e.target.checked)}
+              disabled={isProcessing}
+            />
+            <span>
+              Use CraveCart wallet (₹{walletBalance} available)
+              {walletApplied > 0 && (
+                <small>
+                  {walletCovers ? 'Covers your whole order' : `₹${upiAmount} left to pay by UPI`}
+                </small>
+              )}
+            </span>
+          </label>
+        )}
+
         <div className="payment-options">
           <div 
             className={`payment-option ${selectedPaymentMethod === 'upi' ? 'selected' : ''}`}
@@ -293,8 +516,8 @@ const PaymentPage = () => {
           </div>
         </div>
         
-        <button className="primary-btn" onClick={proceedToPayment}>
-          Proceed to Payment
+        <button className="primary-btn" onClick={proceedToPayment} disabled={isProcessing}>
+          {isProcessing ? 'Placing order…' : walletCovers ? 'Pay with Wallet' : 'Proceed to Payment'}
         </button>
         
         <button className="secondary-btn" onClick={goBack}>
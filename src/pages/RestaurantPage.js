@@ -0,0 +1,324 @@
+import React, { useState, useEffect, useContext, useMemo, useRef } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import GlobalSearch from '../components/GlobalSearch';
+import { orderMenuCategories } from '../components/MenuEditor';
+import CustomizationPicker from '../components/CustomizationPicker';
+import RestaurantReviews from '../components/RestaurantReviews';
+import DishFilters, { countActiveFilters, defaultDishFilters, matchesDishFilters } from '../components/DishFilters';
+import { CartContext } from '../context/CartContext';
+import { useAuth } from '../context/AuthContext';
+import { restaurantsAPI, usersAPI } from '../services/api';
+import './RestaurantPage.css';
+
+// Menu images under /menu-images ship with the frontend's public folder
+const imageUrl = (src) => (src && src.startsWith('/') ? `${process.env.PUBLIC_URL}${src}` : src);
+
+const formatAddress = (address) => (
+  address ? [address.street, address.city].filter(Boolean).join(', ') : ''
+);
+
+// "19:00" -> "7:00 PM"
+const formatSlotTime = (value) => {
+  const [h, m] = value.split(':').map(Number);
+  return `${h % 12 || 12}:${String(m).padStart(2, '0')} ${h < 12 ? 'AM' : 'PM'}`;
+};
+
+const formatTodaySlots = (slots = []) => (
+  slots.length > 0
+    ? slots.map(s => `${formatSlotTime(s.open)} – ${formatSlotTime(s.close)}`).join(', ')
+    : 'Closed today'
+);
+
+const formatOpensAt = (value) => new Date(value).toLocaleString('en-IN', {
+  weekday: 'short', hour: 'numeric', minute: '2-digit',
+});
+
+// Only shown once a counted dish is running low
+const LOW_STOCK = 10;
+const lowStockLabel = (dish) => {
+  const remaining = dish.stock?.remaining;
+  return typeof dish.stock?.dailyLimit === 'number' && remaining > 0 && remaining <= LOW_STOCK
+    ? `Only ${remaining} left`
+    : '';
+};
+
+const closedMessage = (restaurant) => {
+  const reopens = restaurant.nextOpensAt ? ` Opens again ${formatOpensAt(restaurant.nextOpensAt)}.` : '';
+  return restaurant.isPaused
+    ? `${restaurant.name} is not taking orders right now.${reopens}`
+    : `${restaurant.name} is closed right now.${reopens}`;
+};
+
+export default function RestaurantPage() {
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const { addToCart, cartItems } = useContext(CartContext);
+  const { user, updateUser } = useAuth();
+  const [restaurant, setRestaurant] = useState(null);
+  const [dishes, setDishes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedCategory, setSelectedCategory] = useState(null);
+  const [filters, setFilters] = useState(() => defaultDishFilters(user));
+  const [showFilters, setShowFilters] = useState(false);
+  const [savingPreferences, setSavingPreferences] = useState(false);
+  const [customizing, setCustomizing] = useState(null);
+
+  // Start again from the saved preferences when someone logs in or out, but
+  // not when saving preferences updates the same user
+  const userId = user?._id;
+  const userRef = useRef(user);
+  userRef.current = user;
+  useEffect(() => {
+    setFilters(defaultDishFilters(userRef.current));
+  }, [userId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    restaurantsAPI.getBySlug(slug)
+      .then((data) => {
+        if (cancelled) return;
+        setRestaurant(data.restaurant);
+        setDishes(data.dishes || []);
+        setSelectedCategory(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setRestaurant(null);
+        setError(err.status === 404 ? 'not_found' : 'failed');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [slug]);
+
+  // Live stock: sold-out dishes drop off the menu and restocked ones come back
+  const restaurantId = restaurant?._id;
+  const dishesRef = useRef(dishes);
+  dishesRef.current = dishes;
+  useEffect(() => {
+    if (!restaurantId) return undefined;
+    const base = (process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000/api');
+    const ev = new EventSource(`${base}/orders/events?restaurantId=${restaurantId}`);
+
+    const onAvailability = (e) => {
+      try {
+        const change = JSON.parse(e.data);
+        if (!change.isAvailable) {
+          setDishes(prev => prev.filter(d => d._id !== change.dishId));
+          return;
+        }
+        if (!dishesRef.current.some(d => d._id === change.dishId)) {
+          restaurantsAPI.getBySlug(slug).then(data => setDishes(data.dishes || [])).catch(() => {});
+          return;
+        }
+        setDishes(prev => prev.map(d => d._id === change.dishId ? { ...d, stock: { ...d.stock, remaining: change.remaining } } : d));
+      } catch (_) {}
+    };
+
+    ev.addEventListener('dish_availability', onAvailability);
+    return () => ev.close();
+  }, [restaurantId, slug]);
+
+  const visibleDishes = useMemo(
+    () => dishes.filter(dish => matchesDishFilters(dish, filters)),
+    [dishes, filters]
+  );
+  const activeFilterCount = countActiveFilters(filters);
+
+  const savePreferences = async () => {
+    try {
+      setSavingPreferences(true);
+      const spiceLevel = user.preferences?.spiceLevel || 'medium';
+      const updated = await usersAPI.updateProfile({
+        preferences: {
+          isVegOnly: filters.vegOnly,
+          spiceLevel: filters.hideSpicy ? 'mild' : (spiceLevel === 'mild' ? 'medium' : spiceLevel),
+          allergens: filters.excludeAllergens,
+        },
+      });
+      updateUser(updated);
+    } catch (err) {
+      console.error('Failed to save preferences', err);
+    } finally {
+      setSavingPreferences(false);
+    }
+  };
+
+  const categories = useMemo(
+    () => orderMenuCategories(
+      Array.from(new Set(visibleDishes.map(dish => dish.category))),
+      restaurant?.menuCategories
+    ),
+    [visibleDishes, restaurant]
+  );
+
+  // Fall back to the first category when the filters empty the current one
+  const activeCategory = categories.includes(selectedCategory) ? selectedCategory : categories[0];
+
+  const totalItems = cartItems.reduce((acc, item) => acc + item.quantity, 0);
+
+  const addDishToCart = (dish, customizations = [], price = dish.price) => {
+    addToCart({
+      dishId: dish._id,
+      name: dish.name,
+      price,
+      customizations,
+      image: imageUrl(dish.image),
+      isVeg: dish.isVeg,
+      allergens: dish.allergens || [],
+      restaurantId: restaurant._id,
+      restaurantName: restaurant.name,
+    });
+  };
+
+  // Dishes with options go through the picker first
+  const handleAddToCart = (dish) => {
+    if (dish.customizations?.length > 0) {
+      setCustomizing(dish);
+    } else {
+      addDishToCart(dish);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="restaurant-detail-bg">
+        <div className="restaurant-page-status">Loading menu...</div>
+      </div>
+    );
+  }
+
+  if (!restaurant) {
+    return (
+      <div className="restaurant-detail-bg">
+        <div className="restaurant-page-status">
+          <h2>{error === 'not_found' ? 'Restaurant not found' : 'Could not load this restaurant'}</h2>
+          <p>
+            {error === 'not_found'
+              ? 'This restaurant may have moved or is no longer on CraveCart.'
+              : 'Please check your connection and try again.'}
+          </p>
+          <button onClick={() => navigate('/categories')}>Browse restaurants</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="restaurant-detail-bg">
+      <div
+        className="restaurant-header restaurant-header-bgimg"
+        style={{ backgroundImage: `url(${imageUrl(restaurant.photo)})` }}
+      >
+        <div className="cravecart-header-row">
+          <span className="cravecart-title">CraveCart</span>
+          <GlobalSearch placeholder="Search for your cravings..." />
+          <span className="cravecart-icons">
+            <span className="cravecart-cart-icon" onClick={() => navigate('/cart')}>
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M9 22C9.55228 22 10 21.5523 10 21C10 20.4477 9.55228 20 9 20C8.44772 20 8 20.4477 8 21C8 21.5523 8.44772 22 9 22Z" stroke="white" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                <path d="M20 22C20.5523 22 21 21.5523 21 21C21 20.4477 20.5523 20 20 20C19.4477 20 19 20.4477 19 21C19 21.5523 19.4477 22 20 22Z" stroke="white" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                <path d="M1 1H5L7.68 14.39C7.77144 14.8504 8.02191 15.264 8.38755 15.5583C8.75318 15.8526 9.2107 16.009 9.68 16H19.4C19.8693 16.009 20.3268 15.8526 20.6925 15.5583C21.0581 15.264 21.3086 14.8504 21.4 14.39L23 6H6" stroke="white" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+              {totalItems > 0 && <span className="cart-count-badge">{totalItems}</span>}
+            </span>
+          </span>
+        </div>
+        <div className="restaurant-header-content-bg">
+          <div className="restaurant-header-info">
+            <h1 className="restaurant-title">{restaurant.name}</h1>
+            <div className="restaurant-cuisines">{(restaurant.cuisines || []).join(', ')}</div>
+            <div className="restaurant-address">{formatAddress(restaurant.address)}</div>
+            <div className="restaurant-meta">
+              <span className="restaurant-timings">{formatTodaySlots(restaurant.todaySlots)}</span>
+              {restaurant.contact?.phone && (
+                <span className="restaurant-contact">{restaurant.contact.phone}</span>
+              )}
+              <span className="restaurant-rating">
+                <span className="rating-badge">{restaurant.rating}★</span>
+                <span className="rating-count">{restaurant.ratingCount} ratings</span>
+              </span>
+            </div>
+          </div>
+        </div>
+      </div>
+      <div className="restaurant-menu-section menu-flex-layout">
+        <div className="menu-header-row">
+          <h2 className="menu-title">Menu</h2>
+          <button className="menu-filters-toggle" onClick={() => setShowFilters(open => !open)}>
+            Filters{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''}
+          </button>
+        </div>
+        {showFilters && (
+          <DishFilters
+            filters={filters}
+            onChange={setFilters}
+            showVeg={!restaurant.isVegOnly}
+            onSavePreferences={user ? savePreferences : undefined}
+            saving={savingPreferences}
+          />
+        )}
+        {!restaurant.isOpenNow && (
+          <div className="restaurant-closed-banner">{closedMessage(restaurant)}</div>
+        )}
+        {categories.length === 0 ? (
+          <div className="menu-empty">
+            {activeFilterCount > 0 ? 'No dishes match your filters.' : 'No dishes are available right now.'}
+          </div>
+        ) : (
+          <div className="menu-flex-row">
+            <div className="menu-categories-vertical">
+              {categories.map((cat) => (
+                <button
+                  key={cat}
+                  className={`menu-category-btn${activeCategory === cat ? ' active' : ''}`}
+                  onClick={() => setSelectedCategory(cat)}
+                >
+                  {cat}
+                </button>
+              ))}
+            </div>
+            <div className="menu-list-vertical">
+              {visibleDishes.filter(dish => dish.category === activeCategory).map((dish) => (
+                <div className="menu-item" key={dish._id}>
+                  <div className="menu-item-main">
+                    <div className="menu-item-name-desc">
+                      <span className="menu-item-name">
+                        <span className={`veg-indicator${dish.isVeg ? '' : ' non-veg'}`} title={dish.isVeg ? 'Veg' : 'Non-veg'} />
+                        {dish.name}
+                      </span>
+                      <div className="menu-item-desc">{dish.description}</div>
+                      {lowStockLabel(dish) && <span className="menu-item-stock">{lowStockLabel(dish)}</span>}
+                      <button className="add-to-cart-btn" onClick={() => handleAddToCart(dish)} disabled={!restaurant.isOpenNow}>
+                        {!restaurant.isOpenNow
+                          ? 'Currently closed'
+                          : dish.customizations?.length > 0 ? 'Add to Cart · Customize' : 'Add to Cart'}
+                      </button>
+                    </div>
+                    <span className="menu-item-price">₹{dish.price}</span>
+                    <img src={imageUrl(dish.image)} alt={dish.name} className="menu-item-photo" />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+      <RestaurantReviews restaurantId={restaurant._id} />
+      {customizing && (
+        <CustomizationPicker
+          dish={customizing}
+          onClose={() => setCustomizing(null)}
+          onConfirm={(customizations, price) => {
+            addDishToCart(customizing, customizations, price);
+            setCustomizing(null);
+          }}
+        />
+      )}
+    </div>
+  );
+}
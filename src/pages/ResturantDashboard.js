@@ -1,5 +1,9 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { ordersAPI } from '../services/api';
+import MenuEditor from '../components/MenuEditor';
+import StoreHours from '../components/StoreHours';
+import ReviewInbox from '../components/ReviewInbox';
+import { formatCustomizations } from '../context/CartContext';
 
 const badge = (text, color) => (
 	<span style={{
@@ -16,6 +20,7 @@ const badge = (text, color) => (
 
 const ResturantDashboard = () => {
 	const [orders, setOrders] = useState([]);
+	const [tab, setTab] = useState('orders');
 
 	const today = new Date().toISOString().slice(0, 10);
 	const totalToday = useMemo(() => orders.filter(o => o.date === today).length, [orders, today]);
@@ -58,6 +63,7 @@ const ResturantDashboard = () => {
 				setOrders(prev => [{
 					id: order.id,
 					customerName: order.customerName,
+					items: order.items || [],
 					address: order.dropAddress,
 					restaurantName: order.restaurantName,
 					status: 'Pending',
@@ -98,11 +104,19 @@ const ResturantDashboard = () => {
 			} catch (_) {}
 		};
 
+		const onCancelled = (e) => {
+			try {
+				const order = JSON.parse(e.data);
+				updateStatusLocal(order.id, 'Cancelled');
+			} catch (_) {}
+		};
+
 		ev.addEventListener('order_created', onCreated);
 		ev.addEventListener('order_updated', onUpdated);
 		ev.addEventListener('order_accepted', onAccepted);
 		ev.addEventListener('order_ready', onReadyForPickup);
 		ev.addEventListener('order_assigned', onAssigned);
+		ev.addEventListener('order_cancelled', onCancelled);
 
 		return () => {
 			ev.removeEventListener('order_created', onCreated);
@@ -110,6 +124,7 @@ const ResturantDashboard = () => {
 			ev.removeEventListener('order_accepted', onAccepted);
 			ev.removeEventListener('order_ready', onReadyForPickup);
 			ev.removeEventListener('order_assigned', onAssigned);
+			ev.removeEventListener('order_cancelled', onCancelled);
 			ev.close();
 		};
 	}, []);
@@ -123,6 +138,16 @@ const ResturantDashboard = () => {
 
 	const cardStyle = { background: '#fff', borderRadius: 16, padding: 16, boxShadow: '0 8px 24px rgba(0,0,0,0.08)' };
 
+	const tabStyle = (active) => ({
+		padding: '8px 16px',
+		borderRadius: 999,
+		border: 'none',
+		fontWeight: 700,
+		cursor: 'pointer',
+		background: active ? '#fff' : 'rgba(255,255,255,0.25)',
+		color: active ? '#ff7f00' : '#fff'
+	});
+
 	return (
 		<div style={pageStyle}>
 			<div style={{ maxWidth: 1200, margin: '0 auto' }}>
@@ -131,149 +156,189 @@ const ResturantDashboard = () => {
 					<input placeholder="Search orders…" style={{ width: 320, borderRadius: 12, border: 'none', padding: '10px 14px' }} />
 				</header>
 
-				<div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))', gap: 16 }}>
+				<nav style={{ display: 'flex', gap: 8, marginBottom: 20 }}>
+					<button style={tabStyle(tab === 'orders')} onClick={() => setTab('orders')}>Live Orders</button>
+					<button style={tabStyle(tab === 'menu')} onClick={() => setTab('menu')}>Menu</button>
+					<button style={tabStyle(tab === 'hours')} onClick={() => setTab('hours')}>Store Hours</button>
+					<button style={tabStyle(tab === 'reviews')} onClick={() => setTab('reviews')}>Reviews</button>
+				</nav>
+
+				{tab === 'menu' && (
 					<div style={cardStyle}>
-						<div style={{ color: '#6b7280', fontSize: 12, fontWeight: 600 }}>Total Today</div>
-						<div style={{ fontSize: 28, fontWeight: 800 }}>{totalToday}</div>
+						<MenuEditor />
 					</div>
+				)}
+
+				{tab === 'hours' && (
 					<div style={cardStyle}>
-						<div style={{ color: '#6b7280', fontSize: 12, fontWeight: 600 }}>Total Lifetime</div>
-						<div style={{ fontSize: 28, fontWeight: 800 }}>{totalLifetime}</div>
+						<StoreHours />
 					</div>
+				)}
+
+				{tab === 'reviews' && (
 					<div style={cardStyle}>
-						<div style={{ fontWeight: 700, marginBottom: 8 }}>Order Status</div>
-						<div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 4 }}>
-							<span style={{ width: 10, height: 10, background: '#16a34a', borderRadius: 999 }} />
-							<span style={{ fontSize: 12, color: '#374151' }}>Delivered: {stats.delivered}</span>
-						</div>
-						<div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 4 }}>
-							<span style={{ width: 10, height: 10, background: '#3b82f6', borderRadius: 999 }} />
-							<span style={{ fontSize: 12, color: '#374151' }}>Out for Delivery: {stats.picked}</span>
-						</div>
-						<div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 4 }}>
-							<span style={{ width: 10, height: 10, background: '#10b981', borderRadius: 999 }} />
-							<span style={{ fontSize: 12, color: '#374151' }}>Ready for Pickup: {stats.ready}</span>
-						</div>
-						<div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 4 }}>
-							<span style={{ width: 10, height: 10, background: '#8b5cf6', borderRadius: 999 }} />
-							<span style={{ fontSize: 12, color: '#374151' }}>Accepted: {stats.accepted}</span>
-						</div>
-						<div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
-							<span style={{ width: 10, height: 10, background: '#f59e0b', borderRadius: 999 }} />
-							<span style={{ fontSize: 12, color: '#374151' }}>Pending: {stats.pending}</span>
-						</div>
+						<ReviewInbox />
 					</div>
-				</div>
+				)}
 
-				<section style={{ marginTop: 24 }}>
-					<div style={{ ...cardStyle, overflow: 'hidden' }}>
-						<div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 12 }}>
-							<h3 style={{ margin: 0 }}>Live Orders</h3>
-							<div style={{ display: 'flex', gap: 8 }}>
-								{badge('Today ' + totalToday, '#0ea5e9')}
-								{badge('Lifetime ' + totalLifetime, '#ef4444')}
+				{tab === 'orders' && (
+					<>
+						<div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))', gap: 16 }}>
+							<div style={cardStyle}>
+								<div style={{ color: '#6b7280', fontSize: 12, fontWeight: 600 }}>Total Today</div>
+								<div style={{ fontSize: 28, fontWeight: 800 }}>{totalToday}</div>
+							</div>
+							<div style={cardStyle}>
+								<div style={{ color: '#6b7280', fontSize: 12, fontWeight: 600 }}>Total Lifetime</div>
+								<div style={{ fontSize: 28, fontWeight: 800 }}>{totalLifetime}</div>
+							</div>
+							<div style={cardStyle}>
+								<div style={{ fontWeight: 700, marginBottom: 8 }}>Order Status</div>
+								<div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 4 }}>
+									<span style={{ width: 10, height: 10, background: '#16a34a', borderRadius: 999 }} />
+									<span style={{ fontSize: 12, color: '#374151' }}>Delivered: {stats.delivered}</span>
+								</div>
+								<div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 4 }}>
+									<span style={{ width: 10, height: 10, background: '#3b82f6', borderRadius: 999 }} />
+									<span style={{ fontSize: 12, color: '#374151' }}>Out for Delivery: {stats.picked}</span>
+								</div>
+								<div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 4 }}>
+									<span style={{ width: 10, height: 10, background: '#10b981', borderRadius: 999 }} />
+									<span style={{ fontSize: 12, color: '#374151' }}>Ready for Pickup: {stats.ready}</span>
+								</div>
+								<div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 4 }}>
+									<span style={{ width: 10, height: 10, background: '#8b5cf6', borderRadius: 999 }} />
+									<span style={{ fontSize: 12, color: '#374151' }}>Accepted: {stats.accepted}</span>
+								</div>
+								<div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+									<span style={{ width: 10, height: 10, background: '#f59e0b', borderRadius: 999 }} />
+									<span style={{ fontSize: 12, color: '#374151' }}>Pending: {stats.pending}</span>
+								</div>
 							</div>
 						</div>
-						<div style={{ width: '100%', overflowX: 'auto' }}>
-							<table style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
-								<thead>
-									<tr style={{ textAlign: 'left', color: '#6b7280', fontSize: 12 }}>
-										<th style={{ padding: '12px 8px' }}>Order ID</th>
-										<th style={{ padding: '12px 8px' }}>Customer</th>
-										<th style={{ padding: '12px 8px' }}>Address</th>
-										<th style={{ padding: '12px 8px' }}>Resturant</th>
-										<th style={{ padding: '12px 8px' }}>Status</th>
-										<th style={{ padding: '12px 8px' }}>Actions</th>
-									</tr>
-								</thead>
-								<tbody>
-									{orders.map((o, idx) => (
-										<tr key={o.id} style={{ background: idx % 2 === 0 ? '#fff' : '#fafafa' }}>
-											<td style={{ padding: '12px 8px', fontWeight: 600 }}>{o.id}</td>
-											<td style={{ padding: '12px 8px' }}>{o.customerName}</td>
-											<td style={{ padding: '12px 8px' }}>{o.address}</td>
-											<td style={{ padding: '12px 8px' }}>{o.restaurantName}</td>
-											<td style={{ padding: '12px 8px' }}>
-												{badge(o.status, 
-													o.status === 'Delivered' ? '#16a34a' : 
-													o.status === 'Out for Delivery' ? '#3b82f6' : 
-													o.status === 'Ready for Pickup' ? '#10b981' :
-													o.status === 'Accepted' ? '#8b5cf6' :
-													o.status === 'Cancelled' ? '#ef4444' :
-													'#f59e0b'
-												)}
-											</td>
-											<td style={{ padding: '12px 8px' }}>
-												<div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
-													{o.status === 'Pending' && (
-														<>
-															<button
-																onClick={() => acceptOrder(o.id)}
-																style={{
-																	padding: '6px 12px',
-																	borderRadius: 8,
-																	border: 'none',
-																	fontWeight: 600,
-																	fontSize: '12px',
-																	background: '#10b981',
-																	color: '#fff',
-																	cursor: 'pointer'
-																}}
-															>
-																Accept
-															</button>
+
+						<section style={{ marginTop: 24 }}>
+							<div style={{ ...cardStyle, overflow: 'hidden' }}>
+								<div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 12 }}>
+									<h3 style={{ margin: 0 }}>Live Orders</h3>
+									<div style={{ display: 'flex', gap: 8 }}>
+										{badge('Today ' + totalToday, '#0ea5e9')}
+										{badge('Lifetime ' + totalLifetime, '#ef4444')}
+									</div>
+								</div>
+								<div style={{ width: '100%', overflowX: 'auto' }}>
+									<table style={{ width: '100%', borderCollapse: 'separate', borderSpacing: 0 }}>
+										<thead>
+											<tr style={{ textAlign: 'left', color: '#6b7280', fontSize: 12 }}>
+												<th style={{ padding: '12px 8px' }}>Order ID</th>
+												<th style={{ padding: '12px 8px' }}>Customer</th>
+												<th style={{ padding: '12px 8px' }}>Items</th>
+												<th style={{ padding: '12px 8px' }}>Address</th>
+												<th style={{ padding: '12px 8px' }}>Resturant</th>
+												<th style={{ padding: '12px 8px' }}>Status</th>
+												<th style={{ padding: '12px 8px' }}>Actions</th>
+											</tr>
+										</thead>
+										<tbody>
+											{orders.map((o, idx) => (
+												<tr key={o.id} style={{ background: idx % 2 === 0 ? '#fff' : '#fafafa' }}>
+													<td style={{ padding: '12px 8px', fontWeight: 600 }}>{o.id}</td>
+													<td style={{ padding: '12px 8px' }}>{o.customerName}</td>
+												<td style={{ padding: '12px 8px' }}>
+													{(o.items || []).map((item, i) => (
+														<div key={i}>
+															{item.quantity} × {item.name}
+															{item.customizations?.length > 0 && (
+																<div style={{ fontSize: 12, color: '#6b7280' }}>{formatCustomizations(item.customizations)}</div>
+															)}
+														</div>
+													))}
+												</td>
+													<td style={{ padding: '12px 8px' }}>{o.address}</td>
+													<td style={{ padding: '12px 8px' }}>{o.restaurantName}</td>
+													<td style={{ padding: '12px 8px' }}>
+														{badge(o.status, 
+															o.status === 'Delivered' ? '#16a34a' : 
+															o.status === 'Out for Delivery' ? '#3b82f6' : 
+															o.status === 'Ready for Pickup' ? '#10b981' :
+															o.status === 'Accepted' ? '#8b5cf6' :
+															o.status === 'Cancelled' ? '#ef4444' :
+															'#f59e0b'
+														)}
+													</td>
+													<td style={{ padding: '12px 8px' }}>
+														<div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+															{o.status === 'Pending' && (
+																<>
+																	<button
+																		onClick={() => acceptOrder(o.id)}
+																		style={{
+																			padding: '6px 12px',
+																			borderRadius: 8,
+																			border: 'none',
+																			fontWeight: 600,
+																			fontSize: '12px',
+																			background: '#10b981',
+																			color: '#fff',
+																			cursor: 'pointer'
+																		}}
+																	>
+																		Accept
+																	</button>
+																	<button
+																		onClick={() => rejectOrder(o.id)}
+																		style={{
+																			padding: '6px 12px',
+																			borderRadius: 8,
+																			border: 'none',
+																			fontWeight: 600,
+																			fontSize: '12px',
+																			background: '#ef4444',
+																			color: '#fff',
+																			cursor: 'pointer'
+																		}}
+																	>
+																		Reject
+																	</button>
+															</>
+														)}
+														{o.status === 'Accepted' && (
 															<button
-																onClick={() => rejectOrder(o.id)}
+																onClick={() => updateStatusLocal(o.id, 'Delivered')}
 																style={{
 																	padding: '6px 12px',
 																	borderRadius: 8,
 																	border: 'none',
-																	fontWeight: 600,
-																	fontSize: '12px',
-																	background: '#ef4444',
+																	fontWeight: 700,
+																	background: '#16a34a',
 																	color: '#fff',
-																	cursor: 'pointer'
+																	cursor: 'pointer',
+																	opacity: o.status === 'Accepted' ? 1 : 0.5
 																}}
+																disabled={o.status !== 'Accepted'}
 															>
-																Reject
+																Delivered
 															</button>
-														</>
-													)}
-													{o.status === 'Accepted' && (
-														<button
-															onClick={() => updateStatusLocal(o.id, 'Delivered')}
-															style={{
-																padding: '6px 12px',
-																borderRadius: 8,
-																border: 'none',
-																fontWeight: 700,
-																background: '#16a34a',
-																color: '#fff',
-																cursor: 'pointer',
-																opacity: o.status === 'Accepted' ? 1 : 0.5
-															}}
-															disabled={o.status !== 'Accepted'}
-														>
-															Delivered
-														</button>
-													)}
-													{['Ready for Pickup', 'Out for Delivery', 'Delivered', 'Cancelled'].includes(o.status) && (
-														<span style={{ 
-															padding: '6px 12px', 
-															color: '#6b7280', 
-															fontSize: '12px',
-															fontStyle: 'italic'
-														}}>No actions available</span>
-													)}
-												</div>
-											</td>
-										</tr>
-									))}
-								</tbody>
-							</table>
+														)}
+														{['Ready for Pickup', 'Out for Delivery', 'Delivered', 'Cancelled'].includes(o.status) && (
+															<span style={{ 
+																padding: '6px 12px', 
+																color: '#6b7280', 
+																fontSize: '12px',
+																fontStyle: 'italic'
+															}}>No actions available</span>
+														)}
+													</div>
+												</td>
+											</tr>
+										))}
+									</tbody>
+								</table>
+							</div>
 						</div>
-					</div>
-				</section>
+					</section>
+					</>
+				)}
 			</div>
 		</div>
 	);
@@ -0,0 +1,218 @@
+// src/pages/SplitBillPage.js
+
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import "./PaymentPage.css"; // Reusing the same styles
+import "./SplitBill.css";
+import { ordersAPI, splitBillsAPI } from "../services/api";
+import { coverSplitBill, isValidUpiId, UPI_ID_HINT } from "../services/payments";
+import PaymentPrompt from "../components/PaymentPrompt";
+
+const SHARE_STATUS_LABELS = {
+  pending: 'Waiting',
+  paid: 'Paid',
+  covered: 'Covered by you'
+};
+
+const payLinkFor = (token) => `${window.location.origin}/split-pay/${token}`;
+
+// The organizer's view of a split bill: everyone's pay link and live progress,
+// with the option to pay the rest themselves
+const SplitBillPage = () => {
+  const { orderId } = useParams();
+  const navigate = useNavigate();
+  const [bill, setBill] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [copiedToken, setCopiedToken] = useState(null);
+  const [upiId, setUpiId] = useState('');
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [paymentIntent, setPaymentIntent] = useState(null);
+  const [paymentError, setPaymentError] = useState('');
+  const pollAbort = useRef(null);
+
+  const loadBill = useCallback(async () => {
+    try {
+      setBill(await splitBillsAPI.get(orderId));
+      setLoadError('');
+    } catch (e) {
+      setLoadError(e.status === 401 ? 'Log in to see your split bill' : e.message);
+    }
+  }, [orderId]);
+
+  useEffect(() => {
+    loadBill();
+  }, [loadBill]);
+
+  // Refetch on every update: the event stream carries progress but not the pay links
+  const streamToken = bill?.participants?.[0]?.token;
+  useEffect(() => {
+    if (!streamToken) return undefined;
+    const ev = new EventSource(splitBillsAPI.eventsUrl(orderId, streamToken));
+    ev.addEventListener('split_bill_updated', () => loadBill());
+    return () => ev.close();
+  }, [orderId, streamToken, loadBill]);
+
+  // Stop polling for a payment if the organizer leaves the page
+  useEffect(() => () => pollAbort.current?.abort(), []);
+
+  const copyLink = async (token) => {
+    try {
+      await navigator.clipboard.writeText(payLinkFor(token));
+      setCopiedToken(token);
+      setTimeout(() => setCopiedToken(null), 2000);
+    } catch (_) {
+      window.prompt('Copy this pay link', payLinkFor(token));
+    }
+  };
+
+  const coverRemaining = async () => {
+    if (!upiId.trim()) {
+      setPaymentError('Please enter your UPI ID');
+      return;
+    }
+    if (!isValidUpiId(upiId)) {
+      setPaymentError(UPI_ID_HINT);
+      return;
+    }
+    if (isProcessing) return;
+
+    setIsProcessing(true);
+    setPaymentError('');
+    pollAbort.current = new AbortController();
+    try {
+      const intent = await coverSplitBill(orderId, upiId.trim(), { onUpdate: setPaymentIntent, signal: pollAbort.current.signal });
+      if (intent.status !== 'succeeded') {
+        setPaymentError(`Payment failed: ${intent.failureReason || 'please try again'}`);
+      }
+      await loadBill();
+    } catch (e) {
+      if (!pollAbort.current.signal.aborted) setPaymentError(e.data?.errors?.[0]?.msg || e.message);
+    } finally {
+      setIsProcessing(false);
+      setPaymentIntent(null);
+    }
+  };
+
+  const cancelOrder = async () => {
+    if (!window.confirm('Cancel this order? Anyone who already paid is refunded.')) return;
+    try {
+      await ordersAPI.cancel(orderId, 'Split bill cancelled by organizer');
+      await loadBill();
+    } catch (e) {
+      alert(`Could not cancel the order: ${e.message}`);
+    }
+  };
+
+  if (!bill) {
+    return (
+      <div className="payment-container">
+        <div className="payment-card">
+          {loadError ? (
+            <>
+              <p className="payment-error">{loadError}</p>
+              <button className="secondary-btn" onClick={() => navigate('/dashboard')}>Back to Dashboard</button>
+            </>
+          ) : (
+            <div className="loading-content">
+              <div className="spinner"></div>
+              <p>Loading your split bill...</p>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const paidPercent = bill.total > 0 ? Math.min(100, Math.round((bill.paid / bill.total) * 100)) : 0;
+
+  return (
+    <div className="payment-container">
+      <div className="payment-card">
+        <div className="logo">
+          <div className="logo-icon">🍔</div>
+          <span className="logo-text">FoodDelivery</span>
+        </div>
+
+        <h1 className="main-heading">Split Bill</h1>
+        <p className="sub-text">
+          Order #{bill.orderId}{bill.restaurantName ? ` from ${bill.restaurantName}` : ''}
+        </p>
+
+        <div className="split-bill-progress">
+          <div className="split-bill-progress-bar">
+            <div style={{ width: `${paidPercent}%` }} />
+          </div>
+          <p>₹{bill.paid} of ₹{bill.total} paid · {bill.paidCount}/{bill.participantCount} shares</p>
+        </div>
+
+        {bill.status === 'paid' && (
+          <div className="success-message">
+            <div className="success-icon">✅</div>
+            <h2>Bill Paid!</h2>
+            <p>Your order has been sent to the restaurant.</p>
+            <button className="primary-btn" onClick={() => navigate(`/track/${bill.orderId}`)}>
+              Track Order
+            </button>
+          </div>
+        )}
+
+        {bill.status === 'cancelled' && (
+          <p className="payment-error">This order was cancelled. Anyone who already paid is refunded.</p>
+        )}
+
+        <ul className="split-bill-participants">
+          {bill.participants.map(p => (
+            <li key={p.id} className={`split-bill-participant ${p.status}`}>
+              <div>
+                <strong>{p.name}</strong>
+                <span>₹{p.share} · {SHARE_STATUS_LABELS[p.status] || p.status}</span>
+              </div>
+              {p.status === 'pending' && bill.status === 'collecting' && (
+                <div className="split-bill-link-actions">
+                  <button type="button" onClick={() => copyLink(p.token)}>
+                    {copiedToken === p.token ? 'Copied!' : 'Copy pay link'}
+                  </button>
+                  <a href={payLinkFor(p.token)} target="_blank" rel="noopener noreferrer">Pay here</a>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {bill.status === 'collecting' && (
+          <div className="upi-payment-form">
+            {paymentError && <p className="payment-error">{paymentError}</p>}
+            <div className="input-group">
+              <label>Cover the rest yourself</label>
+              <input
+                type="text"
+                value={upiId}
+                onChange={(e) => setUpiId(e.target.value)}
+                placeholder="Enter your UPI ID"
+                disabled={isProcessing}
+              />
+            </div>
+            {isProcessing ? (
+              <div className="loading-content">
+                <div className="spinner"></div>
+                <p>Waiting for you to approve the payment...</p>
+                <PaymentPrompt intent={paymentIntent} />
+              </div>
+            ) : (
+              <>
+                <button className="primary-btn" onClick={coverRemaining}>
+                  Cover Remaining ₹{bill.outstanding}
+                </button>
+                <button className="secondary-btn" onClick={cancelOrder}>
+                  Cancel Order
+                </button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SplitBillPage;
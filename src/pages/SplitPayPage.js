@@ -0,0 +1,153 @@
+// src/pages/SplitPayPage.js
+
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import { useParams } from "react-router-dom";
+import "./PaymentPage.css"; // Reusing the same styles
+import "./SplitBill.css";
+import { splitBillsAPI } from "../services/api";
+import { payShare, isValidUpiId, UPI_ID_HINT } from "../services/payments";
+import PaymentPrompt from "../components/PaymentPrompt";
+
+// Opened from a split bill pay link: one participant pays their share from
+// their own phone, no account needed
+const SplitPayPage = () => {
+  const { token } = useParams();
+  const [share, setShare] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [upiId, setUpiId] = useState('');
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [paymentIntent, setPaymentIntent] = useState(null);
+  const [paymentError, setPaymentError] = useState('');
+  const pollAbort = useRef(null);
+
+  const loadShare = useCallback(async () => {
+    try {
+      setShare(await splitBillsAPI.getShare(token));
+    } catch (e) {
+      setLoadError(e.status === 404 ? 'This pay link is not valid' : e.message);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadShare();
+  }, [loadShare]);
+
+  // Stop polling for a payment if the payer leaves the page
+  useEffect(() => () => pollAbort.current?.abort(), []);
+
+  const pay = async () => {
+    if (!upiId.trim()) {
+      setPaymentError('Please enter your UPI ID');
+      return;
+    }
+    if (!isValidUpiId(upiId)) {
+      setPaymentError(UPI_ID_HINT);
+      return;
+    }
+    if (isProcessing) return;
+
+    setIsProcessing(true);
+    setPaymentError('');
+    pollAbort.current = new AbortController();
+    try {
+      const intent = await payShare(token, upiId.trim(), { onUpdate: setPaymentIntent, signal: pollAbort.current.signal });
+      if (intent.status !== 'succeeded') {
+        setPaymentError(`Payment failed: ${intent.failureReason || 'please try again'}`);
+      }
+      await loadShare();
+    } catch (e) {
+      if (!pollAbort.current.signal.aborted) setPaymentError(e.data?.errors?.[0]?.msg || e.message);
+    } finally {
+      setIsProcessing(false);
+      setPaymentIntent(null);
+    }
+  };
+
+  if (!share) {
+    return (
+      <div className="payment-container">
+        <div className="payment-card">
+          {loadError ? (
+            <p className="payment-error">{loadError}</p>
+          ) : (
+            <div className="loading-content">
+              <div className="spinner"></div>
+              <p>Loading your share...</p>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const { participant } = share;
+  const canPay = share.status === 'collecting' && participant.status === 'pending';
+
+  return (
+    <div className="payment-container">
+      <div className="payment-card">
+        <div className="logo">
+          <div className="logo-icon">🍔</div>
+          <span className="logo-text">FoodDelivery</span>
+        </div>
+
+        <h1 className="main-heading">Hi {participant.name}!</h1>
+        <p className="sub-text">
+          {share.organizerName || 'A friend'} is splitting an order{share.restaurantName ? ` from ${share.restaurantName}` : ''} with you
+        </p>
+
+        <div className="split-bill-progress">
+          <div className="split-bill-progress-bar">
+            <div style={{ width: `${Math.round((share.paidCount / share.participantCount) * 100)}%` }} />
+          </div>
+          <p>{share.paidCount} of {share.participantCount} shares paid</p>
+        </div>
+
+        {participant.status !== 'pending' ? (
+          <div className="success-message">
+            <div className="success-icon">✅</div>
+            <h2>{participant.status === 'covered' ? 'Already Covered' : 'Share Paid!'}</h2>
+            <p>
+              {participant.status === 'covered'
+                ? `${share.organizerName || 'The organizer'} paid your share. Settle up with them directly.`
+                : 'Thanks! The order goes to the restaurant once everyone has paid.'}
+            </p>
+          </div>
+        ) : share.status === 'cancelled' ? (
+          <p className="payment-error">This order was cancelled, so there's nothing to pay.</p>
+        ) : canPay && (
+          <div className="upi-payment-form">
+            {paymentError && <p className="payment-error">{paymentError}</p>}
+            <div className="input-group">
+              <label>UPI ID</label>
+              <input
+                type="text"
+                value={upiId}
+                onChange={(e) => setUpiId(e.target.value)}
+                placeholder="Enter your UPI ID"
+                disabled={isProcessing}
+              />
+            </div>
+            <div className="amount-display">
+              <span>Your Share:</span>
+              <span className="amount">₹{participant.share}</span>
+            </div>
+            {isProcessing ? (
+              <div className="loading-content">
+                <div className="spinner"></div>
+                <p>Waiting for you to approve the payment...</p>
+                <PaymentPrompt intent={paymentIntent} />
+              </div>
+            ) : (
+              <button className="primary-btn" onClick={pay}>
+                Pay ₹{participant.share}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SplitPayPage;
@@ -1,9 +1,12 @@
 // src/pages/SplitPaymentPage.js
 
-import React, { useState, useContext, useEffect } from "react";
-import { CartContext } from "../context/CartContext";
-import { useNavigate } from "react-router-dom";
+import React, { useState, useContext, useEffect, useRef } from "react";
+import { CartContext, toOrderItems, formatCustomizations } from "../context/CartContext";
+import { useLocation, useNavigate } from "react-router-dom";
 import "./PaymentPage.css"; // Reusing the same styles
+import { ordersAPI } from "../services/api";
+import { payShare, isValidUpiId, UPI_ID_HINT } from "../services/payments";
+import PaymentPrompt from "../components/PaymentPrompt";
 
 const SplitPaymentPage = () => {
   const { 
@@ -11,10 +14,13 @@ const SplitPaymentPage = () => {
     calculateTotal, 
     manualSplitData,
     getManualSplitSummary,
-    clearCart 
+    clearCart,
+    couponCode
   } = useContext(CartContext);
   
   const navigate = useNavigate();
+  // Chosen on the payment page and passed along in router state
+  const deliveryAddress = useLocation().state?.deliveryAddress;
   const [selectedPeople, setSelectedPeople] = useState([]);
   const [paymentStatuses, setPaymentStatuses] = useState({});
   const [upiIds, setUpiIds] = useState({});
@@ -22,16 +28,38 @@ const SplitPaymentPage = () => {
   const [currentPayingPerson, setCurrentPayingPerson] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [showSuccess, setShowSuccess] = useState(false);
+  // Placed as a split bill when the first payments are started; everyone
+  // pays their share of it through their own pay link token
+  const [splitOrder, setSplitOrder] = useState(null);
+  const [paymentIntent, setPaymentIntent] = useState(null);
+  const [paymentError, setPaymentError] = useState('');
+  const pollAbort = useRef(null);
   
   // initial payer UPI ID is not used directly here
 
   const totalAmount = calculateTotal();
   const manualSplitSummary = getManualSplitSummary();
 
+  // The server shares the order total in proportion to the amounts entered
+  // for the food, so delivery fee and taxes are split the same way
+  const payers = manualSplitData
+    .map((person, index) => ({ index, name: person.name.trim(), amount: person.amount }))
+    .filter(payer => payer.name);
+  const shareFor = (index) => splitOrder?.split.participants[payers.findIndex(p => p.index === index)];
+  const amountFor = (index) => shareFor(index)?.share ?? manualSplitData[index].amount;
+
+  // Stop polling for a payment if the customer leaves the page
+  useEffect(() => () => pollAbort.current?.abort(), []);
+
   useEffect(() => {
     // If cart is empty or manual split not configured, redirect
     if (cartItems.length === 0 || !manualSplitSummary.isValid) {
       navigate('/cart');
+      return;
+    }
+    if (!deliveryAddress) {
+      navigate('/payment');
+      return;
     }
 
     // Initialize payment statuses for each person
@@ -42,7 +70,7 @@ const SplitPaymentPage = () => {
       }
     });
     setPaymentStatuses(initialStatuses);
-  }, [cartItems, manualSplitSummary, navigate, manualSplitData]);
+  }, [cartItems, manualSplitSummary.isValid, navigate, deliveryAddress, manualSplitData]);
 
   const handlePersonSelection = (index) => {
     setSelectedPeople(prev => {
@@ -54,11 +82,36 @@ const SplitPaymentPage = () => {
     });
   };
 
-  const processSelectedPayments = () => {
+  const processSelectedPayments = async () => {
     if (selectedPeople.length === 0) {
       alert('Please select at least one person to process payment for');
       return;
     }
+    if (isProcessing) return;
+
+    if (!splitOrder) {
+      setIsProcessing(true);
+      try {
+        setSplitOrder(await ordersAPI.create({
+          items: toOrderItems(cartItems),
+          deliveryAddress,
+          paymentMethod: 'upi',
+          ...(couponCode ? { couponCode } : {}),
+          restaurantId: cartItems[0]?.restaurantId,
+          restaurantName: cartItems[0]?.restaurantName,
+          split: {
+            type: 'manual',
+            participants: payers.map(({ name, amount }) => ({ name, amount }))
+          }
+        }));
+      } catch (e) {
+        const detail = e.data?.errors?.[0]?.msg || e.message;
+        alert(`Could not place your order: ${detail}. Please try again.`);
+        return;
+      } finally {
+        setIsProcessing(false);
+      }
+    }
 
     // Start UPI collection for the first selected person
     const firstPersonIndex = selectedPeople[0];
@@ -66,47 +119,68 @@ const SplitPaymentPage = () => {
     setShowUpiForm(true);
   };
 
-  const processIndividualUPIPayment = () => {
+  const processIndividualUPIPayment = async () => {
     const upiId = upiIds[currentPayingPerson];
     if (!upiId || !upiId.trim()) {
       alert('Please enter UPI ID for this person');
       return;
     }
+    if (!isValidUpiId(upiId)) {
+      alert(UPI_ID_HINT);
+      return;
+    }
+    if (isProcessing) return;
 
     setIsProcessing(true);
+    setPaymentError('');
+    pollAbort.current = new AbortController();
+    try {
+      // The person's status only changes once the payment provider confirms
+      const intent = await payShare(
+        shareFor(currentPayingPerson).token,
+        upiId.trim(),
+        { onUpdate: setPaymentIntent, signal: pollAbort.current.signal }
+      );
+      if (intent.status !== 'succeeded') {
+        setPaymentError(`Payment failed: ${intent.failureReason || 'please try again'}`);
+        return;
+      }
+    } catch (e) {
+      if (!pollAbort.current.signal.aborted) setPaymentError(e.data?.errors?.[0]?.msg || e.message);
+      return;
+    } finally {
+      setIsProcessing(false);
+      setPaymentIntent(null);
+    }
 
-    // Simulate payment processing
-    setTimeout(() => {
-      const newStatuses = { ...paymentStatuses };
-      newStatuses[currentPayingPerson] = 'completed';
-      setPaymentStatuses(newStatuses);
+    const newStatuses = { ...paymentStatuses };
+    newStatuses[currentPayingPerson] = 'completed';
+    setPaymentStatuses(newStatuses);
 
-      // Remove the completed person from selected list
-      const remainingPeople = selectedPeople.filter(index => index !== currentPayingPerson);
-      setSelectedPeople(remainingPeople);
+    // Remove the completed person from selected list
+    const remainingPeople = selectedPeople.filter(index => index !== currentPayingPerson);
+    setSelectedPeople(remainingPeople);
 
-      setIsProcessing(false);
-      setShowUpiForm(false);
+    setShowUpiForm(false);
 
-      if (remainingPeople.length > 0) {
-        // Process next person
+    if (remainingPeople.length > 0) {
+      // Process next person
+      setTimeout(() => {
+        const nextPersonIndex = remainingPeople[0];
+        setCurrentPayingPerson(nextPersonIndex);
+        setShowUpiForm(true);
+      }, 1000);
+    } else {
+      // Check if all payments are completed
+      const allCompleted = Object.values(newStatuses).every(status => status === 'completed');
+      if (allCompleted) {
+        setShowSuccess(true);
         setTimeout(() => {
-          const nextPersonIndex = remainingPeople[0];
-          setCurrentPayingPerson(nextPersonIndex);
-          setShowUpiForm(true);
-        }, 1000);
-      } else {
-        // Check if all payments are completed
-        const allCompleted = Object.values(newStatuses).every(status => status === 'completed');
-        if (allCompleted) {
-          setShowSuccess(true);
-          setTimeout(() => {
-            clearCart();
-          }, 3000);
-        }
-        setCurrentPayingPerson(null);
+          clearCart();
+        }, 3000);
       }
-    }, 2000);
+      setCurrentPayingPerson(null);
+    }
   };
 
   const handleUpiIdChange = (personIndex, upiId) => {
@@ -157,6 +231,7 @@ const SplitPaymentPage = () => {
           
           <div className="upi-payment-form">
             <h2>UPI Payment</h2>
+            {paymentError && <p className="payment-error">{paymentError}</p>}
             <p style={{ color: '#aaaaaa', marginBottom: '20px' }}>
               Enter UPI ID for: <strong style={{ color: '#ff7f00' }}>{currentPerson.name}</strong>
             </p>
@@ -167,22 +242,24 @@ const SplitPaymentPage = () => {
                 value={upiIds[currentPayingPerson] || ''}
                 onChange={(e) => handleUpiIdChange(currentPayingPerson, e.target.value)}
                 placeholder="Enter UPI ID"
+                disabled={isProcessing}
               />
             </div>
             <div className="amount-display">
               <span>Amount to Pay:</span>
-              <span className="amount">₹{currentPerson.amount}</span>
+              <span className="amount">₹{amountFor(currentPayingPerson)}</span>
             </div>
             
             {isProcessing ? (
               <div className="loading-content">
                 <div className="spinner"></div>
-                <p>Processing payment for {currentPerson.name}...</p>
+                <p>Waiting for {currentPerson.name} to approve the payment...</p>
+                <PaymentPrompt intent={paymentIntent} />
               </div>
             ) : (
               <>
                 <button className="primary-btn" onClick={processIndividualUPIPayment}>
-                  Pay ₹{currentPerson.amount}
+                  Pay ₹{amountFor(currentPayingPerson)}
                 </button>
                 <button className="secondary-btn" onClick={() => setShowUpiForm(false)}>
                   Cancel
@@ -216,13 +293,17 @@ const SplitPaymentPage = () => {
           <h2>Order Summary</h2>
           {cartItems.map((item, index) => (
             <div key={index} className="order-item">
-              <span>{item.name} x{item.quantity}</span>
+              <span>
+                {item.name}
+                {item.customizations?.length > 0 && ` (${formatCustomizations(item.customizations)})`}
+                {' '}x{item.quantity}
+              </span>
               <span>₹{item.price * item.quantity}</span>
             </div>
           ))}
           <div className="order-total">
             <span>Total</span>
-            <span>₹{totalAmount}</span>
+            <span>₹{splitOrder?.totalAmount ?? totalAmount}</span>
           </div>
         </div>
 
@@ -253,7 +334,7 @@ const SplitPaymentPage = () => {
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                   <div>
                     <h4 style={{ color: '#ffffff', margin: '0 0 5px 0' }}>{person.name}</h4>
-                    <p style={{ color: '#aaaaaa', margin: 0 }}>Amount: ₹{person.amount}</p>
+                    <p style={{ color: '#aaaaaa', margin: 0 }}>Amount: ₹{amountFor(index)}</p>
                   </div>
                   <div style={{ display: 'flex', alignItems: 'center' }}>
                     {status === 'completed' && (
@@ -298,7 +379,7 @@ const SplitPaymentPage = () => {
           }}>
             <p style={{ color: '#ff7f00', margin: 0 }}>
               Total amount for selected people: ₹
-              {selectedPeople.reduce((sum, index) => sum + manualSplitData[index].amount, 0)}
+              {Math.round(selectedPeople.reduce((sum, index) => sum + amountFor(index), 0) * 100) / 100}
             </p>
           </div>
         )}
@@ -306,7 +387,7 @@ const SplitPaymentPage = () => {
         {isProcessing ? (
           <div className="loading-content">
             <div className="spinner"></div>
-            <p>Processing selected payments...</p>
+            <p>Placing your order...</p>
           </div>
         ) : (
           <>
@@ -321,7 +402,13 @@ const SplitPaymentPage = () => {
             >
               Process Selected Payments ({selectedPeople.length})
             </button>
-            
+
+            {splitOrder && (
+              <button className="secondary-btn" onClick={() => { navigate(`/split-bill/${splitOrder.id}`); clearCart(); }}>
+                Send Pay Links Instead
+              </button>
+            )}
+
             <button className="secondary-btn" onClick={goBack}>
               ← Back to Payment Options
             </button>
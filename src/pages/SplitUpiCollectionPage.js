@@ -1,151 +1,98 @@
 // src/pages/SplitUpiCollectionPage.js
 
 import React, { useState, useContext, useEffect } from "react";
-import { CartContext } from "../context/CartContext";
-import { useNavigate } from "react-router-dom";
+import { CartContext, toOrderItems, formatCustomizations } from "../context/CartContext";
+import { useLocation, useNavigate } from "react-router-dom";
 import "./PaymentPage.css"; // Reusing the same styles
 import { ordersAPI } from "../services/api";
 
+// Places a split bill order. Nobody pays here: every member gets a pay link
+// on the split bill page, and the restaurant only gets the order once the
+// shares are paid.
 const SplitUpiCollectionPage = () => {
-  const { 
-    cartItems, 
-    calculateTotal, 
+  const {
+    cartItems,
+    calculateTotal,
     manualSplitData,
     getManualSplitSummary,
     splitBillType,
     splitBillCount,
     calculateSplitAmount,
-    clearCart 
+    clearCart,
+    couponCode
   } = useContext(CartContext);
-  
+
   const navigate = useNavigate();
-  const [splitUpiIds, setSplitUpiIds] = useState({});
+  // Chosen on the payment page and passed along in router state
+  const deliveryAddress = useLocation().state?.deliveryAddress;
+  // Equal splits start as "Person 1..N"; the organizer can put real names in
+  const [memberNames, setMemberNames] = useState({});
   const [isProcessing, setIsProcessing] = useState(false);
-  const [showSuccess, setShowSuccess] = useState(false);
 
   const totalAmount = calculateTotal();
   const splitAmount = calculateSplitAmount();
   // manualSplitSummary not needed directly in this component
 
+  const members = splitBillType === 'manual'
+    ? manualSplitData
+        .map((person, index) => ({ index, name: person.name.trim(), amount: person.amount }))
+        .filter(member => member.name)
+    : Array.from({ length: splitBillCount }, (_, index) => ({
+        index,
+        name: (memberNames[index] || '').trim() || `Person ${index + 1}`,
+        amount: splitAmount
+      }));
+
   useEffect(() => {
     // If cart is empty or split bill not enabled, redirect
     if (cartItems.length === 0) {
       navigate('/');
       return;
     }
-
-    // Initialize UPI IDs based on split type
-    if (splitBillType === 'manual') {
-      const initialUpiIds = {};
-      manualSplitData.forEach((person, index) => {
-        if (person.name.trim()) {
-          initialUpiIds[index] = '';
-        }
-      });
-      setSplitUpiIds(initialUpiIds);
-    } else if (splitBillType === 'equal') {
-      // For equal split, create generic person entries
-      const initialUpiIds = {};
-      for (let i = 0; i < splitBillCount; i++) {
-        initialUpiIds[i] = '';
-      }
-      setSplitUpiIds(initialUpiIds);
+    if (!deliveryAddress) {
+      navigate('/payment');
     }
-  }, [cartItems, navigate, splitBillType, manualSplitData, splitBillCount]);
+  }, [cartItems, navigate, deliveryAddress]);
 
-  const handleUpiIdChange = (personIndex, upiId) => {
-    setSplitUpiIds(prev => ({
+  const handleNameChange = (personIndex, name) => {
+    setMemberNames(prev => ({
       ...prev,
-      [personIndex]: upiId
+      [personIndex]: name
     }));
   };
 
-  const processAllPayments = () => {
-    // Validate all UPI IDs are filled
-    const requiredCount = splitBillType === 'manual' 
-      ? manualSplitData.filter(p => p.name.trim()).length 
-      : splitBillCount;
-
-    const filledUpiIds = Object.values(splitUpiIds).filter(id => id.trim()).length;
-    
-    if (filledUpiIds < requiredCount) {
-      alert('Please enter UPI IDs for all members');
-      return;
-    }
-
+  const createSplitBill = async () => {
+    if (isProcessing) return;
     setIsProcessing(true);
-
-    // Simulate processing payments for all members
-    setTimeout(async () => {
-      try {
-        // Create a single backend order after all split payments succeed
-        const orderPayload = {
-          items: cartItems.map(i => ({ id: i.id, name: i.name, price: i.price, quantity: i.quantity })),
-          deliveryAddress: 'Customer address',
-          paymentMethod: 'upi',
-          paymentStatus: 'paid',
-          restaurantId: cartItems[0]?.restaurantId || 'demo-restaurant',
-          restaurantName: cartItems[0]?.restaurantName || 'Demo Restaurant',
-          pickupAddress: cartItems[0]?.restaurantAddress || 'Pickup Location'
-        };
-        await ordersAPI.create(orderPayload);
-      } catch (_) {
-        // Non-blocking for UI success flow
-      }
-
+    try {
+      // Shares are worked out by the server from the priced order total
+      const order = await ordersAPI.create({
+        items: toOrderItems(cartItems),
+        deliveryAddress,
+        paymentMethod: 'upi',
+        ...(couponCode ? { couponCode } : {}),
+        restaurantId: cartItems[0]?.restaurantId,
+        restaurantName: cartItems[0]?.restaurantName,
+        split: {
+          type: splitBillType,
+          participants: members.map(member => (
+            splitBillType === 'manual' ? { name: member.name, amount: member.amount } : { name: member.name }
+          ))
+        }
+      });
+      navigate(`/split-bill/${order.id}`, { replace: true });
+      clearCart();
+    } catch (e) {
       setIsProcessing(false);
-      setShowSuccess(true);
-
-      // Clear cart after successful payment
-      setTimeout(() => {
-        clearCart();
-      }, 3000);
-    }, 3000);
+      const detail = e.data?.errors?.[0]?.msg || e.message;
+      alert(`Could not create the split bill: ${detail}. Please try again.`);
+    }
   };
 
   const goBack = () => {
     navigate('/payment');
   };
 
-  const goHome = () => {
-    navigate('/');
-  };
-
-  if (showSuccess) {
-    const paymentDetails = splitBillType === 'manual' 
-      ? manualSplitData
-          .map((person, index) => {
-            if (!person.name.trim()) return null;
-            return `${person.name}: ₹${person.amount} → ${splitUpiIds[index]}`;
-          })
-          .filter(Boolean)
-          .join('\n')
-      : Array.from({ length: splitBillCount }, (_, index) => 
-          `Person ${index + 1}: ₹${splitAmount} → ${splitUpiIds[index]}`
-        ).join('\n');
-
-    return (
-      <div className="payment-container">
-        <div className="payment-card">
-          <div className="logo">
-            <div className="logo-icon">🍔</div>
-            <span className="logo-text">FoodDelivery</span>
-          </div>
-          <div className="success-message">
-            <div className="success-icon">✅</div>
-            <h2>All Split Payments Successful!</h2>
-            <p style={{ whiteSpace: 'pre-line', marginBottom: '20px' }}>
-              {paymentDetails}
-            </p>
-            <button className="primary-btn" onClick={goHome}>
-              Back to Home
-            </button>
-          </div>
-        </div>
-      </div>
-    );
-  }
-
   return (
     <div className="payment-container">
       <div className="payment-card">
@@ -153,20 +100,24 @@ const SplitUpiCollectionPage = () => {
           <div className="logo-icon">🍔</div>
           <span className="logo-text">FoodDelivery</span>
         </div>
-        
-        <h1 className="main-heading">Split Payment UPI Collection</h1>
-        <p className="sub-text">Enter UPI IDs for all split payment members</p>
-        
+
+        <h1 className="main-heading">Split the Bill</h1>
+        <p className="sub-text">Everyone gets a link to pay their share from their own phone</p>
+
         <div className="order-summary">
           <h2>Order Summary</h2>
           {cartItems.map((item, index) => (
             <div key={index} className="order-item">
-              <span>{item.name} x{item.quantity}</span>
+              <span>
+                {item.name}
+                {item.customizations?.length > 0 && ` (${formatCustomizations(item.customizations)})`}
+                {' '}x{item.quantity}
+              </span>
               <span>₹{item.price * item.quantity}</span>
             </div>
           ))}
           <div className="order-total">
-            <span>Total</span>
+            <span>Food Total</span>
             <span>₹{totalAmount}</span>
           </div>
         </div>
@@ -175,47 +126,25 @@ const SplitUpiCollectionPage = () => {
           <h3 style={{ color: '#ff7f00', marginBottom: '15px' }}>
             🔄 {splitBillType === 'equal' ? 'Equal Split' : 'Manual Split'} Payment
           </h3>
-          
-          {splitBillType === 'equal' ? (
-            <p style={{ color: '#ffffff', marginBottom: '20px' }}>
-              Split equally among {splitBillCount} people - Each pays: ₹{splitAmount}
-            </p>
-          ) : (
-            <p style={{ color: '#ffffff', marginBottom: '20px' }}>
-              Manual split configured for {manualSplitData.filter(p => p.name.trim()).length} people
-            </p>
-          )}
 
           <div className="split-upi-collection">
-            <h4 style={{ color: '#ffffff', marginBottom: '20px' }}>
-              Enter UPI IDs for all members:
-            </h4>
-            
-            {splitBillType === 'manual' ? (
-              // Manual Split - Show actual names and amounts
-              manualSplitData.map((person, index) => {
-                if (!person.name.trim()) return null;
-                
-                return (
-                  <div key={index} className="split-upi-input-group">
-                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
-                      <span style={{ color: '#ffffff', fontWeight: '500' }}>
-                        {person.name}
-                      </span>
-                      <span style={{ color: '#ff7f00', fontWeight: '600' }}>
-                        ₹{person.amount}
-                      </span>
-                    </div>
+            {members.map(member => (
+              <div key={member.index} className="split-upi-input-group">
+                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+                  {splitBillType === 'manual' ? (
+                    <span style={{ color: '#ffffff', fontWeight: '500' }}>{member.name}</span>
+                  ) : (
                     <input
                       type="text"
-                      value={splitUpiIds[index] || ''}
-                      onChange={(e) => handleUpiIdChange(index, e.target.value)}
-                      placeholder={`Enter ${person.name}'s UPI ID`}
+                      value={memberNames[member.index] || ''}
+                      onChange={(e) => handleNameChange(member.index, e.target.value)}
+                      placeholder={`Person ${member.index + 1}`}
+                      maxLength={60}
                       className="split-upi-input"
                       style={{
-                        width: '100%',
-                        padding: '12px',
-                        marginBottom: '20px',
+                        flex: 1,
+                        marginRight: '12px',
+                        padding: '10px',
                         backgroundColor: '#2c2c2c',
                         border: '2px solid #3c3c3c',
                         borderRadius: '8px',
@@ -223,44 +152,16 @@ const SplitUpiCollectionPage = () => {
                         fontSize: '1rem'
                       }}
                     />
-                  </div>
-                );
-              })
-            ) : (
-              // Equal Split - Show generic person entries
-              Array.from({ length: splitBillCount }, (_, index) => (
-                <div key={index} className="split-upi-input-group">
-                  <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
-                    <span style={{ color: '#ffffff', fontWeight: '500' }}>
-                      Person {index + 1}
-                    </span>
-                    <span style={{ color: '#ff7f00', fontWeight: '600' }}>
-                      ₹{splitAmount}
-                    </span>
-                  </div>
-                  <input
-                    type="text"
-                    value={splitUpiIds[index] || ''}
-                    onChange={(e) => handleUpiIdChange(index, e.target.value)}
-                    placeholder={`Enter Person ${index + 1}'s UPI ID`}
-                    className="split-upi-input"
-                    style={{
-                      width: '100%',
-                      padding: '12px',
-                      marginBottom: '20px',
-                      backgroundColor: '#2c2c2c',
-                      border: '2px solid #3c3c3c',
-                      borderRadius: '8px',
-                      color: '#ffffff',
-                      fontSize: '1rem'
-                    }}
-                  />
+                  )}
+                  <span style={{ color: '#ff7f00', fontWeight: '600', alignSelf: 'center' }}>
+                    ₹{member.amount}
+                  </span>
                 </div>
-              ))
-            )}
+              </div>
+            ))}
           </div>
 
-          <div style={{ 
+          <div style={{
             marginTop: '20px',
             padding: '15px',
             backgroundColor: 'rgba(255, 127, 0, 0.1)',
@@ -268,26 +169,28 @@ const SplitUpiCollectionPage = () => {
             textAlign: 'center'
           }}>
             <p style={{ color: '#ff7f00', margin: 0 }}>
-              Total Amount: ₹{totalAmount} | 
-              {splitBillType === 'equal' 
-                ? ` ${splitBillCount} people × ₹${splitAmount} each`
-                : ` Split across ${manualSplitData.filter(p => p.name.trim()).length} people`
+              {splitBillType === 'equal'
+                ? `${splitBillCount} people × about ₹${splitAmount} each`
+                : `Split across ${members.length} people`
               }
             </p>
+            <p style={{ color: '#aaaaaa', margin: '8px 0 0', fontSize: '0.9rem' }}>
+              Delivery fee and taxes are shared in the same proportion. The restaurant gets your order once everyone has paid.
+            </p>
           </div>
         </div>
 
         {isProcessing ? (
           <div className="loading-content">
             <div className="spinner"></div>
-            <p>Processing all split payments...</p>
+            <p>Creating your split bill...</p>
           </div>
         ) : (
           <>
-            <button className="primary-btn" onClick={processAllPayments}>
-              Process All Split Payments
+            <button className="primary-btn" onClick={createSplitBill}>
+              Create Split Bill & Get Pay Links
             </button>
-            
+
             <button className="secondary-btn" onClick={goBack}>
               ← Back to Payment Options
             </button>
@@ -298,4 +201,4 @@ const SplitUpiCollectionPage = () => {
   );
 };
 
-export default SplitUpiCollectionPage;
\ No newline at end of file
+export default SplitUpiCollectionPage;
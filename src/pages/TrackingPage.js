@@ -1,7 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import OrderTracking from '../components/OrderTracking';
+import OrderTimeline from '../components/OrderTimeline';
 import Navbar from '../components/Navbar';
+import { useAuth } from '../context/AuthContext';
+import { ordersAPI } from '../services/api';
 import './TrackingPage.css';
 
 const TrackingPage = () => {
@@ -11,6 +14,10 @@ const TrackingPage = () => {
   const [trackingOrderId, setTrackingOrderId] = useState('');
   const [showTracking, setShowTracking] = useState(false);
   const [error, setError] = useState('');
+  const { user } = useAuth();
+  const [cancelTerms, setCancelTerms] = useState(null);
+  const [cancelled, setCancelled] = useState(null);
+  const [isCancelling, setIsCancelling] = useState(false);
 
   // Get order ID from URL params or search params
   useEffect(() => {
@@ -21,6 +28,41 @@ const TrackingPage = () => {
     }
   }, [orderId, searchParams]);
 
+  // Only the customer who placed the order gets cancellation terms back
+  useEffect(() => {
+    setCancelTerms(null);
+    setCancelled(null);
+    if (!showTracking || !trackingOrderId || !user) return;
+    let alive = true;
+    ordersAPI.getCancellationTerms(trackingOrderId)
+      .then(terms => { if (alive) setCancelTerms(terms); })
+      .catch(() => {});
+    return () => { alive = false; };
+  }, [showTracking, trackingOrderId, user]);
+
+  const handleCancelOrder = async () => {
+    if (isCancelling || !cancelTerms?.cancellable) return;
+    const warning = cancelTerms.fee > 0
+      ? `A cancellation fee of ₹${cancelTerms.fee} applies. ₹${cancelTerms.refundAmount} will be refunded.`
+      : 'Cancelling now is free.';
+    const reason = window.prompt(`${warning}\n\nWhy are you cancelling? (optional)`, '');
+    if (reason === null) return;
+    // Wallet refunds are instant; the original payment method takes a few days
+    const toWallet = cancelTerms.refundAmount > 0 &&
+      window.confirm(`Get the ₹${cancelTerms.refundAmount} refund in your CraveCart wallet right away?\n\nPress Cancel to refund it to your original payment method instead.`);
+
+    setIsCancelling(true);
+    try {
+      const order = await ordersAPI.cancel(trackingOrderId, reason.trim(), toWallet ? 'wallet' : undefined);
+      setCancelled(order);
+      setCancelTerms(null);
+    } catch (err) {
+      alert(err.message || 'Could not cancel the order');
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
   const handleTrackOrder = (e) => {
     e.preventDefault();
     setError('');
@@ -56,6 +98,37 @@ const TrackingPage = () => {
           orderId={trackingOrderId} 
           onClose={handleBackToForm}
         />
+        {(cancelTerms?.cancellable || cancelled) && (
+          <div className="tracking-cancel-card">
+            {cancelled ? (
+              <p>
+                Order cancelled.{' '}
+                {!cancelled.refund
+                  ? 'No payment was taken, so there is nothing to refund.'
+                  : cancelled.refund.method === 'wallet'
+                    ? `₹${cancelled.refund.amount} has been added to your CraveCart wallet.`
+                    : cancelled.refund.walletAmount > 0
+                      ? `₹${cancelled.refund.walletAmount} has been added back to your wallet, and a refund of ₹${Math.round((cancelled.refund.amount - cancelled.refund.walletAmount) * 100) / 100} has been initiated to your original payment method.`
+                      : `A refund of ₹${cancelled.refund.amount} has been initiated to your original payment method.`}
+              </p>
+            ) : (
+              <>
+                <p>
+                  {cancelTerms.fee > 0
+                    ? `Cancelling now costs ₹${cancelTerms.fee}; ₹${cancelTerms.refundAmount} will be refunded.`
+                    : 'You can cancel this order for free.'}
+                </p>
+                <button className="cancel-order-btn" onClick={handleCancelOrder} disabled={isCancelling}>
+                  {isCancelling ? 'Cancelling…' : 'Cancel order'}
+                </button>
+              </>
+            )}
+          </div>
+        )}
+        <div className="tracking-timeline-card">
+          <h3>🕒 Order Timeline</h3>
+          <OrderTimeline key={cancelled ? 'cancelled' : 'live'} orderId={trackingOrderId} />
+        </div>
       </>
     );
   }
@@ -5,11 +5,11 @@ const apiRequest = async (endpoint, options = {}) => {
   const url = `${API_BASE_URL}${endpoint}`;
   
   const config = {
+    ...options,
     headers: {
       'Content-Type': 'application/json',
       ...options.headers,
     },
-    ...options,
   };
 
   // Add auth token if available
@@ -23,7 +23,10 @@ const apiRequest = async (endpoint, options = {}) => {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || 'API request failed');
+      const apiError = new Error(data.error || 'API request failed');
+      apiError.status = response.status;
+      apiError.data = data;
+      throw apiError;
     }
 
     return data;
@@ -94,6 +97,40 @@ export const restaurantsAPI = {
   getBySlug: (slug) => apiRequest(`/restaurants/slug/${slug}`),
   
   getMenu: (id) => apiRequest(`/restaurants/${id}/menu`),
+
+  // Menu editor: restaurants the current owner manages, and their full menus
+  getMine: () => apiRequest('/restaurants/mine'),
+
+  getManagedDishes: (id) => apiRequest(`/restaurants/${id}/dishes`),
+
+  reorderCategories: (id, categories) => apiRequest(`/restaurants/${id}/menu-categories`, {
+    method: 'PUT',
+    body: JSON.stringify({ categories }),
+  }),
+
+  updateSchedule: (id, schedule, holidays) => apiRequest(`/restaurants/${id}/schedule`, {
+    method: 'PUT',
+    body: JSON.stringify({ schedule, holidays }),
+  }),
+
+  pause: (id, minutes, reason) => apiRequest(`/restaurants/${id}/pause`, {
+    method: 'PUT',
+    body: JSON.stringify({ minutes, reason }),
+  }),
+
+  resume: (id) => apiRequest(`/restaurants/${id}/pause`, {
+    method: 'DELETE',
+  }),
+
+  getReviews: (id, params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/restaurants/${id}/reviews?${queryString}`);
+  },
+
+  replyToReview: (id, reviewId, text) => apiRequest(`/restaurants/${id}/reviews/${reviewId}/reply`, {
+    method: 'POST',
+    body: JSON.stringify({ text }),
+  }),
   
   create: (restaurantData) => apiRequest('/restaurants', {
     method: 'POST',
@@ -132,6 +169,29 @@ export const dishesAPI = {
   delete: (id) => apiRequest(`/dishes/${id}`, {
     method: 'DELETE',
   }),
+
+  setAvailability: (id, isAvailable) => apiRequest(`/dishes/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ isAvailable }),
+  }),
+
+  restock: (id) => apiRequest(`/dishes/${id}/restock`, {
+    method: 'POST',
+  }),
+
+  uploadImage: async (file) => {
+    const token = localStorage.getItem('jwt_token') || localStorage.getItem('token');
+    const formData = new FormData();
+    formData.append('image', file);
+    const res = await fetch(`${API_BASE_URL}/dishes/upload-image`, {
+      method: 'POST',
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: formData
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Upload failed');
+    return data;
+  },
   
   rate: (id, rating) => apiRequest(`/dishes/${id}/rate`, {
     method: 'POST',
@@ -163,7 +223,28 @@ export const usersAPI = {
     return data;
   },
   
-  getOrders: () => apiRequest('/users/orders'),
+  // Address book; every write resolves to the full, updated list
+  getAddresses: () => apiRequest('/users/addresses'),
+
+  addAddress: (address) => apiRequest('/users/addresses', {
+    method: 'POST',
+    body: JSON.stringify(address),
+  }),
+
+  updateAddress: (id, address) => apiRequest(`/users/addresses/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(address),
+  }),
+
+  setDefaultAddress: (id) => apiRequest(`/users/addresses/${id}/default`, { method: 'PUT' }),
+
+  deleteAddress: (id) => apiRequest(`/users/addresses/${id}`, { method: 'DELETE' }),
+
+  // Resolves to { orders, nextCursor, hasMore }
+  getOrders: (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/users/orders?${queryString}`);
+  },
   
   addFavorite: (type, id) => apiRequest('/users/favorites', {
     method: 'POST',
@@ -173,30 +254,200 @@ export const usersAPI = {
   getFavorites: () => apiRequest('/users/favorites'),
 };
 
+// One Idempotency-Key per checkout attempt, keyed by the order payload.
+// Retries and double-clicks of the same checkout reuse the key so the
+// backend returns the original order instead of placing a duplicate.
+const checkoutKeys = new Map();
+
+const newIdempotencyKey = () => (
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+);
+
 // Orders API
 export const ordersAPI = {
-  getAll: () => apiRequest('/orders'),
+  // Resolves to { orders, nextCursor, hasMore }; pass nextCursor back as `cursor` for the next page
+  getAll: (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/orders?${queryString}`);
+  },
+
+  getSummary: (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/orders/summary?${queryString}`);
+  },
+
   
   getById: (id) => apiRequest(`/orders/${id}`),
   
-  create: (orderData) => apiRequest('/orders', {
+  create: async (orderData) => {
+    const body = JSON.stringify(orderData);
+    if (!checkoutKeys.has(body)) checkoutKeys.set(body, newIdempotencyKey());
+    try {
+      const order = await apiRequest('/orders', {
+        method: 'POST',
+        headers: { 'Idempotency-Key': checkoutKeys.get(body) },
+        body,
+      });
+      checkoutKeys.delete(body);
+      return order;
+    } catch (error) {
+      // Keep the key for network errors, 5xx and in-flight conflicts so a
+      // retry is deduplicated; anything else means this attempt is over
+      if (error.status && error.status < 500 && error.status !== 409) {
+        checkoutKeys.delete(body);
+      }
+      throw error;
+    }
+  },
+
+  quote: (cartData) => apiRequest('/orders/quote', {
     method: 'POST',
-    body: JSON.stringify(orderData),
+    body: JSON.stringify(cartData),
   }),
   
   updateStatus: (id, status) => apiRequest(`/orders/${id}/status`, {
     method: 'PUT',
     body: JSON.stringify({ status }),
   }),
+  getHistory: (id) => apiRequest(`/orders/${id}/history`),
+  getTracking: (id) => apiRequest(`/orders/tracking/${id}`),
+  updateLocation: (id, coords) => apiRequest(`/orders/${id}/location`, {
+    method: 'POST',
+    body: JSON.stringify(coords),
+  }),
   getAvailable: () => apiRequest('/orders/available/list'),
   assign: (id) => apiRequest(`/orders/${id}/assign`, { method: 'POST' }),
   acceptByRestaurant: (id) => apiRequest(`/orders/${id}/accept-restaurant`, { method: 'POST' }),
-  rejectByRestaurant: (id) => apiRequest(`/orders/${id}/reject-restaurant`, { method: 'POST' }),
+  rejectByRestaurant: (id, reason) => apiRequest(`/orders/${id}/reject-restaurant`, {
+    method: 'POST',
+    body: JSON.stringify(reason ? { reason } : {}),
+  }),
   markReadyForPickup: (id) => apiRequest(`/orders/${id}/mark-ready`, { method: 'POST' }),
   reassignDriver: (id, driver) => apiRequest(`/orders/${id}/reassign-driver`, {
     method: 'POST',
     body: JSON.stringify(driver || {}),
   }),
+  getCancellationTerms: (id) => apiRequest(`/orders/${id}/cancellation`),
+  // refundTo: 'wallet' credits the refund to the CraveCart wallet straight away
+  cancel: (id, reason, refundTo) => apiRequest(`/orders/${id}/cancel`, {
+    method: 'POST',
+    body: JSON.stringify({ ...(reason ? { reason } : {}), ...(refundTo ? { refundTo } : {}) }),
+  }),
+  getRefund: (id) => apiRequest(`/orders/${id}/refund`),
+  reorder: (id) => apiRequest(`/orders/${id}/reorder`, { method: 'POST' }),
+  // Resolves to the invoice as a Blob: HTML, or a PDF with format 'pdf'
+  getInvoice: async (id, format = 'html') => {
+    const token = localStorage.getItem('jwt_token') || localStorage.getItem('token');
+    const res = await fetch(`${API_BASE_URL}/orders/${id}/invoice?format=${format}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      const apiError = new Error(data.error || 'Could not load the invoice');
+      apiError.status = res.status;
+      apiError.data = data;
+      throw apiError;
+    }
+    return res.blob();
+  },
+  review: (id, ratings, comment) => apiRequest(`/orders/${id}/review`, {
+    method: 'POST',
+    body: JSON.stringify(comment ? { ratings, comment } : { ratings }),
+  }),
+};
+
+// Delivery zones and serviceability
+export const serviceabilityAPI = {
+  check: (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/serviceability?${queryString}`);
+  },
+
+  getZones: (city) => apiRequest(`/serviceability/zones${city ? `?city=${encodeURIComponent(city)}` : ''}`),
+};
+
+// Restaurant + dish search
+export const searchAPI = {
+  // Resolves to { restaurants, dishes, total, fuzzy, facets? }
+  search: (q, params = {}) => {
+    const queryString = new URLSearchParams({ q, ...params }).toString();
+    return apiRequest(`/search?${queryString}`);
+  },
+
+  suggest: (q) => searchAPI.search(q, { autocomplete: 'true' }),
+};
+
+export const couponsAPI = {
+  // { code, items, restaurantId } -> { valid, code, description, discount, pricing }
+  validate: (data) => apiRequest('/coupons/validate', {
+    method: 'POST',
+    body: JSON.stringify(data),
+  }),
+
+  // Admin
+  getAll: (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/coupons?${queryString}`);
+  },
+
+  create: (couponData) => apiRequest('/coupons', {
+    method: 'POST',
+    body: JSON.stringify(couponData),
+  }),
+
+  update: (id, couponData) => apiRequest(`/coupons/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(couponData),
+  }),
+
+  delete: (id) => apiRequest(`/coupons/${id}`, {
+    method: 'DELETE',
+  }),
+};
+
+// Online payments: the server and payment provider decide when an order is paid
+export const paymentsAPI = {
+  // { orderId, upiId, amount?, payerName? }; amount defaults to what is left to pay
+  createIntent: (data) => apiRequest('/payments/intents', {
+    method: 'POST',
+    body: JSON.stringify(data),
+  }),
+  getIntent: (id) => apiRequest(`/payments/intents/${id}`),
+  getOrderPayments: (orderId) => apiRequest(`/payments/orders/${orderId}`),
+};
+
+// Split bills: the organizer's view, and pay links for each participant
+export const splitBillsAPI = {
+  get: (orderId) => apiRequest(`/split-bills/${orderId}`),
+  // Server-sent `split_bill_updated` events for the organizer's live progress;
+  // `token` is one of the bill's pay link tokens, as EventSource can't send headers
+  eventsUrl: (orderId, token) => `${API_BASE_URL}/split-bills/${orderId}/events?token=${encodeURIComponent(token)}`,
+  // The organizer pays whatever is still unpaid
+  cover: (orderId, upiId) => apiRequest(`/split-bills/${orderId}/cover`, {
+    method: 'POST',
+    body: JSON.stringify({ upiId }),
+  }),
+  getShare: (token) => apiRequest(`/split-bills/pay/${token}`),
+  payShare: (token, upiId) => apiRequest(`/split-bills/pay/${token}/intents`, {
+    method: 'POST',
+    body: JSON.stringify({ upiId }),
+  }),
+};
+
+// CraveCart wallet: balance, ledger and top-ups
+export const walletAPI = {
+  getBalance: () => apiRequest('/wallet'),
+  getTransactions: (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiRequest(`/wallet/transactions?${queryString}`);
+  },
+  // Returns a payment intent; poll it with paymentsAPI.getIntent
+  topUp: (amount, upiId) => apiRequest('/wallet/topups', {
+    method: 'POST',
+    body: JSON.stringify({ amount, upiId }),
+  }),
 };
 
 const api = {
@@ -205,6 +456,12 @@ const api = {
   dishes: dishesAPI,
   users: usersAPI,
   orders: ordersAPI,
+  serviceability: serviceabilityAPI,
+  search: searchAPI,
+  coupons: couponsAPI,
+  payments: paymentsAPI,
+  splitBills: splitBillsAPI,
+  wallet: walletAPI,
 };
 
 export default api;
@@ -0,0 +1,56 @@
+import { paymentsAPI, splitBillsAPI, walletAPI } from './api';
+
+const POLL_INTERVAL_MS = 3000;
+// Matches how long the server holds a pending payment
+const POLL_TIMEOUT_MS = 20 * 60 * 1000;
+
+// handle@psp, e.g. priya.sharma@okhdfcbank; the server checks the same pattern
+const UPI_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{1,255}@[a-zA-Z][a-zA-Z0-9]{1,63}$/;
+
+export const UPI_ID_HINT = 'Enter a valid UPI ID, like name@bank';
+
+export const isValidUpiId = (value) => UPI_ID_PATTERN.test(String(value || '').trim());
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll a freshly started payment intent until the payment provider settles it
+// as `succeeded` or `failed`. `onUpdate` gets the intent on every poll so the
+// page can show its clientAction (the message or link the customer has to
+// act on). Aborting `signal` stops polling. Giving up on a payment that is
+// still pending throws an error with `pending: true` and the last intent.
+const waitForIntent = async (intent, fetchIntent, { onUpdate, signal } = {}) => {
+  const giveUpAt = Date.now() + POLL_TIMEOUT_MS;
+  while (intent.status === 'pending') {
+    if (signal?.aborted) throw new Error('Payment check was stopped');
+    if (Date.now() > giveUpAt) {
+      throw Object.assign(new Error('Payment is taking longer than expected. Check your order history before paying again.'), { pending: true, intent });
+    }
+    onUpdate?.(intent);
+    await sleep(POLL_INTERVAL_MS);
+    intent = await fetchIntent(intent);
+  }
+  onUpdate?.(intent);
+  return intent;
+};
+
+const fetchIntentById = (intent) => paymentsAPI.getIntent(intent.id);
+
+// Pay part or all of an order and resolve with the settled intent
+export const payOnline = async ({ orderId, upiId, amount, payerName }, options) =>
+  waitForIntent(await paymentsAPI.createIntent({ orderId, upiId, amount, payerName }), fetchIntentById, options);
+
+// Pay one participant's share of a split bill through their pay link token
+export const payShare = async (token, upiId, options) =>
+  waitForIntent(
+    await splitBillsAPI.payShare(token, upiId),
+    async () => (await splitBillsAPI.getShare(token)).intent,
+    options
+  );
+
+// The organizer pays whatever the rest of the group hasn't
+export const coverSplitBill = async (orderId, upiId, options) =>
+  waitForIntent(await splitBillsAPI.cover(orderId, upiId), fetchIntentById, options);
+
+// Add money to the CraveCart wallet; it is credited once the payment succeeds
+export const topUpWallet = async (amount, upiId, options) =>
+  waitForIntent(await walletAPI.topUp(amount, upiId), fetchIntentById, options);